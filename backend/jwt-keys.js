@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * JWT signing key management
+ *   npm run jwt-keys -- list
+ *   npm run jwt-keys -- rotate [--alg HS256|RS256|ES256] [--grace-hours 24]
+ *   npm run jwt-keys -- revoke <kid>
+ */
+
+import { listJwtKeys, rotateJwtKeys, revokeJwtKey } from './src/jwtKeys.js';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  try {
+    if (command === 'list') {
+      console.table(await listJwtKeys());
+    } else if (command === 'rotate') {
+      const result = await rotateJwtKeys({
+        algorithm: readOption(args, '--alg'),
+        graceHours: readOption(args, '--grace-hours')
+      });
+      console.log(`✓ New ${result.algorithm} key ${result.kid} signs from ${result.activatesAt.toISOString()}`);
+      if (result.retired.length) {
+        console.log(`  Previous keys stay valid until ${result.retiresAt.toISOString()}: ${result.retired.join(', ')}`);
+      }
+    } else if (command === 'revoke' && args[0]) {
+      const revoked = await revokeJwtKey(args[0]);
+      console.log(revoked ? `✓ Revoked ${args[0]}` : `✗ No active key ${args[0]}`);
+    } else {
+      console.log('Usage: jwt-keys list | rotate [--alg HS256|RS256|ES256] [--grace-hours N] | revoke <kid>');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ JWT key command failed:', error.message);
+    process.exit(1);
+  }
+})();
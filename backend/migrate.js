@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Versioned database migrations (files live in ./migrations)
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--to <version>] [--force]
+ *   npm run migrate -- down [--steps 1]
+ *   npm run migrate -- create <name>
+ *
+ * Set MIGRATIONS_STRICT=true (default in production) to make the server refuse
+ * to start while migrations are pending or applied ones were edited.
+ */
+
+import { getMigrationStatus, migrateUp, migrateDown, createMigration } from './src/migrations.js';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  try {
+    if (command === 'status') {
+      const status = await getMigrationStatus();
+      console.table(status);
+      const outOfDate = status.filter((entry) => entry.state !== 'applied');
+      if (outOfDate.length) {
+        console.log(`${outOfDate.length} migration(s) need attention`);
+        process.exit(2);
+      }
+    } else if (command === 'up') {
+      const result = await migrateUp({ to: readOption(args, '--to') ?? null, allowDrift: args.includes('--force') });
+      if (result.baselined.length) {
+        console.log(`✓ Recorded existing schema as migrations ${result.baselined.join(', ')}`);
+      }
+      result.applied.forEach((entry) => console.log(`✓ Applied ${entry.version}_${entry.name} (${entry.ms}ms)`));
+      if (!result.applied.length) console.log('✓ Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown({ steps: readOption(args, '--steps') });
+      reverted.forEach((entry) => console.log(`✓ Reverted ${entry.version}_${entry.name}`));
+      if (!reverted.length) console.log('Nothing to revert');
+    } else if (command === 'create' && args[0]) {
+      const created = await createMigration(args.join(' '));
+      console.log(`✓ Created ${created.upFile}`);
+      console.log(`✓ Created ${created.downFile}`);
+    } else {
+      console.log('Usage: migrate status | up [--to <version>] [--force] | down [--steps N] | create <name>');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Migration command failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,74 @@
+-- Drops every table created by 0001_core_schema (ALL DATA IS LOST)
+SET FOREIGN_KEY_CHECKS = 0;
+
+DROP TABLE IF EXISTS `health_id_verification_requests`;
+DROP TABLE IF EXISTS `blood_requests`;
+DROP TABLE IF EXISTS `blood_donors`;
+DROP TABLE IF EXISTS `app_catalog`;
+DROP TABLE IF EXISTS `app_user_meta`;
+DROP TABLE IF EXISTS `app_entities`;
+DROP TABLE IF EXISTS `product_reviews`;
+DROP TABLE IF EXISTS `doctor_reviews`;
+DROP TABLE IF EXISTS `ngos`;
+DROP TABLE IF EXISTS `addresses`;
+DROP TABLE IF EXISTS `audit_logs`;
+DROP TABLE IF EXISTS `notifications`;
+DROP TABLE IF EXISTS `file_links`;
+DROP TABLE IF EXISTS `files`;
+DROP TABLE IF EXISTS `payments`;
+DROP TABLE IF EXISTS `order_items`;
+DROP TABLE IF EXISTS `orders`;
+DROP TABLE IF EXISTS `products`;
+DROP TABLE IF EXISTS `product_categories`;
+DROP TABLE IF EXISTS `vendors`;
+DROP TABLE IF EXISTS `certificates`;
+DROP TABLE IF EXISTS `gov_resources`;
+DROP TABLE IF EXISTS `emergency_status_events`;
+DROP TABLE IF EXISTS `emergency_requests`;
+DROP TABLE IF EXISTS `ambulances`;
+DROP TABLE IF EXISTS `icu_status_updates`;
+DROP TABLE IF EXISTS `hospitals`;
+DROP TABLE IF EXISTS `consultation_messages`;
+DROP TABLE IF EXISTS `video_sessions`;
+DROP TABLE IF EXISTS `consultations`;
+DROP TABLE IF EXISTS `doctor_availability_slots`;
+DROP TABLE IF EXISTS `doctors`;
+DROP TABLE IF EXISTS `doctor_specialties`;
+DROP TABLE IF EXISTS `referrals`;
+DROP TABLE IF EXISTS `mental_answers`;
+DROP TABLE IF EXISTS `mental_assessments`;
+DROP TABLE IF EXISTS `mental_questions`;
+DROP TABLE IF EXISTS `reminder_deliveries`;
+DROP TABLE IF EXISTS `reminders`;
+DROP TABLE IF EXISTS `vaccination_events`;
+DROP TABLE IF EXISTS `vaccine_schedule_items`;
+DROP TABLE IF EXISTS `vaccine_schedules`;
+DROP TABLE IF EXISTS `child_growth_logs`;
+DROP TABLE IF EXISTS `pregnancy_checkins`;
+DROP TABLE IF EXISTS `allergies`;
+DROP TABLE IF EXISTS `health_record_files`;
+DROP TABLE IF EXISTS `health_records`;
+DROP TABLE IF EXISTS `children`;
+DROP TABLE IF EXISTS `pregnancies`;
+DROP TABLE IF EXISTS `mothers`;
+DROP TABLE IF EXISTS `emergency_contacts`;
+DROP TABLE IF EXISTS `user_roles`;
+DROP TABLE IF EXISTS `user_profiles`;
+DROP TABLE IF EXISTS `oidc_login_requests`;
+DROP TABLE IF EXISTS `user_identities`;
+DROP TABLE IF EXISTS `api_keys`;
+DROP TABLE IF EXISTS `service_accounts`;
+DROP TABLE IF EXISTS `jwt_signing_keys`;
+DROP TABLE IF EXISTS `user_permission_grants`;
+DROP TABLE IF EXISTS `role_permissions`;
+DROP TABLE IF EXISTS `permissions`;
+DROP TABLE IF EXISTS `password_history`;
+DROP TABLE IF EXISTS `verification_codes`;
+DROP TABLE IF EXISTS `login_throttle`;
+DROP TABLE IF EXISTS `user_two_factor`;
+DROP TABLE IF EXISTS `auth_sessions`;
+DROP TABLE IF EXISTS `password_reset_tokens`;
+DROP TABLE IF EXISTS `users`;
+DROP TABLE IF EXISTS `roles`;
+
+SET FOREIGN_KEY_CHECKS = 1;
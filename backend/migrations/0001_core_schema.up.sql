@@ -36,6 +36,8 @@
 CREATE TABLE IF NOT EXISTS `roles` (
   `id` INT AUTO_INCREMENT NOT NULL PRIMARY KEY,
   `role_name` VARCHAR(100) NOT NULL UNIQUE,
+  `description` VARCHAR(255) NULL,
+  `is_system` TINYINT(1) NOT NULL DEFAULT 0,
   `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
   `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
@@ -44,7 +46,9 @@ CREATE TABLE IF NOT EXISTS `roles` (
 CREATE TABLE IF NOT EXISTS `users` (
   `id` VARCHAR(36) NOT NULL PRIMARY KEY,
   `phone` VARCHAR(20) NOT NULL UNIQUE,
+  `phone_verified_at` DATETIME NULL,
   `email` VARCHAR(255) UNIQUE,
+  `email_verified_at` DATETIME NULL,
   `password_hash` VARCHAR(255),
   `auth_provider` VARCHAR(50) DEFAULT 'local',
   `role` VARCHAR(50) DEFAULT 'patient',
@@ -74,6 +78,181 @@ CREATE TABLE IF NOT EXISTS `password_reset_tokens` (
   INDEX `idx_user_id` (`user_id`)
 );
 
+-- Auth sessions table (one row per signed-in device; id is the access token jti)
+CREATE TABLE IF NOT EXISTS `auth_sessions` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `user_id` VARCHAR(36) NOT NULL,
+  `refresh_token_hash` CHAR(64) NOT NULL,
+  `previous_refresh_hash` CHAR(64) NULL,
+  `ip_address` VARCHAR(45) NULL,
+  `user_agent` VARCHAR(500) NULL,
+  `created_at` DATETIME NOT NULL,
+  `last_seen_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `revoked_at` DATETIME NULL,
+  `revoked_reason` VARCHAR(100) NULL,
+  `impersonator_user_id` VARCHAR(36) NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  INDEX `idx_sessions_user` (`user_id`, `revoked_at`),
+  INDEX `idx_sessions_refresh` (`refresh_token_hash`),
+  INDEX `idx_sessions_previous` (`previous_refresh_hash`)
+);
+
+-- Two-factor authentication (TOTP secret and hashed recovery codes per user)
+CREATE TABLE IF NOT EXISTS `user_two_factor` (
+  `user_id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `secret` VARCHAR(64) NULL,
+  `pending_secret` VARCHAR(64) NULL,
+  `recovery_codes` TEXT NULL,
+  `enabled_at` DATETIME NULL,
+  `last_used_step` BIGINT NULL,
+  `created_at` DATETIME NOT NULL,
+  `updated_at` DATETIME NOT NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+);
+
+-- Failed login counters and temporary lockouts (keys: account:<id>, ip:<address>)
+CREATE TABLE IF NOT EXISTS `login_throttle` (
+  `throttle_key` VARCHAR(191) NOT NULL PRIMARY KEY,
+  `failure_count` INT NOT NULL DEFAULT 0,
+  `first_failure_at` DATETIME NOT NULL,
+  `last_failure_at` DATETIME NOT NULL,
+  `locked_until` DATETIME NULL,
+  INDEX `idx_login_throttle_locked` (`locked_until`)
+);
+
+-- Hashed one-time codes and link tokens (contact verification, OTP login)
+CREATE TABLE IF NOT EXISTS `verification_codes` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `user_id` VARCHAR(36) NOT NULL,
+  `purpose` VARCHAR(30) NOT NULL,
+  `target` VARCHAR(255) NOT NULL,
+  `secret_hash` CHAR(64) NOT NULL,
+  `attempts` INT NOT NULL DEFAULT 0,
+  `expires_at` DATETIME NOT NULL,
+  `consumed_at` DATETIME NULL,
+  `created_at` DATETIME NOT NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  INDEX `idx_verification_user_purpose` (`user_id`, `purpose`, `created_at`)
+);
+
+-- Previous password hashes (enforces the "no reuse of last N passwords" policy)
+CREATE TABLE IF NOT EXISTS `password_history` (
+  `id` INT AUTO_INCREMENT NOT NULL PRIMARY KEY,
+  `user_id` VARCHAR(36) NOT NULL,
+  `password_hash` VARCHAR(255) NOT NULL,
+  `created_at` DATETIME NOT NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  INDEX `idx_password_history_user` (`user_id`, `created_at`)
+);
+
+-- Named permissions checked by requirePermission()
+CREATE TABLE IF NOT EXISTS `permissions` (
+  `permission_key` VARCHAR(100) NOT NULL PRIMARY KEY,
+  `description` VARCHAR(255) NULL,
+  `created_at` DATETIME NOT NULL
+);
+
+-- Role to permission mappings (editable by system admins)
+CREATE TABLE IF NOT EXISTS `role_permissions` (
+  `role_id` INT NOT NULL,
+  `permission_key` VARCHAR(100) NOT NULL,
+  `granted_by` VARCHAR(36) NULL,
+  `created_at` DATETIME NOT NULL,
+  PRIMARY KEY (`role_id`, `permission_key`),
+  FOREIGN KEY (`role_id`) REFERENCES `roles` (`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`permission_key`) REFERENCES `permissions` (`permission_key`) ON DELETE CASCADE,
+  INDEX `idx_role_permissions_key` (`permission_key`)
+);
+
+-- Permissions granted directly to a user, optionally time-limited
+CREATE TABLE IF NOT EXISTS `user_permission_grants` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `user_id` VARCHAR(36) NOT NULL,
+  `permission_key` VARCHAR(100) NOT NULL,
+  `reason` VARCHAR(255) NULL,
+  `granted_by` VARCHAR(36) NULL,
+  `expires_at` DATETIME NULL,
+  `created_at` DATETIME NOT NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uq_user_permission` (`user_id`, `permission_key`)
+);
+
+-- JWT signing keys (kid header); old keys keep verifying until expires_at
+CREATE TABLE IF NOT EXISTS `jwt_signing_keys` (
+  `kid` VARCHAR(64) NOT NULL PRIMARY KEY,
+  `algorithm` VARCHAR(10) NOT NULL,
+  `secret` VARCHAR(255) NULL,
+  `private_key` TEXT NULL,
+  `public_key` TEXT NULL,
+  `created_at` DATETIME NOT NULL,
+  `activates_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NULL,
+  INDEX `idx_jwt_signing_keys_expires` (`expires_at`)
+);
+
+-- Service accounts for partner integrations (machine-to-machine)
+CREATE TABLE IF NOT EXISTS `service_accounts` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `name` VARCHAR(100) NOT NULL,
+  `description` VARCHAR(255) NULL,
+  `hospital_id` VARCHAR(36) NULL,
+  `status` VARCHAR(20) NOT NULL DEFAULT 'active',
+  `created_by` VARCHAR(36) NULL,
+  `created_at` DATETIME NOT NULL,
+  `updated_at` DATETIME NOT NULL,
+  UNIQUE KEY `uq_service_account_name` (`name`)
+);
+
+-- API keys (only a SHA-256 hash of the secret is stored)
+CREATE TABLE IF NOT EXISTS `api_keys` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `service_account_id` VARCHAR(36) NOT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `key_prefix` CHAR(12) NOT NULL,
+  `key_hash` CHAR(64) NOT NULL,
+  `scopes` JSON NOT NULL,
+  `ip_allowlist` JSON NOT NULL,
+  `expires_at` DATETIME NULL,
+  `last_used_at` DATETIME NULL,
+  `last_used_ip` VARCHAR(45) NULL,
+  `revoked_at` DATETIME NULL,
+  `created_by` VARCHAR(36) NULL,
+  `created_at` DATETIME NOT NULL,
+  FOREIGN KEY (`service_account_id`) REFERENCES `service_accounts` (`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uq_api_key_prefix` (`key_prefix`),
+  INDEX `idx_api_keys_account` (`service_account_id`)
+);
+
+-- External OpenID Connect identities linked to local users
+CREATE TABLE IF NOT EXISTS `user_identities` (
+  `id` VARCHAR(36) NOT NULL PRIMARY KEY,
+  `user_id` VARCHAR(36) NOT NULL,
+  `provider` VARCHAR(40) NOT NULL,
+  `subject` VARCHAR(255) NOT NULL,
+  `email` VARCHAR(255) NULL,
+  `phone` VARCHAR(20) NULL,
+  `created_at` DATETIME NOT NULL,
+  `last_login_at` DATETIME NULL,
+  UNIQUE KEY `uq_identity_subject` (`provider`, `subject`),
+  INDEX `idx_identities_user` (`user_id`)
+);
+
+-- In-flight OIDC logins (state, PKCE verifier, nonce and one-time exchange ticket)
+CREATE TABLE IF NOT EXISTS `oidc_login_requests` (
+  `state` VARCHAR(64) NOT NULL PRIMARY KEY,
+  `provider` VARCHAR(40) NOT NULL,
+  `code_verifier` VARCHAR(128) NOT NULL,
+  `nonce` VARCHAR(64) NOT NULL,
+  `return_to` VARCHAR(500) NULL,
+  `user_id` VARCHAR(36) NULL,
+  `ticket_hash` CHAR(64) NULL,
+  `created_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `completed_at` DATETIME NULL,
+  UNIQUE KEY `uq_oidc_ticket` (`ticket_hash`)
+);
+
 -- User profiles table
 CREATE TABLE IF NOT EXISTS `user_profiles` (
   `id` INT AUTO_INCREMENT NOT NULL PRIMARY KEY,
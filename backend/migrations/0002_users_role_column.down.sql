@@ -0,0 +1 @@
+-- users.role is part of the core schema since 0001, so there is nothing to undo
@@ -0,0 +1,6 @@
+SET FOREIGN_KEY_CHECKS = 0;
+
+DROP TABLE IF EXISTS `system_settings`;
+DROP TABLE IF EXISTS `system_messages`;
+
+SET FOREIGN_KEY_CHECKS = 1;
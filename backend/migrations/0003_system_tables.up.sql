@@ -31,11 +31,31 @@ CREATE TABLE IF NOT EXISTS system_settings (
 INSERT IGNORE INTO system_settings (setting_key, value, data_type, description) VALUES
 ('maintenance_mode', 'false', 'boolean', 'Enable/disable maintenance mode for the entire platform'),
 ('maintenance_message', 'System is under maintenance. We will be back soon!', 'string', 'Message displayed when maintenance mode is enabled'),
+('maintenance_read_only', 'false', 'boolean', 'Allow read-only (GET) requests while maintenance mode is active'),
+('maintenance_starts_at', '', 'datetime', 'Optional scheduled maintenance start (ISO 8601)'),
+('maintenance_ends_at', '', 'datetime', 'Optional scheduled maintenance end (ISO 8601)'),
 ('max_users', '10000', 'integer', 'Maximum number of active users allowed'),
 ('max_concurrent_sessions', '5000', 'integer', 'Maximum concurrent user sessions'),
 ('email_notifications_enabled', 'true', 'boolean', 'Enable/disable email notifications'),
+('verification_required_actions', 'orders,blood_donor_registration,consent_grant', 'string', 'Actions blocked until the user verifies their contact details'),
+('verification_required_contact', 'phone', 'string', 'Contact that must be verified: phone, email, any or all'),
 ('two_factor_auth_required', 'false', 'boolean', 'Require 2FA for all admins'),
+('two_factor_required_roles', '', 'string', 'Comma separated roles that must use TOTP 2FA (e.g. system_admin,medical_admin,ops_admin,doctor)'),
 ('session_timeout_minutes', '30', 'integer', 'User session timeout in minutes'),
+('login_max_failures_per_account', '5', 'integer', 'Failed logins per account before a temporary lockout'),
+('login_max_failures_per_ip', '20', 'integer', 'Failed logins per IP address before a temporary lockout'),
+('login_failure_window_minutes', '15', 'integer', 'Window in which failed logins are counted'),
+('login_lockout_minutes', '15', 'integer', 'How long a login lockout lasts'),
+('login_progressive_delay_ms', '250', 'integer', 'Base delay added after each failed login (doubles per failure)'),
+('login_lockout_email_enabled', 'true', 'boolean', 'Email the account owner when their account is locked'),
+('new_device_email_enabled', 'true', 'boolean', 'Email users when their account signs in from a new device'),
 ('password_expiry_days', '90', 'integer', 'Password expiry period in days'),
+('password_min_length', '8', 'integer', 'Minimum password length'),
+('password_require_letter', 'true', 'boolean', 'Passwords must contain a letter'),
+('password_require_uppercase', 'false', 'boolean', 'Passwords must contain an uppercase letter (A-Z)'),
+('password_require_number', 'true', 'boolean', 'Passwords must contain a number'),
+('password_require_symbol', 'false', 'boolean', 'Passwords must contain a symbol'),
+('password_block_common', 'true', 'boolean', 'Reject passwords from the bundled common-password list'),
+('password_history_count', '5', 'integer', 'Number of previous passwords that cannot be reused'),
 ('audit_log_retention_days', '365', 'integer', 'How long to keep audit logs'),
 ('backup_frequency', 'daily', 'string', 'Backup frequency (daily, weekly, monthly)');
@@ -0,0 +1,23 @@
+DROP VIEW IF EXISTS `v_medical_admin_dashboard`;
+DROP VIEW IF EXISTS `v_operations_admin_dashboard`;
+DROP VIEW IF EXISTS `v_system_admin_dashboard`;
+
+SET FOREIGN_KEY_CHECKS = 0;
+
+DROP TABLE IF EXISTS `hospital_performance`;
+DROP TABLE IF EXISTS `admin_interactions`;
+DROP TABLE IF EXISTS `admin_notifications`;
+DROP TABLE IF EXISTS `emergency_access_logs`;
+DROP TABLE IF EXISTS `consultation_reviews`;
+DROP TABLE IF EXISTS `high_risk_cases`;
+DROP TABLE IF EXISTS `doctor_verification_requests`;
+DROP TABLE IF EXISTS `support_tickets`;
+DROP TABLE IF EXISTS `csr_programs`;
+DROP TABLE IF EXISTS `user_cards`;
+DROP TABLE IF EXISTS `card_batches`;
+DROP TABLE IF EXISTS `hospital_onboarding`;
+DROP TABLE IF EXISTS `security_events`;
+DROP TABLE IF EXISTS `system_metrics`;
+DROP TABLE IF EXISTS `admin_actions`;
+
+SET FOREIGN_KEY_CHECKS = 1;
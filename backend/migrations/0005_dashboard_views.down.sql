@@ -0,0 +1 @@
+-- The views were first created in 0004_admin_tables; 0005 only redefined them
@@ -0,0 +1,14 @@
+-- Backup metadata for the system admin panel (previously only in system_admin_schema.sql)
+CREATE TABLE IF NOT EXISTS system_backups (
+  id VARCHAR(36) PRIMARY KEY,
+  filename VARCHAR(255) NOT NULL,
+  size_mb DECIMAL(10, 2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_by VARCHAR(36),
+  status ENUM('PENDING', 'COMPLETED', 'FAILED') DEFAULT 'PENDING',
+  storage_path VARCHAR(500),
+  checksum VARCHAR(64),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_created_at (created_at),
+  INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,10 @@
+DROP INDEX idx_entities_type_scheduled ON app_entities;
+DROP INDEX idx_entities_type_status ON app_entities;
+DROP INDEX idx_entities_type_patient ON app_entities;
+DROP INDEX idx_entities_type_doctor ON app_entities;
+
+ALTER TABLE app_entities
+  DROP COLUMN scheduled_at,
+  DROP COLUMN status,
+  DROP COLUMN patient_id,
+  DROP COLUMN doctor_id;
@@ -0,0 +1,24 @@
+-- Generated columns for the JSON keys that listEntities/queryEntities filter and sort on most.
+-- Only JSON strings are extracted so JSON null or numbers never compare as text.
+ALTER TABLE app_entities
+  ADD COLUMN doctor_id VARCHAR(64) GENERATED ALWAYS AS (
+    CASE WHEN JSON_TYPE(JSON_EXTRACT(data, '$.doctorId')) = 'STRING'
+      THEN LEFT(JSON_UNQUOTE(JSON_EXTRACT(data, '$.doctorId')), 64) END
+  ) VIRTUAL,
+  ADD COLUMN patient_id VARCHAR(64) GENERATED ALWAYS AS (
+    CASE WHEN JSON_TYPE(JSON_EXTRACT(data, '$.patientId')) = 'STRING'
+      THEN LEFT(JSON_UNQUOTE(JSON_EXTRACT(data, '$.patientId')), 64) END
+  ) VIRTUAL,
+  ADD COLUMN status VARCHAR(40) GENERATED ALWAYS AS (
+    CASE WHEN JSON_TYPE(JSON_EXTRACT(data, '$.status')) = 'STRING'
+      THEN LEFT(LOWER(TRIM(JSON_UNQUOTE(JSON_EXTRACT(data, '$.status')))), 40) END
+  ) VIRTUAL,
+  ADD COLUMN scheduled_at VARCHAR(32) GENERATED ALWAYS AS (
+    CASE WHEN JSON_TYPE(JSON_EXTRACT(data, '$.scheduledAt')) = 'STRING'
+      THEN LEFT(JSON_UNQUOTE(JSON_EXTRACT(data, '$.scheduledAt')), 32) END
+  ) VIRTUAL;
+
+CREATE INDEX idx_entities_type_doctor ON app_entities (type, doctor_id, scheduled_at);
+CREATE INDEX idx_entities_type_patient ON app_entities (type, patient_id, scheduled_at);
+CREATE INDEX idx_entities_type_status ON app_entities (type, status);
+CREATE INDEX idx_entities_type_scheduled ON app_entities (type, scheduled_at);
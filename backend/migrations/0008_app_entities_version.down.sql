@@ -0,0 +1,2 @@
+ALTER TABLE app_entities
+  DROP COLUMN version;
@@ -0,0 +1,4 @@
+-- Optimistic concurrency: every write to a row bumps its version and
+-- conditional updates only apply when the version is still the one they read.
+ALTER TABLE app_entities
+  ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1 AFTER data;
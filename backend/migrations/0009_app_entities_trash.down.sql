@@ -0,0 +1,9 @@
+-- Rows still in the trash are removed so they do not reappear as live data
+DELETE FROM app_entities WHERE deleted_at IS NOT NULL;
+
+DROP INDEX idx_entities_deleted ON app_entities;
+DROP INDEX idx_entities_user_deleted ON app_entities;
+
+ALTER TABLE app_entities
+  DROP COLUMN deleted_by,
+  DROP COLUMN deleted_at;
@@ -0,0 +1,8 @@
+-- Soft delete: deleteEntity moves rows to the trash (deleted_at set) and the
+-- purge job removes them for good once the retention period has passed.
+ALTER TABLE app_entities
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL;
+
+CREATE INDEX idx_entities_user_deleted ON app_entities (user_id, deleted_at);
+CREATE INDEX idx_entities_deleted ON app_entities (deleted_at);
@@ -0,0 +1,19 @@
+-- Append-only change history for clinical records (medical reports,
+-- appointments, prescriptions, high-risk cases). Rows are only ever inserted;
+-- the application has no code path that updates or deletes them.
+CREATE TABLE IF NOT EXISTS entity_revisions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(36) NOT NULL,
+  owner_user_id VARCHAR(36) NULL,
+  entity_version INT UNSIGNED NULL,
+  action VARCHAR(20) NOT NULL,
+  actor_user_id VARCHAR(36) NULL,
+  actor_role VARCHAR(50) NULL,
+  request_id VARCHAR(64) NULL,
+  changes JSON NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  INDEX idx_revisions_entity (entity_type, entity_id, id),
+  INDEX idx_revisions_owner (owner_user_id, created_at),
+  INDEX idx_revisions_request (request_id)
+);
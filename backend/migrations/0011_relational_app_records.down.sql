@@ -0,0 +1,57 @@
+-- Views back to their 0005 definitions
+CREATE OR REPLACE VIEW v_operations_admin_dashboard AS
+SELECT
+  (SELECT COALESCE(COUNT(*), 0) FROM user_cards WHERE status = 'ACTIVE') as active_cards,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'PENDING') as pending_hospitals,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'APPROVED') as active_hospitals,
+  (SELECT COALESCE(COUNT(*), 0) FROM csr_programs WHERE status = 'ACTIVE') as active_csr_programs,
+  (SELECT COALESCE(COUNT(*), 0) FROM csr_programs) as total_programs,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'APPROVED' AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as new_hospitals_month,
+  (SELECT COALESCE(COUNT(*), 0) FROM support_tickets WHERE status IN ('OPEN', 'IN_PROGRESS')) as open_tickets,
+  (SELECT COALESCE(COUNT(*), 0) FROM support_tickets WHERE status IN ('OPEN', 'IN_PROGRESS') AND priority = 'URGENT') as urgent_tickets;
+
+CREATE OR REPLACE VIEW v_medical_admin_dashboard AS
+SELECT
+  (SELECT COALESCE(COUNT(*), 0) FROM doctor_verification_requests WHERE status = 'PENDING') as pending_doctor_verifications,
+  (SELECT COALESCE(COUNT(*), 0) FROM high_risk_cases WHERE status = 'ACTIVE' AND risk_level IN ('HIGH', 'CRITICAL')) as high_risk_pregnancies,
+  (SELECT COALESCE(COUNT(*), 0) FROM consultation_reviews WHERE review_status = 'PENDING') as pending_consultations,
+  (SELECT COALESCE(COUNT(*), 0) FROM emergency_access_logs WHERE accessed_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)) as emergency_cases_24h;
+
+DROP TABLE IF EXISTS relational_backfill;
+DROP TABLE IF EXISTS prescriptions;
+
+-- Rows copied from app_entities go; app_entities still holds every one of them
+DELETE FROM payments WHERE order_id IN (SELECT id FROM orders WHERE source_version IS NOT NULL);
+DELETE FROM orders WHERE source_version IS NOT NULL;
+DELETE FROM doctor_reviews WHERE source_version IS NOT NULL;
+DELETE FROM consultations WHERE source_version IS NOT NULL;
+
+ALTER TABLE doctor_reviews DROP FOREIGN KEY fk_doctor_reviews_consultation;
+DROP INDEX idx_doctor_reviews_doctor_ref ON doctor_reviews;
+ALTER TABLE doctor_reviews
+  DROP COLUMN updated_at,
+  DROP COLUMN source_version,
+  DROP COLUMN consultation_id,
+  DROP COLUMN doctor_ref,
+  MODIFY doctor_id VARCHAR(36) NOT NULL;
+
+ALTER TABLE order_items
+  DROP COLUMN product_name,
+  DROP COLUMN product_ref,
+  MODIFY product_id VARCHAR(36) NOT NULL;
+
+DROP INDEX idx_orders_created ON orders;
+ALTER TABLE orders
+  DROP COLUMN updated_at,
+  DROP COLUMN source_version,
+  DROP COLUMN delivery_fee;
+
+ALTER TABLE consultations DROP FOREIGN KEY fk_consultations_hospital;
+DROP INDEX idx_consultations_created ON consultations;
+DROP INDEX idx_consultations_doctor_ref ON consultations;
+ALTER TABLE consultations
+  DROP COLUMN updated_at,
+  DROP COLUMN source_version,
+  DROP COLUMN hospital_id,
+  DROP COLUMN doctor_ref,
+  MODIFY doctor_id VARCHAR(36) NOT NULL;
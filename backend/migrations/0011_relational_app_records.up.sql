@@ -0,0 +1,96 @@
+-- Relational copies of the appointment, order, prescription and doctor_review
+-- entities, kept by src/relationalRecords.js (dual write + backfill). Each row
+-- reuses its entity's id and records the entity version it was built from.
+-- Doctor and product ids in app data may point at catalog entries rather than
+-- doctors/products rows, so the original id is kept in *_ref and the foreign
+-- key column is only filled when it resolves.
+ALTER TABLE consultations
+  MODIFY doctor_id VARCHAR(36) NULL,
+  ADD COLUMN doctor_ref VARCHAR(100) NULL,
+  ADD COLUMN hospital_id VARCHAR(36) NULL,
+  ADD COLUMN source_version INT UNSIGNED NULL,
+  ADD COLUMN updated_at DATETIME NULL,
+  ADD CONSTRAINT fk_consultations_hospital FOREIGN KEY (hospital_id) REFERENCES hospitals (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_consultations_doctor_ref ON consultations (doctor_ref, scheduled_date);
+CREATE INDEX idx_consultations_created ON consultations (created_at);
+
+ALTER TABLE orders
+  ADD COLUMN delivery_fee DECIMAL(10, 2) NULL,
+  ADD COLUMN source_version INT UNSIGNED NULL,
+  ADD COLUMN updated_at DATETIME NULL;
+
+CREATE INDEX idx_orders_created ON orders (created_at);
+
+ALTER TABLE order_items
+  MODIFY product_id VARCHAR(36) NULL,
+  ADD COLUMN product_ref VARCHAR(100) NULL,
+  ADD COLUMN product_name VARCHAR(255) NULL;
+
+ALTER TABLE doctor_reviews
+  MODIFY doctor_id VARCHAR(36) NULL,
+  ADD COLUMN doctor_ref VARCHAR(100) NULL,
+  ADD COLUMN consultation_id VARCHAR(36) NULL,
+  ADD COLUMN source_version INT UNSIGNED NULL,
+  ADD COLUMN updated_at DATETIME NULL,
+  ADD CONSTRAINT fk_doctor_reviews_consultation FOREIGN KEY (consultation_id) REFERENCES consultations (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_doctor_reviews_doctor_ref ON doctor_reviews (doctor_ref);
+
+CREATE TABLE IF NOT EXISTS prescriptions (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  consultation_id VARCHAR(36) NULL,
+  doctor_id VARCHAR(36) NULL,
+  doctor_ref VARCHAR(100) NULL,
+  patient_id VARCHAR(36) NOT NULL,
+  diagnosis TEXT NULL,
+  instructions LONGTEXT NULL,
+  medications JSON NOT NULL,
+  follow_up_date DATETIME NULL,
+  prescribed_at DATETIME NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'active',
+  source_version INT UNSIGNED NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  INDEX idx_prescriptions_doctor_ref (doctor_ref, prescribed_at),
+  INDEX idx_prescriptions_patient (patient_id, prescribed_at),
+  FOREIGN KEY (consultation_id) REFERENCES consultations (id) ON DELETE SET NULL,
+  FOREIGN KEY (doctor_id) REFERENCES doctors (id) ON DELETE SET NULL,
+  FOREIGN KEY (patient_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Checkpoint per entity type so an interrupted backfill resumes after the
+-- last id it finished instead of starting over
+CREATE TABLE IF NOT EXISTS relational_backfill (
+  entity_type VARCHAR(50) NOT NULL PRIMARY KEY,
+  last_id VARCHAR(36) NULL,
+  synced INT UNSIGNED NOT NULL DEFAULT 0,
+  failed INT UNSIGNED NOT NULL DEFAULT 0,
+  last_error VARCHAR(500) NULL,
+  started_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  completed_at DATETIME NULL
+);
+
+-- The dashboard summaries gain the figures that now have real rows behind them
+CREATE OR REPLACE VIEW v_operations_admin_dashboard AS
+SELECT
+  (SELECT COALESCE(COUNT(*), 0) FROM user_cards WHERE status = 'ACTIVE') as active_cards,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'PENDING') as pending_hospitals,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'APPROVED') as active_hospitals,
+  (SELECT COALESCE(COUNT(*), 0) FROM csr_programs WHERE status = 'ACTIVE') as active_csr_programs,
+  (SELECT COALESCE(COUNT(*), 0) FROM csr_programs) as total_programs,
+  (SELECT COALESCE(COUNT(*), 0) FROM hospital_onboarding WHERE status = 'APPROVED' AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as new_hospitals_month,
+  (SELECT COALESCE(COUNT(*), 0) FROM support_tickets WHERE status IN ('OPEN', 'IN_PROGRESS')) as open_tickets,
+  (SELECT COALESCE(COUNT(*), 0) FROM support_tickets WHERE status IN ('OPEN', 'IN_PROGRESS') AND priority = 'URGENT') as urgent_tickets,
+  (SELECT COALESCE(COUNT(*), 0) FROM orders WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as orders_month,
+  (SELECT COALESCE(SUM(total_amount), 0) FROM orders WHERE status <> 'cancelled' AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as order_revenue_month;
+
+CREATE OR REPLACE VIEW v_medical_admin_dashboard AS
+SELECT
+  (SELECT COALESCE(COUNT(*), 0) FROM doctor_verification_requests WHERE status = 'PENDING') as pending_doctor_verifications,
+  (SELECT COALESCE(COUNT(*), 0) FROM high_risk_cases WHERE status = 'ACTIVE' AND risk_level IN ('HIGH', 'CRITICAL')) as high_risk_pregnancies,
+  (SELECT COALESCE(COUNT(*), 0) FROM consultation_reviews WHERE review_status = 'PENDING') as pending_consultations,
+  (SELECT COALESCE(COUNT(*), 0) FROM emergency_access_logs WHERE accessed_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)) as emergency_cases_24h,
+  (SELECT COALESCE(COUNT(*), 0) FROM consultations WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)) as consultations_week,
+  (SELECT COALESCE(COUNT(*), 0) FROM consultations WHERE status = 'scheduled' AND scheduled_date >= NOW()) as upcoming_consultations;
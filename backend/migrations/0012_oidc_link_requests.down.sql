@@ -0,0 +1,2 @@
+ALTER TABLE oidc_login_requests
+  DROP COLUMN link_user_id;
@@ -0,0 +1,5 @@
+-- Account linking: an authorization request started by a signed-in user
+-- carries that user, and its callback attaches the provider identity to them
+-- instead of signing anyone in.
+ALTER TABLE oidc_login_requests
+  ADD COLUMN link_user_id VARCHAR(36) NULL AFTER return_to;
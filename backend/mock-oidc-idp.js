@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect provider for local testing of /auth/oidc/*
+ *
+ *   npm run mock-idp
+ *
+ * Then add to .env:
+ *   OIDC_PROVIDERS=[{"id":"mock","name":"Mock IdP","issuer":"http://localhost:4455","clientId":"nurture-glow-local"}]
+ *
+ * The sign-in form is pre-filled from MOCK_OIDC_EMAIL / MOCK_OIDC_PHONE / MOCK_OIDC_NAME.
+ * Set MOCK_OIDC_AUTO_APPROVE=true to skip the form (handy with curl).
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const port = Number(process.env.MOCK_OIDC_PORT || 4455);
+const issuer = `http://localhost:${port}`;
+const kid = `mock-${crypto.randomBytes(4).toString('hex')}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'phone', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+});
+
+const issueCode = (params, identity) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, { ...params, identity, expiresAt: Date.now() + 60 * 1000 });
+  const target = new URL(params.redirect_uri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', params.state);
+  return target.toString();
+};
+
+const defaultIdentity = () => ({
+  email: process.env.MOCK_OIDC_EMAIL || 'staff@hospital.test',
+  phone: process.env.MOCK_OIDC_PHONE || '+8801700000000',
+  name: process.env.MOCK_OIDC_NAME || 'Mock Hospital Staff'
+});
+
+app.get('/authorize', (req, res) => {
+  const params = req.query;
+  if (params.response_type !== 'code' || !params.redirect_uri || !params.state || params.code_challenge_method !== 'S256') {
+    return res.status(400).send('Invalid authorization request');
+  }
+  if (process.env.MOCK_OIDC_AUTO_APPROVE === 'true') {
+    return res.redirect(302, issueCode(params, defaultIdentity()));
+  }
+
+  const identity = defaultIdentity();
+  const hidden = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+  res.send(`<!doctype html><html><body style="font-family:sans-serif;max-width:420px;margin:40px auto">
+    <h2>Mock IdP sign-in</h2>
+    <form method="post" action="/authorize">${hidden}
+      <p><label>Email <input name="email" value="${escapeHtml(identity.email)}"></label></p>
+      <p><label>Phone <input name="phone" value="${escapeHtml(identity.phone)}"></label></p>
+      <p><label>Name <input name="name" value="${escapeHtml(identity.name)}"></label></p>
+      <p><label><input type="checkbox" name="verified" value="1" checked> Email/phone verified</label></p>
+      <button type="submit">Sign in</button>
+    </form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { email, phone, name, verified, ...params } = req.body;
+  res.redirect(302, issueCode(params, { email, phone, name, verified: verified === '1' }));
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, client_id: clientId, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  const challenge = verifier ? crypto.createHash('sha256').update(verifier).digest('base64url') : null;
+  if (
+    grantType !== 'authorization_code' ||
+    !entry ||
+    entry.expiresAt < Date.now() ||
+    entry.client_id !== clientId ||
+    entry.redirect_uri !== redirectUri ||
+    entry.code_challenge !== challenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const { identity } = entry;
+  const verified = identity.verified !== false;
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(identity.email || identity.phone || '').digest('hex').slice(0, 24),
+      email: identity.email || undefined,
+      email_verified: identity.email ? verified : undefined,
+      phone_number: identity.phone || undefined,
+      phone_number_verified: identity.phone ? verified : undefined,
+      name: identity.name || undefined,
+      nonce: entry.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider listening on ${issuer}`);
+});
@@ -68,23 +68,66 @@ function base64url_decode(string $data): string {
     return base64_decode(strtr($data, '-_', '+/')) ?: '';
 }
 
-function verify_jwt(string $token, string $secret): ?array {
+// JOSE ES256 signatures are raw r||s; openssl_verify expects DER
+function ecdsa_raw_to_der(string $raw): ?string {
+    if (strlen($raw) !== 64) {
+        return null;
+    }
+    $encodeInt = function (string $int): string {
+        $int = ltrim($int, "\x00");
+        if ($int === '' || ord($int[0]) > 0x7f) {
+            $int = "\x00" . $int;
+        }
+        return "\x02" . chr(strlen($int)) . $int;
+    };
+    $body = $encodeInt(substr($raw, 0, 32)) . $encodeInt(substr($raw, 32));
+    return "\x30" . chr(strlen($body)) . $body;
+}
+
+// Keys come from jwt_signing_keys (shared with the Node API); tokens without a kid
+// predate key rotation and are checked against JWT_SECRET.
+function resolve_jwt_key(?string $kid): ?array {
+    if ($kid === null || $kid === '') {
+        $secret = env_value('JWT_SECRET', '');
+        return $secret === '' ? null : ['algorithm' => 'HS256', 'secret' => $secret, 'public_key' => null];
+    }
+    $stmt = db()->prepare(
+        'SELECT algorithm, secret, public_key FROM jwt_signing_keys WHERE kid = ? AND (expires_at IS NULL OR expires_at > NOW()) LIMIT 1'
+    );
+    $stmt->execute([$kid]);
+    $row = $stmt->fetch();
+    return $row ?: null;
+}
+
+function verify_jwt(string $token): ?array {
     $parts = explode('.', $token);
     if (count($parts) !== 3) {
         return null;
     }
     [$header64, $payload64, $sig64] = $parts;
     $header = json_decode(base64url_decode($header64), true);
-    if (!is_array($header) || ($header['alg'] ?? '') !== 'HS256') {
+    if (!is_array($header)) {
+        return null;
+    }
+    $key = resolve_jwt_key(isset($header['kid']) ? (string) $header['kid'] : null);
+    if (!$key || ($header['alg'] ?? '') !== $key['algorithm']) {
         return null;
     }
     $payload = json_decode(base64url_decode($payload64), true);
     if (!is_array($payload)) {
         return null;
     }
-    $expected = hash_hmac('sha256', $header64 . '.' . $payload64, $secret, true);
+    $signingInput = $header64 . '.' . $payload64;
     $sig = base64url_decode($sig64);
-    if (!hash_equals($expected, $sig)) {
+    if ($key['algorithm'] === 'HS256') {
+        $valid = hash_equals(hash_hmac('sha256', $signingInput, (string) $key['secret'], true), $sig);
+    } else {
+        if ($key['algorithm'] === 'ES256') {
+            $sig = ecdsa_raw_to_der($sig);
+        }
+        $valid = $sig !== null && openssl_verify($signingInput, $sig, (string) $key['public_key'], OPENSSL_ALGO_SHA256) === 1;
+    }
+    if (!$valid) {
         return null;
     }
     if (isset($payload['exp']) && time() >= (int) $payload['exp']) {
@@ -99,14 +142,14 @@ function require_auth(): array {
         json_response(401, ['success' => false, 'error' => 'Missing token']);
     }
     $token = trim($matches[1]);
-    $secret = env_value('JWT_SECRET', '');
-    if ($secret === '') {
-        json_response(500, ['success' => false, 'error' => 'JWT secret not configured']);
-    }
-    $payload = verify_jwt($token, $secret);
+    $payload = verify_jwt($token);
     if (!$payload || empty($payload['sub'])) {
         json_response(401, ['success' => false, 'error' => 'Invalid token']);
     }
+    // Impersonation is only audited by the Node API
+    if (!empty($payload['act'])) {
+        json_response(403, ['success' => false, 'error' => 'Impersonation tokens are not accepted here']);
+    }
     return $payload;
 }
 
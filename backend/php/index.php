@@ -294,7 +294,7 @@ if ($path === '/api/notifications' && $method === 'GET') {
     }
 
     $entityStmt = $pdo->prepare(
-        'SELECT id, data, created_at FROM app_entities WHERE type = ? AND user_id = ? ORDER BY created_at DESC'
+        'SELECT id, data, created_at FROM app_entities WHERE type = ? AND user_id = ? AND deleted_at IS NULL ORDER BY created_at DESC'
     );
     $entityStmt->execute(['notification', $userId]);
     $entityRows = $entityStmt->fetchAll();
@@ -338,7 +338,7 @@ if (preg_match('#^/api/notifications/([A-Za-z0-9\\-]+)$#', $path, $matches) && $
     }
 
     if (!$updated) {
-        $select = $pdo->prepare('SELECT id, data FROM app_entities WHERE id = ? AND type = ? AND user_id = ? LIMIT 1');
+        $select = $pdo->prepare('SELECT id, data FROM app_entities WHERE id = ? AND type = ? AND user_id = ? AND deleted_at IS NULL LIMIT 1');
         $select->execute([$notifId, 'notification', $userId]);
         $row = $select->fetch();
         if ($row) {
@@ -347,7 +347,7 @@ if (preg_match('#^/api/notifications/([A-Za-z0-9\\-]+)$#', $path, $matches) && $
                 $data = [];
             }
             $data['isRead'] = true;
-            $update = $pdo->prepare('UPDATE app_entities SET data = ?, updated_at = NOW() WHERE id = ?');
+            $update = $pdo->prepare('UPDATE app_entities SET version = version + 1, data = ?, updated_at = NOW() WHERE id = ?');
             $update->execute([json_encode($data), $notifId]);
             $updated = true;
         }
@@ -365,7 +365,7 @@ if ($path === '/api/notifications/mark-all' && $method === 'POST') {
     );
     $stmt->execute([$userId]);
 
-    $select = $pdo->prepare('SELECT id, data FROM app_entities WHERE type = ? AND user_id = ?');
+    $select = $pdo->prepare('SELECT id, data FROM app_entities WHERE type = ? AND user_id = ? AND deleted_at IS NULL');
     $select->execute(['notification', $userId]);
     $rows = $select->fetchAll();
     foreach ($rows as $row) {
@@ -374,7 +374,7 @@ if ($path === '/api/notifications/mark-all' && $method === 'POST') {
             $data = [];
         }
         $data['isRead'] = true;
-        $update = $pdo->prepare('UPDATE app_entities SET data = ?, updated_at = NOW() WHERE id = ?');
+        $update = $pdo->prepare('UPDATE app_entities SET version = version + 1, data = ?, updated_at = NOW() WHERE id = ?');
         $update->execute([json_encode($data), $row['id']]);
     }
 
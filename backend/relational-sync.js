@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Copies appointments, orders, prescriptions and doctor reviews from
+ * app_entities into their relational tables (src/relationalRecords.js)
+ *   npm run relational-sync -- backfill [--type order] [--batch 200] [--restart]
+ *   npm run relational-sync -- verify [--type order] [--limit 20]
+ *
+ * backfill resumes from its last checkpoint; --restart starts over.
+ * verify exits with 2 while any copy is missing, stale or orphaned, so it can
+ * gate turning on RELATIONAL_READS.
+ */
+
+import { backfillRelational, verifyRelational } from './src/relationalRecords.js';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const type = readOption(args, '--type');
+  const types = type ? [type] : undefined;
+  try {
+    if (command === 'backfill') {
+      const summaries = await backfillRelational({
+        types,
+        batchSize: Math.max(parseInt(readOption(args, '--batch'), 10) || 200, 1),
+        restart: args.includes('--restart'),
+        onBatch: (progress) => console.log(`… ${progress.type}: ${progress.synced} copied, ${progress.failed} failed`)
+      });
+      console.table(
+        summaries.map(({ type: entityType, synced, failed, skipped }) => ({
+          type: entityType,
+          synced,
+          failed,
+          state: skipped ? 'already complete' : 'done'
+        }))
+      );
+      for (const summary of summaries) {
+        if (summary.lastError) console.log(`✗ ${summary.type}: ${summary.lastError}`);
+      }
+      const failed = summaries.reduce((sum, summary) => sum + summary.failed, 0);
+      if (failed) {
+        console.log(`${failed} row(s) could not be copied; fix them and run with --restart`);
+        process.exit(2);
+      }
+      console.log('✓ Backfill complete');
+    } else if (command === 'verify') {
+      const sampleLimit = Math.max(parseInt(readOption(args, '--limit'), 10) || 20, 0);
+      const report = await verifyRelational({ types, sampleLimit });
+      console.table(report.map(({ samples, ...summary }) => summary));
+
+      for (const summary of report) {
+        for (const kind of ['missing', 'stale', 'orphaned']) {
+          summary.samples[kind].forEach((id) => console.log(`✗ ${summary.type} ${id}: ${kind}`));
+          if (summary[kind] > summary.samples[kind].length) {
+            console.log(`  … and ${summary[kind] - summary.samples[kind].length} more ${kind} ${summary.type} row(s)`);
+          }
+        }
+      }
+
+      const mismatched = report.reduce((sum, summary) => sum + summary.missing + summary.stale + summary.orphaned, 0);
+      if (mismatched) {
+        console.log(`${mismatched} row(s) differ from app_entities`);
+        process.exit(2);
+      }
+      console.log('✓ Relational tables match app_entities');
+    } else {
+      console.log('Usage: relational-sync backfill [--type T] [--batch N] [--restart] | verify [--type T] [--limit N]');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Relational sync failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -4,27 +4,58 @@ import os from 'os';
 import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
-import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
-import { query } from './db.js';
-import { createEntity } from './appStore.js';
+import { query, withTransaction } from './db.js';
+import { signJwt } from './jwtKeys.js';
+import { createEntity, updateEntity, deleteEntitiesByIds, restoreEntities, TRASH_RETENTION_DAYS } from './appStore.js';
+import { revokeUserSessions } from './sessionStore.js';
+import { startImpersonation } from './impersonation.js';
+import { recordRevision, actorFromRequest } from './entityHistory.js';
+import { disableTwoFactor } from './twoFactor.js';
+import { parseIpRule, invalidateIpBlacklistCache } from './ipBlacklist.js';
+import { getMaintenanceStatus, invalidateMaintenanceCache } from './maintenance.js';
+import { accountThrottleKey, ipThrottleKey, clearLoginThrottle } from './loginThrottle.js';
+import { relationalReadsEnabled, countCreatedByDay } from './relationalRecords.js';
+import { validatePassword, buildPasswordPolicyError, recordPasswordHistory } from './passwordPolicy.js';
 import { normalizeRoleValue, getRoleFilterOptions, getRoleFilterOptionsFromInput, CANONICAL_ROLES } from './roles.js';
+import {
+  invalidatePermissionCache,
+  isKnownPermission,
+  getUserAccess,
+  listPermissions,
+  listRoles,
+  findRole,
+  validateRoleName,
+  setRolePermissions,
+  createRole,
+  deleteRole,
+  assignUserRole,
+  removeUserRole,
+  listUserGrants,
+  grantUserPermission,
+  revokeUserPermission
+} from './permissions.js';
+import {
+  API_KEY_SCOPES,
+  normalizeScopes,
+  normalizeIpAllowlist,
+  listServiceAccounts,
+  getServiceAccount,
+  getApiKey,
+  createServiceAccount,
+  setServiceAccountStatus,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from './apiKeys.js';
 import { sendAccountSuspendedEmail, sendPasswordResetEmail } from './emailService.js';
 
-export function createAdminRouter({ requireAuth, requireRole }) {
-  const router = express.Router();
-  const NODE_ENV = process.env.NODE_ENV || 'development';
-  const JWT_SECRET = (() => {
-    if (process.env.JWT_SECRET && process.env.JWT_SECRET.length >= 32) {
-      return process.env.JWT_SECRET;
-    }
-    if (NODE_ENV === 'production') {
-      throw new Error('JWT_SECRET must be set to a 32+ char value in production.');
-    }
-    console.warn('JWT_SECRET is missing or too short. Using a temporary dev secret.');
-    return crypto.randomBytes(32).toString('hex');
-  })();
+// Entity types admins may bulk delete (into the trash) and restore
+const BULK_DELETE_TYPES = ['notification', 'journal_entry', 'audit_log', 'community_post'];
 
+export function createAdminRouter({ requireAuth, requirePermission }) {
+  const router = express.Router();
   const parseBooleanParam = (value) => {
     if (value === 'true') return true;
     if (value === 'false') return false;
@@ -354,6 +385,12 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       if (!ipAddress || !reason) {
         return res.status(400).json({ error: 'ip_address and reason are required' });
       }
+      if (!parseIpRule(ipAddress)) {
+        return res.status(400).json({ error: 'ip_address must be an IPv4/IPv6 address or CIDR range' });
+      }
+      if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+        return res.status(400).json({ error: 'expires_at must be a valid date' });
+      }
 
       const id = uuidv4();
       const now = new Date();
@@ -371,6 +408,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
          VALUES (?, NULL, 'ip_blacklist', NULL, ?, ?, ?)`,
         [id, JSON.stringify(payload), now, now]
       );
+      invalidateIpBlacklistCache();
 
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, description, severity)
@@ -378,7 +416,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'IP_BLACKLIST_ADD',
           'SECURITY',
           'ip_blacklist',
@@ -404,6 +442,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
            AND (id = ? OR JSON_UNQUOTE(JSON_EXTRACT(data, '$.ip_address')) = ?)`,
         [rawId, rawId]
       );
+      invalidateIpBlacklistCache();
 
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, description, severity)
@@ -411,7 +450,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'IP_BLACKLIST_REMOVE',
           'SECURITY',
           'ip_blacklist',
@@ -574,7 +613,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
 
   // Get System Admin Dashboard Summary
-  router.get('/system/dashboard', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/dashboard', requireAuth, requirePermission('system.dashboard.read'), async (req, res, next) => {
     try {
       // Get user statistics
       const [activeUsersResult] = await query('SELECT COUNT(*) as count FROM users WHERE status = "active"');
@@ -674,7 +713,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get all users with pagination
-  router.get('/system/users', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/users', requireAuth, requirePermission('users.read'), async (req, res, next) => {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 50;
@@ -730,7 +769,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update user role or status
-  router.patch('/system/users/:userId', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.patch('/system/users/:userId', requireAuth, requirePermission('users.manage'), async (req, res, next) => {
     try {
       const { userId } = req.params;
       const { role, status } = req.body;
@@ -762,6 +801,14 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         params
       );
 
+      // Existing tokens carry the old role/status, so force a fresh sign-in
+      if (normalizedRole || (status && status !== 'active')) {
+        await revokeUserSessions(userId, normalizedRole ? 'role_change' : 'status_change');
+      }
+      if (normalizedRole) {
+        invalidatePermissionCache(userId);
+      }
+
       // Log admin action
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
@@ -769,7 +816,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'USER_UPDATE',
           'USER_MANAGEMENT',
           'user',
@@ -795,7 +842,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Change user role (alias endpoint)
-  router.patch('/system/users/:userId/role', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.patch('/system/users/:userId/role', requireAuth, requirePermission('users.manage'), async (req, res, next) => {
     try {
       const { userId } = req.params;
       const { role } = req.body || {};
@@ -814,13 +861,16 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [normalizedRole, userId]
       );
 
+      await revokeUserSessions(userId, 'role_change');
+      invalidatePermissionCache(userId);
+
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'USER_ROLE_UPDATE',
           'USER_MANAGEMENT',
           'user',
@@ -838,7 +888,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Suspend user account
-  router.post('/system/users/:userId/suspend', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/users/:userId/suspend', requireAuth, requirePermission('users.suspend'), async (req, res, next) => {
     try {
       const { userId } = req.params;
       const { reason, duration } = req.body || {};
@@ -848,6 +898,8 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         ['suspended', userId]
       );
 
+      await revokeUserSessions(userId, 'suspended');
+
       const userRows = await query(
         `SELECT u.email, COALESCE(p.full_name, 'User') as full_name
          FROM users u
@@ -904,7 +956,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'USER_SUSPENDED',
           'USER_MANAGEMENT',
           'user',
@@ -922,7 +974,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Reactivate user account
-  router.post('/system/users/:userId/reactivate', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/users/:userId/reactivate', requireAuth, requirePermission('users.manage'), async (req, res, next) => {
     try {
       const { userId } = req.params;
 
@@ -938,7 +990,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
 
       if (suspensions.length > 0) {
         await query(
-          `UPDATE app_entities SET data = JSON_SET(data, '$.status', 'active'), updated_at = NOW() WHERE id = ?`,
+          `UPDATE app_entities SET version = version + 1, data = JSON_SET(data, '$.status', 'active'), updated_at = NOW() WHERE id = ?`,
           [suspensions[0].id]
         );
       }
@@ -949,7 +1001,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'USER_REACTIVATED',
           'USER_MANAGEMENT',
           'user',
@@ -967,16 +1019,39 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Force password reset for a user
-  router.post('/system/users/:userId/force-password-reset', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/users/:userId/force-password-reset', requireAuth, requirePermission('users.credentials.reset'), async (req, res, next) => {
     try {
       const { userId } = req.params;
+      const temporaryPassword = req.body?.temporaryPassword;
 
-      const rows = await query('SELECT email FROM users WHERE id = ? LIMIT 1', [userId]);
-      const email = rows[0]?.email;
+      const rows = await query(
+        `SELECT u.email, u.phone, p.full_name
+         FROM users u
+         LEFT JOIN user_profiles p ON p.user_id = u.id
+         WHERE u.id = ? LIMIT 1`,
+        [userId]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const email = rows[0].email;
+
+      // Optional admin-chosen temporary password, held to the same policy as user changes
+      if (temporaryPassword !== undefined) {
+        const passwordCheck = await validatePassword(String(temporaryPassword), {
+          userId,
+          identity: { phone: rows[0].phone, email, name: rows[0].full_name }
+        });
+        if (!passwordCheck.valid) {
+          return res.status(400).json(buildPasswordPolicyError(passwordCheck.violations));
+        }
+        const passwordHash = await bcrypt.hash(String(temporaryPassword), 10);
+        await recordPasswordHistory(userId);
+        await query('UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?', [passwordHash, userId]);
+      }
 
-      const resetToken = jwt.sign(
+      const resetToken = signJwt(
         { sub: userId, purpose: 'password_reset', forcedBy: req.user.sub },
-        JWT_SECRET,
         { expiresIn: '1h' }
       );
 
@@ -985,6 +1060,8 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [userId, resetToken]
       );
 
+      await revokeUserSessions(userId, 'password_reset');
+
       let previewUrl = null;
       if (email) {
         try {
@@ -1001,13 +1078,13 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'FORCE_PASSWORD_RESET',
           'SECURITY',
           'user',
           userId,
           userId,
-          'Forced password reset',
+          temporaryPassword !== undefined ? 'Forced password reset with temporary password' : 'Forced password reset',
           'WARNING'
         ]
       );
@@ -1018,8 +1095,82 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
+  // Lift a failed-login lockout early (optionally for the caller's IP as well)
+  router.post('/system/users/:userId/unlock', requireAuth, requirePermission('users.credentials.reset'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const ipAddress = toTrimmedString(req.body?.ipAddress || req.body?.ip_address, 45);
+
+      const userRows = await query('SELECT id FROM users WHERE id = ? LIMIT 1', [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      let cleared = await clearLoginThrottle(accountThrottleKey(userId));
+      if (ipAddress) {
+        cleared += await clearLoginThrottle(ipThrottleKey(ipAddress));
+      }
+
+      await query(
+        `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          req.user.sub,
+          req.userRole,
+          'ACCOUNT_UNLOCK',
+          'SECURITY',
+          'user',
+          userId,
+          userId,
+          ipAddress ? `Cleared login lockout (including IP ${ipAddress})` : 'Cleared login lockout',
+          'INFO'
+        ]
+      );
+
+      res.json({ success: true, cleared });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Reset two-factor enrollment for a user who lost their authenticator
+  router.post('/system/users/:userId/reset-2fa', requireAuth, requirePermission('users.credentials.reset'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const removed = await disableTwoFactor(userId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Two-factor authentication is not set up for this user' });
+      }
+
+      await revokeUserSessions(userId, 'two_factor_reset');
+
+      await query(
+        `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          req.user.sub,
+          req.userRole,
+          'TWO_FACTOR_RESET',
+          'SECURITY',
+          'user',
+          userId,
+          userId,
+          'Reset two-factor authentication',
+          'WARNING'
+        ]
+      );
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Get user activity log
-  router.get('/system/users/:userId/activity', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/users/:userId/activity', requireAuth, requirePermission('users.read'), async (req, res, next) => {
     try {
       const { userId } = req.params;
       const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
@@ -1040,29 +1191,72 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
-  // Kick user offline (no session store, records action only)
-  router.post('/system/users/:userId/kick-offline', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  // Kick user offline by revoking every live session
+  router.post('/system/users/:userId/kick-offline', requireAuth, requirePermission('sessions.revoke'), async (req, res, next) => {
     try {
       const { userId } = req.params;
 
+      const revokedSessions = await revokeUserSessions(userId, 'kicked_offline');
+
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'KICK_USER_OFFLINE',
           'SECURITY',
           'user',
           userId,
           userId,
-          'Requested user session termination',
+          `Terminated ${revokedSessions} active session(s)`,
           'WARNING'
         ]
       );
 
-      res.json({ success: true });
+      res.json({ success: true, revokedSessions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Read-only "view as user" token for support; every request made with it is audited
+  router.post('/system/users/:userId/impersonate', requireAuth, requirePermission('users.impersonate'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const reason = String(req.body?.reason || '').trim().slice(0, 200);
+      if (!reason) {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+      if (userId === req.user.sub) {
+        return res.status(400).json({ error: 'You cannot impersonate yourself' });
+      }
+
+      const rows = await query('SELECT id, role, status FROM users WHERE id = ? LIMIT 1', [userId]);
+      if (!rows.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (rows[0].status !== 'active') {
+        return res.status(400).json({ error: 'Only active accounts can be impersonated' });
+      }
+
+      // Admin accounts are off limits so impersonation can never widen access
+      const access = await getUserAccess(userId);
+      if (access?.roles.some((role) => ['system_admin', 'ops_admin', 'medical_admin'].includes(role)) || access?.permissions.has('users.impersonate')) {
+        return res.status(403).json({ error: 'Admin accounts cannot be impersonated' });
+      }
+
+      const impersonation = await startImpersonation(req, {
+        targetUser: { id: userId, role: normalizeRoleValue(rows[0].role) || 'mother' },
+        reason
+      });
+
+      res.status(201).json({
+        token: impersonation.token,
+        expiresAt: impersonation.expiresAt.toISOString(),
+        impersonation: { sessionId: impersonation.sessionId, userId, impersonatorId: req.user.sub, readOnly: true }
+      });
     } catch (err) {
       next(err);
     }
@@ -1073,7 +1267,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
 
   // Get suspension appeals
-  router.get('/system/appeals', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/appeals', requireAuth, requirePermission('appeals.read'), async (req, res, next) => {
     try {
       const statusFilter = (req.query.status || '').toString().toLowerCase();
       const rows = await query(
@@ -1148,7 +1342,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Resolve suspension appeal
-  router.patch('/system/appeals/:appealId', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.patch('/system/appeals/:appealId', requireAuth, requirePermission('appeals.manage'), async (req, res, next) => {
     try {
       const { appealId } = req.params;
       const { status, resolutionMessage } = req.body || {};
@@ -1157,83 +1351,91 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         return res.status(400).json({ error: 'status must be approved or rejected' });
       }
 
-      const appealRows = await query(
-        `SELECT id, user_id, data FROM app_entities WHERE id = ? AND type = 'suspension_appeal' LIMIT 1`,
-        [appealId]
-      );
-
-      if (!appealRows.length) {
-        return res.status(404).json({ error: 'Appeal not found' });
-      }
+      // The appeal, the account reactivation, the user's notification and the
+      // audit entry are saved together; the row lock stops two admins resolving at once
+      const found = await withTransaction(async () => {
+        const appealRows = await query(
+          `SELECT id, user_id, data FROM app_entities WHERE id = ? AND type = 'suspension_appeal' AND deleted_at IS NULL LIMIT 1 FOR UPDATE`,
+          [appealId]
+        );
 
-      let data = {};
-      try {
-        data = JSON.parse(appealRows[0].data || '{}');
-      } catch {}
-
-      const now = new Date().toISOString();
-      const updated = {
-        ...data,
-        status,
-        resolvedAt: now,
-        resolvedBy: req.user.sub,
-        resolutionMessage: resolutionMessage || null
-      };
+        if (!appealRows.length) return false;
 
-      await query(
-        `UPDATE app_entities SET data = ?, updated_at = NOW() WHERE id = ?`,
-        [JSON.stringify(updated), appealId]
-      );
+        let data = {};
+        try {
+          data = JSON.parse(appealRows[0].data || '{}');
+        } catch {}
 
-      const userId = appealRows[0].user_id;
+        const now = new Date().toISOString();
+        const updated = {
+          ...data,
+          status,
+          resolvedAt: now,
+          resolvedBy: req.user.sub,
+          resolutionMessage: resolutionMessage || null
+        };
 
-      if (status === 'approved') {
         await query(
-          'UPDATE users SET status = ?, updated_at = NOW() WHERE id = ?',
-          ['active', userId]
+          `UPDATE app_entities SET version = version + 1, data = ?, updated_at = NOW() WHERE id = ?`,
+          [JSON.stringify(updated), appealId]
         );
 
-        const suspensions = await query(
-          `SELECT id FROM app_entities WHERE type = 'user_suspension' AND user_id = ? ORDER BY created_at DESC LIMIT 1`,
-          [userId]
-        );
-        if (suspensions.length > 0) {
+        const userId = appealRows[0].user_id;
+
+        if (status === 'approved') {
           await query(
-            `UPDATE app_entities SET data = JSON_SET(data, '$.status', 'active'), updated_at = NOW() WHERE id = ?`,
-            [suspensions[0].id]
+            'UPDATE users SET status = ?, updated_at = NOW() WHERE id = ?',
+            ['active', userId]
           );
+
+          const suspensions = await query(
+            `SELECT id FROM app_entities WHERE type = 'user_suspension' AND user_id = ? AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1`,
+            [userId]
+          );
+          if (suspensions.length > 0) {
+            await query(
+              `UPDATE app_entities SET version = version + 1, data = JSON_SET(data, '$.status', 'active'), updated_at = NOW() WHERE id = ?`,
+              [suspensions[0].id]
+            );
+          }
         }
-      }
 
-      const userMessage = status === 'approved'
-        ? 'Your suspension appeal has been approved and your account is active again.'
-        : 'Your suspension appeal has been reviewed and rejected.';
+        const userMessage = status === 'approved'
+          ? 'Your suspension appeal has been approved and your account is active again.'
+          : 'Your suspension appeal has been reviewed and rejected.';
 
-      await createUserNotification({
-        userId,
-        actorId: req.user.sub,
-        type: 'suspension_appeal_result',
-        title: status === 'approved' ? 'Appeal Approved' : 'Appeal Rejected',
-        message: resolutionMessage ? `${userMessage} ${resolutionMessage}` : userMessage,
-        payload: { appealId, status, resolutionMessage: resolutionMessage || null }
+        await createUserNotification({
+          userId,
+          actorId: req.user.sub,
+          type: 'suspension_appeal_result',
+          title: status === 'approved' ? 'Appeal Approved' : 'Appeal Rejected',
+          message: resolutionMessage ? `${userMessage} ${resolutionMessage}` : userMessage,
+          payload: { appealId, status, resolutionMessage: resolutionMessage || null }
+        });
+
+        await query(
+          `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            uuidv4(),
+            req.user.sub,
+            req.userRole,
+            'SUSPENSION_APPEAL_RESOLVED',
+            'SECURITY',
+            'suspension_appeal',
+            appealId,
+            userId,
+            `Appeal ${status}`,
+            status === 'approved' ? 'INFO' : 'WARNING'
+          ]
+        );
+
+        return true;
       });
 
-      await query(
-        `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          uuidv4(),
-          req.user.sub,
-          'system_admin',
-          'SUSPENSION_APPEAL_RESOLVED',
-          'SECURITY',
-          'suspension_appeal',
-          appealId,
-          userId,
-          `Appeal ${status}`,
-          status === 'approved' ? 'INFO' : 'WARNING'
-        ]
-      );
+      if (!found) {
+        return res.status(404).json({ error: 'Appeal not found' });
+      }
 
       res.json({ success: true, status });
     } catch (err) {
@@ -1242,7 +1444,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Log security event
-  router.post('/system/security-events', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/security-events', requireAuth, requirePermission('security.manage'), async (req, res, next) => {
     try {
       const { eventType, severity, userId, description, metadata } = req.body;
 
@@ -1260,7 +1462,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get security events
-  router.get('/system/security-events', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/security-events', requireAuth, requirePermission('security.read'), async (req, res, next) => {
     try {
       const resolved = parseBooleanParam(req.query.resolved);
       const severity = req.query.severity || '';
@@ -1295,21 +1497,21 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Resolve security event
-  router.patch('/system/security-events/:eventId/resolve', requireAuth, requireRole('system_admin'), resolveSecurityEvent);
-  router.post('/system/security-events/:eventId/resolve', requireAuth, requireRole('system_admin'), resolveSecurityEvent);
+  router.patch('/system/security-events/:eventId/resolve', requireAuth, requirePermission('security.manage'), resolveSecurityEvent);
+  router.post('/system/security-events/:eventId/resolve', requireAuth, requirePermission('security.manage'), resolveSecurityEvent);
 
   // IP Blacklist Management
-  router.get('/system/ip-blacklist', requireAuth, requireRole('system_admin'), handleGetIpBlacklist);
-  router.post('/system/ip-blacklist', requireAuth, requireRole('system_admin'), handleAddIpBlacklist);
-  router.delete('/system/ip-blacklist/:id', requireAuth, requireRole('system_admin'), handleRemoveIpBlacklist);
+  router.get('/system/ip-blacklist', requireAuth, requirePermission('security.read'), handleGetIpBlacklist);
+  router.post('/system/ip-blacklist', requireAuth, requirePermission('security.manage'), handleAddIpBlacklist);
+  router.delete('/system/ip-blacklist/:id', requireAuth, requirePermission('security.manage'), handleRemoveIpBlacklist);
 
   // Alternate IP blacklist path (legacy/security)
-  router.get('/system/security/ip-blacklist', requireAuth, requireRole('system_admin'), handleGetIpBlacklist);
-  router.post('/system/security/ip-blacklist', requireAuth, requireRole('system_admin'), handleAddIpBlacklist);
-  router.delete('/system/security/ip-blacklist/:id', requireAuth, requireRole('system_admin'), handleRemoveIpBlacklist);
+  router.get('/system/security/ip-blacklist', requireAuth, requirePermission('security.read'), handleGetIpBlacklist);
+  router.post('/system/security/ip-blacklist', requireAuth, requirePermission('security.manage'), handleAddIpBlacklist);
+  router.delete('/system/security/ip-blacklist/:id', requireAuth, requirePermission('security.manage'), handleRemoveIpBlacklist);
 
   // Export users
-  router.get('/system/users/export', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/users/export', requireAuth, requirePermission('users.export'), async (req, res, next) => {
     try {
       const { selectCols, orderBy } = await getUserSelectConfig();
       const users = await query(
@@ -1327,7 +1529,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get database backups
-  router.get('/system/backups', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/backups', requireAuth, requirePermission('backups.read'), async (req, res, next) => {
     try {
       const backups = await query(
         `SELECT id, filename, size_mb, created_at, created_by, status
@@ -1343,7 +1545,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create database backup
-  router.post('/system/backups', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/backups', requireAuth, requirePermission('backups.create'), async (req, res, next) => {
     try {
       const backupId = uuidv4();
       const filename = buildBackupFilename({ backupName: req.body?.backupName, backupId });
@@ -1384,7 +1586,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Download backup
-  router.get('/system/backups/:backupId/download', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/backups/:backupId/download', requireAuth, requirePermission('backups.download'), async (req, res, next) => {
     try {
       const { backupId } = req.params;
       
@@ -1413,7 +1615,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Restore backup (stubbed)
-  router.post('/system/backups/:backupId/restore', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/backups/:backupId/restore', requireAuth, requirePermission('backups.restore'), async (req, res, next) => {
     try {
       const { backupId } = req.params;
       const [backup] = await query(
@@ -1438,7 +1640,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'BACKUP_RESTORE',
           'SYSTEM',
           'system_backup',
@@ -1455,7 +1657,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Delete backup metadata
-  router.delete('/system/backups/:backupId', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.delete('/system/backups/:backupId', requireAuth, requirePermission('backups.delete'), async (req, res, next) => {
     try {
       const { backupId } = req.params;
 
@@ -1485,7 +1687,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'BACKUP_DELETE',
           'SYSTEM',
           'system_backup',
@@ -1502,7 +1704,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get system metrics - Real data from actual system
-  router.get('/system/metrics', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/metrics', requireAuth, requirePermission('system.metrics.read'), async (req, res, next) => {
     try {
       // Calculate CPU usage
       const cpus = os.cpus();
@@ -1589,7 +1791,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get active system connections (DB + API)
-  router.get('/system/connections', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/connections', requireAuth, requirePermission('system.metrics.read'), async (req, res, next) => {
     try {
       let activeConnections = 0;
       let runningThreads = 0;
@@ -1620,9 +1822,24 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Toggle maintenance mode
-  router.post('/system/maintenance', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/maintenance', requireAuth, requirePermission('maintenance.manage'), async (req, res, next) => {
     try {
-      const { enabled, message } = req.body || {};
+      const { enabled, message, readOnly, startsAt, endsAt } = req.body || {};
+
+      const toWindowValue = (value) => {
+        if (value === undefined) return undefined;
+        if (value === null || value === '') return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+      };
+      const startsAtValue = toWindowValue(startsAt);
+      const endsAtValue = toWindowValue(endsAt);
+      if (startsAtValue === null || endsAtValue === null) {
+        return res.status(400).json({ error: 'startsAt and endsAt must be valid dates' });
+      }
+      if (startsAtValue && endsAtValue && startsAtValue >= endsAtValue) {
+        return res.status(400).json({ error: 'endsAt must be after startsAt' });
+      }
 
       await upsertSystemSetting({
         key: 'maintenance_mode',
@@ -1640,13 +1857,42 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         });
       }
 
+      if (readOnly !== undefined) {
+        await upsertSystemSetting({
+          key: 'maintenance_read_only',
+          value: readOnly ? 'true' : 'false',
+          dataType: 'boolean',
+          description: 'Allow read-only (GET) requests during maintenance'
+        });
+      }
+
+      if (startsAtValue !== undefined) {
+        await upsertSystemSetting({
+          key: 'maintenance_starts_at',
+          value: startsAtValue,
+          dataType: 'datetime',
+          description: 'Scheduled maintenance start (empty = immediately)'
+        });
+      }
+
+      if (endsAtValue !== undefined) {
+        await upsertSystemSetting({
+          key: 'maintenance_ends_at',
+          value: endsAtValue,
+          dataType: 'datetime',
+          description: 'Scheduled maintenance end (empty = until disabled)'
+        });
+      }
+
+      invalidateMaintenanceCache();
+
       await query(
         `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, description, severity)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'MAINTENANCE_TOGGLE',
           'SYSTEM',
           'system_settings',
@@ -1656,14 +1902,15 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         ]
       );
 
-      res.json({ success: true, maintenance: { enabled: !!enabled, message: message || '' } });
+      const status = await getMaintenanceStatus();
+      res.json({ success: true, maintenance: status });
     } catch (err) {
       next(err);
     }
   });
 
   // Get system health - Real checks for each service
-  router.get('/system/health', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/health', requireAuth, requirePermission('system.metrics.read'), async (req, res, next) => {
     try {
       const services = [];
       const now = new Date();
@@ -1759,7 +2006,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
 
   // Get all system messages
-  router.get('/system/messages', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/messages', requireAuth, requirePermission('messages.read'), async (req, res, next) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       const offset = parseInt(req.query.offset) || 0;
@@ -1801,7 +2048,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Send system message
-  router.post('/system/messages', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.post('/system/messages', requireAuth, requirePermission('messages.manage'), async (req, res, next) => {
     try {
       const { title, content, severity, broadcast_to, target_role, target_user_id } = req.body;
 
@@ -1837,7 +2084,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'MESSAGE_SENT',
           'COMMUNICATION',
           'system_message',
@@ -1854,7 +2101,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Delete system message
-  router.delete('/system/messages/:messageId', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.delete('/system/messages/:messageId', requireAuth, requirePermission('messages.manage'), async (req, res, next) => {
     try {
       const { messageId } = req.params;
 
@@ -1867,7 +2114,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'MESSAGE_DELETED',
           'COMMUNICATION',
           'system_message',
@@ -1888,7 +2135,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
 
   // Get all system settings
-  router.get('/system/settings', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/settings', requireAuth, requirePermission('settings.read'), async (req, res, next) => {
     try {
       const settings = await query(
         `SELECT setting_key as \`key\`, value, data_type, description, created_at, updated_at
@@ -1911,7 +2158,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update system settings
-  router.patch('/system/settings', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.patch('/system/settings', requireAuth, requirePermission('settings.manage'), async (req, res, next) => {
     try {
       const { settings } = req.body;
 
@@ -1951,7 +2198,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
           [
             uuidv4(),
             req.user.sub,
-            'system_admin',
+            req.userRole,
             'SETTINGS_UPDATE',
             'CONFIGURATION',
             'system_settings',
@@ -1972,7 +2219,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get single setting
-  router.get('/system/settings/:key', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/settings/:key', requireAuth, requirePermission('settings.read'), async (req, res, next) => {
     try {
       const { key } = req.params;
 
@@ -1992,7 +2239,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update single setting
-  router.patch('/system/settings/:key', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.patch('/system/settings/:key', requireAuth, requirePermission('settings.manage'), async (req, res, next) => {
     try {
       const { key } = req.params;
       const { value } = req.body || {};
@@ -2009,7 +2256,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [
           uuidv4(),
           req.user.sub,
-          'system_admin',
+          req.userRole,
           'SETTING_UPDATE',
           'CONFIGURATION',
           'system_settings',
@@ -2025,12 +2272,497 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
+  // ============================================================================
+  // ROLES & PERMISSIONS ROUTES
+  // ============================================================================
+
+  const recordSecurityAction = (req, { actionType, entityType, entityId, targetUserId = null, description }) =>
+    query(
+      `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, severity)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        req.user.sub,
+        req.userRole,
+        actionType,
+        'SECURITY',
+        entityType,
+        String(entityId),
+        targetUserId,
+        description.slice(0, 500),
+        'WARNING'
+      ]
+    );
+
+  // Returns { keys } or { error } for a permissions array from the request body
+  const parsePermissionList = (value) => {
+    if (!Array.isArray(value)) {
+      return { error: 'permissions must be an array of permission keys' };
+    }
+    const keys = Array.from(new Set(value.map((item) => String(item).trim()).filter(Boolean)));
+    const unknown = keys.filter((key) => !isKnownPermission(key));
+    if (unknown.length) {
+      return { error: `Unknown permissions: ${unknown.join(', ')}` };
+    }
+    return { keys };
+  };
+
+  router.get('/system/permissions', requireAuth, requirePermission('permissions.read'), async (req, res, next) => {
+    try {
+      res.json({ permissions: await listPermissions() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/system/roles', requireAuth, requirePermission('permissions.read'), async (req, res, next) => {
+    try {
+      res.json({ roles: await listRoles() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Create a custom role (e.g. a read-only auditor)
+  router.post('/system/roles', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const name = toTrimmedString(req.body?.name, 50).toLowerCase();
+      const description = toTrimmedString(req.body?.description, 255) || null;
+
+      const nameError = validateRoleName(name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+      const parsed = parsePermissionList(req.body?.permissions ?? []);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (await findRole(name)) {
+        return res.status(409).json({ error: 'Role already exists' });
+      }
+
+      const role = await createRole({ name, description, permissions: parsed.keys, createdBy: req.user.sub });
+
+      await recordSecurityAction(req, {
+        actionType: 'ROLE_CREATE',
+        entityType: 'role',
+        entityId: role.id,
+        description: `Created role ${name} with ${role.permissions.length} permission(s)`
+      });
+
+      res.status(201).json({ role });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Update a role's description and/or replace its permission set
+  router.patch('/system/roles/:roleName', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const role = await findRole(req.params.roleName);
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      const { description, permissions } = req.body || {};
+      if (description === undefined && permissions === undefined) {
+        return res.status(400).json({ error: 'description or permissions is required' });
+      }
+
+      let parsed = null;
+      if (permissions !== undefined) {
+        parsed = parsePermissionList(permissions);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+      }
+
+      if (description !== undefined) {
+        await query('UPDATE roles SET description = ? WHERE id = ?', [toTrimmedString(description, 255) || null, role.id]);
+      }
+      const granted = parsed
+        ? await setRolePermissions(role.id, role.role_name, parsed.keys, req.user.sub)
+        : null;
+
+      await recordSecurityAction(req, {
+        actionType: 'ROLE_UPDATE',
+        entityType: 'role',
+        entityId: role.id,
+        description: granted
+          ? `Set permissions of role ${role.role_name}: ${granted.join(', ') || 'none'}`
+          : `Updated description of role ${role.role_name}`
+      });
+
+      const updated = (await listRoles()).find((item) => item.id === role.id);
+      res.json({ role: updated });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/system/roles/:roleName', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const role = await findRole(req.params.roleName);
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      if (role.is_system) {
+        return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+      }
+
+      await deleteRole(role.id);
+
+      await recordSecurityAction(req, {
+        actionType: 'ROLE_DELETE',
+        entityType: 'role',
+        entityId: role.id,
+        description: `Deleted role ${role.role_name}`
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Effective access for one user: primary role, extra roles, grants and the merged permission set
+  router.get('/system/users/:userId/permissions', requireAuth, requirePermission('permissions.read'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const access = await getUserAccess(userId);
+      if (!access) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        role: access.role,
+        roles: access.roles,
+        grants: await listUserGrants(userId),
+        permissions: Array.from(access.permissions).sort()
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Assign an additional role on top of users.role
+  router.post('/system/users/:userId/roles', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const userRows = await query('SELECT id FROM users WHERE id = ? LIMIT 1', [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const role = await findRole(req.body?.role);
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      const added = await assignUserRole(userId, role.id);
+      if (added) {
+        await recordSecurityAction(req, {
+          actionType: 'USER_ROLE_ASSIGN',
+          entityType: 'role',
+          entityId: role.id,
+          targetUserId: userId,
+          description: `Assigned role ${role.role_name}`
+        });
+      }
+
+      res.status(added ? 201 : 200).json({ success: true, added });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/system/users/:userId/roles/:roleName', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const role = await findRole(req.params.roleName);
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      const removed = await removeUserRole(userId, role.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Role is not assigned to this user' });
+      }
+
+      await recordSecurityAction(req, {
+        actionType: 'USER_ROLE_REMOVE',
+        entityType: 'role',
+        entityId: role.id,
+        targetUserId: userId,
+        description: `Removed role ${role.role_name}`
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Grant a single permission directly to a user, optionally until expiresAt
+  router.post('/system/users/:userId/permissions', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const permission = toTrimmedString(req.body?.permission, 100);
+      const reason = toTrimmedString(req.body?.reason, 255) || null;
+      const expiresInput = req.body?.expiresAt || req.body?.expires_at;
+
+      if (!isKnownPermission(permission)) {
+        return res.status(400).json({ error: 'Unknown permission' });
+      }
+      let expiresAt = null;
+      if (expiresInput) {
+        expiresAt = new Date(expiresInput);
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+          return res.status(400).json({ error: 'expiresAt must be a future date' });
+        }
+      }
+      const userRows = await query('SELECT id FROM users WHERE id = ? LIMIT 1', [userId]);
+      if (!userRows.length) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await grantUserPermission({ userId, permission, reason, expiresAt, grantedBy: req.user.sub });
+
+      await recordSecurityAction(req, {
+        actionType: 'PERMISSION_GRANT',
+        entityType: 'permission',
+        entityId: permission,
+        targetUserId: userId,
+        description: `Granted ${permission}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}${reason ? `: ${reason}` : ''}`
+      });
+
+      res.status(201).json({ success: true, grants: await listUserGrants(userId) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/system/users/:userId/permissions/:permission', requireAuth, requirePermission('permissions.manage'), async (req, res, next) => {
+    try {
+      const { userId, permission } = req.params;
+
+      const removed = await revokeUserPermission(userId, permission);
+      if (!removed) {
+        return res.status(404).json({ error: 'Grant not found' });
+      }
+
+      await recordSecurityAction(req, {
+        actionType: 'PERMISSION_REVOKE',
+        entityType: 'permission',
+        entityId: permission,
+        targetUserId: userId,
+        description: `Revoked ${permission}`
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ============================================================================
+  // SERVICE ACCOUNTS & API KEYS ROUTES
+  // ============================================================================
+
+  // Returns { value } (Date or null) or { error } for an optional expiry
+  const parseFutureDate = (value, field) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { error: `${field} must be a future date` };
+    }
+    return { value: date };
+  };
+
+  router.get('/system/api-keys', requireAuth, requirePermission('api_keys.read'), async (req, res, next) => {
+    try {
+      res.json({
+        serviceAccounts: await listServiceAccounts(),
+        scopes: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description }))
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/system/api-keys/service-accounts', requireAuth, requirePermission('api_keys.manage'), async (req, res, next) => {
+    try {
+      const name = toTrimmedString(req.body?.name, 100);
+      const description = toTrimmedString(req.body?.description, 255) || null;
+      const hospitalId = toTrimmedString(req.body?.hospitalId || req.body?.hospital_id, 36) || null;
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      const existing = await query('SELECT id FROM service_accounts WHERE name = ? LIMIT 1', [name]);
+      if (existing.length) {
+        return res.status(409).json({ error: 'A service account with this name already exists' });
+      }
+
+      const serviceAccount = await createServiceAccount({ name, description, hospitalId, createdBy: req.user.sub });
+
+      await recordSecurityAction(req, {
+        actionType: 'SERVICE_ACCOUNT_CREATE',
+        entityType: 'service_account',
+        entityId: serviceAccount.id,
+        description: `Created service account ${name}`
+      });
+
+      res.status(201).json({ serviceAccount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Disabling an account stops all of its keys without revoking them
+  router.patch('/system/api-keys/service-accounts/:accountId', requireAuth, requirePermission('api_keys.manage'), async (req, res, next) => {
+    try {
+      const { accountId } = req.params;
+      const status = normalizeEnumValue(req.body?.status, new Set(['active', 'disabled']));
+      if (!status) {
+        return res.status(400).json({ error: 'status must be active or disabled' });
+      }
+
+      const account = await getServiceAccount(accountId);
+      if (!account) {
+        return res.status(404).json({ error: 'Service account not found' });
+      }
+      await setServiceAccountStatus(accountId, status);
+
+      await recordSecurityAction(req, {
+        actionType: status === 'active' ? 'SERVICE_ACCOUNT_ENABLE' : 'SERVICE_ACCOUNT_DISABLE',
+        entityType: 'service_account',
+        entityId: accountId,
+        description: `${status === 'active' ? 'Enabled' : 'Disabled'} service account ${account.name}`
+      });
+
+      res.json({ success: true, status });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // The plain key is returned once in this response and cannot be retrieved later
+  router.post('/system/api-keys', requireAuth, requirePermission('api_keys.manage'), async (req, res, next) => {
+    try {
+      const serviceAccountId = toTrimmedString(req.body?.serviceAccountId, 36);
+      const name = toTrimmedString(req.body?.name, 100) || 'default';
+      const scopes = normalizeScopes(req.body?.scopes);
+      const ipAllowlist = normalizeIpAllowlist(req.body?.ipAllowlist);
+      const expiresAt = parseFutureDate(req.body?.expiresAt, 'expiresAt');
+      const invalid = scopes.error || ipAllowlist.error || expiresAt.error;
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const account = await getServiceAccount(serviceAccountId);
+      if (!account) {
+        return res.status(404).json({ error: 'Service account not found' });
+      }
+
+      const { apiKey, key } = await createApiKey({
+        serviceAccountId,
+        name,
+        scopes: scopes.values,
+        ipAllowlist: ipAllowlist.values,
+        expiresAt: expiresAt.value,
+        createdBy: req.user.sub
+      });
+
+      await recordSecurityAction(req, {
+        actionType: 'API_KEY_CREATE',
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        description: `Created API key ${apiKey.prefix} for ${account.name} with scopes ${apiKey.scopes.join(', ')}`
+      });
+
+      res.status(201).json({ apiKey, key });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch('/system/api-keys/:keyId', requireAuth, requirePermission('api_keys.manage'), async (req, res, next) => {
+    try {
+      const { keyId } = req.params;
+      const body = req.body || {};
+      const changes = {};
+
+      if (body.name !== undefined) {
+        changes.name = toTrimmedString(body.name, 100);
+        if (!changes.name) {
+          return res.status(400).json({ error: 'name cannot be empty' });
+        }
+      }
+      if (body.scopes !== undefined) {
+        const scopes = normalizeScopes(body.scopes);
+        if (scopes.error) return res.status(400).json({ error: scopes.error });
+        changes.scopes = scopes.values;
+      }
+      if (body.ipAllowlist !== undefined) {
+        const ipAllowlist = normalizeIpAllowlist(body.ipAllowlist);
+        if (ipAllowlist.error) return res.status(400).json({ error: ipAllowlist.error });
+        changes.ipAllowlist = ipAllowlist.values;
+      }
+      if (body.expiresAt !== undefined) {
+        const expiresAt = parseFutureDate(body.expiresAt, 'expiresAt');
+        if (expiresAt.error) return res.status(400).json({ error: expiresAt.error });
+        changes.expiresAt = expiresAt.value;
+      }
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+
+      const updated = await updateApiKey(keyId, changes);
+      if (!updated) {
+        return res.status(404).json({ error: 'API key not found or revoked' });
+      }
+      const apiKey = await getApiKey(keyId);
+
+      await recordSecurityAction(req, {
+        actionType: 'API_KEY_UPDATE',
+        entityType: 'api_key',
+        entityId: keyId,
+        description: `Updated API key ${apiKey.prefix}: ${Object.keys(changes).join(', ')}`
+      });
+
+      res.json({ apiKey });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/system/api-keys/:keyId', requireAuth, requirePermission('api_keys.manage'), async (req, res, next) => {
+    try {
+      const { keyId } = req.params;
+      const apiKey = await getApiKey(keyId);
+      if (!apiKey || !(await revokeApiKey(keyId))) {
+        return res.status(404).json({ error: 'API key not found or already revoked' });
+      }
+
+      await recordSecurityAction(req, {
+        actionType: 'API_KEY_REVOKE',
+        entityType: 'api_key',
+        entityId: keyId,
+        description: `Revoked API key ${apiKey.prefix}`
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // ============================================================================
   // AUDIT TRAIL ROUTES
   // ============================================================================
 
   // Get admin actions
-  router.get('/system/audit/admin-actions', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/audit/admin-actions', requireAuth, requirePermission('audit.read'), async (req, res, next) => {
     try {
       const adminId = req.query.adminId || '';
       const actionType = req.query.actionType || '';
@@ -2070,7 +2802,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get actions related to a specific user
-  router.get('/system/audit/user-actions/:userId', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.get('/system/audit/user-actions/:userId', requireAuth, requirePermission('audit.read'), async (req, res, next) => {
     try {
       const { userId } = req.params;
       const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
@@ -2092,15 +2824,15 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Export audit trail (CSV by default)
-  router.get('/system/audit/export', requireAuth, requireRole('system_admin'), handleAuditExport);
-  router.get('/system/audit-trail/export', requireAuth, requireRole('system_admin'), handleAuditExport);
+  router.get('/system/audit/export', requireAuth, requirePermission('audit.export'), handleAuditExport);
+  router.get('/system/audit-trail/export', requireAuth, requirePermission('audit.export'), handleAuditExport);
 
   // ============================================================================
   // OPERATIONS ADMIN ROUTES
   // ============================================================================
 
   // Get Operations Admin Dashboard Summary
-  router.get('/operations/dashboard', requireAuth, requireRole('ops_admin', 'operations_admin', 'operations-admin', 'system_admin', 'system-admin'), async (req, res, next) => {
+  router.get('/operations/dashboard', requireAuth, requirePermission('operations.dashboard.read'), async (req, res, next) => {
     try {
       let dashboardData = {};
       try {
@@ -2127,7 +2859,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       try {
         hospitals = await query(`
           SELECT h.name as hospital_name, 
-                 COUNT(DISTINCT c.mother_id) as total_mothers,
+                 COUNT(DISTINCT c.user_id) as total_mothers,
                  COUNT(c.id) as total_services,
                  'active' as status
           FROM hospitals h
@@ -2252,7 +2984,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create card batch
-  router.post('/operations/card-batches', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/card-batches', requireAuth, requirePermission('card_batches.manage'), async (req, res, next) => {
     try {
       const { batchNumber, cardType, quantity, expiryDate } = req.body;
 
@@ -2286,7 +3018,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Activate card batch
-  router.patch('/operations/card-batches/:batchId/activate', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/operations/card-batches/:batchId/activate', requireAuth, requirePermission('card_batches.manage'), async (req, res, next) => {
     try {
       const { batchId } = req.params;
 
@@ -2319,7 +3051,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get card batches
-  router.get('/operations/card-batches', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/card-batches', requireAuth, requirePermission('card_batches.read'), async (req, res, next) => {
     try {
       const batches = await query(`
         SELECT * FROM card_batches
@@ -2334,7 +3066,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create hospital onboarding request
-  router.post('/operations/hospitals', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/hospitals', requireAuth, requirePermission('hospitals.manage'), async (req, res, next) => {
     try {
       const {
         hospitalName, hospitalType, contactPerson, contactEmail, contactPhone,
@@ -2371,7 +3103,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get pending hospital onboarding
-  router.get('/operations/hospitals/pending', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/hospitals/pending', requireAuth, requirePermission('hospitals.read'), async (req, res, next) => {
     try {
       const hospitals = await query(`
         SELECT * FROM hospital_onboarding
@@ -2386,7 +3118,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get hospitals (all or filtered by status)
-  router.get('/operations/hospitals', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/hospitals', requireAuth, requirePermission('hospitals.read'), async (req, res, next) => {
     try {
       const { status } = req.query;
       const params = [];
@@ -2409,7 +3141,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update hospital onboarding request
-  router.patch('/operations/hospitals/:hospitalId', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/operations/hospitals/:hospitalId', requireAuth, requirePermission('hospitals.manage'), async (req, res, next) => {
     try {
       const { hospitalId } = req.params;
       const updates = [];
@@ -2444,7 +3176,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Delete hospital onboarding request
-  router.delete('/operations/hospitals/:hospitalId', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.delete('/operations/hospitals/:hospitalId', requireAuth, requirePermission('hospitals.manage'), async (req, res, next) => {
     try {
       const { hospitalId } = req.params;
       await query('DELETE FROM hospital_onboarding WHERE id = ?', [hospitalId]);
@@ -2455,7 +3187,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Approve hospital
-  router.patch('/operations/hospitals/:hospitalId/approve', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/operations/hospitals/:hospitalId/approve', requireAuth, requirePermission('hospitals.manage'), async (req, res, next) => {
     try {
       const { hospitalId } = req.params;
       const { reviewNotes } = req.body;
@@ -2472,7 +3204,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create CSR program
-  router.post('/operations/csr-programs', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/csr-programs', requireAuth, requirePermission('csr_programs.manage'), async (req, res, next) => {
     try {
       const {
         programName, sponsorName, sponsorContact, programType, budget,
@@ -2493,7 +3225,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update CSR program
-  router.patch('/operations/csr-programs/:programId', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/operations/csr-programs/:programId', requireAuth, requirePermission('csr_programs.manage'), async (req, res, next) => {
     try {
       const { programId } = req.params;
       const updates = [];
@@ -2528,7 +3260,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Delete CSR program
-  router.delete('/operations/csr-programs/:programId', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.delete('/operations/csr-programs/:programId', requireAuth, requirePermission('csr_programs.manage'), async (req, res, next) => {
     try {
       const { programId } = req.params;
       await query('DELETE FROM csr_programs WHERE id = ?', [programId]);
@@ -2539,7 +3271,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get CSR programs
-  router.get('/operations/csr-programs', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/csr-programs', requireAuth, requirePermission('csr_programs.read'), async (req, res, next) => {
     try {
       const programs = await query(`
         SELECT * FROM csr_programs
@@ -2554,7 +3286,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create support ticket
-  router.post('/operations/support-tickets', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/support-tickets', requireAuth, requirePermission('support_tickets.manage'), async (req, res, next) => {
     try {
       const { userId, userName, userPhone, category, priority, subject, description } = req.body;
 
@@ -2574,7 +3306,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get support tickets
-  router.get('/operations/support-tickets', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/support-tickets', requireAuth, requirePermission('support_tickets.read'), async (req, res, next) => {
     try {
       const status = req.query.status || '';
       const priority = req.query.priority || '';
@@ -2607,7 +3339,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update support ticket status
-  router.patch('/operations/support-tickets/:ticketId', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/operations/support-tickets/:ticketId', requireAuth, requirePermission('support_tickets.manage'), async (req, res, next) => {
     try {
       const { ticketId } = req.params;
       const { status, resolutionNotes } = req.body;
@@ -2639,13 +3371,13 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get community posts for moderation
-  router.get('/operations/community/posts', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/community/posts', requireAuth, requirePermission('community.read'), async (req, res, next) => {
     try {
       const { status = 'pending', page = 1, limit = 20 } = req.query;
 
       const postsRows = await query(
         `SELECT id, user_id, data, created_at FROM app_entities 
-         WHERE type = 'community_post' ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+         WHERE type = 'community_post' AND deleted_at IS NULL ORDER BY created_at DESC LIMIT ? OFFSET ?`,
         [parseInt(limit, 10), (parseInt(page, 10) - 1) * parseInt(limit, 10)]
       );
 
@@ -2690,15 +3422,17 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Approve community post
-  router.post('/operations/community/posts/:postId/approve', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/community/posts/:postId/approve', requireAuth, requirePermission('community.moderate'), async (req, res, next) => {
     try {
       const { postId } = req.params;
 
-      await query(
-        `UPDATE app_entities SET data = JSON_SET(data, '$.moderation', 'approved', '$.moderatedBy', ?, '$.moderatedAt', ?) 
-         WHERE id = ? AND type = 'community_post'`,
-        [req.user.sub, new Date().toISOString(), postId]
-      );
+      // Through appStore so change listeners (the search index) see it
+      await updateEntity({
+        id: postId,
+        type: 'community_post',
+        data: { moderation: 'approved', moderatedBy: req.user.sub, moderatedAt: new Date().toISOString() },
+        actor: actorFromRequest(req)
+      });
 
       res.json({ success: true, message: 'Post approved' });
     } catch (err) {
@@ -2707,16 +3441,22 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Reject/Remove community post
-  router.post('/operations/community/posts/:postId/reject', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/community/posts/:postId/reject', requireAuth, requirePermission('community.moderate'), async (req, res, next) => {
     try {
       const { postId } = req.params;
       const { reason } = req.body;
 
-      await query(
-        `UPDATE app_entities SET data = JSON_SET(data, '$.moderation', 'rejected', '$.moderatedBy', ?, '$.moderatedAt', ?, '$.rejectionReason', ?) 
-         WHERE id = ? AND type = 'community_post'`,
-        [req.user.sub, new Date().toISOString(), reason || 'Policy violation', postId]
-      );
+      await updateEntity({
+        id: postId,
+        type: 'community_post',
+        data: {
+          moderation: 'rejected',
+          moderatedBy: req.user.sub,
+          moderatedAt: new Date().toISOString(),
+          rejectionReason: reason || 'Policy violation'
+        },
+        actor: actorFromRequest(req)
+      });
 
       res.json({ success: true, message: 'Post rejected' });
     } catch (err) {
@@ -2725,11 +3465,11 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get all blood requests (ops management)
-  router.get('/operations/blood-requests', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/blood-requests', requireAuth, requirePermission('blood_requests.read'), async (req, res, next) => {
     try {
       const requestsRows = await query(
         `SELECT id, user_id, data, created_at FROM app_entities 
-         WHERE type = 'blood_request' ORDER BY created_at DESC`
+         WHERE type = 'blood_request' AND deleted_at IS NULL ORDER BY created_at DESC`
       );
 
       const requests = await Promise.all(requestsRows.map(async (row) => {
@@ -2774,7 +3514,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // System-wide announcements (Operations)
-  router.post('/operations/announcements', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/announcements', requireAuth, requirePermission('announcements.manage'), async (req, res, next) => {
     try {
       const { title, message, targetRole, priority } = req.body;
 
@@ -2833,7 +3573,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
-  router.get('/operations/announcements', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/announcements', requireAuth, requirePermission('announcements.read'), async (req, res, next) => {
     try {
       const announcementsRows = await query(
         `SELECT id, data, created_at FROM app_entities 
@@ -2859,7 +3599,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get pharmacist verification requests (Ops Admin)
-  router.get('/operations/pharmacists/pending', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/operations/pharmacists/pending', requireAuth, requirePermission('pharmacists.read'), async (req, res, next) => {
     try {
       const pendingRows = await query(
         `SELECT id, user_id, data, created_at FROM app_entities 
@@ -2900,7 +3640,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Approve pharmacist verification
-  router.post('/operations/pharmacists/:pharmacistId/approve', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/pharmacists/:pharmacistId/approve', requireAuth, requirePermission('pharmacists.approve'), async (req, res, next) => {
     try {
       const { pharmacistId } = req.params;
       const { notes } = req.body;
@@ -2916,13 +3656,13 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       }
 
       await query(
-        `UPDATE app_entities SET data = JSON_SET(data, '$.status', 'approved', '$.approvedBy', ?, '$.approvedAt', ?, '$.notes', ?) 
+        `UPDATE app_entities SET version = version + 1, data = JSON_SET(data, '$.status', 'approved', '$.approvedBy', ?, '$.approvedAt', ?, '$.notes', ?) 
          WHERE id = ?`,
         [req.user.sub, new Date().toISOString(), notes || '', verificationRows[0].id]
       );
 
       await query(
-        `UPDATE app_entities SET data = JSON_SET(data, '$.verificationStatus', 'Verified', '$.verifiedAt', ?) 
+        `UPDATE app_entities SET version = version + 1, data = JSON_SET(data, '$.verificationStatus', 'Verified', '$.verifiedAt', ?) 
          WHERE type = 'user_profile' AND user_id = ?`,
         [new Date().toISOString(), pharmacistId]
       );
@@ -2953,7 +3693,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Reject pharmacist verification
-  router.post('/operations/pharmacists/:pharmacistId/reject', requireAuth, requireRole(['ops_admin', 'system_admin']), async (req, res, next) => {
+  router.post('/operations/pharmacists/:pharmacistId/reject', requireAuth, requirePermission('pharmacists.approve'), async (req, res, next) => {
     try {
       const { pharmacistId } = req.params;
       const { reason } = req.body;
@@ -2973,7 +3713,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       }
 
       await query(
-        `UPDATE app_entities SET data = JSON_SET(data, '$.status', 'rejected', '$.rejectedBy', ?, '$.rejectedAt', ?, '$.reason', ?) 
+        `UPDATE app_entities SET version = version + 1, data = JSON_SET(data, '$.status', 'rejected', '$.rejectedBy', ?, '$.rejectedAt', ?, '$.reason', ?) 
          WHERE id = ?`,
         [req.user.sub, new Date().toISOString(), reason, verificationRows[0].id]
       );
@@ -3008,7 +3748,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
 
   // Get Medical Admin Dashboard Summary
-  router.get('/medical/dashboard', requireAuth, requireRole('medical_admin', 'medical-admin', 'system_admin', 'system-admin'), async (req, res, next) => {
+  router.get('/medical/dashboard', requireAuth, requirePermission('medical.dashboard.read'), async (req, res, next) => {
     try {
       let dashboardData = {};
       try {
@@ -3056,7 +3796,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       let recentConsultations = [];
       try {
         recentConsultations = await query(`
-          SELECT c.id, c.consultation_date, c.status, c.consultation_type
+          SELECT c.id, c.scheduled_date as consultation_date, c.status, c.consultation_type
           FROM consultations c
           WHERE c.created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
           ORDER BY c.created_at DESC
@@ -3078,7 +3818,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get pending doctor verifications
-  router.get('/medical/doctor-verifications', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/medical/doctor-verifications', requireAuth, requirePermission('doctor_verifications.read'), async (req, res, next) => {
     try {
       const status = String(req.query.status || 'PENDING').toUpperCase();
 
@@ -3126,7 +3866,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Review doctor verification
-  router.patch('/medical/doctor-verifications/:verificationId', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/medical/doctor-verifications/:verificationId', requireAuth, requirePermission('doctor_verifications.manage'), async (req, res, next) => {
     try {
       const { verificationId } = req.params;
       const { status, reviewNotes, rejectionReason } = req.body;
@@ -3187,7 +3927,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get high-risk pregnancy cases
-  router.get('/medical/high-risk-cases', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/medical/high-risk-cases', requireAuth, requirePermission('high_risk_cases.read'), async (req, res, next) => {
     try {
       const status = req.query.status || 'ACTIVE';
 
@@ -3206,7 +3946,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Flag high-risk case
-  router.post('/medical/high-risk-cases', requireAuth, requireRole(['medical_admin', 'doctor', 'system_admin']), async (req, res, next) => {
+  router.post('/medical/high-risk-cases', requireAuth, requirePermission('high_risk_cases.create'), async (req, res, next) => {
     try {
       const { patientUserId, riskLevel, riskFactors, symptoms, currentWeek, monitoringFrequency, notes } = req.body;
 
@@ -3226,21 +3966,33 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       const safeWeek = Number.isFinite(weekValue) ? weekValue : null;
 
       const caseId = uuidv4();
-      await query(
-        `INSERT INTO high_risk_cases (id, patient_user_id, risk_level, risk_factors, symptoms, current_week, monitoring_frequency, flagged_by, notes)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          caseId,
-          safePatientId,
-          normalizedRiskLevel,
-          JSON.stringify(safeRiskFactors),
-          toTrimmedString(symptoms, 2000) || null,
-          safeWeek,
-          toTrimmedString(monitoringFrequency, 100) || null,
-          req.user.sub,
-          toTrimmedString(notes, 2000) || null
-        ]
-      );
+      // The case and its first revision are saved together
+      await withTransaction(async () => {
+        await query(
+          `INSERT INTO high_risk_cases (id, patient_user_id, risk_level, risk_factors, symptoms, current_week, monitoring_frequency, flagged_by, notes)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            caseId,
+            safePatientId,
+            normalizedRiskLevel,
+            JSON.stringify(safeRiskFactors),
+            toTrimmedString(symptoms, 2000) || null,
+            safeWeek,
+            toTrimmedString(monitoringFrequency, 100) || null,
+            req.user.sub,
+            toTrimmedString(notes, 2000) || null
+          ]
+        );
+        const [createdCase] = await query('SELECT * FROM high_risk_cases WHERE id = ?', [caseId]);
+        await recordRevision({
+          entityType: 'high_risk_case',
+          entityId: caseId,
+          ownerUserId: safePatientId,
+          action: 'create',
+          after: createdCase,
+          actor: actorFromRequest(req)
+        });
+      });
 
       // Notify medical admins
       const { options: medicalRoleOptions, placeholders: medicalRolePlaceholders } = getRolePlaceholders('medical_admin');
@@ -3265,7 +4017,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Update high-risk case
-  router.patch('/medical/high-risk-cases/:caseId', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/medical/high-risk-cases/:caseId', requireAuth, requirePermission('high_risk_cases.manage'), async (req, res, next) => {
     try {
       const { caseId } = req.params;
       const { status, assignedDoctorId, nextCheckup, notes } = req.body;
@@ -3305,10 +4057,31 @@ export function createAdminRouter({ requireAuth, requireRole }) {
       updates.push('updated_at = NOW()');
       params.push(caseId);
 
-      await query(
-        `UPDATE high_risk_cases SET ${updates.join(', ')} WHERE id = ?`,
-        params
-      );
+      // The row lock keeps `before` accurate until the update and its revision commit
+      const found = await withTransaction(async () => {
+        const [before] = await query('SELECT * FROM high_risk_cases WHERE id = ? FOR UPDATE', [caseId]);
+        if (!before) return false;
+
+        await query(
+          `UPDATE high_risk_cases SET ${updates.join(', ')} WHERE id = ?`,
+          params
+        );
+
+        const [after] = await query('SELECT * FROM high_risk_cases WHERE id = ?', [caseId]);
+        await recordRevision({
+          entityType: 'high_risk_case',
+          entityId: caseId,
+          ownerUserId: before.patient_user_id,
+          action: 'update',
+          before,
+          after,
+          actor: actorFromRequest(req)
+        });
+        return true;
+      });
+      if (!found) {
+        return res.status(404).json({ error: 'High-risk case not found' });
+      }
 
       res.json({ success: true });
     } catch (err) {
@@ -3317,7 +4090,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get consultation reviews
-  router.get('/medical/consultation-reviews', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/medical/consultation-reviews', requireAuth, requirePermission('consultation_reviews.read'), async (req, res, next) => {
     try {
       const reviewStatus = req.query.status || 'PENDING';
 
@@ -3340,7 +4113,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Review consultation
-  router.patch('/medical/consultation-reviews/:reviewId', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.patch('/medical/consultation-reviews/:reviewId', requireAuth, requirePermission('consultation_reviews.manage'), async (req, res, next) => {
     try {
       const { reviewId } = req.params;
       const { reviewStatus, qualityScore, completenessScore, professionalismScore, reviewNotes, flaggedIssues } = req.body;
@@ -3379,7 +4152,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get emergency access logs
-  router.get('/medical/emergency-access-logs', requireAuth, requireRole(['medical_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/medical/emergency-access-logs', requireAuth, requirePermission('emergency_access.read'), async (req, res, next) => {
     try {
       const logs = await query(`
         SELECT eal.*, 
@@ -3475,7 +4248,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get admin actions log
-  router.get('/actions', requireAuth, requireRole(['system_admin', 'ops_admin', 'medical_admin']), async (req, res, next) => {
+  router.get('/actions', requireAuth, requirePermission('admin_actions.read'), async (req, res, next) => {
     try {
       const adminRole = req.query.role || '';
       const category = req.query.category || '';
@@ -3518,7 +4291,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Create admin-to-admin interaction
-  router.post('/interactions', requireAuth, requireRole(['system_admin', 'ops_admin', 'medical_admin']), async (req, res, next) => {
+  router.post('/interactions', requireAuth, requirePermission('interactions.manage'), async (req, res, next) => {
     try {
       const { targetUserId, interactionType, subject, description, entityType, entityId } = req.body;
 
@@ -3553,7 +4326,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get admin interactions
-  router.get('/interactions', requireAuth, requireRole(['system_admin', 'ops_admin', 'medical_admin']), async (req, res, next) => {
+  router.get('/interactions', requireAuth, requirePermission('interactions.read'), async (req, res, next) => {
     try {
       const interactions = await query(`
         SELECT ai.*, 
@@ -3574,7 +4347,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Respond to admin interaction
-  router.patch('/interactions/:interactionId/respond', requireAuth, requireRole(['system_admin', 'ops_admin', 'medical_admin']), async (req, res, next) => {
+  router.patch('/interactions/:interactionId/respond', requireAuth, requirePermission('interactions.manage'), async (req, res, next) => {
     try {
       const { interactionId } = req.params;
       const { status, response } = req.body;
@@ -3591,7 +4364,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   });
 
   // Get system statistics (all admins)
-  router.get('/stats/overview', requireAuth, requireRole(['system_admin', 'ops_admin', 'medical_admin']), async (req, res, next) => {
+  router.get('/stats/overview', requireAuth, requirePermission('stats.read'), async (req, res, next) => {
     try {
       const { options: doctorRoleOptions, placeholders: doctorRolePlaceholders } = getRolePlaceholders('doctor');
       const { options: patientRoleOptions, placeholders: patientRolePlaceholders } = getRolePlaceholders('mother');
@@ -3614,7 +4387,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
   // ============================================================================
   // ANALYTICS & EXPORTS (Admin)
   // ============================================================================
-  router.get('/analytics', requireAuth, requireRole(['medical_admin', 'ops_admin', 'system_admin']), async (req, res, next) => {
+  router.get('/analytics', requireAuth, requirePermission('analytics.read'), async (req, res, next) => {
     try {
       const { dateFrom, dateTo } = req.query;
 
@@ -3627,23 +4400,27 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         [dateFrom, dateTo].filter(Boolean)
       );
 
-      const appointmentTrendsResult = await query(
-        `SELECT DATE(created_at) as date, COUNT(*) as count 
-         FROM app_entities WHERE type = 'appointment'
-         ${dateFrom ? 'AND created_at >= ?' : ''}
-         ${dateTo ? (dateFrom ? 'AND' : 'WHERE') + ' created_at <= ?' : ''}
-         GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
-        [dateFrom, dateTo].filter(Boolean)
-      );
+      const appointmentTrendsResult = relationalReadsEnabled()
+        ? await countCreatedByDay('appointment', { dateFrom, dateTo })
+        : await query(
+            `SELECT DATE(created_at) as date, COUNT(*) as count 
+             FROM app_entities WHERE type = 'appointment' AND deleted_at IS NULL
+             ${dateFrom ? 'AND created_at >= ?' : ''}
+             ${dateTo ? 'AND created_at <= ?' : ''}
+             GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
+            [dateFrom, dateTo].filter(Boolean)
+          );
 
-      const orderTrendsResult = await query(
-        `SELECT DATE(created_at) as date, COUNT(*) as count 
-         FROM app_entities WHERE type = 'order'
-         ${dateFrom ? 'AND created_at >= ?' : ''}
-         ${dateTo ? (dateFrom ? 'AND' : 'WHERE') + ' created_at <= ?' : ''}
-         GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
-        [dateFrom, dateTo].filter(Boolean)
-      );
+      const orderTrendsResult = relationalReadsEnabled()
+        ? await countCreatedByDay('order', { dateFrom, dateTo })
+        : await query(
+            `SELECT DATE(created_at) as date, COUNT(*) as count 
+             FROM app_entities WHERE type = 'order'
+             ${dateFrom ? 'AND created_at >= ?' : ''}
+             ${dateTo ? 'AND created_at <= ?' : ''}
+             GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
+            [dateFrom, dateTo].filter(Boolean)
+          );
 
       const roleDistributionResult = await query(
         `SELECT role, COUNT(*) as count FROM users GROUP BY role`
@@ -3660,7 +4437,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
-  router.get('/export/:dataType', requireAuth, requireRole(['system_admin']), async (req, res, next) => {
+  router.get('/export/:dataType', requireAuth, requirePermission('data.export'), async (req, res, next) => {
     try {
       const { dataType } = req.params;
       const { format = 'json' } = req.query;
@@ -3677,7 +4454,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         }
         case 'appointments': {
           const appointmentsRows = await query(
-            `SELECT id, user_id, data, created_at FROM app_entities WHERE type = 'appointment'`
+            `SELECT id, user_id, data, created_at FROM app_entities WHERE type = 'appointment' AND deleted_at IS NULL`
           );
           data = appointmentsRows.map(row => ({
             id: row.id,
@@ -3730,7 +4507,7 @@ export function createAdminRouter({ requireAuth, requireRole }) {
     }
   });
 
-  router.post('/bulk-delete', requireAuth, requireRole(['system_admin']), async (req, res, next) => {
+  router.post('/bulk-delete', requireAuth, requirePermission('data.bulk_delete'), async (req, res, next) => {
     try {
       const { entityType, entityIds } = req.body;
 
@@ -3738,16 +4515,12 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         return res.status(400).json({ error: 'entityType and entityIds array are required' });
       }
 
-      const allowedTypes = ['notification', 'journal_entry', 'audit_log', 'community_post'];
-      if (!allowedTypes.includes(entityType)) {
+      if (!BULK_DELETE_TYPES.includes(entityType)) {
         return res.status(403).json({ error: 'Bulk deletion not allowed for this entity type' });
       }
 
-      const placeholders = entityIds.map(() => '?').join(',');
-      const result = await query(
-        `DELETE FROM app_entities WHERE type = ? AND id IN (${placeholders})`,
-        [entityType, ...entityIds]
-      );
+      // Moved to the trash; purged after the retention period unless restored
+      const deleted = await deleteEntitiesByIds(entityType, entityIds, req.user.sub, actorFromRequest(req));
 
       await createEntity({
         type: 'audit_log',
@@ -3755,15 +4528,52 @@ export function createAdminRouter({ requireAuth, requireRole }) {
         data: {
           action: 'BULK_DELETE',
           entityType,
-          count: entityIds.length,
+          count: deleted,
+          entityIds,
           timestamp: new Date().toISOString()
         }
       });
 
       res.json({ 
         success: true, 
-        deleted: result.affectedRows || 0,
-        message: `Deleted ${result.affectedRows || 0} ${entityType} records`
+        deleted,
+        retentionDays: TRASH_RETENTION_DAYS,
+        message: `Moved ${deleted} ${entityType} records to the trash`
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/bulk-restore', requireAuth, requirePermission('data.bulk_delete'), async (req, res, next) => {
+    try {
+      const { entityType, entityIds } = req.body;
+
+      if (!entityType || !Array.isArray(entityIds) || entityIds.length === 0) {
+        return res.status(400).json({ error: 'entityType and entityIds array are required' });
+      }
+      if (!BULK_DELETE_TYPES.includes(entityType)) {
+        return res.status(403).json({ error: 'Bulk restore not allowed for this entity type' });
+      }
+
+      const restored = await restoreEntities({ type: entityType, ids: entityIds, actor: actorFromRequest(req) });
+
+      await createEntity({
+        type: 'audit_log',
+        userId: req.user.sub,
+        data: {
+          action: 'BULK_RESTORE',
+          entityType,
+          count: restored,
+          entityIds,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      res.json({
+        success: true,
+        restored,
+        message: `Restored ${restored} ${entityType} records from the trash`
       });
     } catch (err) {
       next(err);
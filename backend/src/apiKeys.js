@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+import { normalizeIp, parseIpRule } from './ipBlacklist.js';
+import { recordSecurityEvent } from './securityEvents.js';
+
+const KEY_PREFIX = 'ngk';
+const KEY_PATTERN = /^ngk_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+// Scopes a partner key can hold; they are separate from user permissions
+export const API_KEY_SCOPES = {
+  'verification.read': 'Read Health ID verification status',
+  'checkins.write': 'Submit clinic check-in records'
+};
+
+export const isKnownScope = (scope) => Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+
+const hashApiKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const parseJsonList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Returns { values } or { error } for scope/allow-list input from admin requests
+export const normalizeScopes = (input) => {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: 'scopes must be a non-empty array' };
+  }
+  const values = Array.from(new Set(input.map((item) => String(item).trim()).filter(Boolean)));
+  const unknown = values.filter((scope) => !isKnownScope(scope));
+  return unknown.length ? { error: `Unknown scopes: ${unknown.join(', ')}` } : { values };
+};
+
+export const normalizeIpAllowlist = (input) => {
+  if (input === undefined || input === null) return { values: [] };
+  if (!Array.isArray(input)) {
+    return { error: 'ipAllowlist must be an array of IP addresses or CIDR ranges' };
+  }
+  const values = [];
+  for (const item of input) {
+    const rule = parseIpRule(item);
+    if (!rule) return { error: `Invalid IP address or CIDR range: ${item}` };
+    values.push(rule.cidr);
+  }
+  return { values: Array.from(new Set(values)) };
+};
+
+const toApiKey = (row) => ({
+  id: row.id,
+  serviceAccountId: row.service_account_id,
+  name: row.name,
+  prefix: `${KEY_PREFIX}_${row.key_prefix}`,
+  scopes: parseJsonList(row.scopes),
+  ipAllowlist: parseJsonList(row.ip_allowlist),
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  revokedAt: row.revoked_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+export async function listServiceAccounts() {
+  const accounts = await storage.serviceAccounts.list();
+  const keys = await storage.apiKeys.list();
+  return accounts.map((account) => ({
+    id: account.id,
+    name: account.name,
+    description: account.description,
+    hospitalId: account.hospital_id,
+    status: account.status,
+    createdBy: account.created_by,
+    createdAt: account.created_at,
+    updatedAt: account.updated_at,
+    keys: keys.filter((key) => key.service_account_id === account.id).map(toApiKey)
+  }));
+}
+
+export async function getServiceAccount(id) {
+  return storage.serviceAccounts.findById(id);
+}
+
+export async function getApiKey(id) {
+  const row = await storage.apiKeys.findById(id);
+  return row ? toApiKey(row) : null;
+}
+
+export async function createServiceAccount({ name, description, hospitalId, createdBy }) {
+  const id = uuidv4();
+  await storage.serviceAccounts.insert({
+    id,
+    name,
+    description: description || null,
+    hospitalId: hospitalId || null,
+    createdBy
+  });
+  return getServiceAccount(id);
+}
+
+export async function setServiceAccountStatus(id, status) {
+  return storage.serviceAccounts.setStatus(id, status);
+}
+
+// The plain key is only ever returned here; the database keeps a SHA-256 hash
+export async function createApiKey({ serviceAccountId, name, scopes, ipAllowlist, expiresAt, createdBy }) {
+  const id = uuidv4();
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await storage.apiKeys.insert({
+    id,
+    serviceAccountId,
+    name,
+    keyPrefix: prefix,
+    keyHash: hashApiKey(secret),
+    scopes: JSON.stringify(scopes),
+    ipAllowlist: JSON.stringify(ipAllowlist),
+    expiresAt: expiresAt || null,
+    createdBy
+  });
+  return { apiKey: await getApiKey(id), key: `${KEY_PREFIX}_${prefix}_${secret}` };
+}
+
+export async function updateApiKey(id, { name, scopes, ipAllowlist, expiresAt }) {
+  return storage.apiKeys.update(id, {
+    name,
+    scopes: scopes === undefined ? undefined : JSON.stringify(scopes),
+    ipAllowlist: ipAllowlist === undefined ? undefined : JSON.stringify(ipAllowlist),
+    expiresAt
+  });
+}
+
+export async function revokeApiKey(id) {
+  return storage.apiKeys.revoke(id);
+}
+
+const readPresentedKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const auth = req.get('authorization') || '';
+  return auth.startsWith('ApiKey ') ? auth.slice(7).trim() : null;
+};
+
+// Looks up and checks a presented key. Returns { key, account } or { error, status }.
+const authenticateApiKey = async (presented, ipAddress) => {
+  const match = KEY_PATTERN.exec(presented || '');
+  if (!match) return { status: 401, error: 'Invalid API key' };
+
+  const row = await storage.apiKeys.findByPrefix(match[1]);
+  const expected = Buffer.from(row?.key_hash || '0'.repeat(64));
+  const actual = Buffer.from(hashApiKey(match[2]));
+  if (!row || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 401, error: 'Invalid API key' };
+  }
+  if (row.revoked_at || row.account_status !== 'active') {
+    return { status: 401, error: 'API key revoked' };
+  }
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { status: 401, error: 'API key expired' };
+  }
+
+  const key = toApiKey(row);
+  if (key.ipAllowlist.length) {
+    const ip = normalizeIp(ipAddress);
+    const allowed = key.ipAllowlist.some((cidr) => {
+      const rule = parseIpRule(cidr);
+      return rule && rule.blockList.check(ip, rule.family);
+    });
+    if (!allowed) return { status: 403, error: 'IP address not allowed for this API key', key };
+  }
+
+  return {
+    key,
+    account: { id: row.service_account_id, name: row.account_name, hospitalId: row.hospital_id }
+  };
+};
+
+const recordApiKeyCall = (req, res) =>
+  storage.auditLogs.insert({
+    id: uuidv4(),
+    userId: null,
+    action: `API ${req.method} ${req.originalUrl.split('?')[0]}`.slice(0, 255),
+    entityType: 'api_key',
+    entityId: req.apiKey.id,
+    changes: JSON.stringify({
+      serviceAccountId: req.serviceAccount.id,
+      serviceAccount: req.serviceAccount.name,
+      status: res.statusCode,
+      ipAddress: normalizeIp(req.ip)
+    })
+  });
+
+// Authenticates machine-to-machine calls sent with "X-API-Key: ngk_..." (or
+// "Authorization: ApiKey ngk_...") and requires every listed scope.
+export const requireApiKey = (...required) => {
+  const scopes = required.flatMap((scope) => (Array.isArray(scope) ? scope : [scope]));
+  return async (req, res, next) => {
+    try {
+      const result = await authenticateApiKey(readPresentedKey(req), req.ip);
+      if (result.error) {
+        if (result.status === 403) {
+          recordSecurityEvent({
+            eventType: 'UNAUTHORIZED_ACCESS',
+            severity: 'HIGH',
+            ipAddress: normalizeIp(req.ip),
+            userAgent: req.get('user-agent'),
+            description: `API key ${result.key.prefix} used from an IP outside its allow-list`,
+            metadata: { apiKeyId: result.key.id, path: req.originalUrl }
+          }).catch((err) => console.warn('Failed to record security event:', err.message));
+        }
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      const missing = scopes.filter((scope) => !result.key.scopes.includes(scope));
+      if (missing.length) {
+        return res.status(403).json({ error: 'API key lacks required scope', required: scopes, missing });
+      }
+
+      req.apiKey = result.key;
+      req.serviceAccount = result.account;
+
+      storage.apiKeys
+        .recordUse(result.key.id, normalizeIp(req.ip).slice(0, 45))
+        .catch((err) => console.warn('Failed to update API key usage:', err.message));
+
+      res.on('finish', () => {
+        recordApiKeyCall(req, res).catch((err) => console.warn('Failed to audit API key call:', err.message));
+      });
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
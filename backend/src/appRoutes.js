@@ -1,25 +1,90 @@
 import express from 'express';
 import {
   listCatalog,
+  getCatalogItem,
   listEntities,
+  queryEntities,
+  countEntities,
+  sumEntities,
   getEntity,
+  mapEntitiesByOwner,
+  entityFromRow,
   createEntity,
   updateEntity,
+  mutateEntity,
+  versionOf,
   deleteEntity,
+  deleteEntitiesByIds,
   upsertBySubtype,
   getBySubtype,
   getUserMeta,
   setUserMeta,
   deleteEntitiesByTypes,
-  seedAppData
+  listTrash,
+  restoreEntities,
+  TRASH_RETENTION_DAYS,
+  seedAppData,
+  onEntityChange
 } from './appStore.js';
-import { query } from './db.js';
+import { withTransaction } from './db.js';
+import { storage } from './storage/index.js';
+import { actorFromRequest, isHistoryTracked, getEntityTimeline, getEntityStateAt, canViewHistory } from './entityHistory.js';
 import { normalizeRoleValue, getRoleFilterOptions } from './roles.js';
+import { requireVerifiedContact } from './contactVerification.js';
+import { relationalReadsEnabled, loadDoctorRatingTotals, listPrescriptionRowsByDoctor } from './relationalRecords.js';
+import { cached, invalidateCache } from './cache/index.js';
+import { search, SEARCH_TYPE_NAMES, SEARCH_FACETS } from './search/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 
 const DEFAULT_MEETING_URL = 'https://meet.google.com/abc-defg-hij';
 
-export function createAppRouter({ requireAuth, requireRole, requireConsentForPatient }) {
+// An entity's ETag is its row version; PATCH routes accept it back in If-Match
+const setEntityEtag = (res, entity) => {
+  const version = versionOf(entity);
+  if (version) res.set('ETag', `"${version}"`);
+};
+
+// List items carry the same version as `version`, so a client can send
+// If-Match on its first PATCH without fetching the item on its own
+const withVersionField = (entity) => ({ ...entity, version: versionOf(entity) });
+
+// 201 for a new entity under `key`, with the same ETag and version a GET would give
+const sendCreatedEntity = (res, key, entity) => {
+  setEntityEtag(res, entity);
+  res.status(201).json({ [key]: withVersionField(entity) });
+};
+
+// Public catalog responses may be reused by browsers and CDNs for a minute
+// and served stale while they revalidate
+const CATALOG_CACHE_CONTROL = `public, max-age=${Math.max(Number(process.env.CATALOG_MAX_AGE_SECONDS) || 60, 0)}, stale-while-revalidate=300`;
+
+// Ratings change with every review; the explicit invalidation below keeps
+// this fresh, the TTL only bounds how long a missed one can last
+const DOCTOR_REVIEW_SUMMARY_KEY = 'doctor-reviews:summary';
+const DOCTOR_REVIEW_SUMMARY_SECONDS = 300;
+
+onEntityChange(['doctor_review'], () => invalidateCache(DOCTOR_REVIEW_SUMMARY_KEY));
+
+// Sends `payload` as JSON with a content-hash ETag; Express answers 304
+// itself when If-None-Match carries the same tag
+const sendCacheable = (res, payload) => {
+  const body = JSON.stringify(payload);
+  const hash = crypto.createHash('sha1').update(body).digest('base64url');
+  res.set('Cache-Control', CATALOG_CACHE_CONTROL);
+  res.set('ETag', `"${hash}"`);
+  res.type('json').send(body);
+};
+
+// undefined when the client sent no precondition, NaN when it is malformed
+const readIfMatchVersion = (req) => {
+  const header = (req.get('if-match') || '').trim();
+  if (!header || header === '*') return undefined;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header);
+  return match ? Number(match[1]) : Number.NaN;
+};
+
+export function createAppRouter({ requireAuth, requirePermission, requireConsentForPatient }) {
   const router = express.Router();
 
   const createNotification = async (userId, payload) => {
@@ -49,8 +114,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     const tokenRole = normalizeRoleValue(req.user?.role);
     if (tokenRole) return tokenRole;
     if (!req.user?.sub) return 'mother';
-    const rows = await query('SELECT role FROM users WHERE id = ? LIMIT 1', [req.user.sub]);
-    return normalizeRoleValue(rows[0]?.role) || 'mother';
+    const user = await storage.users.findById(req.user.sub);
+    return normalizeRoleValue(user?.role) || 'mother';
   };
 
   const isPlainObject = (value) =>
@@ -107,16 +172,6 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   const allowedVaccineStatuses = new Set(['Taken', 'Pending', 'Missed']);
   const allowedMealTypes = new Set(['Breakfast', 'Lunch', 'Dinner', 'Snack']);
 
-  const getCatalogItem = async (type, id) => {
-    if (!id) return null;
-    const rows = await query(
-      `SELECT data FROM app_catalog WHERE id = ? AND type = ? LIMIT 1`,
-      [id, type]
-    );
-    if (!rows.length) return null;
-    return parseJson(rows[0].data, {});
-  };
-
   const dayIndexMap = {
     sunday: 0,
     monday: 1,
@@ -150,6 +205,26 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   const normalizeConsultationStatus = (value) => normalizeAppointmentStatus(value);
 
+  // Stored spellings behind each normalized status, so status filters can run in SQL
+  const APPOINTMENT_STATUS_VALUES = {
+    completed: ['completed', 'complete'],
+    'in-progress': ['in-progress', 'in progress'],
+    cancelled: ['cancelled', 'canceled', 'cancel'],
+    scheduled: ['upcoming', 'scheduled', 'pending']
+  };
+
+  // Missing or unknown statuses read as scheduled (see buildConsultationFromAppointment)
+  const appointmentStatusFilter = (status) => {
+    if (status !== 'scheduled') return APPOINTMENT_STATUS_VALUES[status];
+    return {
+      nin: [
+        ...APPOINTMENT_STATUS_VALUES.completed,
+        ...APPOINTMENT_STATUS_VALUES['in-progress'],
+        ...APPOINTMENT_STATUS_VALUES.cancelled
+      ]
+    };
+  };
+
   const normalizeConsultationType = (value) => {
     if (value === null || value === undefined || value === '') return null;
     const type = String(value).toLowerCase();
@@ -232,11 +307,11 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     return date.getTime() < Date.now();
   };
 
-  const getDoctorReviewSummary = async () => {
-    const rows = await query(`SELECT data FROM app_entities WHERE type = 'doctor_review'`);
+  const loadDoctorReviewSummary = async () => {
+    if (relationalReadsEnabled()) return loadDoctorRatingTotals();
+    const reviews = await listEntities({ type: 'doctor_review' });
     const summary = new Map();
-    rows.forEach((row) => {
-      const data = parseJson(row.data, {});
+    reviews.forEach((data) => {
       const doctorId = data.doctorId;
       const rating = normalizeReviewRating(data.rating);
       if (!doctorId || rating === null) return;
@@ -248,6 +323,30 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     return summary;
   };
 
+  // Map of doctor id -> { total, count }; cached as entries because a Map
+  // does not survive JSON
+  const getDoctorReviewSummary = async () =>
+    new Map(
+      await cached(DOCTOR_REVIEW_SUMMARY_KEY, DOCTOR_REVIEW_SUMMARY_SECONDS, async () => [
+        ...(await loadDoctorReviewSummary())
+      ])
+    );
+
+  const CATALOG_TYPES = {
+    doctors: 'doctor',
+    hospitals: 'hospital',
+    medicines: 'medicine'
+  };
+
+  const sendCatalog = async (res, type) => {
+    const items = await listCatalog(type);
+    if (type === 'doctor') {
+      const summary = await getDoctorReviewSummary();
+      return sendCacheable(res, { items: attachDoctorReviewStats(items, summary) });
+    }
+    sendCacheable(res, { items });
+  };
+
   const attachDoctorReviewStats = (items, summary) =>
     items.map((item) => {
       const stats = summary.get(item.id);
@@ -273,31 +372,39 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     return Math.abs(ageDate.getUTCFullYear() - 1970);
   };
 
+  // The user_profile entity of an account, or null
+  const findProfileEntity = async (userId) => (userId ? getEntity({ type: 'user_profile', userId }) : null);
+
+  // Consultation fee from the doctors directory, or null when it has none
+  const loadDoctorFee = async (doctorId) => {
+    const doctor = await storage.doctors.findById(doctorId);
+    const fee = doctor && doctor.fee_amount !== null && doctor.fee_amount !== '' ? Number(doctor.fee_amount) : null;
+    return Number.isFinite(fee) ? fee : null;
+  };
+
+  const loadDoctorSchedule = async (doctorId) => {
+    const scheduleData = await getEntity({ type: 'doctor_schedule', userId: doctorId });
+    return scheduleData
+      ? normalizeScheduleItems(scheduleData.schedule || scheduleData.items || scheduleData)
+      : [];
+  };
+
   const loadPatientProfiles = async (patientIds = []) => {
     const profileMap = new Map();
     const uniqueIds = Array.from(new Set(patientIds.filter(Boolean)));
     if (!uniqueIds.length) return profileMap;
 
-    const placeholders = uniqueIds.map(() => '?').join(',');
-
     try {
-      const entityRows = await query(
-        `SELECT user_id, data FROM app_entities WHERE type = 'user_profile' AND user_id IN (${placeholders})`,
-        uniqueIds
-      );
-      entityRows.forEach((row) => {
-        const profileData = parseJson(row.data, {});
-        profileMap.set(row.user_id, { ...profileData });
+      const profileEntities = await mapEntitiesByOwner('user_profile', uniqueIds);
+      profileEntities.forEach((profileData, userId) => {
+        profileMap.set(userId, { ...profileData });
       });
     } catch (err) {
       // Ignore profile lookup failures; fallback handled downstream.
     }
 
     try {
-      const userProfileRows = await query(
-        `SELECT user_id, full_name, date_of_birth FROM user_profiles WHERE user_id IN (${placeholders})`,
-        uniqueIds
-      );
+      const userProfileRows = await storage.users.listProfiles(uniqueIds);
       userProfileRows.forEach((row) => {
         const existing = profileMap.get(row.user_id) || {};
         profileMap.set(row.user_id, {
@@ -367,7 +474,9 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       notes: appointment.notes ?? null,
       prescriptionId: appointment.prescriptionId || null,
       fee,
-      consentGranted: appointment.consentGranted ?? null
+      consentGranted: appointment.consentGranted ?? null,
+      // The appointment's version, for If-Match on PATCH /doctor/appointments/:id
+      version: versionOf(appointment)
     };
   };
 
@@ -390,21 +499,45 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.get('/catalog/:type', async (req, res, next) => {
     try {
-      const map = {
-        doctors: 'doctor',
-        hospitals: 'hospital',
-        medicines: 'medicine'
-      };
-      const type = map[req.params.type];
+      const type = CATALOG_TYPES[req.params.type];
       if (!type) {
         return res.status(404).json({ error: 'Unknown catalog type' });
       }
-      const items = await listCatalog(type);
-      if (type === 'doctor') {
-        const summary = await getDoctorReviewSummary();
-        return res.json({ items: attachDoctorReviewStats(items, summary) });
+      await sendCatalog(res, type);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const splitList = (value) =>
+    String(value || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  // /search?q=arifa&types=doctors,hospitals&specialty=Gynaecologist&price=500-1000
+  router.get('/search', async (req, res, next) => {
+    try {
+      const q = toTrimmedString(req.query.q, 200);
+      if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+      }
+      const types = splitList(req.query.types).map((type) => type.toLowerCase());
+      const unknown = types.find((type) => !SEARCH_TYPE_NAMES.includes(type));
+      if (unknown) {
+        return res.status(400).json({ error: `Unknown search type: ${unknown}`, types: SEARCH_TYPE_NAMES });
       }
-      res.json({ items });
+      const filters = Object.fromEntries(SEARCH_FACETS.map((facet) => [facet, splitList(req.query[facet])]));
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const result = await search({
+        query: q,
+        types: types.length ? types : SEARCH_TYPE_NAMES,
+        filters,
+        limit,
+        offset
+      });
+      res.json({ query: q, ...result });
     } catch (err) {
       next(err);
     }
@@ -472,7 +605,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         subtype: metric,
         data: { date, value }
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -482,7 +615,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     try {
       const items = await listEntities({ type: 'appointment', userId: req.user.sub });
       const normalized = items.map((item) => ({
-        ...item,
+        ...withVersionField(item),
         status: normalizeAppointmentStatus(item.status) || item.status,
         scheduledAt: item.scheduledAt || getScheduledAt(item)
       }));
@@ -492,6 +625,25 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     }
   });
 
+  router.get('/appointments/:id', requireAuth, async (req, res, next) => {
+    try {
+      const item = await getEntity({ id: req.params.id, type: 'appointment', userId: req.user.sub });
+      if (!item) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+      setEntityEtag(res, item);
+      res.json({
+        item: {
+          ...item,
+          status: normalizeAppointmentStatus(item.status) || item.status,
+          scheduledAt: item.scheduledAt || getScheduledAt(item)
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   router.post('/appointments', requireAuth, async (req, res, next) => {
     try {
       const data = req.body || {};
@@ -531,7 +683,6 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         }
       }
 
-      const normalizedStatus = normalizeAppointmentStatus(data.status) || 'scheduled';
       const appointmentType =
         normalizeEnumValue(data.type, allowedAppointmentTypes) ||
         normalizeEnumValue(doctor.type, allowedAppointmentTypes);
@@ -539,8 +690,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(400).json({ error: 'Invalid appointment type' });
       }
 
+      // Only these fields are taken from the request; a new booking is always scheduled
       const payload = {
-        ...data,
         userId: req.user.sub,
         patientId: req.user.sub,
         doctorId,
@@ -548,7 +699,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         specialty: toTrimmedString(data.specialty, 120) || doctor.specialty || null,
         date,
         time,
-        status: normalizedStatus,
+        status: 'scheduled',
         scheduledAt,
         type: appointmentType,
         notes: toOptionalString(data.notes, 2000) || undefined,
@@ -559,7 +710,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       const item = await createEntity({
         type: 'appointment',
         userId: req.user.sub,
-        data: payload
+        data: payload,
+        actor: actorFromRequest(req)
       });
 
       // Notify patient
@@ -580,7 +732,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         link: '/doctor/consultations'
       });
 
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -588,6 +740,10 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.patch('/appointments/:id', requireAuth, async (req, res, next) => {
     try {
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
       const existing = await getEntity({
         id: req.params.id,
         type: 'appointment',
@@ -597,34 +753,36 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(404).json({ error: 'Appointment not found' });
       }
 
-      const updates = req.body || {};
-      if (updates.status !== undefined) {
-        const normalized = normalizeAppointmentStatus(updates.status);
+      // Patients may only change these fields; doctor and owner stay as booked
+      const body = req.body || {};
+      const updates = {};
+      if (body.status !== undefined) {
+        const normalized = normalizeAppointmentStatus(body.status);
         if (!normalized) {
           return res.status(400).json({ error: 'Invalid appointment status' });
         }
         updates.status = normalized;
       }
 
-      if (updates.type !== undefined) {
-        const normalizedType = normalizeEnumValue(updates.type, allowedAppointmentTypes);
+      if (body.type !== undefined) {
+        const normalizedType = normalizeEnumValue(body.type, allowedAppointmentTypes);
         if (!normalizedType) {
           return res.status(400).json({ error: 'Invalid appointment type' });
         }
         updates.type = normalizedType;
       }
 
-      if (updates.date !== undefined) {
-        updates.date = toTrimmedString(updates.date, 100);
+      if (body.date !== undefined) {
+        updates.date = toTrimmedString(body.date, 100);
       }
-      if (updates.time !== undefined) {
-        updates.time = toTrimmedString(updates.time, 50);
+      if (body.time !== undefined) {
+        updates.time = toTrimmedString(body.time, 50);
       }
-      if (updates.notes !== undefined) {
-        updates.notes = toOptionalString(updates.notes, 2000) || undefined;
+      if (body.notes !== undefined) {
+        updates.notes = toOptionalString(body.notes, 2000) || undefined;
       }
 
-      if ((updates.date || updates.time) && !updates.scheduledAt) {
+      if (updates.date || updates.time) {
         const nextDate = updates.date || existing.date;
         const nextTime = updates.time || existing.time;
         const scheduledAt = buildScheduledAt(nextDate, nextTime);
@@ -643,8 +801,13 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         id: req.params.id,
         type: 'appointment',
         userId: req.user.sub,
-        data: updates
+        data: updates,
+        expectedVersion: expectedVersion ?? versionOf(existing),
+        actor: actorFromRequest(req)
       });
+      if (!item) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
 
       if (updates.status === 'cancelled') {
         await createNotification(req.user.sub, {
@@ -656,6 +819,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         });
       }
 
+      setEntityEtag(res, item);
       res.json({ item });
     } catch (err) {
       next(err);
@@ -667,7 +831,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       const ok = await deleteEntity({
         id: req.params.id,
         type: 'appointment',
-        userId: req.user.sub
+        userId: req.user.sub,
+        actor: actorFromRequest(req)
       });
       res.json({ ok });
     } catch (err) {
@@ -712,15 +877,11 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         if (!isValidId(safeAppointmentId)) {
           return res.status(400).json({ error: 'Invalid appointmentId format' });
         }
-        const appointmentRows = await query(
-          `SELECT id, user_id, data FROM app_entities WHERE id = ? AND type = 'appointment' LIMIT 1`,
-          [safeAppointmentId]
-        );
-        if (!appointmentRows.length) {
+        appointment = await getEntity({ id: safeAppointmentId, type: 'appointment' });
+        if (!appointment) {
           return res.status(404).json({ error: 'Appointment not found' });
         }
-        appointment = parseJson(appointmentRows[0].data, {});
-        const appointmentUserId = appointmentRows[0].user_id || appointment.userId || appointment.patientId;
+        const appointmentUserId = appointment.userId || appointment.patientId;
         if (appointmentUserId && appointmentUserId !== req.user.sub) {
           return res.status(403).json({ error: 'Not authorized to review this appointment' });
         }
@@ -758,7 +919,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         data: payload
       });
 
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -767,7 +928,20 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   router.get('/vaccines', requireAuth, async (req, res, next) => {
     try {
       const items = await listEntities({ type: 'vaccine', userId: req.user.sub });
-      res.json({ items });
+      res.json({ items: items.map(withVersionField) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/vaccines/:id', requireAuth, async (req, res, next) => {
+    try {
+      const item = await getEntity({ id: req.params.id, type: 'vaccine', userId: req.user.sub });
+      if (!item) {
+        return res.status(404).json({ error: 'Vaccine not found' });
+      }
+      setEntityEtag(res, item);
+      res.json({ item });
     } catch (err) {
       next(err);
     }
@@ -789,14 +963,16 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         type: 'vaccine',
         userId: req.user.sub,
         data: {
-          ...data,
           name,
           dueDate,
           status,
+          childId: toOptionalString(data.childId, 100) || undefined,
+          dose: toOptionalString(data.dose, 50) || undefined,
+          notes: toOptionalString(data.notes, 1000) || undefined,
           userId: req.user.sub
         }
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -804,19 +980,30 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.patch('/vaccines/:id', requireAuth, async (req, res, next) => {
     try {
-      const updates = req.body || {};
-      if (updates.status !== undefined) {
-        const normalized = normalizeEnumValue(updates.status, allowedVaccineStatuses);
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
+      const body = req.body || {};
+      const updates = {};
+      if (body.status !== undefined) {
+        const normalized = normalizeEnumValue(body.status, allowedVaccineStatuses);
         if (!normalized) {
           return res.status(400).json({ error: 'Invalid vaccine status' });
         }
         updates.status = normalized;
       }
-      if (updates.name !== undefined) {
-        updates.name = toTrimmedString(updates.name, 120);
+      if (body.name !== undefined) {
+        updates.name = toTrimmedString(body.name, 120);
+      }
+      if (body.dose !== undefined) {
+        updates.dose = toOptionalString(body.dose, 50) || undefined;
       }
-      if (updates.dueDate !== undefined) {
-        const dueDate = toTrimmedString(updates.dueDate, 100);
+      if (body.notes !== undefined) {
+        updates.notes = toOptionalString(body.notes, 1000) || undefined;
+      }
+      if (body.dueDate !== undefined) {
+        const dueDate = toTrimmedString(body.dueDate, 100);
         if (!dueDate || !isValidDateValue(dueDate)) {
           return res.status(400).json({ error: 'Invalid dueDate' });
         }
@@ -826,11 +1013,13 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         id: req.params.id,
         type: 'vaccine',
         userId: req.user.sub,
-        data: updates
+        data: updates,
+        expectedVersion
       });
       if (!item) {
         return res.status(404).json({ error: 'Vaccine not found' });
       }
+      setEntityEtag(res, item);
       res.json({ item });
     } catch (err) {
       next(err);
@@ -859,19 +1048,21 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(400).json({ error: 'name and calories are required' });
       }
       const payload = {
-        ...data,
         userId: req.user.sub,
         name,
         calories,
         type: mealType || undefined,
-        time: toTrimmedString(data.time, 40) || new Date().toLocaleTimeString()
+        time: toTrimmedString(data.time, 40) || new Date().toLocaleTimeString(),
+        protein: toNonNegativeNumber(data.protein) ?? undefined,
+        carbs: toNonNegativeNumber(data.carbs) ?? undefined,
+        fat: toNonNegativeNumber(data.fat) ?? undefined
       };
       const item = await createEntity({
         type: 'nutrition_log',
         userId: req.user.sub,
         data: payload
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -914,7 +1105,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
           createdAt: new Date().toISOString()
         }
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -929,7 +1120,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       if (existing.userId && existing.userId !== req.user.sub) {
         return res.status(403).json({ error: 'Not authorized to delete this post' });
       }
-      const ok = await deleteEntity({ id: req.params.id, type: 'community_post' });
+      const ok = await deleteEntity({ id: req.params.id, type: 'community_post', deletedBy: req.user.sub });
       res.json({ ok });
     } catch (err) {
       next(err);
@@ -942,13 +1133,20 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       if (!existing) {
         return res.status(404).json({ error: 'Post not found' });
       }
-      const likes = Array.isArray(existing.likes) ? existing.likes : [];
-      const hasLiked = likes.includes(req.user.sub);
-      const updated = await updateEntity({
+      // Toggle against the latest likes so concurrent likes are not lost
+      const updated = await mutateEntity({
         id: req.params.id,
         type: 'community_post',
-        data: { likes: hasLiked ? likes.filter((id) => id !== req.user.sub) : [...likes, req.user.sub] }
+        mutate: (post) => {
+          const likes = Array.isArray(post.likes) ? post.likes : [];
+          return {
+            likes: likes.includes(req.user.sub) ? likes.filter((id) => id !== req.user.sub) : [...likes, req.user.sub]
+          };
+        }
       });
+      if (!updated) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
       res.json({ item: updated });
     } catch (err) {
       next(err);
@@ -974,7 +1172,6 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         profile.name ||
         profile.username ||
         'Anonymous';
-      const comments = Array.isArray(existing.comments) ? existing.comments : [];
       const newComment = {
         id: uuidv4(),
         userId: req.user.sub,
@@ -983,11 +1180,16 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         createdAt: new Date().toISOString(),
         replies: []
       };
-      const updated = await updateEntity({
+      const updated = await mutateEntity({
         id: req.params.id,
         type: 'community_post',
-        data: { comments: [...comments, newComment] }
+        mutate: (post) => ({
+          comments: [...(Array.isArray(post.comments) ? post.comments : []), newComment]
+        })
       });
+      if (!updated) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
       res.status(201).json({ item: updated });
     } catch (err) {
       next(err);
@@ -1008,11 +1210,16 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       if (comment.userId && comment.userId !== req.user.sub) {
         return res.status(403).json({ error: 'Not authorized to delete this comment' });
       }
-      const updated = await updateEntity({
+      const updated = await mutateEntity({
         id: req.params.id,
         type: 'community_post',
-        data: { comments: comments.filter((c) => c.id !== req.params.commentId) }
+        mutate: (post) => ({
+          comments: (Array.isArray(post.comments) ? post.comments : []).filter((c) => c.id !== req.params.commentId)
+        })
       });
+      if (!updated) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
       res.json({ item: updated });
     } catch (err) {
       next(err);
@@ -1022,7 +1229,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   router.get('/journal', requireAuth, async (req, res, next) => {
     try {
       const items = await listEntities({ type: 'journal_entry', userId: req.user.sub });
-      res.json({ items });
+      res.json({ items: items.map(withVersionField) });
     } catch (err) {
       next(err);
     }
@@ -1040,7 +1247,6 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(400).json({ error: 'Invalid journal date' });
       }
       const payload = {
-        ...data,
         title: toTrimmedString(data.title, 120) || undefined,
         mood: toTrimmedString(data.mood, 40) || undefined,
         content,
@@ -1052,7 +1258,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         userId: req.user.sub,
         data: payload
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -1074,7 +1280,20 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   router.get('/notifications', requireAuth, async (req, res, next) => {
     try {
       const items = await listEntities({ type: 'notification', userId: req.user.sub });
-      res.json({ items });
+      res.json({ items: items.map(withVersionField) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/notifications/:id', requireAuth, async (req, res, next) => {
+    try {
+      const item = await getEntity({ id: req.params.id, type: 'notification', userId: req.user.sub });
+      if (!item) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+      setEntityEtag(res, item);
+      res.json({ item });
     } catch (err) {
       next(err);
     }
@@ -1082,15 +1301,21 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.patch('/notifications/:id', requireAuth, async (req, res, next) => {
     try {
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
       const item = await updateEntity({
         id: req.params.id,
         type: 'notification',
         userId: req.user.sub,
-        data: { isRead: true }
+        data: { isRead: true },
+        expectedVersion
       });
       if (!item) {
         return res.status(404).json({ error: 'Notification not found' });
       }
+      setEntityEtag(res, item);
       res.json({ item });
     } catch (err) {
       next(err);
@@ -1187,7 +1412,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         type: 'medical_report',
         userId: req.user.sub,
         subtype: 'default',
-        data: payload
+        data: payload,
+        actor: actorFromRequest(req)
       });
       const legacy = await getBySubtype({
         type: 'medical_report',
@@ -1200,7 +1426,8 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
           type: 'medical_report',
           userId: req.user.sub,
           subtype: 'main',
-          data: payload
+          data: payload,
+          actor: actorFromRequest(req)
         });
       }
       res.json({ item });
@@ -1243,7 +1470,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
           userId: req.user.sub
         }
       });
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -1273,9 +1500,45 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         'doctor_visit',
         'verification_doc',
         'medical_report'
-      ]);
+      ], actorFromRequest(req));
       await setUserMeta(req.user.sub, { hydration: 4, pregnancyWeek: 24 });
-      res.json({ ok: true, removed });
+      res.json({ ok: true, removed, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Deleted content stays restorable for TRASH_RETENTION_DAYS
+  router.get('/trash', requireAuth, async (req, res, next) => {
+    try {
+      const type = req.query.type ? toTrimmedString(req.query.type, 50) : undefined;
+      const items = await listTrash({ userId: req.user.sub, type, limit: req.query.limit });
+      res.json({ items, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/trash/:id/restore', requireAuth, async (req, res, next) => {
+    try {
+      const restored = await restoreEntities({ ids: [req.params.id], userId: req.user.sub, actor: actorFromRequest(req) });
+      if (!restored) {
+        return res.status(404).json({ error: 'Item not found in trash' });
+      }
+      res.json({ ok: true, restored });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/trash/restore', requireAuth, async (req, res, next) => {
+    try {
+      const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter((id) => typeof id === 'string').slice(0, 500) : [];
+      if (!ids.length) {
+        return res.status(400).json({ error: 'ids array is required' });
+      }
+      const restored = await restoreEntities({ ids, userId: req.user.sub, actor: actorFromRequest(req) });
+      res.json({ ok: true, restored });
     } catch (err) {
       next(err);
     }
@@ -1345,7 +1608,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
     }
   });
 
-  router.post('/blood/donors', requireAuth, async (req, res, next) => {
+  router.post('/blood/donors', requireAuth, requireVerifiedContact('blood_donor_registration'), async (req, res, next) => {
     try {
       const userId = req.user.sub;
       const { name, bloodGroup, location, phone } = req.body || {};
@@ -1417,25 +1680,26 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         link: '/donors'
       });
 
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
   });
 
   // Delete all blood donors (for development/testing - reset database)
-  router.delete('/blood/donors/reset', requireAuth, requireRole('system_admin'), async (req, res, next) => {
+  router.delete('/blood/donors/reset', requireAuth, requirePermission('blood_donors.manage'), async (req, res, next) => {
     try {
       // Get all blood donor entities
       const donors = await listEntities({ type: 'blood_donor' });
       
-      // Delete each donor
-      const deletePromises = donors.map(donor => 
-        query('DELETE FROM app_entities WHERE id = ?', [donor.id])
+      // Moves them to the trash like any other delete
+      await deleteEntitiesByIds(
+        'blood_donor',
+        donors.map((donor) => donor.id),
+        req.user.sub,
+        actorFromRequest(req)
       );
       
-      await Promise.all(deletePromises);
-      
       res.json({ 
         success: true, 
         message: `Successfully deleted ${donors.length} blood donors`,
@@ -1503,7 +1767,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
           }
         });
 
-        return res.status(201).json({ item });
+        return sendCreatedEntity(res, 'item', item);
       }
 
       const { bloodType, units, urgency, hospital, location } = data;
@@ -1534,7 +1798,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         }
       });
 
-      res.status(201).json({ item });
+      sendCreatedEntity(res, 'item', item);
     } catch (err) {
       next(err);
     }
@@ -1556,9 +1820,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   // ==================== CATALOG ENDPOINTS ====================
   router.get('/catalog/doctors', async (req, res, next) => {
     try {
-      const items = await listCatalog('doctor');
-      const summary = await getDoctorReviewSummary();
-      res.json({ items: attachDoctorReviewStats(items, summary) });
+      await sendCatalog(res, 'doctor');
     } catch (err) {
       next(err);
     }
@@ -1566,8 +1828,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.get('/catalog/hospitals', async (req, res, next) => {
     try {
-      const items = await listCatalog('hospital');
-      res.json({ items });
+      await sendCatalog(res, 'hospital');
     } catch (err) {
       next(err);
     }
@@ -1575,8 +1836,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
 
   router.get('/catalog/medicines', async (req, res, next) => {
     try {
-      const items = await listCatalog('medicine');
-      res.json({ items });
+      await sendCatalog(res, 'medicine');
     } catch (err) {
       next(err);
     }
@@ -1585,7 +1845,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   // ==================== ORDER ENDPOINTS ====================
   
   // Create new order from cart
-  router.post('/orders', requireAuth, async (req, res, next) => {
+  router.post('/orders', requireAuth, requireVerifiedContact('orders'), async (req, res, next) => {
     try {
       const { items, deliveryAddress, deliveryFee, notes } = req.body;
       const rawItems = Array.isArray(items) ? items : [];
@@ -1661,7 +1921,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
       // (In a real system, you'd identify which pharmacy should fulfill this)
       // For now, we'll create a notification that pharmacy role users can see
       
-      res.status(201).json({ order });
+      sendCreatedEntity(res, 'order', order);
     } catch (err) {
       next(err);
     }
@@ -1671,7 +1931,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   router.get('/orders', requireAuth, async (req, res, next) => {
     try {
       const orders = await listEntities({ type: 'order', userId: req.user.sub });
-      res.json({ items: orders });
+      res.json({ items: orders.map(withVersionField) });
     } catch (err) {
       next(err);
     }
@@ -1690,6 +1950,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(404).json({ error: 'Order not found' });
       }
       
+      setEntityEtag(res, order);
       res.json({ order });
     } catch (err) {
       next(err);
@@ -1699,6 +1960,10 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
   // Cancel order (only if pending)
   router.patch('/orders/:id/cancel', requireAuth, async (req, res, next) => {
     try {
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
       const order = await getEntity({
         id: req.params.id,
         type: 'order',
@@ -1713,12 +1978,17 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         return res.status(400).json({ error: 'Only pending orders can be cancelled' });
       }
       
+      // Only cancel the version that was checked above; a pharmacist may have moved it on
       const updatedOrder = await updateEntity({
         id: req.params.id,
         type: 'order',
         userId: req.user.sub,
-        data: { status: 'cancelled' }
+        data: { status: 'cancelled' },
+        expectedVersion: expectedVersion ?? versionOf(order)
       });
+      if (!updatedOrder) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
       
       await createNotification(req.user.sub, {
         type: 'ORDER_CANCELLED',
@@ -1728,6 +1998,7 @@ export function createAppRouter({ requireAuth, requireRole, requireConsentForPat
         link: '/orders'
       });
       
+      setEntityEtag(res, updatedOrder);
       res.json({ order: updatedOrder });
     } catch (err) {
       next(err);
@@ -1912,33 +2183,22 @@ Answer:`,
   // =====================================================
 
   // Get doctor dashboard overview
-  router.get('/doctor/dashboard', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/dashboard', requireAuth, requirePermission('doctor.dashboard.read'), async (req, res, next) => {
     try {
       const doctorId = req.user.sub;
 
-      const [profileRows, userRows, userProfileRows, doctorRows] = await Promise.all([
-        query(`SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`, [doctorId]),
-        query(`SELECT phone, email FROM users WHERE id = ? LIMIT 1`, [doctorId]),
-        query(`SELECT full_name, date_of_birth FROM user_profiles WHERE user_id = ? LIMIT 1`, [doctorId]),
-        query(
-          `SELECT full_name, specialty_id, phone, email, fee_amount, verified, rating FROM doctors WHERE id = ? LIMIT 1`,
-          [doctorId]
-        )
+      const [profileEntity, userProfileRow, doctorDirectoryRow] = await Promise.all([
+        findProfileEntity(doctorId),
+        storage.users.findProfile(doctorId),
+        storage.doctors.findById(doctorId)
       ]);
 
-      const profileData = profileRows.length > 0 ? parseJson(profileRows[0].data, {}) : {};
-      const userRow = userRows.length > 0 ? userRows[0] : {};
-      const userProfile = userProfileRows.length > 0 ? userProfileRows[0] : {};
-      const doctorRow = doctorRows.length > 0 ? doctorRows[0] : {};
-
-      let specialtyName = null;
-      if (doctorRow.specialty_id) {
-        const specialtyRows = await query(
-          `SELECT name FROM doctor_specialties WHERE id = ? LIMIT 1`,
-          [doctorRow.specialty_id]
-        );
-        specialtyName = specialtyRows.length > 0 ? specialtyRows[0].name : null;
-      }
+      const profileData = profileEntity || {};
+      // The account joined with its user_profiles row
+      const userRow = userProfileRow || {};
+      const userProfile = userRow;
+      const doctorRow = doctorDirectoryRow || {};
+      const specialtyName = doctorRow.specialty_name || null;
 
       const toNumber = (value) => {
         if (value === null || value === undefined || value === '') return null;
@@ -1981,18 +2241,7 @@ Answer:`,
         totalConsultations: 0
       };
 
-      const appointmentRows = await query(
-        `SELECT id, user_id, data, created_at FROM app_entities WHERE type = 'appointment' ORDER BY created_at DESC`
-      );
-
-      const appointments = appointmentRows
-        .map((row) => ({
-          ...parseJson(row.data, {}),
-          id: row.id,
-          createdAt: row.created_at,
-          userId: row.user_id || parseJson(row.data, {}).userId
-        }))
-        .filter((appt) => appt && appt.doctorId === doctorId);
+      const appointments = await listEntities({ type: 'appointment', where: { doctorId } });
 
       const patientIds = appointments
         .map((appt) => appt.patientId || appt.userId)
@@ -2111,33 +2360,18 @@ Answer:`,
         earningsHistory
       };
 
-      const scheduleRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'doctor_schedule' AND user_id = ? LIMIT 1`,
-        [doctorId]
-      );
-
-      let schedule = [];
-      if (scheduleRows.length > 0) {
-        const scheduleData = parseJson(scheduleRows[0].data, {});
-        schedule = normalizeScheduleItems(scheduleData.schedule || scheduleData.items || scheduleData);
-      }
-
-      const notificationRows = await query(
-        `SELECT id, data, created_at FROM app_entities WHERE type = 'notification' AND user_id = ? ORDER BY created_at DESC LIMIT 10`,
-        [doctorId]
-      );
-      const notifications = notificationRows.map((row) => {
-        const data = parseJson(row.data, {});
-        return {
-          id: row.id,
-          type: data.type ? String(data.type).toLowerCase() : null,
-          title: data.title ?? null,
-          message: data.message ?? null,
-          timestamp: data.createdAt || row.created_at || null,
-          read: data.isRead ?? data.read ?? false,
-          actionUrl: data.link || null
-        };
-      });
+      const schedule = await loadDoctorSchedule(doctorId);
+
+      const notificationItems = await listEntities({ type: 'notification', userId: doctorId, limit: 10 });
+      const notifications = notificationItems.map((data) => ({
+        id: data.id,
+        type: data.type ? String(data.type).toLowerCase() : null,
+        title: data.title ?? null,
+        message: data.message ?? null,
+        timestamp: data.createdAt || null,
+        read: data.isRead ?? data.read ?? false,
+        actionUrl: data.link || null
+      }));
 
       res.json({
         profile,
@@ -2154,57 +2388,50 @@ Answer:`,
   });
 
   // Get consultations list
-  router.get('/doctor/consultations', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/consultations', requireAuth, requirePermission('consultations.read'), async (req, res, next) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
+      const { status, cursor } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
       const doctorId = req.user.sub;
 
-      const doctorFeeRows = await query(
-        `SELECT fee_amount FROM doctors WHERE id = ? LIMIT 1`,
-        [doctorId]
-      );
-      const doctorFeeValue =
-        doctorFeeRows.length > 0 && doctorFeeRows[0].fee_amount !== null && doctorFeeRows[0].fee_amount !== ''
-          ? Number(doctorFeeRows[0].fee_amount)
-          : null;
-      const consultationFee = Number.isFinite(doctorFeeValue) ? doctorFeeValue : null;
+      const consultationFee = await loadDoctorFee(doctorId);
 
-      const appointmentRows = await query(
-        `SELECT id, user_id, data, created_at FROM app_entities WHERE type = 'appointment' ORDER BY created_at DESC`
-      );
+      const where = { doctorId };
+      if (status && status !== 'all') {
+        const normalizedStatus = normalizeConsultationStatus(status);
+        if (!normalizedStatus) {
+          return res.status(400).json({ error: 'Invalid status' });
+        }
+        where.status = appointmentStatusFilter(normalizedStatus);
+      }
 
-      const appointments = appointmentRows
-        .map((row) => ({
-          ...parseJson(row.data, {}),
-          id: row.id,
-          createdAt: row.created_at,
-          userId: row.user_id || parseJson(row.data, {}).userId
-        }))
-        .filter((appt) => appt && appt.doctorId === doctorId);
+      const { items: appointments, nextCursor, total } = await queryEntities({
+        type: 'appointment',
+        where,
+        sort: [{ field: 'createdAt', direction: 'DESC' }],
+        limit,
+        offset: (page - 1) * limit,
+        cursor,
+        withTotal: true
+      });
 
       const patientIds = appointments
         .map((appt) => appt.patientId || appt.userId)
         .filter(Boolean);
       const patientProfiles = await loadPatientProfiles(patientIds);
 
-      let consultations = appointments.map((appt) =>
+      const consultations = appointments.map((appt) =>
         buildConsultationFromAppointment(appt, patientProfiles, consultationFee)
       );
 
-      if (status && status !== 'all') {
-        consultations = consultations.filter((c) => c.status === normalizeConsultationStatus(status));
-      }
-
-      const startIdx = (parseInt(page, 10) - 1) * parseInt(limit, 10);
-      const endIdx = startIdx + parseInt(limit, 10);
-      const paginatedItems = consultations.slice(startIdx, endIdx);
-
       res.json({
-        items: paginatedItems,
-        page: parseInt(page, 10),
-        pageSize: parseInt(limit, 10),
-        total: consultations.length,
-        totalPages: Math.ceil(consultations.length / parseInt(limit, 10))
+        items: consultations,
+        page,
+        pageSize: limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        nextCursor
       });
     } catch (err) {
       next(err);
@@ -2213,74 +2440,30 @@ Answer:`,
 
   // Get patient details
   // 🔐 PATIENT DETAILS - REQUIRES CONSENT (DATABASE-BACKED)
-  router.get('/doctor/patients/:id', requireAuth, requireRole('doctor'), requireConsentForPatient('id'), async (req, res, next) => {
+  router.get('/doctor/patients/:id', requireAuth, requirePermission('patients.read'), requireConsentForPatient('id'), async (req, res, next) => {
     try {
       const patientId = req.params.id;
       
       // Query real patient profile from database
-      const userRows = await query(
-        `SELECT id, phone, email, health_id FROM users WHERE id = ? LIMIT 1`,
-        [patientId]
-      );
+      // The account joined with its user_profiles row
+      const user = await storage.users.findProfile(patientId);
       
-      if (!userRows.length) {
+      if (!user) {
         return res.status(404).json({ error: 'Patient not found' });
       }
       
-      const user = userRows[0];
-      
-      // Get patient profile
-      const profileRows = await query(
-        `SELECT full_name, date_of_birth FROM user_profiles WHERE user_id = ? LIMIT 1`,
-        [patientId]
-      );
-      
-      const profile = profileRows.length > 0 ? profileRows[0] : {};
-      
       // Get medical history
-      const medicalRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'medical_report' AND user_id = ? LIMIT 1`,
-        [patientId]
-      );
-      
-      let medicalData = {};
-      if (medicalRows.length > 0) {
-        try {
-          medicalData = JSON.parse(medicalRows[0].data || '{}');
-        } catch (e) {
-          medicalData = {};
-        }
-      }
+      const medicalData = (await getEntity({ type: 'medical_report', userId: patientId })) || {};
       
       // Get pregnancy information
-      const pregnancyRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'pregnancy' AND user_id = ? ORDER BY created_at DESC LIMIT 1`,
-        [patientId]
-      );
-      
-      let pregnancyData = {};
-      if (pregnancyRows.length > 0) {
-        try {
-          pregnancyData = JSON.parse(pregnancyRows[0].data || '{}');
-        } catch (e) {
-          pregnancyData = {};
-        }
-      }
+      const [latestPregnancy] = await listEntities({ type: 'pregnancy', userId: patientId, limit: 1 });
+      const pregnancyData = latestPregnancy || {};
       
       // Get consultation history
-      const consultationRows = await query(
-        `SELECT id, data FROM app_entities WHERE type = 'appointment' AND user_id = ? ORDER BY created_at DESC`,
-        [patientId]
-      );
+      const appointments = await listEntities({ type: 'appointment', userId: patientId });
       
       let lastConsultation = null;
-      const consultations = consultationRows.map(row => {
-        try {
-          return JSON.parse(row.data || '{}');
-        } catch (e) {
-          return {};
-        }
-      }).filter(c => c && c.status === 'completed');
+      const consultations = appointments.filter(c => c && c.status === 'completed');
       
       if (consultations.length > 0) {
         lastConsultation = consultations[0].createdAt || consultations[0].date;
@@ -2288,8 +2471,8 @@ Answer:`,
       
       // Calculate age from DOB
       let age = null;
-      if (profile.date_of_birth) {
-        const dob = new Date(profile.date_of_birth);
+      if (user.date_of_birth) {
+        const dob = new Date(user.date_of_birth);
         age = new Date().getFullYear() - dob.getFullYear();
       }
       
@@ -2298,7 +2481,7 @@ Answer:`,
       
       const patient = {
         id: patientId,
-        name: profile.full_name || null,
+        name: user.full_name || null,
         age: age ?? null,
         phone: user.phone || null,
         email: user.email || null,
@@ -2325,7 +2508,7 @@ Answer:`,
   });
 
   // 🔐 UPDATE APPOINTMENT - VERIFY DOCTOR-PATIENT RELATIONSHIP
-  router.patch('/doctor/appointments/:id', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.patch('/doctor/appointments/:id', requireAuth, requirePermission('consultations.manage'), async (req, res, next) => {
     try {
       const appointmentId = req.params.id;
       const { status, notes } = req.body;
@@ -2333,18 +2516,18 @@ Answer:`,
       if (!normalizedStatus) {
         return res.status(400).json({ error: 'Invalid appointment status' });
       }
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
       
       // Fetch the appointment
-      const rows = await query(
-        `SELECT id, user_id, data FROM app_entities WHERE id = ? AND type = 'appointment' LIMIT 1`,
-        [appointmentId]
-      );
+      const appointment = await getEntity({ id: appointmentId, type: 'appointment' });
       
-      if (rows.length === 0) {
+      if (!appointment) {
         return res.status(404).json({ error: 'Appointment not found' });
       }
       
-      const appointment = JSON.parse(rows[0].data);
       const patientId = appointment.userId || appointment.patientId;
       
       // Verify this doctor owns this appointment
@@ -2353,25 +2536,15 @@ Answer:`,
       }
 
       // 🔐 Verify consent exists (time-sensitive for active consultations)
-      const consentRows = await query(
-        `SELECT id, data FROM app_entities 
-         WHERE type = 'medical_consent' 
-         AND user_id = ?
-         LIMIT 100`,
-        [patientId]
-      );
+      const consents = patientId
+        ? await listEntities({ type: 'medical_consent', userId: patientId, where: { doctorId: req.user.sub } })
+        : [];
 
       const now = new Date();
-      const activeConsent = consentRows.some(row => {
-        try {
-          const consent = JSON.parse(row.data || '{}');
-          if (consent.doctorId !== req.user.sub) return false;
-          if (consent.status !== 'active') return false;
-          if (consent.expiresAt && now > new Date(consent.expiresAt)) return false;
-          return true;
-        } catch (err) {
-          return false;
-        }
+      const activeConsent = consents.some(consent => {
+        if (consent.status !== 'active') return false;
+        if (consent.expiresAt && now > new Date(consent.expiresAt)) return false;
+        return true;
       });
 
       if (!activeConsent) {
@@ -2381,15 +2554,17 @@ Answer:`,
         });
       }
       
-      // Update appointment
-      appointment.status = normalizedStatus;
-      if (notes) appointment.doctorNotes = notes;
-      appointment.updatedAt = new Date().toISOString();
-      
-      await query(
-        `UPDATE app_entities SET data = ?, updated_at = ? WHERE id = ?`,
-        [JSON.stringify(appointment), new Date(), appointmentId]
-      );
+      // Update appointment (only the version the checks above ran against)
+      const updatedAppointment = await updateEntity({
+        id: appointmentId,
+        type: 'appointment',
+        data: { status: normalizedStatus, ...(notes ? { doctorNotes: notes } : {}) },
+        expectedVersion: expectedVersion ?? versionOf(appointment),
+        actor: actorFromRequest(req)
+      });
+      if (!updatedAppointment) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
       
       // Notify patient about status change
       const statusMessages = {
@@ -2409,14 +2584,15 @@ Answer:`,
         });
       }
       
-      res.json({ item: appointment });
+      setEntityEtag(res, updatedAppointment);
+      res.json({ item: updatedAppointment });
     } catch (err) {
       next(err);
     }
   });
 
   // 🔐 CREATE PRESCRIPTION - REQUIRES PATIENT CONSENT
-  router.post('/doctor/prescriptions', requireAuth, requireRole('doctor'), requireConsentForPatient('patientId'), async (req, res, next) => {
+  router.post('/doctor/prescriptions', requireAuth, requirePermission('prescriptions.write'), requireConsentForPatient('patientId'), async (req, res, next) => {
     try {
       const { consultationId, patientId, medications, instructions, followUpDate, locale } = req.body;
 
@@ -2447,21 +2623,12 @@ Answer:`,
   });
 
   // Get doctor schedule (DATABASE-BACKED)
-  router.get('/doctor/schedule', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/schedule', requireAuth, requirePermission('schedule.read'), async (req, res, next) => {
     try {
       const doctorId = req.user.sub;
       
       // Query from database
-      const scheduleRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'doctor_schedule' AND user_id = ? LIMIT 1`,
-        [doctorId]
-      );
-      
-      let schedule = [];
-      if (scheduleRows.length > 0) {
-        const scheduleData = parseJson(scheduleRows[0].data, {});
-        schedule = normalizeScheduleItems(scheduleData.schedule || scheduleData.items || scheduleData);
-      }
+      const schedule = await loadDoctorSchedule(doctorId);
 
       res.json(schedule);
     } catch (err) {
@@ -2471,7 +2638,7 @@ Answer:`,
   });
 
   // Update doctor schedule (SAVE TO DATABASE)
-  router.put('/doctor/schedule', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.put('/doctor/schedule', requireAuth, requirePermission('schedule.manage'), async (req, res, next) => {
     try {
       const doctorId = req.user.sub;
       const schedulePayload = Array.isArray(req.body) ? req.body : req.body?.schedule;
@@ -2516,32 +2683,13 @@ Answer:`,
   });
 
   // Get doctor earnings (CALCULATED FROM REAL DATA)
-  router.get('/doctor/earnings', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/earnings', requireAuth, requirePermission('earnings.read'), async (req, res, next) => {
     try {
       const doctorId = req.user.sub;
 
-      const doctorRows = await query(
-        `SELECT fee_amount FROM doctors WHERE id = ? LIMIT 1`,
-        [doctorId]
-      );
-      const doctorFeeValue =
-        doctorRows.length > 0 && doctorRows[0].fee_amount !== null && doctorRows[0].fee_amount !== ''
-          ? Number(doctorRows[0].fee_amount)
-          : null;
-      const defaultFee = Number.isFinite(doctorFeeValue) ? doctorFeeValue : null;
+      const defaultFee = await loadDoctorFee(doctorId);
 
-      const appointmentRows = await query(
-        `SELECT id, user_id, data, created_at FROM app_entities WHERE type = 'appointment' ORDER BY created_at DESC`
-      );
-
-      const appointments = appointmentRows
-        .map((row) => ({
-          ...parseJson(row.data, {}),
-          id: row.id,
-          createdAt: row.created_at,
-          userId: row.user_id || parseJson(row.data, {}).userId
-        }))
-        .filter((appt) => appt && appt.doctorId === doctorId);
+      const appointments = await listEntities({ type: 'appointment', where: { doctorId } });
 
       const consultations = appointments.map((appt) =>
         buildConsultationFromAppointment(appt, new Map(), defaultFee)
@@ -2606,7 +2754,7 @@ Answer:`,
   });
 
   // Update consultation status
-  router.put('/doctor/consultations/:id/status', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.put('/doctor/consultations/:id/status', requireAuth, requirePermission('consultations.manage'), async (req, res, next) => {
     try {
       const { id } = req.params;
       const { status } = req.body;
@@ -2620,7 +2768,8 @@ Answer:`,
         type: 'appointment', 
         id,
         userId: req.user.sub,
-        data: { status: normalizedStatus, updatedAt: new Date().toISOString() } 
+        data: { status: normalizedStatus, updatedAt: new Date().toISOString() },
+        actor: actorFromRequest(req)
       });
 
       if (!consultation) {
@@ -2644,15 +2793,12 @@ Answer:`,
   // =====================================================
 
   // Get pharmacy dashboard overview
-  router.get('/pharmacy/dashboard', requireAuth, requireRole('pharmacist'), async (req, res, next) => {
+  router.get('/pharmacy/dashboard', requireAuth, requirePermission('pharmacy.dashboard.read'), async (req, res, next) => {
     try {
       const pharmacyId = req.user.sub;
       
       // Fetch pharmacy profile
-      const profileRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-        [pharmacyId]
-      );
+      const profileData = await findProfileEntity(pharmacyId);
       
       let profile = {
         id: pharmacyId,
@@ -2663,8 +2809,7 @@ Answer:`,
         verificationStatus: 'Verified'
       };
       
-      if (profileRows.length > 0) {
-        const profileData = JSON.parse(profileRows[0].data);
+      if (profileData) {
         profile = {
           ...profile,
           name: profileData.name || profileData.username || profile.name,
@@ -2675,26 +2820,19 @@ Answer:`,
         };
       }
       
-      // Fetch all orders
-      const allOrdersRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'order'`
-      );
-      
-      const allOrders = allOrdersRows.map(row => {
-        try {
-          return JSON.parse(row.data);
-        } catch (e) {
-          return null;
-        }
-      }).filter(order => order !== null);
-      
-      const today = new Date().toISOString().split('T')[0];
-      const todayOrders = allOrders.filter(order => order.orderDate?.startsWith(today)).length;
-      const pendingOrders = allOrders.filter(order => order.status === 'pending' || order.status === 'scheduled').length;
-      const processingOrders = allOrders.filter(order => order.status === 'processing' || order.status === 'in-progress').length;
-      const totalRevenue = allOrders
-        .filter(order => order.status === 'delivered')
-        .reduce((sum, order) => sum + (order.total || 0), 0);
+      const today = new Date();
+      const todayKey = today.toISOString().split('T')[0];
+      const tomorrowKey = new Date(today.getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const [statusCounts, todayOrders, totalRevenue] = await Promise.all([
+        countEntities({ type: 'order', groupBy: 'status' }),
+        countEntities({ type: 'order', where: { orderDate: { gte: todayKey, lt: tomorrowKey } } }),
+        sumEntities({ type: 'order', where: { status: 'delivered' }, field: 'total' })
+      ]);
+
+      const countFor = (...statuses) => statuses.reduce((sum, key) => sum + (statusCounts[key] || 0), 0);
+      const pendingOrders = countFor('pending', 'scheduled');
+      const processingOrders = countFor('processing', 'in-progress');
+      const totalOrders = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
       
       const dashboardData = {
         profile,
@@ -2703,7 +2841,7 @@ Answer:`,
           pendingOrders,
           processingOrders,
           totalRevenue,
-          totalOrders: allOrders.length
+          totalOrders
         }
       };
       
@@ -2714,59 +2852,37 @@ Answer:`,
   });
 
   // Get all orders for pharmacy
-  router.get('/pharmacy/orders', requireAuth, requireRole('pharmacist'), async (req, res, next) => {
+  router.get('/pharmacy/orders', requireAuth, requirePermission('orders.read'), async (req, res, next) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
-      
-      // Fetch all orders
-      const allOrdersRows = await query(
-        `SELECT id, data FROM app_entities WHERE type = 'order' ORDER BY created_at DESC`
-      );
-      
-      let orders = allOrdersRows.map(row => {
-        try {
-          return JSON.parse(row.data);
-        } catch (e) {
-          return null;
-        }
-      }).filter(order => order !== null);
-      
-      // Filter by status if provided
-      if (status && status !== 'all') {
-        orders = orders.filter(o => o.status === status);
-      }
+      const { status, cursor } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+      const { items: orders, nextCursor, total } = await queryEntities({
+        type: 'order',
+        where: { status: status && status !== 'all' ? status : undefined },
+        sort: [{ field: 'createdAt', direction: 'DESC' }],
+        limit,
+        offset: (page - 1) * limit,
+        cursor,
+        withTotal: true
+      });
       
       // Fetch customer names for each order
+      const customerProfiles = await mapEntitiesByOwner('user_profile', orders.map((order) => order.userId));
       for (let order of orders) {
-        try {
-          const userRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-            [order.userId]
-          );
-          if (userRows.length > 0) {
-            const profile = JSON.parse(userRows[0].data);
-            order.customerName = profile.name || profile.username || 'Customer';
-            order.customerPhone = profile.phone || 'N/A';
-          } else {
-            order.customerName = 'Customer';
-            order.customerPhone = 'N/A';
-          }
-        } catch (e) {
-          order.customerName = 'Customer';
-          order.customerPhone = 'N/A';
-        }
+        const profile = customerProfiles.get(order.userId);
+        order.customerName = profile?.name || profile?.username || 'Customer';
+        order.customerPhone = profile?.phone || 'N/A';
       }
       
-      const startIdx = (parseInt(page) - 1) * parseInt(limit);
-      const endIdx = startIdx + parseInt(limit);
-      const paginatedItems = orders.slice(startIdx, endIdx);
-      
       res.json({
-        items: paginatedItems,
-        page: parseInt(page),
-        pageSize: parseInt(limit),
-        total: orders.length,
-        totalPages: Math.ceil(orders.length / parseInt(limit))
+        items: orders.map(withVersionField),
+        page,
+        pageSize: limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        nextCursor
       });
     } catch (err) {
       next(err);
@@ -2774,7 +2890,7 @@ Answer:`,
   });
 
   // Update order status
-  router.patch('/pharmacy/orders/:id', requireAuth, requireRole('pharmacist'), async (req, res, next) => {
+  router.patch('/pharmacy/orders/:id', requireAuth, requirePermission('orders.fulfil'), async (req, res, next) => {
     try {
       const orderId = req.params.id;
       const { status, notes } = req.body;
@@ -2782,34 +2898,26 @@ Answer:`,
       if (!['pending', 'processing', 'shipped', 'delivered', 'cancelled'].includes(status)) {
         return res.status(400).json({ error: 'Invalid status' });
       }
-      
-      // Fetch the order
-      const rows = await query(
-        `SELECT id, user_id, data FROM app_entities WHERE id = ? AND type = 'order' LIMIT 1`,
-        [orderId]
-      );
-      
-      if (rows.length === 0) {
-        return res.status(404).json({ error: 'Order not found' });
+      const expectedVersion = readIfMatchVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
       }
       
-      const order = JSON.parse(rows[0].data);
-      
-      // Update order
-      order.status = status;
-      if (notes) order.pharmacyNotes = notes;
-      order.updatedAt = new Date().toISOString();
+      // Update order; with If-Match the pharmacist's copy must still be current
+      const changes = { status };
+      if (notes) changes.pharmacyNotes = notes;
       
       if (status === 'shipped') {
-        order.shippedAt = new Date().toISOString();
+        changes.shippedAt = new Date().toISOString();
       } else if (status === 'delivered') {
-        order.deliveredAt = new Date().toISOString();
+        changes.deliveredAt = new Date().toISOString();
       }
       
-      await query(
-        `UPDATE app_entities SET data = ?, updated_at = ? WHERE id = ?`,
-        [JSON.stringify(order), new Date(), orderId]
-      );
+      const order = await updateEntity({ id: orderId, type: 'order', data: changes, expectedVersion });
+      
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
       
       // Notify customer about status change
       const statusMessages = {
@@ -2829,6 +2937,7 @@ Answer:`,
         });
       }
       
+      setEntityEtag(res, order);
       res.json({ order });
     } catch (err) {
       next(err);
@@ -2836,37 +2945,23 @@ Answer:`,
   });
 
   // Get order details for pharmacy
-  router.get('/pharmacy/orders/:id', requireAuth, requireRole('pharmacist'), async (req, res, next) => {
+  router.get('/pharmacy/orders/:id', requireAuth, requirePermission('orders.read'), async (req, res, next) => {
     try {
-      const orderId = req.params.id;
-      
-      const rows = await query(
-        `SELECT data FROM app_entities WHERE id = ? AND type = 'order' LIMIT 1`,
-        [orderId]
-      );
+      const order = await getEntity({ id: req.params.id, type: 'order' });
       
-      if (rows.length === 0) {
+      if (!order) {
         return res.status(404).json({ error: 'Order not found' });
       }
       
-      const order = JSON.parse(rows[0].data);
-      
       // Fetch customer details
-      try {
-        const userRows = await query(
-          `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-          [order.userId]
-        );
-        if (userRows.length > 0) {
-          const profile = JSON.parse(userRows[0].data);
-          order.customerName = profile.name || profile.username || 'Customer';
-          order.customerPhone = profile.phone || 'N/A';
-          order.customerEmail = profile.email || 'N/A';
-        }
-      } catch (e) {
-        order.customerName = 'Customer';
+      const profile = await findProfileEntity(order.userId);
+      if (profile) {
+        order.customerName = profile.name || profile.username || 'Customer';
+        order.customerPhone = profile.phone || 'N/A';
+        order.customerEmail = profile.email || 'N/A';
       }
       
+      setEntityEtag(res, order);
       res.json({ order });
     } catch (err) {
       next(err);
@@ -2878,7 +2973,7 @@ Answer:`,
   // =====================================================
 
   // Patient grants access to their medical records to a doctor
-  router.post('/medical/consent/grant', requireAuth, async (req, res, next) => {
+  router.post('/medical/consent/grant', requireAuth, requireVerifiedContact('consent_grant'), async (req, res, next) => {
     try {
       const { doctorId, expiresInDays = 30 } = req.body;
       
@@ -2910,7 +3005,7 @@ Answer:`,
         link: '/doctor/patients'
       });
       
-      res.status(201).json({ consent });
+      sendCreatedEntity(res, 'consent', consent);
     } catch (err) {
       next(err);
     }
@@ -2921,24 +3016,16 @@ Answer:`,
     try {
       const consentId = req.params.id;
       
-      const rows = await query(
-        `SELECT id, data FROM app_entities WHERE id = ? AND type = 'medical_consent' AND user_id = ? LIMIT 1`,
-        [consentId, req.user.sub]
-      );
-      
-      if (rows.length === 0) {
+      const consent = await updateEntity({
+        id: consentId,
+        type: 'medical_consent',
+        userId: req.user.sub,
+        data: { status: 'revoked', revokedAt: new Date().toISOString() }
+      });
+      if (!consent) {
         return res.status(404).json({ error: 'Consent not found' });
       }
       
-      const consent = JSON.parse(rows[0].data);
-      consent.status = 'revoked';
-      consent.revokedAt = new Date().toISOString();
-      
-      await query(
-        `UPDATE app_entities SET data = ? WHERE id = ?`,
-        [JSON.stringify(consent), consentId]
-      );
-      
       // Notify doctor
       await createNotification(consent.doctorId, {
         type: 'MEDICAL_ACCESS_REVOKED',
@@ -2963,19 +3050,12 @@ Answer:`,
       });
       
       // Fetch doctor names
+      const doctorProfiles = await mapEntitiesByOwner('user_profile', consents.map((consent) => consent.doctorId));
       for (let consent of consents) {
-        try {
-          const doctorRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-            [consent.doctorId]
-          );
-          if (doctorRows.length > 0) {
-            const doctorProfile = JSON.parse(doctorRows[0].data);
-            consent.doctorName = doctorProfile.name || 'Doctor';
-            consent.doctorSpecialty = doctorProfile.specialty || 'General';
-          }
-        } catch (e) {
-          consent.doctorName = 'Doctor';
+        const doctorProfile = doctorProfiles.get(consent.doctorId);
+        if (doctorProfile) {
+          consent.doctorName = doctorProfile.name || 'Doctor';
+          consent.doctorSpecialty = doctorProfile.specialty || 'General';
         }
       }
       
@@ -2986,7 +3066,7 @@ Answer:`,
   });
 
   // Doctor requests access to patient's medical records
-  router.post('/medical/consent/request', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.post('/medical/consent/request', requireAuth, requirePermission('consents.request'), async (req, res, next) => {
     try {
       const { patientId, reason } = req.body;
       
@@ -3017,65 +3097,37 @@ Answer:`,
         link: '/profile'
       });
       
-      res.status(201).json({ request });
+      sendCreatedEntity(res, 'request', request);
     } catch (err) {
       next(err);
     }
   });
 
   // Doctor views patients with granted access
-  router.get('/doctor/accessible-patients', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/accessible-patients', requireAuth, requirePermission('patients.read'), async (req, res, next) => {
     try {
-      const allConsentsRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'medical_consent'`
-      );
-      
-      const doctorConsents = allConsentsRows
-        .map(row => {
-          try {
-            return JSON.parse(row.data);
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(consent => 
-          consent && 
-          consent.doctorId === req.user.sub && 
-          consent.status === 'active' &&
-          new Date(consent.expiresAt) > new Date()
-        );
+      const consents = await listEntities({
+        type: 'medical_consent',
+        where: { doctorId: req.user.sub, status: 'active' }
+      });
+      const doctorConsents = consents.filter((consent) => new Date(consent.expiresAt) > new Date());
       
       // Fetch patient details
       for (let consent of doctorConsents) {
-        try {
-          const patientRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-            [consent.patientId]
-          );
-          if (patientRows.length > 0) {
-            const profile = JSON.parse(patientRows[0].data);
-            consent.patientName = profile.name || 'Patient';
-          }
-          
-          // Fetch medical records
-          const medicalRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'medical_report' AND user_id = ? LIMIT 1`,
-            [consent.patientId]
-          );
-          if (medicalRows.length > 0) {
-            consent.medicalReport = JSON.parse(medicalRows[0].data);
-          }
-          
-          // Fetch visit history
-          const visitsRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'visit_record' AND user_id = ?`,
-            [consent.patientId]
-          );
-          consent.visitHistory = visitsRows.map(row => JSON.parse(row.data));
-          
-        } catch (e) {
-          consent.patientName = 'Patient';
+        if (!consent.patientId) continue;
+        const profile = await findProfileEntity(consent.patientId);
+        if (profile) {
+          consent.patientName = profile.name || 'Patient';
+        }
+        
+        // Fetch medical records
+        const medicalReport = await getEntity({ type: 'medical_report', userId: consent.patientId });
+        if (medicalReport) {
+          consent.medicalReport = medicalReport;
         }
+        
+        // Fetch visit history
+        consent.visitHistory = await listEntities({ type: 'visit_record', userId: consent.patientId });
       }
       
       res.json({ items: doctorConsents });
@@ -3108,22 +3160,77 @@ Answer:`,
       });
       
       // Update user profile status
-      const profileRows = await query(
-        `SELECT id, data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-        [req.user.sub]
-      );
+      const userProfile = await findProfileEntity(req.user.sub);
       
-      if (profileRows.length > 0) {
-        const profile = JSON.parse(profileRows[0].data);
-        profile.healthIdStatus = 'pending';
-        
-        await query(
-          `UPDATE app_entities SET data = ? WHERE id = ?`,
-          [JSON.stringify(profile), profileRows[0].id]
-        );
+      if (userProfile) {
+        await updateEntity({
+          id: userProfile.id,
+          type: 'user_profile',
+          data: { healthIdStatus: 'pending' }
+        });
       }
       
-      res.status(201).json({ verification });
+      sendCreatedEntity(res, 'verification', verification);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // =====================================================
+  // CLINICAL CHANGE HISTORY
+  // =====================================================
+
+  // Loads the revision timeline and checks the caller may see it (owner,
+  // consented doctor or medical admin); answers the request itself otherwise
+  const loadVisibleHistory = async (req, res) => {
+    const { entityType, entityId } = req.params;
+    if (!isHistoryTracked(entityType)) {
+      res.status(404).json({ error: 'No change history is kept for this record type' });
+      return null;
+    }
+    const revisions = await getEntityTimeline(entityType, entityId);
+    if (!revisions.length) {
+      res.status(404).json({ error: 'No change history found for this record' });
+      return null;
+    }
+    const ownerUserId = revisions[revisions.length - 1].ownerUserId;
+    if (!(await canViewHistory(req.user.sub, ownerUserId))) {
+      res.status(403).json({ error: 'Not authorized to view this record history' });
+      return null;
+    }
+    return { entityType, entityId, ownerUserId, revisions };
+  };
+
+  router.get('/history/:entityType/:entityId', requireAuth, async (req, res, next) => {
+    try {
+      const history = await loadVisibleHistory(req, res);
+      if (!history) return;
+      res.json(history);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // State of the record at a point in time: /history/appointment/:id/state?at=2026-03-01T10:00:00Z
+  router.get('/history/:entityType/:entityId/state', requireAuth, async (req, res, next) => {
+    try {
+      const at = req.query.at ? new Date(String(req.query.at)) : new Date();
+      if (!isValidDateValue(at)) {
+        return res.status(400).json({ error: 'Invalid at timestamp' });
+      }
+      const history = await loadVisibleHistory(req, res);
+      if (!history) return;
+
+      const snapshot = await getEntityStateAt(history.entityType, history.entityId, at);
+      if (!snapshot) {
+        return res.status(404).json({ error: 'The record did not exist at that time' });
+      }
+      res.json({
+        entityType: history.entityType,
+        entityId: history.entityId,
+        at: at.toISOString(),
+        ...snapshot
+      });
     } catch (err) {
       next(err);
     }
@@ -3134,7 +3241,7 @@ Answer:`,
   // =====================================================
 
   // Create prescription (linked to consultation)
-  router.post('/prescriptions', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.post('/prescriptions', requireAuth, requirePermission('prescriptions.write'), async (req, res, next) => {
     try {
       const { consultationId, patientId, medications, instructions, followUpDate, diagnosis } = req.body;
       
@@ -3154,38 +3261,36 @@ Answer:`,
         status: 'active'
       };
       
-      const prescription = await createEntity({
-        type: 'prescription',
-        userId: patientId, // Store under patient's account
-        data: prescriptionData
-      });
-      
-      // Update consultation with prescription ID if provided
-      if (consultationId) {
-        const consultationRows = await query(
-          `SELECT id, data FROM app_entities WHERE id = ? AND type = 'appointment' LIMIT 1`,
-          [consultationId]
-        );
-        
-        if (consultationRows.length > 0) {
-          const consultation = JSON.parse(consultationRows[0].data);
-          consultation.prescriptionId = prescription.id;
-          consultation.hasPrescription = true;
-          
-          await query(
-            `UPDATE app_entities SET data = ? WHERE id = ?`,
-            [JSON.stringify(consultation), consultationId]
-          );
+      // The prescription, the consultation link and the patient's notification
+      // are written together so a failure never leaves a half-linked prescription
+      const prescription = await withTransaction(async () => {
+        const created = await createEntity({
+          type: 'prescription',
+          userId: patientId, // Store under patient's account
+          data: prescriptionData,
+          actor: actorFromRequest(req)
+        });
+
+        // Update consultation with prescription ID if provided
+        if (consultationId) {
+          await updateEntity({
+            id: consultationId,
+            type: 'appointment',
+            data: { prescriptionId: created.id, hasPrescription: true },
+            actor: actorFromRequest(req)
+          });
         }
-      }
-      
-      // Notify patient
-      await createNotification(patientId, {
-        type: 'PRESCRIPTION_CREATED',
-        entityId: prescription.id,
-        title: 'New Prescription',
-        message: 'Your doctor has created a new prescription for you.',
-        link: '/health'
+
+        // Notify patient
+        await createNotification(patientId, {
+          type: 'PRESCRIPTION_CREATED',
+          entityId: created.id,
+          title: 'New Prescription',
+          message: 'Your doctor has created a new prescription for you.',
+          link: '/health'
+        });
+
+        return created;
       });
       
       res.status(201).json({ prescription });
@@ -3203,19 +3308,15 @@ Answer:`,
       });
       
       // Fetch doctor names
+      const doctorProfiles = await mapEntitiesByOwner(
+        'user_profile',
+        prescriptions.map((prescription) => prescription.doctorId)
+      );
       for (let prescription of prescriptions) {
-        try {
-          const doctorRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-            [prescription.doctorId]
-          );
-          if (doctorRows.length > 0) {
-            const doctorProfile = JSON.parse(doctorRows[0].data);
-            prescription.doctorName = doctorProfile.name || 'Doctor';
-            prescription.doctorSpecialty = doctorProfile.specialty || '';
-          }
-        } catch (e) {
-          prescription.doctorName = 'Doctor';
+        const doctorProfile = doctorProfiles.get(prescription.doctorId);
+        if (doctorProfile) {
+          prescription.doctorName = doctorProfile.name || 'Doctor';
+          prescription.doctorSpecialty = doctorProfile.specialty || '';
         }
       }
       
@@ -3226,35 +3327,25 @@ Answer:`,
   });
 
   // Doctor gets all their issued prescriptions
-  router.get('/doctor/prescriptions', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.get('/doctor/prescriptions', requireAuth, requirePermission('prescriptions.read'), async (req, res, next) => {
     try {
-      const allPrescriptionsRows = await query(
-        `SELECT data FROM app_entities WHERE type = 'prescription'`
-      );
+      const issuedPrescriptions = relationalReadsEnabled()
+        ? (await listPrescriptionRowsByDoctor(req.user.sub)).map(entityFromRow)
+        : await listEntities({ type: 'prescription', where: { doctorId: req.user.sub } });
       
-      const doctorPrescriptions = allPrescriptionsRows
-        .map(row => {
-          try {
-            return JSON.parse(row.data);
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(prescription => prescription && prescription.doctorId === req.user.sub);
+      const doctorPrescriptions = issuedPrescriptions.filter(
+        (prescription) => prescription && prescription.doctorId === req.user.sub
+      );
       
       // Fetch patient names
+      const patientProfiles = await mapEntitiesByOwner(
+        'user_profile',
+        doctorPrescriptions.map((prescription) => prescription.patientId)
+      );
       for (let prescription of doctorPrescriptions) {
-        try {
-          const patientRows = await query(
-            `SELECT data FROM app_entities WHERE type = 'user_profile' AND user_id = ? LIMIT 1`,
-            [prescription.patientId]
-          );
-          if (patientRows.length > 0) {
-            const profile = JSON.parse(patientRows[0].data);
-            prescription.patientName = profile.name || 'Patient';
-          }
-        } catch (e) {
-          prescription.patientName = 'Patient';
+        const profile = patientProfiles.get(prescription.patientId);
+        if (profile) {
+          prescription.patientName = profile.name || 'Patient';
         }
       }
       
@@ -3269,7 +3360,7 @@ Answer:`,
   // =====================================================
 
   // Doctor submits verification request
-  router.post('/doctor/submit-verification', requireAuth, requireRole('doctor'), async (req, res, next) => {
+  router.post('/doctor/submit-verification', requireAuth, requirePermission('doctor_verification.submit'), async (req, res, next) => {
     try {
       const { name, specialty, bmdc, hospital, experience, education, documents } = req.body;
 
@@ -3278,13 +3369,9 @@ Answer:`,
       }
 
       // Check if already verified or pending
-      const existingRows = await query(
-        `SELECT id, data FROM app_entities WHERE type = 'doctor_verification' AND user_id = ? LIMIT 1`,
-        [req.user.sub]
-      );
+      const existing = await getEntity({ type: 'doctor_verification', userId: req.user.sub });
 
-      if (existingRows.length > 0) {
-        const existing = JSON.parse(existingRows[0].data);
+      if (existing) {
         if (existing.status === 'approved') {
           return res.status(400).json({ error: 'Already verified' });
         }
@@ -3310,12 +3397,7 @@ Answer:`,
       });
 
       // Notify all medical admins
-      const medicalRoleOptions = getRoleFilterOptions('medical_admin');
-      const medicalRolePlaceholders = medicalRoleOptions.map(() => '?').join(', ');
-      const adminUsers = await query(
-        `SELECT id FROM users WHERE role IN (${medicalRolePlaceholders})`,
-        medicalRoleOptions
-      );
+      const adminUsers = await storage.users.listByRoles(getRoleFilterOptions('medical_admin'));
       for (const admin of adminUsers) {
         await createNotification(admin.id, {
           type: 'NEW_DOCTOR_VERIFICATION',
@@ -3333,7 +3415,7 @@ Answer:`,
   });
 
   // Pharmacist submits verification request
-  router.post('/pharmacist/submit-verification', requireAuth, requireRole('pharmacist'), async (req, res, next) => {
+  router.post('/pharmacist/submit-verification', requireAuth, requirePermission('pharmacist_verification.submit'), async (req, res, next) => {
     try {
       const { pharmacyName, licenseNumber, address, phone, ownerName, documents } = req.body;
 
@@ -3342,13 +3424,9 @@ Answer:`,
       }
 
       // Check if already verified or pending
-      const existingRows = await query(
-        `SELECT id, data FROM app_entities WHERE type = 'pharmacist_verification' AND user_id = ? LIMIT 1`,
-        [req.user.sub]
-      );
+      const existing = await getEntity({ type: 'pharmacist_verification', userId: req.user.sub });
 
-      if (existingRows.length > 0) {
-        const existing = JSON.parse(existingRows[0].data);
+      if (existing) {
         if (existing.status === 'approved') {
           return res.status(400).json({ error: 'Already verified' });
         }
@@ -3373,12 +3451,7 @@ Answer:`,
       });
 
       // Notify all ops admins
-      const opsRoleOptions = getRoleFilterOptions('ops_admin');
-      const opsRolePlaceholders = opsRoleOptions.map(() => '?').join(', ');
-      const adminUsers = await query(
-        `SELECT id FROM users WHERE role IN (${opsRolePlaceholders})`,
-        opsRoleOptions
-      );
+      const adminUsers = await storage.users.listByRoles(getRoleFilterOptions('ops_admin'));
       for (const admin of adminUsers) {
         await createNotification(admin.id, {
           type: 'NEW_PHARMACIST_VERIFICATION',
@@ -3404,25 +3477,16 @@ Answer:`,
     try {
       const userRole = await resolveUserRole(req);
       
-      const announcementsRows = await query(
-        `SELECT id, data, created_at FROM app_entities 
-         WHERE type = 'system_announcement' AND JSON_EXTRACT(data, '$.active') = true 
-         ORDER BY created_at DESC LIMIT 20`
-      );
+      const activeAnnouncements = await listEntities({
+        type: 'system_announcement',
+        where: { active: true },
+        limit: 20
+      });
 
-      const announcements = announcementsRows.map(row => {
-        try {
-          const data = JSON.parse(row.data);
-          return {
-            id: row.id,
-            ...data,
-            timestamp: row.created_at
-          };
-        } catch (e) {
-          return null;
-        }
-      }).filter(a => {
-        if (!a) return false;
+      const announcements = activeAnnouncements.map((announcement) => ({
+        ...announcement,
+        timestamp: announcement.createdAt
+      })).filter(a => {
         if (a.targetRole === 'all' || !a.targetRole) return true;
         const normalizedTarget = normalizeRoleValue(a.targetRole) || a.targetRole;
         return normalizedTarget === userRole;
@@ -1,209 +1,555 @@
 import { v4 as uuidv4 } from 'uuid';
-import { query } from './db.js';
+import { withTransaction } from './db.js';
+import { storage } from './storage/index.js';
+import { cached, invalidateCache } from './cache/index.js';
 import { SEED_DOCTORS, SEED_HOSPITALS, SEED_MEDICINES, SEED_DONORS } from './appSeeds.js';
+import { isHistoryTracked, recordRevision } from './entityHistory.js';
+import { syncsRelational, mirrorEntity, mirrorRows, removeMirroredRows } from './relationalRecords.js';
+import { ENTITY_SCHEMAS, checkEntityData, schemaVersionOf, upgradeEntityData, validateEntityData } from './entitySchemas.js';
 
 const nowIso = () => new Date().toISOString();
 
-const parseRow = (row) => {
+// Trashed entities are kept this long before the purge job deletes them
+export const TRASH_RETENTION_DAYS = Math.min(Math.max(Number(process.env.TRASH_RETENTION_DAYS) || 30, 1), 365);
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+let purgeTimer = null;
+
+// Catalog lists change only through seeding and admin edits; the TTL is a
+// backstop for writes made outside this process
+const CATALOG_CACHE_SECONDS = Math.max(Number(process.env.CATALOG_CACHE_SECONDS) || 300, 1);
+
+// Merge-style writes re-read and re-apply their change this many times on conflict
+const ENTITY_WRITE_RETRIES = Math.max(Number(process.env.ENTITY_WRITE_RETRIES) || 3, 0);
+
+// Row versions (migration 0008) travel next to the parsed entity rather than
+// inside it, so response bodies keep their shape; see versionOf().
+const entityVersions = new WeakMap();
+
+// Entities leave this module without `schemaVersion`: it only tells stored
+// documents apart for upgradeEntityData, and is stamped again on every write
+const withVersion = ({ schemaVersion, ...entity }, version) => {
+  if (version !== undefined && version !== null) entityVersions.set(entity, Number(version));
+  return entity;
+};
+
+export const versionOf = (entity) => (entity && entityVersions.get(entity)) || null;
+
+// The stored document upgraded to the current schema version, schemaVersion
+// included; writes merge onto this so upgrades are never applied twice
+const parseDocument = (row) => {
   let data = {};
   try {
     data = JSON.parse(row.data || '{}');
   } catch (err) {
     data = {};
   }
-  return { id: row.id, ...data };
+  return { id: row.id, ...upgradeEntityData(row.type, data) };
+};
+
+// Rows selected with their type come back upgraded to the current schema version
+const parseRow = (row) => withVersion(parseDocument(row), row.version);
+
+// The same for app_entities rows (id, type, data, version) read by other modules
+export const entityFromRow = (row) => parseRow(row);
+
+// Thrown when a write was based on a version that is no longer current.
+// `current` is the latest stored entity so callers can show or merge it.
+const versionConflict = (current) => {
+  const error = new Error('This record was changed by someone else. Reload it and try again.');
+  error.status = 409;
+  error.code = 'VERSION_CONFLICT';
+  error.current = current;
+  error.currentVersion = versionOf(current);
+  return error;
 };
 
-async function fetchEntityRow({ id, type, userId }) {
-  const clauses = ['id = ?', 'type = ?'];
-  const params = [id, type];
-  if (userId !== undefined) {
-    clauses.push('user_id = ?');
-    params.push(userId);
+export const isVersionConflict = (err) => err?.code === 'VERSION_CONFLICT';
+
+const entityChangeListeners = new Map();
+const catalogChangeListeners = [];
+
+/**
+ * Runs `listener({ type, ids, action })` after every create, update, delete
+ * and restore of the given entity types, wherever the write came from:
+ *   onEntityChange(['doctor_review'], () => invalidateCache('doctor-reviews:summary'));
+ * action is create, update, delete or restore. Listeners must not throw
+ * into the write; failures are logged.
+ */
+export function onEntityChange(types, listener) {
+  for (const type of types) {
+    entityChangeListeners.set(type, [...(entityChangeListeners.get(type) || []), listener]);
   }
-  const rows = await query(
-    `SELECT id, user_id, subtype, data FROM app_entities WHERE ${clauses.join(' AND ')} LIMIT 1`,
-    params
-  );
-  return rows[0] || null;
-}
-
-export async function ensureAppTables() {
-  await query(
-    `CREATE TABLE IF NOT EXISTS app_entities (
-      id VARCHAR(36) NOT NULL PRIMARY KEY,
-      user_id VARCHAR(36) NULL,
-      type VARCHAR(50) NOT NULL,
-      subtype VARCHAR(100) NULL,
-      data LONGTEXT NOT NULL,
-      created_at DATETIME NOT NULL,
-      updated_at DATETIME NOT NULL,
-      INDEX idx_type (type),
-      INDEX idx_user_type (user_id, type),
-      INDEX idx_user_type_sub (user_id, type, subtype)
-    )`
-  );
-
-  await query(
-    `CREATE TABLE IF NOT EXISTS app_user_meta (
-      user_id VARCHAR(36) NOT NULL,
-      meta_key VARCHAR(50) NOT NULL,
-      meta_value VARCHAR(255) NOT NULL,
-      updated_at DATETIME NOT NULL,
-      PRIMARY KEY (user_id, meta_key)
-    )`
-  );
-
-  await query(
-    `CREATE TABLE IF NOT EXISTS app_catalog (
-      id VARCHAR(36) NOT NULL PRIMARY KEY,
-      type VARCHAR(50) NOT NULL,
-      data LONGTEXT NOT NULL,
-      created_at DATETIME NOT NULL,
-      updated_at DATETIME NOT NULL,
-      INDEX idx_catalog_type (type)
-    )`
-  );
-}
-
-export async function listEntities({ type, userId, subtype, order = 'DESC' }) {
-  const clauses = ['type = ?'];
-  const params = [type];
-
-  if (userId !== undefined) {
-    if (userId === null) {
-      clauses.push('user_id IS NULL');
-    } else {
-      clauses.push('user_id = ?');
-      params.push(userId);
+}
+
+// listener({ type }) after catalog rows of that type were added or changed
+export function onCatalogChange(listener) {
+  catalogChangeListeners.push(listener);
+}
+
+const runListeners = async (listeners, change) => {
+  for (const listener of listeners) {
+    try {
+      await listener(change);
+    } catch (err) {
+      console.warn(`Change listener for ${change.type} failed:`, err.message);
     }
   }
+};
+
+async function notifyEntityChange(type, ids, action) {
+  const listeners = entityChangeListeners.get(type);
+  if (listeners && ids.length) await runListeners(listeners, { type, ids, action });
+}
+
+// Groups app_entities rows by type and notifies once per type
+async function notifyRowChanges(rows, action) {
+  const idsByType = new Map();
+  rows.forEach((row) => idsByType.set(row.type, [...(idsByType.get(row.type) || []), row.id]));
+  for (const [type, ids] of idsByType) await notifyEntityChange(type, ids, action);
+}
+
+// Call after writing app_catalog rows of `type` so cached lists and other
+// derived data are rebuilt
+export async function notifyCatalogChange(type) {
+  await invalidateCache(`catalog:${type}`);
+  await runListeners(catalogChangeListeners, { type });
+}
+
+// Inside a transaction the MySQL adapter locks the row until commit, so a
+// read-modify-write cannot lose to another writer
+const fetchEntityRow = ({ id, type, userId }) => storage.entities.findOne({ id, type, userId });
+
+const MAX_PAGE_SIZE = 100;
+
+const normalizeSort = (sort, order) => {
+  const entries = (Array.isArray(sort) ? sort : sort ? [sort] : [{ field: 'createdAt', direction: order }])
+    .map((entry) => (typeof entry === 'string' ? { field: entry } : entry))
+    .map(({ field, direction }) => ({
+      field,
+      direction: String(direction || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC'
+    }));
+  // id breaks ties so cursors never skip or repeat rows
+  if (!entries.some((entry) => entry.field === 'id')) {
+    entries.push({ field: 'id', direction: entries[0]?.direction || 'DESC' });
+  }
+  return entries;
+};
 
-  if (subtype !== undefined) {
-    if (subtype === null) {
-      clauses.push('subtype IS NULL');
-    } else {
-      clauses.push('subtype = ?');
-      params.push(subtype);
+const encodeCursor = (values) =>
+  Buffer.from(
+    JSON.stringify(values.map((value) => (value instanceof Date ? { $date: value.toISOString() } : value)))
+  ).toString('base64url');
+
+const decodeCursor = (cursor, length) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== length) return null;
+    return values.map((value) => (value && value.$date ? new Date(value.$date) : value));
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Filtered, sorted, paginated reads over app_entities.
+ *   queryEntities({ type: 'appointment', where: { doctorId, scheduledAt: { gte } },
+ *                   sort: [{ field: 'scheduledAt', direction: 'ASC' }], limit: 20, cursor })
+ * Returns { items, nextCursor, total } (total only when withTotal is set).
+ */
+export async function queryEntities({
+  type,
+  userId,
+  subtype,
+  where,
+  sort,
+  order = 'DESC',
+  limit = 20,
+  offset = 0,
+  cursor = null,
+  withTotal = false
+}) {
+  const sortEntries = normalizeSort(sort, order);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor, sortEntries.length);
+    if (!after) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
     }
   }
 
-  const sortOrder = order === 'ASC' ? 'ASC' : 'DESC';
-  const rows = await query(
-    `SELECT id, data FROM app_entities WHERE ${clauses.join(' AND ')} ORDER BY created_at ${sortOrder}`,
-    params
-  );
+  const rows = await storage.entities.select({
+    type,
+    userId,
+    subtype,
+    where,
+    sort: sortEntries,
+    limit: pageSize + 1,
+    offset: cursor ? 0 : Math.max(parseInt(offset, 10) || 0, 0),
+    after
+  });
+
+  const hasMore = rows.length > pageSize;
+  const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+  const last = pageRows[pageRows.length - 1];
+  const result = {
+    items: pageRows.map(parseRow),
+    nextCursor: hasMore && last ? encodeCursor(last.sortValues) : null
+  };
+
+  if (withTotal) {
+    result.total = await countEntities({ type, userId, subtype, where });
+  }
+  return result;
+}
+
+// Number of matching rows, or { value: count } per distinct value of groupBy
+export async function countEntities({ type, userId, subtype, where, groupBy }) {
+  return storage.entities.count({ type, userId, subtype, where, groupBy });
+}
+
+// Total of a numeric data field over the matching rows
+export async function sumEntities({ type, userId, subtype, where, field }) {
+  return storage.entities.sum({ type, userId, subtype, where, field });
+}
+
+// Every matching entity (optionally capped by limit); see queryEntities for where/sort
+export async function listEntities({ type, userId, subtype, where, sort, order = 'DESC', limit }) {
+  const maxRows = parseInt(limit, 10);
+  const rows = await storage.entities.select({
+    type,
+    userId,
+    subtype,
+    where,
+    sort: normalizeSort(sort, order),
+    limit: maxRows > 0 ? maxRows : undefined
+  });
   return rows.map(parseRow);
 }
 
+// Map of owner user id -> their newest entity of `type`, for the given users
+export async function mapEntitiesByOwner(type, userIds) {
+  const owners = Array.from(new Set(userIds.filter(Boolean)));
+  const byOwner = new Map();
+  if (!owners.length) return byOwner;
+  const rows = await storage.entities.select({ type, where: { userId: owners }, sort: normalizeSort(null, 'DESC') });
+  for (const row of rows) {
+    if (!byOwner.has(row.user_id)) byOwner.set(row.user_id, parseRow(row));
+  }
+  return byOwner;
+}
+
 export async function getEntity({ id, type, userId }) {
   const row = await fetchEntityRow({ id, type, userId });
   return row ? parseRow(row) : null;
 }
 
-export async function createEntity({ type, userId, subtype, data }) {
+// `actor` ({ userId, role, requestId }, see actorFromRequest) is recorded in the
+// revision log for clinical types; other writes ignore it. `data` is checked
+// against the type's schema (entitySchemas.js) and throws a 400 if invalid.
+export async function createEntity({ type, userId, subtype, data, actor }) {
   const id = uuidv4();
   const now = new Date();
-  const payload = {
+  const payload = validateEntityData(type, {
     ...data,
     id,
     createdAt: data?.createdAt || now.toISOString(),
     updatedAt: now.toISOString()
-  };
-
-  await query(
-    `INSERT INTO app_entities (id, user_id, type, subtype, data, created_at, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [id, userId || null, type, subtype || null, JSON.stringify(payload), now, now]
-  );
+  });
 
-  return payload;
+  // The row, its revision and its relational copy commit together
+  await withTransaction(async () => {
+    await storage.entities.insert({
+      id,
+      userId: userId || null,
+      type,
+      subtype: subtype || null,
+      data: JSON.stringify(payload),
+      createdAt: now,
+      updatedAt: now
+    });
+    await recordRevision({ entityType: type, entityId: id, ownerUserId: userId, entityVersion: 1, action: 'create', after: payload, actor });
+    await mirrorEntity({ type, id, userId, data: payload, version: 1, createdAt: now });
+  });
+  await notifyEntityChange(type, [id], 'create');
+  return withVersion(payload, 1);
 }
 
-export async function updateEntity({ id, type, userId, data, subtype }) {
-  const row = await fetchEntityRow({ id, type, userId });
-  if (!row) return null;
-
-  const existing = parseRow(row);
+// Writes `data` over the row it was read from, but only if nobody else wrote
+// in between (version unchanged); otherwise throws a conflict carrying the
+// row as it is stored now, or resolves to null if it was trashed meanwhile.
+async function writeEntityRow(row, { type, userId, data, subtype, actor }) {
+  const existing = parseDocument(row);
+  const version = Number(row.version) || 1;
   const now = new Date();
-  const payload = {
+  const payload = validateEntityData(type, {
     ...existing,
     ...data,
-    id,
+    id: row.id,
     updatedAt: now.toISOString()
-  };
+  });
+
+  const written = await withTransaction(async () => {
+    const updated = await storage.entities.update({
+      id: row.id,
+      version,
+      data: JSON.stringify(payload),
+      subtype: subtype ?? row.subtype ?? null,
+      updatedAt: now
+    });
+    if (!updated) return false;
+    await recordRevision({
+      entityType: type,
+      entityId: row.id,
+      ownerUserId: row.user_id,
+      entityVersion: version + 1,
+      action: 'update',
+      before: existing,
+      after: payload,
+      actor
+    });
+    await mirrorEntity({ type, id: row.id, userId: row.user_id, data: payload, version: version + 1, createdAt: row.created_at });
+    return true;
+  });
+  if (!written) {
+    const latest = await fetchEntityRow({ id: row.id, type, userId });
+    if (!latest) return null;
+    throw versionConflict(parseRow(latest));
+  }
 
-  await query(
-    `UPDATE app_entities SET data = ?, updated_at = ?, subtype = ? WHERE id = ?`,
-    [JSON.stringify(payload), now, subtype ?? row.subtype ?? null, id]
-  );
+  await notifyEntityChange(type, [row.id], 'update');
+  return withVersion(payload, version + 1);
+}
 
-  return payload;
+/**
+ * Read-modify-write with retries for merge-style updates:
+ *   mutateEntity({ id, type, mutate: (post) => ({ likes: [...post.likes, userId] }) })
+ * `mutate` receives the latest entity and returns the fields to change (or
+ * null to leave it alone); it is called again when another write wins the race.
+ */
+export async function mutateEntity({ id, type, userId, subtype, mutate, actor, retries = ENTITY_WRITE_RETRIES }) {
+  for (let attempt = 0; ; attempt += 1) {
+    const row = await fetchEntityRow({ id, type, userId });
+    if (!row) return null;
+
+    const changes = await mutate(parseRow(row));
+    if (changes === null || changes === undefined) return parseRow(row);
+
+    try {
+      return await writeEntityRow(row, { type, userId, data: changes, subtype, actor });
+    } catch (err) {
+      if (!isVersionConflict(err) || attempt >= retries) throw err;
+    }
+  }
 }
 
-export async function deleteEntity({ id, type, userId }) {
-  const clauses = ['id = ?', 'type = ?'];
-  const params = [id, type];
-  if (userId !== undefined) {
-    clauses.push('user_id = ?');
-    params.push(userId);
+// expectedVersion (e.g. from If-Match) turns the update into a strict
+// compare-and-set: a stale version is a conflict instead of being merged.
+export async function updateEntity({ id, type, userId, data, subtype, expectedVersion, actor }) {
+  if (expectedVersion === undefined || expectedVersion === null) {
+    return mutateEntity({ id, type, userId, subtype, actor, mutate: () => data || {} });
   }
-  const result = await query(
-    `DELETE FROM app_entities WHERE ${clauses.join(' AND ')}`,
-    params
-  );
-  return result.affectedRows > 0;
+
+  const row = await fetchEntityRow({ id, type, userId });
+  if (!row) return null;
+  if ((Number(row.version) || 1) !== Number(expectedVersion)) {
+    throw versionConflict(parseRow(row));
+  }
+  return writeEntityRow(row, { type, userId, data, subtype, actor });
 }
 
-export async function upsertBySubtype({ type, userId, subtype, data }) {
-  const rows = await query(
-    `SELECT id, data, subtype FROM app_entities WHERE type = ? AND user_id = ? AND subtype = ? LIMIT 1`,
-    [type, userId, subtype]
-  );
+// Rows a trash or restore statement is about to touch that something else
+// follows, read first: the revision log says what was removed or brought
+// back, the relational copies (relationalRecords.js) are dropped or
+// rewritten and change listeners hear about them. Trash and restore read
+// these rows and write their revisions in the same transaction as the
+// statement itself, so the log cannot disagree with the rows.
+const isFollowed = (type) => isHistoryTracked(type) || syncsRelational(type) || entityChangeListeners.has(type);
+
+async function selectFollowedRows(scope) {
+  const rows = await storage.entities.findRows(scope);
+  return rows.filter((row) => isFollowed(row.type));
+}
 
-  if (rows.length) {
-    const existing = parseRow(rows[0]);
+async function recordRowRevisions(rows, action, actor) {
+  for (const row of rows) {
+    if (!isHistoryTracked(row.type)) continue;
+    await recordRevision({
+      entityType: row.type,
+      entityId: row.id,
+      ownerUserId: row.user_id,
+      entityVersion: (Number(row.version) || 1) + 1,
+      action,
+      before: parseRow(row),
+      actor
+    });
+  }
+}
+
+// Trashes the rows in `scope`. `followed` is false when no type in the scope
+// is followed, which spares reading the rows first.
+async function trashFollowedRows(scope, deletedBy, actor, followed) {
+  const { trashed, rows } = await withTransaction(async () => {
+    const selected = followed ? await selectFollowedRows(scope) : [];
+    const count = await storage.entities.trash(scope, deletedBy);
+    await recordRowRevisions(selected, 'delete', actor);
+    await removeMirroredRows(selected);
+    return { trashed: count, rows: selected };
+  });
+  await notifyRowChanges(rows, 'delete');
+  return trashed;
+}
+
+// Moves the entity to the trash; restoreEntities brings it back until it is purged
+export async function deleteEntity({ id, type, userId, deletedBy, actor }) {
+  const trashed = await trashFollowedRows({ ids: [id], type, userId }, deletedBy ?? actor?.userId ?? userId ?? null, actor, isFollowed(type));
+  return trashed > 0;
+}
+
+// Trashes many entities of one type at once (admin bulk delete)
+export async function deleteEntitiesByIds(type, ids, deletedBy, actor) {
+  if (!ids.length) return 0;
+  return trashFollowedRows({ ids, type }, deletedBy || null, actor, isFollowed(type));
+}
+
+export async function upsertBySubtype({ type, userId, subtype, data, actor }) {
+  const row = await storage.entities.findOne({ type, userId, subtype });
+
+  if (row) {
     return updateEntity({
-      id: rows[0].id,
+      id: row.id,
       type,
       userId,
       subtype,
-      data: { ...existing, ...data }
+      data,
+      actor
     });
   }
 
-  return createEntity({ type, userId, subtype, data });
+  return createEntity({ type, userId, subtype, data, actor });
 }
 
 export async function getBySubtype({ type, userId, subtype }) {
-  const rows = await query(
-    `SELECT id, data FROM app_entities WHERE type = ? AND user_id = ? AND subtype = ? LIMIT 1`,
-    [type, userId, subtype]
-  );
-  return rows.length ? parseRow(rows[0]) : null;
+  const row = await storage.entities.findOne({ type, userId, subtype });
+  return row ? parseRow(row) : null;
 }
 
-export async function deleteEntitiesByTypes(userId, types) {
+export async function deleteEntitiesByTypes(userId, types, actor) {
   if (!types.length) return 0;
-  const placeholders = types.map(() => '?').join(', ');
-  const result = await query(
-    `DELETE FROM app_entities WHERE user_id = ? AND type IN (${placeholders})`,
-    [userId, ...types]
-  );
-  return result.affectedRows || 0;
+  return trashFollowedRows({ userId, types }, userId, actor, types.some(isFollowed));
+}
+
+// What a user deleted themselves, newest first. Entities removed by staff
+// (moderation, bulk delete) stay out of the owner's trash.
+export async function listTrash({ userId, type, limit = 100 }) {
+  const rows = await storage.entities.listTrash({
+    userId,
+    type: type || undefined,
+    limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500),
+    retentionDays: TRASH_RETENTION_DAYS
+  });
+  return rows.map((row) => ({
+    id: row.id,
+    type: row.type,
+    deletedAt: row.deleted_at,
+    purgeAt: row.purge_at,
+    item: parseRow(row)
+  }));
+}
+
+// Brings trashed entities back. With userId only what that user deleted can
+// be restored; without it (admin) any trashed row of the type can.
+export async function restoreEntities({ type, ids, userId, actor }) {
+  if (!ids.length) return 0;
+  const scope = { ids, type: type || undefined, userId, deletedBy: userId };
+  const { restored, followed } = await withTransaction(async () => {
+    const rows = !type || isFollowed(type) ? await selectFollowedRows({ ...scope, deleted: true }) : [];
+    const count = await storage.entities.restore(scope);
+    await recordRowRevisions(rows, 'restore', actor);
+    await mirrorRows(rows);
+    return { restored: count, followed: rows };
+  });
+  await notifyRowChanges(followed, 'restore');
+  return restored;
+}
+
+// Permanently removes entities that have been in the trash past the retention period
+export async function purgeTrash({ retentionDays = TRASH_RETENTION_DAYS, batchSize = 500 } = {}) {
+  let purged = 0;
+  for (;;) {
+    const removed = await storage.entities.purgeTrash({ retentionDays, limit: batchSize });
+    purged += removed;
+    if (removed < batchSize) return purged;
+  }
+}
+
+// Called once at startup: purges now and then every few hours
+export function startTrashPurge() {
+  if (purgeTimer) return;
+  const run = () =>
+    purgeTrash()
+      .then((purged) => {
+        if (purged) console.log(`✓ Purged ${purged} trashed entities older than ${TRASH_RETENTION_DAYS} days`);
+      })
+      .catch((err) => console.warn('Trash purge failed:', err.message));
+  run();
+  purgeTimer = setInterval(run, TRASH_PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
+
+/**
+ * Checks stored entities against their schemas (validate-entities.js).
+ * Returns one summary per type: rows scanned, rows on an older schema version,
+ * rows that fail validation, and up to `sampleLimit` of the failing rows.
+ */
+export async function reportInvalidEntities({ types = Object.keys(ENTITY_SCHEMAS), sampleLimit = 20, batchSize = 500 } = {}) {
+  const report = [];
+  for (const type of types) {
+    if (!ENTITY_SCHEMAS[type]) throw new Error(`No schema registered for entity type "${type}"`);
+    const summary = { type, schemaVersion: ENTITY_SCHEMAS[type].version, rows: 0, outdated: 0, invalid: 0, samples: [] };
+
+    let lastId = null;
+    for (;;) {
+      const rows = await storage.entities.select({
+        type,
+        sort: [{ field: 'id', direction: 'ASC' }],
+        limit: batchSize,
+        after: lastId === null ? undefined : [lastId]
+      });
+
+      for (const row of rows) {
+        summary.rows += 1;
+        let data = null;
+        try {
+          data = JSON.parse(row.data || '{}');
+        } catch (err) {
+          data = null;
+        }
+        const result = data
+          ? checkEntityData(type, data)
+          : { success: false, issues: [{ path: '', message: 'Stored data is not valid JSON' }] };
+        if (data && schemaVersionOf(data) < summary.schemaVersion) summary.outdated += 1;
+        if (result.success) continue;
+        summary.invalid += 1;
+        if (summary.samples.length < sampleLimit) {
+          summary.samples.push({ id: row.id, userId: row.user_id, issues: result.issues });
+        }
+      }
+
+      if (rows.length < batchSize) break;
+      lastId = rows[rows.length - 1].id;
+    }
+    report.push(summary);
+  }
+  return report;
 }
 
 export async function getUserMeta(userId, keys) {
   if (!keys.length) return {};
-  const placeholders = keys.map(() => '?').join(', ');
-  const rows = await query(
-    `SELECT meta_key, meta_value FROM app_user_meta WHERE user_id = ? AND meta_key IN (${placeholders})`,
-    [userId, ...keys]
-  );
-  return rows.reduce((acc, row) => {
-    acc[row.meta_key] = row.meta_value;
-    return acc;
-  }, {});
+  return storage.userMeta.get(userId, keys);
 }
 
 export async function setUserMeta(userId, values) {
@@ -211,42 +557,37 @@ export async function setUserMeta(userId, values) {
   if (!entries.length) return;
   const now = new Date();
   for (const [key, value] of entries) {
-    await query(
-      `INSERT INTO app_user_meta (user_id, meta_key, meta_value, updated_at)
-       VALUES (?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE meta_value = VALUES(meta_value), updated_at = VALUES(updated_at)`,
-      [userId, key, String(value), now]
-    );
+    await storage.userMeta.set(userId, key, String(value), now);
   }
 }
 
 export async function listCatalog(type) {
-  const rows = await query(
-    `SELECT id, data FROM app_catalog WHERE type = ? ORDER BY created_at ASC`,
-    [type]
-  );
-  return rows.map(parseRow);
+  return cached(`catalog:${type}`, CATALOG_CACHE_SECONDS, async () => {
+    const rows = await storage.catalog.list(type);
+    return rows.map(parseRow);
+  });
+}
+
+export async function getCatalogItem(type, id) {
+  if (!id) return null;
+  const row = await storage.catalog.get(type, id);
+  return row ? parseRow(row) : null;
 }
 
 async function seedCatalogType(type, items) {
-  const rows = await query('SELECT COUNT(*) AS count FROM app_catalog WHERE type = ?', [type]);
-  if (rows[0]?.count > 0) return;
+  if ((await storage.catalog.count(type)) > 0) return;
 
   const now = new Date();
   for (const item of items) {
     const id = item.id || uuidv4();
     const payload = { ...item, id };
-    await query(
-      `INSERT INTO app_catalog (id, type, data, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, type, JSON.stringify(payload), now, now]
-    );
+    await storage.catalog.insert({ id, type, data: JSON.stringify(payload), createdAt: now, updatedAt: now });
   }
+  await notifyCatalogChange(type);
 }
 
 async function seedDonors() {
-  const rows = await query("SELECT COUNT(*) AS count FROM app_entities WHERE type = 'donor'");
-  if (rows[0]?.count > 0) return;
+  if ((await countEntities({ type: 'donor' })) > 0) return;
 
   for (const donor of SEED_DONORS) {
     await createEntity({
@@ -0,0 +1,85 @@
+import 'dotenv/config';
+import { createLruCache } from './lruCache.js';
+import { createRedisCache } from './redisCache.js';
+
+const CACHE_BACKENDS = new Set(['lru', 'redis']);
+
+// CACHE=redis shares entries (and their invalidation) between server
+// instances through CACHE_URL; the default keeps them in this process
+export const CACHE_BACKEND = (() => {
+  const backend = String(process.env.CACHE || 'lru').trim().toLowerCase();
+  if (!CACHE_BACKENDS.has(backend)) {
+    throw new Error(`Unsupported CACHE: ${process.env.CACHE} (expected lru or redis)`);
+  }
+  if (backend === 'redis' && !process.env.CACHE_URL) {
+    throw new Error('CACHE=redis needs CACHE_URL (e.g. redis://localhost:6379/0)');
+  }
+  return backend;
+})();
+
+const backend =
+  CACHE_BACKEND === 'redis'
+    ? createRedisCache({ url: process.env.CACHE_URL, prefix: process.env.CACHE_PREFIX ?? 'nurture-glow:' })
+    : createLruCache({ maxEntries: Math.max(Number(process.env.CACHE_MAX_ENTRIES) || 500, 1) });
+
+const WARNING_INTERVAL_MS = 60 * 1000;
+let lastWarningAt = 0;
+
+// A broken cache only costs speed: reads fall through to the loader
+const warn = (action, err) => {
+  if (Date.now() - lastWarningAt < WARNING_INTERVAL_MS) return;
+  lastWarningAt = Date.now();
+  console.warn(`Cache ${action} failed (${backend.name}):`, err.message);
+};
+
+const inFlight = new Map();
+// Bumped by invalidateCache so a load that started before the invalidation
+// does not store what it read
+const generations = new Map();
+
+/**
+ * Get-or-load: returns the cached value for `key`, or runs `load()`, keeps
+ * its result for `ttlSeconds` and returns it. Values must survive a JSON
+ * round trip. Concurrent misses for one key share a single load.
+ *   const items = await cached(`catalog:${type}`, 300, () => storage.catalog.list(type));
+ */
+export async function cached(key, ttlSeconds, load) {
+  try {
+    const hit = await backend.get(key);
+    if (hit !== null && hit !== undefined) return JSON.parse(hit);
+  } catch (err) {
+    warn('read', err);
+  }
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const generation = generations.get(key) || 0;
+  const loading = (async () => {
+    const value = await load();
+    if ((generations.get(key) || 0) === generation) {
+      try {
+        await backend.set(key, JSON.stringify(value), ttlSeconds * 1000);
+      } catch (err) {
+        warn('write', err);
+      }
+    }
+    return value;
+  })().finally(() => {
+    if (inFlight.get(key) === loading) inFlight.delete(key);
+  });
+  inFlight.set(key, loading);
+  return loading;
+}
+
+// Drops entries after the data behind them changed; the next read reloads
+export async function invalidateCache(...keys) {
+  for (const key of keys) {
+    generations.set(key, (generations.get(key) || 0) + 1);
+    inFlight.delete(key);
+  }
+  try {
+    await backend.delete(keys);
+  } catch (err) {
+    warn('invalidation', err);
+  }
+}
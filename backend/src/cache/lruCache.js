@@ -0,0 +1,31 @@
+// In-process backend: a Map kept in least-recently-used order, so the
+// oldest entry is dropped once `maxEntries` is reached. Expired entries are
+// removed when they are next read.
+export function createLruCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'lru',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(keys) {
+      keys.forEach((key) => entries.delete(key));
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { createRequire } from 'module';
+
+const CONNECT_TIMEOUT_MS = 2000;
+const COMMAND_TIMEOUT_MS = 1000;
+// While the server is unreachable the client tries again this often;
+// commands fail at once in between instead of queueing
+const RECONNECT_DELAY_MS = 5000;
+
+// `redis` is an optional dependency: only CACHE=redis needs it installed
+const assertClientInstalled = () => {
+  try {
+    createRequire(import.meta.url).resolve('redis');
+  } catch (err) {
+    throw new Error('CACHE=redis needs the optional "redis" package (npm install redis)');
+  }
+};
+
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Redis command timed out')), COMMAND_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Backend for any server that speaks the Redis protocol (Redis, Valkey,
+ * KeyDB, ...) through the node-redis client. CACHE_URL takes the usual form
+ * redis[s]://[[user]:password@]host[:port][/db]. The connection is opened on
+ * first use and kept open in the background; every command has a short
+ * timeout so a slow cache never holds up a request.
+ */
+export function createRedisCache({ url, prefix = '' }) {
+  assertClientInstalled();
+  let connection = null;
+
+  // Resolves once the first connection attempt has either succeeded or
+  // failed, so the first requests wait for it but later ones never do
+  const connect = async () => {
+    const { createClient } = await import('redis');
+    const client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: { connectTimeout: CONNECT_TIMEOUT_MS, reconnectStrategy: () => RECONNECT_DELAY_MS }
+    });
+    const settled = new Promise((resolve) => {
+      client.once('ready', resolve);
+      client.once('error', resolve);
+    });
+    // Failures reach the caller through the commands, which cache/index.js logs
+    client.on('error', () => {});
+    client.unref();
+    client.connect().catch(() => {});
+    await settled;
+    return client;
+  };
+
+  const command = (run) => {
+    connection ??= connect();
+    return withTimeout(connection.then(run));
+  };
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return command((redis) => redis.get(prefix + key));
+    },
+
+    async set(key, value, ttlMs) {
+      await command((redis) => redis.set(prefix + key, value, { PX: Math.max(Math.round(ttlMs), 1) }));
+    },
+
+    async delete(keys) {
+      if (keys.length) await command((redis) => redis.del(keys.map((key) => prefix + key)));
+    }
+  };
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+import { sendSms } from './smsService.js';
+import { sendEmailVerificationEmail } from './emailService.js';
+import { getSystemSettings, parseSettingList } from './settingsStore.js';
+
+const PHONE_CODE_TTL_MINUTES = 10;
+const EMAIL_TOKEN_TTL_MINUTES = 24 * 60;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_CODE_ATTEMPTS = 5;
+const DEFAULT_REQUIRED_ACTIONS = ['orders', 'blood_donor_registration', 'consent_grant'];
+
+export const hashVerificationSecret = (id, secret) =>
+  crypto.createHash('sha256').update(`${id}:${secret}`).digest('hex');
+
+export const generateOtpCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Enforces the resend cooldown and hourly cap for one user/purpose pair.
+// Returns the number of seconds to wait, or 0 when a new code may be sent.
+export async function getResendWaitSeconds(userId, purpose) {
+  const rows = await storage.verificationCodes.listSentSince(userId, purpose, 60);
+  if (!rows.length) return 0;
+
+  const now = Date.now();
+  const latest = new Date(rows[0].created_at).getTime();
+  const cooldownLeft = Math.ceil((latest + RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000);
+  if (cooldownLeft > 0) return cooldownLeft;
+
+  if (rows.length >= MAX_SENDS_PER_HOUR) {
+    const oldest = new Date(rows[rows.length - 1].created_at).getTime();
+    return Math.max(Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000), 1);
+  }
+  return 0;
+}
+
+// Stores a hashed secret and retires any earlier pending code for the same purpose
+export async function storeVerificationSecret({ userId, purpose, target, secret, ttlMinutes }) {
+  await storage.verificationCodes.expirePending(userId, purpose);
+
+  const id = uuidv4();
+  const now = new Date();
+  await storage.verificationCodes.insert({
+    id,
+    userId,
+    purpose,
+    target,
+    secretHash: hashVerificationSecret(id, secret),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+    createdAt: now
+  });
+  return id;
+}
+
+// Checks a numeric code against the latest pending entry, counting attempts.
+// Returns { ok, target } or { ok: false, error }.
+export async function consumeVerificationCode({ userId, purpose, code }) {
+  const row = await storage.verificationCodes.findLatestPending(userId, purpose);
+  if (!row) return { ok: false, error: 'CODE_EXPIRED' };
+  if (row.attempts >= MAX_CODE_ATTEMPTS) return { ok: false, error: 'TOO_MANY_ATTEMPTS' };
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  const expected = Buffer.from(row.secret_hash);
+  const actual = Buffer.from(hashVerificationSecret(row.id, normalized));
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await storage.verificationCodes.addAttempt(row.id);
+    return {
+      ok: false,
+      error: row.attempts + 1 >= MAX_CODE_ATTEMPTS ? 'TOO_MANY_ATTEMPTS' : 'INVALID_CODE'
+    };
+  }
+
+  if (!(await storage.verificationCodes.consume(row.id))) return { ok: false, error: 'CODE_EXPIRED' };
+  return { ok: true, target: row.target };
+}
+
+export async function getContactVerificationStatus(userId) {
+  const row = (await storage.users.findProfile(userId)) || {};
+  return {
+    phoneVerified: Boolean(row.phone_verified_at),
+    emailVerified: Boolean(row.email && row.email_verified_at),
+    hasEmail: Boolean(row.email)
+  };
+}
+
+// Sends a phone OTP or an email link. Returns { sent: true, expiresInMinutes }
+// or { sent: false, error, retryAfterSeconds? }.
+export async function requestContactVerification({ userId, channel }) {
+  const user = await storage.users.findProfile(userId);
+  if (!user) return { sent: false, error: 'USER_NOT_FOUND' };
+
+  if (channel === 'email' && !user.email) return { sent: false, error: 'NO_EMAIL' };
+  if ((channel === 'phone' && user.phone_verified_at) || (channel === 'email' && user.email_verified_at)) {
+    return { sent: false, error: 'ALREADY_VERIFIED' };
+  }
+
+  const purpose = channel === 'phone' ? 'verify_phone' : 'verify_email';
+  const retryAfterSeconds = await getResendWaitSeconds(userId, purpose);
+  if (retryAfterSeconds) return { sent: false, error: 'RATE_LIMITED', retryAfterSeconds };
+
+  if (channel === 'phone') {
+    const code = generateOtpCode();
+    await storeVerificationSecret({ userId, purpose, target: user.phone, secret: code, ttlMinutes: PHONE_CODE_TTL_MINUTES });
+    await sendSms(user.phone, `Your Nurture Glow verification code is ${code}. It expires in ${PHONE_CODE_TTL_MINUTES} minutes.`);
+    return { sent: true, expiresInMinutes: PHONE_CODE_TTL_MINUTES };
+  }
+
+  // The link token is "<row id>.<secret>" so it can be looked up without the user being signed in
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const id = await storeVerificationSecret({ userId, purpose, target: user.email, secret, ttlMinutes: EMAIL_TOKEN_TTL_MINUTES });
+  await sendEmailVerificationEmail(user.email, `${id}.${secret}`, user.full_name || '');
+  return { sent: true, expiresInMinutes: EMAIL_TOKEN_TTL_MINUTES };
+}
+
+export async function verifyPhoneCode(userId, code) {
+  const result = await consumeVerificationCode({ userId, purpose: 'verify_phone', code });
+  if (!result.ok) return result;
+  // Only mark the number verified if it hasn't changed since the code was sent
+  await storage.users.markPhoneVerified(userId, result.target);
+  return { ok: true };
+}
+
+export async function verifyEmailToken(token) {
+  const [id, secret] = String(token || '').split('.');
+  if (!id || !secret) return { ok: false, error: 'INVALID_TOKEN' };
+
+  const row = await storage.verificationCodes.findPending(id, 'verify_email');
+  if (!row) return { ok: false, error: 'INVALID_TOKEN' };
+  const expected = Buffer.from(row.secret_hash);
+  const actual = Buffer.from(hashVerificationSecret(row.id, secret));
+  if (!crypto.timingSafeEqual(expected, actual)) return { ok: false, error: 'INVALID_TOKEN' };
+
+  if (!(await storage.verificationCodes.consume(row.id))) return { ok: false, error: 'INVALID_TOKEN' };
+  await storage.users.markEmailVerified(row.user_id, row.target);
+  return { ok: true, userId: row.user_id };
+}
+
+// Blocks sensitive actions until the contact details required by
+// 'verification_required_contact' (phone | email | any | all) are verified.
+export const requireVerifiedContact = (action) => async (req, res, next) => {
+  try {
+    const settings = await getSystemSettings(['verification_required_actions', 'verification_required_contact']);
+    const actions = parseSettingList(settings.verification_required_actions, DEFAULT_REQUIRED_ACTIONS);
+    if (!actions.includes(action)) return next();
+
+    const mode = settings.verification_required_contact || 'phone';
+    const status = await getContactVerificationStatus(req.user.sub);
+    const satisfied = {
+      phone: status.phoneVerified,
+      email: status.emailVerified,
+      any: status.phoneVerified || status.emailVerified,
+      all: status.phoneVerified && (status.emailVerified || !status.hasEmail)
+    }[mode] ?? status.phoneVerified;
+
+    if (satisfied) return next();
+
+    return res.status(403).json({
+      error: 'Please verify your contact details to continue',
+      code: 'CONTACT_VERIFICATION_REQUIRED',
+      required: mode,
+      verification: status
+    });
+  } catch (err) {
+    next(err);
+  }
+};
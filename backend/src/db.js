@@ -1,5 +1,7 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import mysql from 'mysql2/promise';
 import 'dotenv/config';
+import { isMemoryStorage } from './storage/driver.js';
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
@@ -12,9 +14,99 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
+// Errors where MySQL rolled the work back and a retry from the start is safe
+const RETRYABLE_TX_ERRORS = new Set(['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT']);
+const TX_MAX_ATTEMPTS = Math.max(Number(process.env.DB_TX_MAX_ATTEMPTS) || 3, 1);
+
+// The transaction the current async call chain runs in, so query() (and every
+// helper built on it) joins it without having the connection passed around
+const activeTransaction = new AsyncLocalStorage();
+
+const currentTransaction = () => {
+  const tx = activeTransaction.getStore();
+  return tx && !tx.finished ? tx : null;
+};
+
+export const inTransaction = () => Boolean(currentTransaction());
+
+// Code that still talks SQL directly has no in-memory counterpart
+const sqlUnavailable = () => {
+  const error = new Error('This feature needs MySQL and is not available with STORAGE=memory');
+  error.status = 501;
+  error.code = 'SQL_UNAVAILABLE';
+  return error;
+};
+
 export async function query(sql, params = []) {
-  const [rows] = await pool.query(sql, params);
+  if (isMemoryStorage()) throw sqlUnavailable();
+  const tx = currentTransaction();
+  const [rows] = await (tx ? tx.connection : pool).query(sql, params);
   return rows;
 }
 
+async function withSavepoint(tx, fn) {
+  tx.savepoints += 1;
+  const name = `sp_${tx.savepoints}`;
+  await tx.connection.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn(tx);
+    await tx.connection.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (err) {
+    // After a deadlock the savepoint is gone with the rest of the transaction
+    await tx.connection.query(`ROLLBACK TO SAVEPOINT ${name}`).catch(() => {});
+    throw err;
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs fn(tx) as one transaction on a single pooled connection:
+ *   await withTransaction(async (tx) => {
+ *     await tx.query('INSERT INTO users ...', params);
+ *     await createEntity({ ... }); // query() and appStore helpers join automatically
+ *   });
+ * Commits when fn resolves and rolls back when it throws. Deadlocks and lock
+ * wait timeouts run fn again from the start, so emails and other side effects
+ * belong after it. Nested calls join the outer transaction behind a
+ * savepoint: if one throws, only its own writes are undone, so a caller that
+ * catches the error can still commit the rest.
+ */
+export async function withTransaction(fn) {
+  const outer = currentTransaction();
+  if (outer) return withSavepoint(outer, fn);
+  // The in-memory store applies each write at once, so there is nothing to roll back
+  if (isMemoryStorage()) return fn({ query });
+
+  for (let attempt = 1; ; attempt += 1) {
+    const connection = await pool.getConnection();
+    const tx = {
+      connection,
+      finished: false,
+      savepoints: 0,
+      query: async (sql, params = []) => {
+        if (tx.finished) throw new Error('Transaction has already finished');
+        const [rows] = await connection.query(sql, params);
+        return rows;
+      }
+    };
+    try {
+      await connection.beginTransaction();
+      const result = await activeTransaction.run(tx, () => fn(tx));
+      await connection.commit();
+      return result;
+    } catch (err) {
+      await connection.rollback().catch(() => {});
+      if (!RETRYABLE_TX_ERRORS.has(err.code) || attempt >= TX_MAX_ATTEMPTS) throw err;
+      console.warn(`Transaction hit ${err.code}, retrying (attempt ${attempt + 1}/${TX_MAX_ATTEMPTS})`);
+      await wait(25 * attempt + Math.floor(Math.random() * 25));
+    } finally {
+      // Work started inside fn but not awaited falls back to the pool
+      tx.finished = true;
+      connection.release();
+    }
+  }
+}
+
 export { pool };
@@ -235,6 +235,120 @@ export async function sendSuspensionAppealEmail(email, details = {}) {
   }
 }
 
+/**
+ * Send email address verification link
+ */
+export async function sendEmailVerificationEmail(email, verificationToken, userName = '') {
+  await initPromise;
+
+  const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+
+  const mailOptions = {
+    from: isTestMode ? testAccount.user : `"Nurture Glow" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Verify Your Email - Nurture Glow',
+    html: generateEmailVerificationHTML(verifyLink, userName),
+    text: generateEmailVerificationText(verifyLink, userName)
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✓ Verification email sent to:', email);
+    if (isTestMode) {
+      const previewUrl = nodemailer.getTestMessageUrl(info);
+      console.log('Email preview:', previewUrl);
+    }
+    return { success: true, messageId: info.messageId, previewUrl: isTestMode ? nodemailer.getTestMessageUrl(info) : null };
+  } catch (error) {
+    console.error('✕ Failed to send verification email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send account lockout email after repeated failed logins
+ */
+export async function sendAccountLockedEmail(email, userName = '', lockedUntil = null) {
+  await initPromise;
+
+  const mailOptions = {
+    from: isTestMode ? testAccount.user : `"Nurture Glow" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Account Temporarily Locked - Nurture Glow',
+    html: generateAccountLockedHTML(userName, lockedUntil),
+    text: generateAccountLockedText(userName, lockedUntil)
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✓ Account lockout email sent to:', email);
+    if (isTestMode) {
+      const previewUrl = nodemailer.getTestMessageUrl(info);
+      console.log('Email preview:', previewUrl);
+    }
+    return { success: true, messageId: info.messageId, previewUrl: isTestMode ? nodemailer.getTestMessageUrl(info) : null };
+  } catch (error) {
+    console.error('✕ Failed to send account lockout email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send an alert when the account signs in from a device it has not used before
+ */
+export async function sendNewDeviceLoginEmail(email, userName = '', details = {}) {
+  await initPromise;
+
+  const mailOptions = {
+    from: isTestMode ? testAccount.user : `"Nurture Glow" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'New Sign-in to Your Account - Nurture Glow',
+    html: generateNewDeviceLoginHTML(userName, details),
+    text: generateNewDeviceLoginText(userName, details)
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✓ New device sign-in email sent to:', email);
+    if (isTestMode) {
+      const previewUrl = nodemailer.getTestMessageUrl(info);
+      console.log('Email preview:', previewUrl);
+    }
+    return { success: true, messageId: info.messageId, previewUrl: isTestMode ? nodemailer.getTestMessageUrl(info) : null };
+  } catch (error) {
+    console.error('✕ Failed to send new device sign-in email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send an alert when an external identity provider was linked to the account
+ */
+export async function sendIdentityLinkedEmail(email, userName = '', details = {}) {
+  await initPromise;
+
+  const mailOptions = {
+    from: isTestMode ? testAccount.user : `"Nurture Glow" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'New Sign-in Method Linked - Nurture Glow',
+    html: generateIdentityLinkedHTML(userName, details),
+    text: generateIdentityLinkedText(userName, details)
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✓ Identity linked email sent to:', email);
+    if (isTestMode) {
+      const previewUrl = nodemailer.getTestMessageUrl(info);
+      console.log('Email preview:', previewUrl);
+    }
+    return { success: true, messageId: info.messageId, previewUrl: isTestMode ? nodemailer.getTestMessageUrl(info) : null };
+  } catch (error) {
+    console.error('✕ Failed to send identity linked email:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Verify email configuration
  */
@@ -613,12 +727,238 @@ Your trusted partner in pregnancy and baby care
   `;
 }
 
+function generateEmailVerificationHTML(verifyLink, userName) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify Your Email</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #F7F5EF;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F7F5EF; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="background: linear-gradient(135deg, #10B981 0%, #059669 100%); padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">Verify Your Email</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              ${userName ? `<p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">Hello ${userName},</p>` : ''}
+              <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 30px 0;">
+                Please confirm that this email address belongs to you. The link expires in 24 hours.
+              </p>
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 0 0 30px 0;">
+                    <a href="${verifyLink}" style="display: inline-block; background: linear-gradient(135deg, #10B981 0%, #059669 100%); color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-size: 16px; font-weight: bold;">Verify Email</a>
+                  </td>
+                </tr>
+              </table>
+              <p style="color: #6B7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                If you didn't create a Nurture Glow account, you can ignore this email.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #F9FAFB; padding: 30px; text-align: center; border-top: 1px solid #E5E7EB;">
+              <p style="color: #6B7280; font-size: 13px; margin: 0 0 10px 0;">
+                © 2026 Nurture Glow. All rights reserved.
+              </p>
+              <p style="color: #9CA3AF; font-size: 12px; margin: 0;">
+                Your trusted partner in pregnancy and baby care
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function generateEmailVerificationText(verifyLink, userName) {
+  return `
+Verify Your Email
+
+Hello ${userName ? userName : 'there'},
+
+Please confirm that this email address belongs to you by opening the link below (valid for 24 hours):
+
+${verifyLink}
+
+If you didn't create a Nurture Glow account, you can ignore this email.
+
+© 2026 Nurture Glow
+Your trusted partner in pregnancy and baby care
+  `;
+}
+
+function generateAccountLockedHTML(userName, lockedUntil) {
+  const untilHtml = lockedUntil
+    ? `<p style="color: #374151; font-size: 14px;"><strong>Locked until:</strong> ${new Date(lockedUntil).toUTCString()}</p>`
+    : '';
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Account Temporarily Locked</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #F7F5EF;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F7F5EF; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="background: linear-gradient(135deg, #F59E0B 0%, #D97706 100%); padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">Account Temporarily Locked</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              ${userName ? `<p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">Hello ${userName},</p>` : ''}
+              <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                We noticed several failed sign-in attempts on your Nurture Glow account, so we have locked it for a short time to keep it safe.
+              </p>
+              ${untilHtml}
+              <p style="color: #6B7280; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
+                If this wasn't you, we recommend resetting your password once the lock expires.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #F9FAFB; padding: 30px; text-align: center; border-top: 1px solid #E5E7EB;">
+              <p style="color: #6B7280; font-size: 13px; margin: 0 0 10px 0;">
+                © 2026 Nurture Glow. All rights reserved.
+              </p>
+              <p style="color: #9CA3AF; font-size: 12px; margin: 0;">
+                Your trusted partner in pregnancy and baby care
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function generateAccountLockedText(userName, lockedUntil) {
+  return `
+Account Temporarily Locked
+
+Hello ${userName ? userName : 'there'},
+
+We noticed several failed sign-in attempts on your Nurture Glow account, so we have locked it for a short time.
+${lockedUntil ? `Locked until: ${new Date(lockedUntil).toUTCString()}\n` : ''}
+If this wasn't you, we recommend resetting your password once the lock expires.
+
+© 2026 Nurture Glow
+Your trusted partner in pregnancy and baby care
+  `;
+}
+
+function generateNewDeviceLoginHTML(userName, { deviceLabel, ipAddress, signedInAt }) {
+  const sessionsLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings/sessions`;
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>New Sign-in to Your Account</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #F7F5EF;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F7F5EF; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="background: linear-gradient(135deg, #10B981 0%, #059669 100%); padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">New Sign-in Detected</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              ${userName ? `<p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">Hello ${userName},</p>` : ''}
+              <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                Your Nurture Glow account was just used to sign in on a device we have not seen before.
+              </p>
+              <p style="color: #374151; font-size: 14px; margin: 0 0 6px 0;"><strong>Device:</strong> ${deviceLabel || 'Unknown device'}</p>
+              <p style="color: #374151; font-size: 14px; margin: 0 0 6px 0;"><strong>IP address:</strong> ${ipAddress || 'Unknown'}</p>
+              <p style="color: #374151; font-size: 14px; margin: 0 0 20px 0;"><strong>Time:</strong> ${new Date(signedInAt || Date.now()).toUTCString()}</p>
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 10px 0 20px 0;">
+                    <a href="${sessionsLink}" style="display: inline-block; background: linear-gradient(135deg, #10B981 0%, #059669 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; font-size: 15px;">Review Signed-in Devices</a>
+                  </td>
+                </tr>
+              </table>
+              <p style="color: #6B7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                If this was you, no action is needed. If not, sign out the device and change your password.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #F9FAFB; padding: 30px; text-align: center; border-top: 1px solid #E5E7EB;">
+              <p style="color: #6B7280; font-size: 13px; margin: 0 0 10px 0;">
+                © 2026 Nurture Glow. All rights reserved.
+              </p>
+              <p style="color: #9CA3AF; font-size: 12px; margin: 0;">
+                Your trusted partner in pregnancy and baby care
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function generateNewDeviceLoginText(userName, { deviceLabel, ipAddress, signedInAt }) {
+  const sessionsLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings/sessions`;
+  return `
+New Sign-in Detected
+
+Hello ${userName ? userName : 'there'},
+
+Your Nurture Glow account was just used to sign in on a device we have not seen before.
+
+Device: ${deviceLabel || 'Unknown device'}
+IP address: ${ipAddress || 'Unknown'}
+Time: ${new Date(signedInAt || Date.now()).toUTCString()}
+
+If this was you, no action is needed. If not, sign out the device and change your password:
+${sessionsLink}
+
+© 2026 Nurture Glow
+Your trusted partner in pregnancy and baby care
+  `;
+}
+
 export default {
   sendPasswordResetEmail,
   sendWelcomeEmail,
   sendPasswordResetConfirmationEmail,
   sendAccountSuspendedEmail,
   sendSuspensionAppealEmail,
+  sendAccountLockedEmail,
+  sendNewDeviceLoginEmail,
+  sendIdentityLinkedEmail,
+  sendEmailVerificationEmail,
   verifyEmailConfig
 };
 
@@ -696,3 +1036,82 @@ ${message || 'No message provided.'}
 Review in System Admin -> Suspension Appeals.
   `;
 }
+
+function generateIdentityLinkedHTML(userName, { providerName, ipAddress, linkedAt }) {
+  const identitiesLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings/security`;
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>New Sign-in Method Linked</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #F7F5EF;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #F7F5EF; padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <tr>
+            <td style="background: linear-gradient(135deg, #10B981 0%, #059669 100%); padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">New Sign-in Method Linked</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              ${userName ? `<p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">Hello ${userName},</p>` : ''}
+              <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                An external account from ${providerName || 'an identity provider'} can now be used to sign in to your Nurture Glow account.
+              </p>
+              <p style="color: #374151; font-size: 14px; margin: 0 0 6px 0;"><strong>IP address:</strong> ${ipAddress || 'Unknown'}</p>
+              <p style="color: #374151; font-size: 14px; margin: 0 0 20px 0;"><strong>Time:</strong> ${new Date(linkedAt || Date.now()).toUTCString()}</p>
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding: 10px 0 20px 0;">
+                    <a href="${identitiesLink}" style="display: inline-block; background: linear-gradient(135deg, #10B981 0%, #059669 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; font-size: 15px;">Review Linked Accounts</a>
+                  </td>
+                </tr>
+              </table>
+              <p style="color: #6B7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                If this was you, no action is needed. If not, remove the linked account and change your password.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #F9FAFB; padding: 30px; text-align: center; border-top: 1px solid #E5E7EB;">
+              <p style="color: #6B7280; font-size: 13px; margin: 0 0 10px 0;">
+                © 2026 Nurture Glow. All rights reserved.
+              </p>
+              <p style="color: #9CA3AF; font-size: 12px; margin: 0;">
+                Your trusted partner in pregnancy and baby care
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function generateIdentityLinkedText(userName, { providerName, ipAddress, linkedAt }) {
+  const identitiesLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings/security`;
+  return `
+New Sign-in Method Linked
+
+Hello ${userName ? userName : 'there'},
+
+An external account from ${providerName || 'an identity provider'} can now be used to sign in to your Nurture Glow account.
+
+IP address: ${ipAddress || 'Unknown'}
+Time: ${new Date(linkedAt || Date.now()).toUTCString()}
+
+If this was you, no action is needed. If not, remove the linked account and change your password:
+${identitiesLink}
+
+© 2026 Nurture Glow
+Your trusted partner in pregnancy and baby care
+  `;
+}
@@ -0,0 +1,166 @@
+import { storage } from './storage/index.js';
+import { getUserAccess } from './permissions.js';
+
+// Record types whose every change is kept for medico-legal review. All but
+// high_risk_case live in app_entities and are logged by appStore itself.
+export const CLINICAL_HISTORY_TYPES = new Set(['medical_report', 'appointment', 'prescription', 'high_risk_case']);
+
+// Bookkeeping fields that change on every write and would only add noise
+const IGNORED_FIELDS = new Set(['updatedAt', 'updated_at', 'schemaVersion']);
+
+export const isHistoryTracked = (type) => CLINICAL_HISTORY_TYPES.has(type);
+
+// Who is making a change: actorFromRequest(req) for route handlers
+export const actorFromRequest = (req) => ({
+  userId: req?.user?.sub || null,
+  role: req?.userRole || req?.user?.role || null,
+  requestId: req?.requestId || null
+});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// { field: { from, to } } for every top-level field that differs. A missing
+// `from` or `to` means the field did not exist on that side.
+export const diffFields = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (sameValue(from, to)) continue;
+    changes[key] = {};
+    if (from !== undefined) changes[key].from = from;
+    if (to !== undefined) changes[key].to = to;
+  }
+  return changes;
+};
+
+const insertRevision = ({ entityType, entityId, ownerUserId, entityVersion, action, changes, actor, createdAt }) =>
+  storage.revisions.insert({
+    entityType,
+    entityId,
+    ownerUserId: ownerUserId || null,
+    entityVersion: entityVersion ?? null,
+    action,
+    actorUserId: actor?.userId || null,
+    actorRole: actor?.role ? String(actor.role).slice(0, 50) : null,
+    requestId: actor?.requestId ? String(actor.requestId).slice(0, 64) : null,
+    changes: JSON.stringify(changes),
+    createdAt
+  });
+
+/**
+ * Appends one revision: action is create, update, delete or restore.
+ * Records written before the log existed get a `baseline` revision holding
+ * their prior state first, so point-in-time reads start from real data.
+ * Updates that change nothing are skipped.
+ */
+export async function recordRevision({
+  entityType,
+  entityId,
+  ownerUserId = null,
+  entityVersion = null,
+  action,
+  before = null,
+  after = null,
+  actor = null
+}) {
+  if (!isHistoryTracked(entityType)) return;
+
+  const changes = action === 'create' || action === 'update' ? diffFields(before, after) : {};
+  if (action === 'update' && !Object.keys(changes).length) return;
+
+  const createdAt = new Date();
+  if (before && action !== 'create') {
+    if (!(await storage.revisions.exists({ entityType, entityId }))) {
+      await insertRevision({
+        entityType,
+        entityId,
+        ownerUserId,
+        entityVersion: null,
+        action: 'baseline',
+        changes: diffFields({}, before),
+        actor: null,
+        createdAt
+      });
+    }
+  }
+
+  await insertRevision({ entityType, entityId, ownerUserId, entityVersion, action, changes, actor, createdAt });
+}
+
+const parseChanges = (value) => {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value || '{}');
+  } catch (err) {
+    return {};
+  }
+};
+
+const toRevision = (row) => ({
+  id: Number(row.id),
+  action: row.action,
+  entityVersion: row.entity_version === null ? null : Number(row.entity_version),
+  ownerUserId: row.owner_user_id,
+  actor: { userId: row.actor_user_id, role: row.actor_role },
+  requestId: row.request_id,
+  changes: parseChanges(row.changes),
+  createdAt: row.created_at
+});
+
+// Every revision of one record, oldest first
+export async function getEntityTimeline(entityType, entityId) {
+  const rows = await storage.revisions.list({ entityType, entityId });
+  return rows.map(toRevision);
+}
+
+// Rebuilds the record as it was at `at` by replaying its revisions.
+// Returns null when the record had no history yet at that time.
+export async function getEntityStateAt(entityType, entityId, at) {
+  const rows = await storage.revisions.list({ entityType, entityId, until: at });
+  if (!rows.length) return null;
+
+  const state = {};
+  let deleted = false;
+  let entityVersion = null;
+  for (const revision of rows.map(toRevision)) {
+    if (revision.action === 'delete') deleted = true;
+    if (revision.action === 'restore') deleted = false;
+    for (const [field, change] of Object.entries(revision.changes)) {
+      if ('to' in change) state[field] = change.to;
+      else delete state[field];
+    }
+    entityVersion = revision.entityVersion ?? entityVersion;
+  }
+
+  const last = toRevision(rows[rows.length - 1]);
+  return { state, deleted, entityVersion, revisionId: last.id, changedAt: last.createdAt, ownerUserId: last.ownerUserId };
+}
+
+async function hasActiveConsent(patientId, doctorId) {
+  const rows = await storage.entities.findRows({ type: 'medical_consent', userId: patientId });
+  const now = new Date();
+  return rows.some((row) => {
+    try {
+      const consent = JSON.parse(row.data || '{}');
+      if (consent.doctorId !== doctorId || consent.status !== 'active') return false;
+      return !consent.expiresAt || now <= new Date(consent.expiresAt);
+    } catch (err) {
+      return false;
+    }
+  });
+}
+
+// The record's owner, a doctor the owner has an active consent with, or a
+// medical admin (clinical_history.read)
+export async function canViewHistory(userId, ownerUserId) {
+  if (!userId) return false;
+  if (ownerUserId && userId === ownerUserId) return true;
+
+  const access = await getUserAccess(userId);
+  if (!access) return false;
+  if (access.permissions.has('clinical_history.read')) return true;
+  return Boolean(ownerUserId) && access.permissions.has('patients.read') && hasActiveConsent(ownerUserId, userId);
+}
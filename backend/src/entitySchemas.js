@@ -0,0 +1,219 @@
+import { z } from 'zod';
+
+/**
+ * Shape of the JSON document stored for each app_entities type. createEntity
+ * and updateEntity validate against it: unknown keys are dropped and invalid
+ * values fail with a 400. Types without an entry are stored as given.
+ *
+ * Every written document carries `schemaVersion`. When a type's shape changes,
+ * bump `version` and add `upgrades[oldVersion]`, a function that turns a document
+ * of that version into the next one. Reads upgrade old rows on the fly; the
+ * upgraded form is saved on the row's next write. Rows written before the
+ * registry existed have no schemaVersion and count as version 1. appStore
+ * drops the field from the entities it returns.
+ */
+
+// Managed by appStore, not by callers
+const STORE_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+const entityId = z.string().trim().min(1).max(100);
+const text = (max) => z.string().max(max);
+const dateText = z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid date');
+
+const APPOINTMENT_STATUSES = ['scheduled', 'in-progress', 'completed', 'cancelled'];
+const LEGACY_APPOINTMENT_STATUSES = {
+  complete: 'completed',
+  'in progress': 'in-progress',
+  canceled: 'cancelled',
+  cancel: 'cancelled',
+  upcoming: 'scheduled',
+  pending: 'scheduled'
+};
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const lowerCase = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const appointmentSchema = z.object({
+  userId: entityId,
+  patientId: entityId,
+  doctorId: entityId,
+  doctorName: text(120).nullable().optional(),
+  specialty: text(120).nullable().optional(),
+  date: text(100),
+  time: text(50),
+  status: z.enum(APPOINTMENT_STATUSES),
+  scheduledAt: dateText.nullable().optional(),
+  type: z.enum(['Online', 'Offline', 'Both']).optional(),
+  notes: text(2000).optional(),
+  meetingUrl: text(500).optional(),
+  doctorNotes: text(4000).optional(),
+  prescriptionId: entityId.optional(),
+  hasPrescription: z.boolean().optional()
+});
+
+const orderItemSchema = z.object({
+  id: entityId,
+  name: text(200).min(1),
+  price: z.number().nonnegative(),
+  quantity: z.number().positive(),
+  image: text(500).optional(),
+  category: text(100).optional()
+});
+
+const orderSchema = z.object({
+  userId: entityId,
+  items: z.array(orderItemSchema).min(1),
+  deliveryAddress: z.union([text(500).min(1), z.record(z.string(), z.unknown())]),
+  deliveryFee: z.number().nonnegative(),
+  subtotal: z.number().nonnegative(),
+  total: z.number().nonnegative(),
+  notes: text(1000).optional(),
+  status: z.enum(ORDER_STATUSES),
+  orderDate: dateText,
+  estimatedDelivery: dateText.optional(),
+  pharmacyNotes: text(2000).optional(),
+  shippedAt: dateText.optional(),
+  deliveredAt: dateText.optional()
+});
+
+const vaccineSchema = z.object({
+  userId: entityId,
+  name: text(120).min(1),
+  dueDate: dateText,
+  status: z.enum(['Taken', 'Pending', 'Missed']),
+  childId: entityId.optional(),
+  dose: text(50).optional(),
+  notes: text(1000).optional()
+});
+
+const nutritionLogSchema = z.object({
+  userId: entityId,
+  name: text(120).min(1),
+  calories: z.number().positive(),
+  type: z.enum(['Breakfast', 'Lunch', 'Dinner', 'Snack']).optional(),
+  time: text(40),
+  protein: z.number().nonnegative().optional(),
+  carbs: z.number().nonnegative().optional(),
+  fat: z.number().nonnegative().optional()
+});
+
+const journalEntrySchema = z.object({
+  userId: entityId,
+  title: text(120).optional(),
+  mood: text(40).optional(),
+  content: text(4000).min(1),
+  date: dateText
+});
+
+const medicationSchema = z.object({
+  name: text(200).min(1),
+  dosage: text(100).optional(),
+  frequency: text(100).optional(),
+  duration: text(100).optional(),
+  instructions: text(500).optional()
+});
+
+const prescriptionSchema = z.object({
+  doctorId: entityId,
+  patientId: entityId,
+  consultationId: entityId.nullable(),
+  medications: z.array(medicationSchema).min(1),
+  instructions: text(4000),
+  diagnosis: text(2000),
+  followUpDate: dateText.nullable(),
+  prescribedAt: dateText,
+  status: z.enum(['active', 'completed', 'cancelled'])
+});
+
+const medicalConsentSchema = z.object({
+  patientId: entityId,
+  doctorId: entityId,
+  grantedAt: dateText,
+  expiresAt: dateText,
+  status: z.enum(['active', 'revoked', 'expired']),
+  accessLevel: z.enum(['full', 'limited']),
+  revokedAt: dateText.optional()
+});
+
+export const ENTITY_SCHEMAS = {
+  appointment: {
+    version: 2,
+    schema: appointmentSchema,
+    upgrades: {
+      // Version 1 stored whatever spelling of the status the client sent;
+      // unknown statuses were already read as scheduled
+      1: (data) => {
+        const status = lowerCase(data.status);
+        return {
+          ...data,
+          status: APPOINTMENT_STATUSES.includes(status) ? status : LEGACY_APPOINTMENT_STATUSES[status] || 'scheduled'
+        };
+      }
+    }
+  },
+  order: {
+    version: 2,
+    schema: orderSchema,
+    upgrades: {
+      1: (data) => {
+        const status = lowerCase(data.status);
+        return { ...data, status: status === 'canceled' ? 'cancelled' : status };
+      }
+    }
+  },
+  vaccine: { version: 2, schema: vaccineSchema, upgrades: {} },
+  nutrition_log: { version: 2, schema: nutritionLogSchema, upgrades: {} },
+  journal_entry: { version: 2, schema: journalEntrySchema, upgrades: {} },
+  prescription: { version: 2, schema: prescriptionSchema, upgrades: {} },
+  medical_consent: { version: 2, schema: medicalConsentSchema, upgrades: {} }
+};
+
+export const hasEntitySchema = (type) => Object.hasOwn(ENTITY_SCHEMAS, type);
+
+export const schemaVersionOf = (data) => Number(data?.schemaVersion) || 1;
+
+// The document brought up to its type's current schema version
+export function upgradeEntityData(type, data) {
+  const entry = ENTITY_SCHEMAS[type];
+  if (!entry || !data) return data;
+  let upgraded = data;
+  for (let version = schemaVersionOf(data); version < entry.version; version += 1) {
+    const upgrade = entry.upgrades[version];
+    upgraded = { ...(upgrade ? upgrade(upgraded) : upgraded), schemaVersion: version + 1 };
+  }
+  return upgraded;
+}
+
+const formatIssue = (issue) => ({ path: issue.path.join('.'), message: issue.message });
+
+// { success, data, issues } without throwing; data is the cleaned document
+export function checkEntityData(type, data) {
+  const entry = ENTITY_SCHEMAS[type];
+  if (!entry) return { success: true, data, issues: [] };
+
+  const upgraded = upgradeEntityData(type, data || {});
+  const result = entry.schema.safeParse(upgraded);
+  if (!result.success) {
+    return { success: false, data: null, issues: result.error.issues.map(formatIssue) };
+  }
+
+  const managed = {};
+  for (const field of STORE_FIELDS) {
+    if (upgraded[field] !== undefined) managed[field] = upgraded[field];
+  }
+  return { success: true, data: { ...result.data, ...managed, schemaVersion: entry.version }, issues: [] };
+}
+
+// The cleaned document, or a 400 error listing what is wrong with it
+export function validateEntityData(type, data) {
+  const result = checkEntityData(type, data);
+  if (result.success) return result.data;
+
+  const summary = result.issues.map((issue) => (issue.path ? `${issue.path}: ${issue.message}` : issue.message));
+  const error = new Error(`Invalid ${type.replace(/_/g, ' ')}: ${summary.join('; ')}`);
+  error.status = 400;
+  error.code = 'INVALID_ENTITY';
+  error.issues = result.issues;
+  throw error;
+}
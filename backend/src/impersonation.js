@@ -0,0 +1,113 @@
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+import { signJwt } from './jwtKeys.js';
+import { createSession } from './sessionStore.js';
+
+const IMPERSONATION_TTL_MINUTES = Math.min(Math.max(Number(process.env.IMPERSONATION_TTL_MINUTES) || 15, 1), 60);
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Writes an impersonating admin may still make (ending the impersonation itself)
+const ALLOWED_WRITES = [
+  { method: 'POST', path: /^\/auth\/logout\/?$/ }
+];
+
+export const isImpersonationToken = (payload) => Boolean(payload?.act?.sub);
+
+const recordImpersonationAction = ({
+  impersonatorId,
+  impersonatorRole,
+  userId,
+  sessionId,
+  actionType,
+  description,
+  metadata,
+  ipAddress,
+  severity = 'INFO'
+}) =>
+  storage.adminActions.insert({
+    id: uuidv4(),
+    adminUserId: impersonatorId,
+    adminRole: impersonatorRole,
+    actionType,
+    actionCategory: 'AUDIT',
+    entityType: 'session',
+    entityId: sessionId,
+    targetUserId: userId,
+    description: description.slice(0, 500),
+    metadata: JSON.stringify({ impersonatorId, userId, ...metadata }),
+    ipAddress: ipAddress ? String(ipAddress).slice(0, 45) : null,
+    severity
+  });
+
+// Issues a short-lived, non-refreshable session for the target user that
+// remembers which admin is acting on their behalf.
+export async function startImpersonation(req, { targetUser, reason }) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  const session = await createSession({
+    userId: targetUser.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    impersonatorId: req.user.sub,
+    expiresAt
+  });
+
+  const token = signJwt(
+    {
+      sub: targetUser.id,
+      role: targetUser.role,
+      act: { sub: req.user.sub, role: req.userRole },
+      impersonator: req.user.sub,
+      impersonation: true
+    },
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60, jwtid: session.sessionId }
+  );
+
+  await recordImpersonationAction({
+    impersonatorId: req.user.sub,
+    impersonatorRole: req.userRole,
+    userId: targetUser.id,
+    sessionId: session.sessionId,
+    actionType: 'IMPERSONATION_STARTED',
+    description: `Started impersonating user${reason ? `: ${reason}` : ''}`,
+    metadata: { reason: reason || null, expiresAt: expiresAt.toISOString() },
+    ipAddress: req.ip,
+    severity: 'WARNING'
+  });
+
+  return { token, sessionId: session.sessionId, expiresAt };
+}
+
+// Called by requireAuth for impersonation tokens. Every request is logged
+// against both identities; anything that could change data is refused.
+// Returns false when the request has already been answered.
+export function guardImpersonatedRequest(req, res) {
+  const { sub: userId, act, jti } = req.user;
+  const path = req.originalUrl.split('?')[0];
+  const allowed =
+    SAFE_METHODS.has(req.method) ||
+    ALLOWED_WRITES.some((rule) => rule.method === req.method && rule.path.test(path));
+
+  res.on('finish', () => {
+    recordImpersonationAction({
+      impersonatorId: act.sub,
+      impersonatorRole: act.role || 'system_admin',
+      userId,
+      sessionId: jti,
+      actionType: allowed ? 'IMPERSONATED_REQUEST' : 'IMPERSONATION_BLOCKED',
+      description: `${req.method} ${path} -> ${res.statusCode}`,
+      metadata: { method: req.method, path, status: res.statusCode },
+      ipAddress: req.ip,
+      severity: allowed ? 'INFO' : 'WARNING'
+    }).catch((err) => console.warn('Failed to log impersonated request:', err.message));
+  });
+
+  if (!allowed) {
+    res.status(403).json({
+      error: 'This action is not allowed while impersonating a user',
+      code: 'IMPERSONATION_READ_ONLY'
+    });
+    return false;
+  }
+  return true;
+}
@@ -5,55 +5,83 @@ import morgan from 'morgan';
 import helmet from 'helmet';
 import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import crypto from 'crypto';
-import fs from 'fs/promises';
-import fsSync from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-import { query } from './db.js';
+import { query, withTransaction } from './db.js';
+import { storage, isMemoryStorage } from './storage/index.js';
 import { seedDatabase } from './seed.js';
 import { createAppRouter } from './appRoutes.js';
 import { createAdminRouter } from './adminRoutes.js';
-import { ensureAppTables, seedAppData, getUserMeta, listEntities, setUserMeta } from './appStore.js';
+import { createPartnerRouter } from './partnerRoutes.js';
+import { seedAppData, getUserMeta, listEntities, createEntity, setUserMeta, startTrashPurge } from './appStore.js';
+import {
+  getTwoFactorState,
+  isTwoFactorRequiredForRole,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from './twoFactor.js';
+import { createIpBlacklistMiddleware, normalizeIp } from './ipBlacklist.js';
+import {
+  getLoginThrottleConfig,
+  accountThrottleKey,
+  ipThrottleKey,
+  checkLoginThrottle,
+  getProgressiveDelayMs,
+  registerLoginFailure,
+  clearLoginThrottle
+} from './loginThrottle.js';
+import { recordSecurityEvent } from './securityEvents.js';
+import {
+  getContactVerificationStatus,
+  requestContactVerification,
+  verifyPhoneCode,
+  verifyEmailToken
+} from './contactVerification.js';
+import { requestLoginOtp, verifyLoginOtp } from './otpLogin.js';
+import { assertSmsConfigured } from './smsService.js';
+import {
+  getPasswordPolicy,
+  validatePassword,
+  buildPasswordPolicyError,
+  recordPasswordHistory
+} from './passwordPolicy.js';
+import { createMaintenanceMiddleware } from './maintenance.js';
+import { getSettingBoolean } from './settingsStore.js';
+import {
+  createSession,
+  getActiveSession,
+  touchSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+  isKnownDevice,
+  describeDevice
+} from './sessionStore.js';
+import { isImpersonationToken, guardImpersonatedRequest } from './impersonation.js';
 import { normalizeRoleValue, CANONICAL_ROLES, getRoleFilterOptions } from './roles.js';
-import { sendPasswordResetEmail, sendWelcomeEmail, sendPasswordResetConfirmationEmail, sendSuspensionAppealEmail, verifyEmailConfig } from './emailService.js';
+import { syncPermissionCatalog, requirePermission } from './permissions.js';
+import { runBootMigrations } from './migrations.js';
+import { initJwtKeys, signJwt, verifyJwt, getJwks } from './jwtKeys.js';
+import { requireApiKey } from './apiKeys.js';
+import {
+  getOidcProvider,
+  listOidcProviders,
+  beginOidcLogin,
+  completeOidcCallback,
+  consumeOidcTicket,
+  listUserIdentities,
+  unlinkUserIdentity
+} from './oidc.js';
+import { sendPasswordResetEmail, sendWelcomeEmail, sendPasswordResetConfirmationEmail, sendSuspensionAppealEmail, sendAccountLockedEmail, sendNewDeviceLoginEmail, sendIdentityLinkedEmail, verifyEmailConfig } from './emailService.js';
 import 'dotenv/config';
 
 const NODE_ENV = process.env.NODE_ENV || 'development';
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const BACKEND_ROOT = path.resolve(__dirname, '..');
-const DEV_JWT_SECRET_PATH = path.join(BACKEND_ROOT, '.dev_jwt_secret');
-const loadDevJwtSecret = () => {
-  try {
-    const secret = fsSync.readFileSync(DEV_JWT_SECRET_PATH, 'utf8').trim();
-    if (secret.length >= 32) {
-      return secret;
-    }
-  } catch (err) {
-    // Ignore missing file
-  }
-
-  const generated = crypto.randomBytes(32).toString('hex');
-  try {
-    fsSync.writeFileSync(DEV_JWT_SECRET_PATH, generated, { encoding: 'utf8', mode: 0o600 });
-  } catch (err) {
-    console.warn('Failed to persist dev JWT secret:', err.message || err);
-  }
-  return generated;
-};
-
-const JWT_SECRET = (() => {
-  if (process.env.JWT_SECRET && process.env.JWT_SECRET.length >= 32) {
-    return process.env.JWT_SECRET;
-  }
-  if (NODE_ENV === 'production') {
-    throw new Error('JWT_SECRET must be set to a 32+ char value in production.');
-  }
-  console.warn('JWT_SECRET is missing or too short. Using a persisted dev secret.');
-  return loadDevJwtSecret();
-})();
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
 const app = express();
 
@@ -76,22 +104,33 @@ if (!allowAllOrigins && corsOrigins.length === 0) {
 }
 
 app.use(helmet({ contentSecurityPolicy: false }));
-app.use(cors({ origin: allowAllOrigins ? true : corsOrigins }));
+
+// Request ID that clinical revisions record, so a client report can be matched to a change
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.requestId = incoming && /^[A-Za-z0-9._:-]{8,64}$/.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.requestId);
+  next();
+});
+
+app.use(cors({ origin: allowAllOrigins ? true : corsOrigins, exposedHeaders: ['ETag', 'X-Request-Id'] }));
 app.use(express.json({ limit: '2mb' }));
 app.use(morgan('dev'));
+app.use(createIpBlacklistMiddleware());
 
-const getTokenUserId = (req) => {
+const getTokenPayload = (req) => {
   const header = req.headers.authorization || '';
   const token = header.startsWith('Bearer ') ? header.slice(7) : null;
   if (!token) return null;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    return payload?.sub || null;
+    return verifyJwt(token);
   } catch (err) {
     return null;
   }
 };
 
+const getTokenUserId = (req) => getTokenPayload(req)?.sub || null;
+
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   limit: 100,
@@ -108,8 +147,18 @@ const adminExportLimiter = rateLimit({
   skip: (req) => !req.path.includes('admin') || !req.path.includes('export')
 });
 
-app.use(apiLimiter);
-app.use(adminExportLimiter);
+app.use(createMaintenanceMiddleware({
+  getRequestRole: (req) => {
+    const payload = getTokenPayload(req);
+    return payload?.jti && !payload.purpose ? normalizeRoleValue(payload.role) : null;
+  }
+}));
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 // Input sanitization middleware
 app.use((req, res, next) => {
@@ -132,6 +181,31 @@ app.use((req, res, next) => {
   next();
 });
 
+// Partner integrations often share one egress IP with other traffic, so they
+// skip the per-IP browser limiter: each API key gets its own budget once it
+// authenticates, and only failed key checks count against the caller's IP
+const partnerKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: Math.max(Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 120, 1),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`
+});
+
+const partnerAuthFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKey)
+});
+
+app.use('/api/partner', partnerAuthFailureLimiter, createPartnerRouter({ requireApiKey, keyLimiter: partnerKeyLimiter }));
+
+app.use(apiLimiter);
+app.use(adminExportLimiter);
+
 const DB_NAME = process.env.DB_NAME || 'neonest';
 if (NODE_ENV === 'production') {
   const envSchema = z.object({
@@ -139,7 +213,7 @@ if (NODE_ENV === 'production') {
     DB_USER: z.string().min(1),
     DB_PASSWORD: z.string().min(1),
     DB_NAME: z.string().min(1),
-    JWT_SECRET: z.string().min(32),
+    JWT_SECRET: z.string().min(32).optional(),
     CORS_ORIGIN: z.string().optional(),
     FRONTEND_URL: z.string().optional()
   }).refine((data) => Boolean(data.CORS_ORIGIN || data.FRONTEND_URL), {
@@ -210,98 +284,6 @@ const TABLES = [
 
 const tableCache = new Map();
 
-const SQL_BOOTSTRAP_FILES = [
-  { file: 'database-schema.sql', required: true },
-  { file: 'add_role_column.sql', required: false },
-  { file: 'create_system_tables.sql', required: true },
-  { file: 'admin_tables_schema.sql', required: true },
-  { file: 'create_dashboard_views.sql', required: false }
-];
-
-const stripSqlComments = (sql) => {
-  const withoutBlock = sql.replace(/\/\*[\s\S]*?\*\//g, '');
-  return withoutBlock
-    .split(/\r?\n/)
-    .filter((line) => {
-      const trimmed = line.trim();
-      return trimmed && !trimmed.startsWith('--') && !trimmed.startsWith('#');
-    })
-    .join('\n');
-};
-
-const splitSqlStatements = (sql) =>
-  stripSqlComments(sql)
-    .split(';')
-    .map((stmt) => stmt.trim())
-    .filter(Boolean);
-
-const resolveSqlPath = async (fileName) => {
-  const candidates = [
-    path.resolve(process.cwd(), fileName),
-    path.resolve(process.cwd(), 'backend', fileName),
-    path.resolve(BACKEND_ROOT, fileName)
-  ];
-
-  for (const candidate of candidates) {
-    try {
-      await fs.access(candidate);
-      return candidate;
-    } catch (err) {
-      // try next
-    }
-  }
-
-  throw new Error(`SQL file not found: ${fileName}`);
-};
-
-async function runSqlFile(fileName) {
-  const filePath = await resolveSqlPath(fileName);
-  const raw = await fs.readFile(filePath, 'utf-8');
-  const statements = splitSqlStatements(raw);
-  for (const statement of statements) {
-    try {
-      await query(statement);
-    } catch (err) {
-      const msg = String(err?.message || err);
-      if (
-        msg.includes('Duplicate key name') ||
-        msg.includes('Duplicate column name') ||
-        msg.includes('already exists')
-      ) {
-        console.warn('Ignored duplicate schema error:', msg);
-        continue;
-      }
-      throw err;
-    }
-  }
-}
-
-const STRICT_BOOTSTRAP = process.env.STRICT_BOOTSTRAP === 'true' || NODE_ENV === 'production';
-
-async function ensureAdminSchema() {
-  const failures = [];
-
-  for (const entry of SQL_BOOTSTRAP_FILES) {
-    const fileName = typeof entry === 'string' ? entry : entry.file;
-    const required = typeof entry === 'string' ? false : Boolean(entry.required);
-    try {
-      await runSqlFile(fileName);
-    } catch (err) {
-      const message = err?.message || String(err);
-      if (STRICT_BOOTSTRAP || required) {
-        failures.push({ fileName, message });
-      } else {
-        console.warn(`Schema bootstrap skipped for ${fileName}:`, message);
-      }
-    }
-  }
-
-  if (failures.length) {
-    const details = failures.map((f) => `${f.fileName}: ${f.message}`).join('; ');
-    throw new Error(`Schema bootstrap failed: ${details}`);
-  }
-}
-
 async function assertCoreTables() {
   const requiredTables = ['users', 'user_profiles', 'roles', 'user_roles'];
   const placeholders = requiredTables.map(() => '?').join(', ');
@@ -313,7 +295,7 @@ async function assertCoreTables() {
   const missing = requiredTables.filter((table) => !existing.has(table));
   if (missing.length) {
     throw new Error(
-      `Missing core tables: ${missing.join(', ')}. Ensure database-schema.sql was applied.`
+      `Missing core tables: ${missing.join(', ')}. Run "npm run migrate -- up".`
     );
   }
 }
@@ -353,22 +335,44 @@ async function getTableMeta(table) {
   return meta;
 }
 
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const header = req.headers.authorization || '';
   const token = header.startsWith('Bearer ') ? header.slice(7) : null;
   if (!token) {
     return res.status(401).json({ error: 'Missing token' });
   }
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (payload && payload.role) {
-      payload.role = normalizeRoleValue(payload.role) || payload.role;
-    }
-    req.user = payload;
-    next();
+    payload = verifyJwt(token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  if (!payload || !payload.jti || payload.purpose) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  try {
+    // Tokens stay valid only while their server-side session is live
+    const session = await getActiveSession(payload.jti);
+    if (!session || session.user_id !== payload.sub) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    if ((session.impersonator_user_id || null) !== (payload.act?.sub || null)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    touchSession(session.id).catch((err) =>
+      console.warn('Failed to update session activity:', err.message)
+    );
+  } catch (err) {
+    return next(err);
+  }
+  if (payload.role) {
+    payload.role = normalizeRoleValue(payload.role) || payload.role;
+  }
+  req.user = payload;
+  if (isImpersonationToken(payload) && !guardImpersonatedRequest(req, res)) {
+    return;
+  }
+  next();
 }
 
 // CRITICAL FIX: Check if user account is suspended
@@ -376,17 +380,9 @@ function checkSuspensionStatus(req, res, next) {
   return (async () => {
     try {
       if (!req.user || !req.user.sub) return next();
-      const rows = await query(
-        `SELECT data FROM app_entities WHERE type = 'user_suspension' AND user_id = ? ORDER BY created_at DESC LIMIT 1`,
-        [req.user.sub]
-      );
-      if (rows.length > 0) {
-        try {
-          const suspension = JSON.parse(rows[0].data || '{}');
-          if (suspension.status === 'suspended') {
-            return res.status(403).json({ error: 'Account suspended', reason: suspension.reason });
-          }
-        } catch (e) {}
+      const [suspension] = await listEntities({ type: 'user_suspension', userId: req.user.sub, limit: 1 });
+      if (suspension?.status === 'suspended') {
+        return res.status(403).json({ error: 'Account suspended', reason: suspension.reason });
       }
       next();
     } catch (err) {
@@ -408,12 +404,9 @@ function requireRole(...allowedRoles) {
         .map((role) => normalizeRoleValue(role));
 
       // Get user role directly from users.role column (standardized approach)
-      const rows = await query(
-        `SELECT role FROM users WHERE id = ? LIMIT 1`,
-        [req.user.sub]
-      );
+      const userRow = await storage.users.findById(req.user.sub);
 
-      const rawRole = rows.length > 0 && rows[0].role ? rows[0].role : 'mother';
+      const rawRole = userRow?.role || 'mother';
       const userRole = normalizeRoleValue(rawRole);
 
       if (!normalizedAllowed.includes(userRole)) {
@@ -454,35 +447,23 @@ function requireConsentForPatient(patientIdParam = 'patientId') {
       }
 
       // Check for ACTIVE, NON-EXPIRED consent from patient
-      const consentRows = await query(
-        `SELECT id, data FROM app_entities 
-         WHERE type = 'medical_consent' 
-         AND user_id = ?
-         LIMIT 100`,
-        [patientId]
-      );
+      const consents = await listEntities({ type: 'medical_consent', userId: patientId, limit: 100 });
 
       const now = new Date();
-      const activeConsent = consentRows.find(row => {
-        try {
-          const consent = JSON.parse(row.data || '{}');
-          
-          // Check if consent is from this doctor
-          if (consent.doctorId !== doctorId) return false;
-          
-          // Check if consent is active
-          if (consent.status !== 'active') return false;
-          
-          // Check if consent has expired
-          if (consent.expiresAt) {
-            const expiryDate = new Date(consent.expiresAt);
-            if (now > expiryDate) return false;
-          }
-          
-          return true;
-        } catch (err) {
-          return false;
+      const activeConsent = consents.find(consent => {
+        // Check if consent is from this doctor
+        if (consent.doctorId !== doctorId) return false;
+
+        // Check if consent is active
+        if (consent.status !== 'active') return false;
+
+        // Check if consent has expired
+        if (consent.expiresAt) {
+          const expiryDate = new Date(consent.expiresAt);
+          if (now > expiryDate) return false;
         }
+
+        return true;
       });
 
       if (!activeConsent) {
@@ -505,17 +486,8 @@ function requireConsentForPatient(patientIdParam = 'patientId') {
 }
 
 async function getUserProfile(userId) {
-  const rows = await query(
-    `SELECT u.id, u.phone, u.email, u.status, u.role, p.full_name, p.preferred_language
-     FROM users u
-     LEFT JOIN user_profiles p ON p.user_id = u.id
-     WHERE u.id = ?
-     LIMIT 1`,
-    [userId]
-  );
-
-  if (!rows.length) return null;
-  const row = rows[0];
+  const row = await storage.users.findProfile(userId);
+  if (!row) return null;
   const meta = await getUserMeta(userId, ['avatar']);
   const verificationDocs = await listEntities({ type: 'verification_doc', userId });
   const verificationStatus = (() => {
@@ -533,15 +505,72 @@ async function getUserProfile(userId) {
     healthId: `NG-${row.id.slice(0, 8).toUpperCase()}`,
     avatar: meta.avatar || `https://picsum.photos/seed/${row.id}/100/100`,
     verified: verificationStatus,
+    phoneVerified: Boolean(row.phone_verified_at),
+    emailVerified: Boolean(row.email && row.email_verified_at),
     preferredLanguage: row.preferred_language || 'en',
     role: normalizeRoleValue(row.role || 'mother')
   };
 }
 
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+
+const verifyTwoFactorChallenge = (challengeToken, purposes) => {
+  try {
+    const decoded = verifyJwt(challengeToken);
+    return purposes.includes(decoded.purpose) ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Short-lived access token bound to a server-side session (jti = session id)
+const signAccessToken = ({ userId, role, sessionId }) =>
+  signJwt({ sub: userId, role }, { expiresIn: ACCESS_TOKEN_TTL, jwtid: sessionId });
+
+// Emails the owner when a sign-in comes from a user agent the account has not used
+// before. Skipped for first sign-ins, when disabled platform-wide or by the user.
+const notifyNewDeviceLogin = async (req, userId, device) => {
+  if (!device.hasSessions || device.known) return;
+  if (!(await getSettingBoolean('new_device_email_enabled', true))) return;
+  const meta = await getUserMeta(userId, ['new_device_alerts']);
+  if (meta.new_device_alerts === 'false') return;
+
+  const profile = await getUserProfile(userId);
+  if (!profile?.email) return;
+  await sendNewDeviceLoginEmail(profile.email, profile.name || '', {
+    deviceLabel: describeDevice(req.get('user-agent')),
+    ipAddress: normalizeIp(req.ip),
+    signedInAt: new Date()
+  });
+};
+
+const issueSessionTokens = async (req, { userId, role }) => {
+  const device = await isKnownDevice(userId, req.get('user-agent'));
+  const session = await createSession({
+    userId,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  notifyNewDeviceLogin(req, userId, device).catch((err) =>
+    console.warn('Failed to send new device alert:', err.message)
+  );
+  return {
+    token: signAccessToken({ userId, role, sessionId: session.sessionId }),
+    refreshToken: session.refreshToken,
+    refreshExpiresAt: session.expiresAt.toISOString()
+  };
+};
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Public keys for RS256/ES256 tokens so partners can verify them offline
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 app.get('/db/ping', async (req, res, next) => {
   try {
     const rows = await query('SELECT 1 AS ok');
@@ -568,14 +597,15 @@ app.post('/auth/register', async (req, res, next) => {
       return res.status(400).json({ error: 'name, phone, and password are required' });
     }
 
-    const existing = await query(
-      'SELECT id FROM users WHERE email = ? OR phone = ? LIMIT 1',
-      [email || null, phone]
-    );
-    if (existing.length) {
+    if (await storage.users.existsByEmailOrPhone(email || null, phone)) {
       return res.status(409).json({ error: 'User already exists' });
     }
 
+    const passwordCheck = await validatePassword(password, { identity: { phone, email, name } });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(buildPasswordPolicyError(passwordCheck.violations));
+    }
+
     const userId = uuidv4();
     const passwordHash = await bcrypt.hash(password, 10);
     // Standardized role validation - matches frontend UserRole type
@@ -583,23 +613,24 @@ app.post('/auth/register', async (req, res, next) => {
     const safeRole = CANONICAL_ROLES.has(normalizedRole) ? normalizedRole : 'mother';
     const healthId = `NG-${userId.slice(0, 8).toUpperCase()}`;
 
-    await query(
-      'INSERT INTO users (id, phone, email, password_hash, auth_provider, status, role, health_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [userId, phone, email || null, passwordHash, 'local', 'active', safeRole, healthId]
-    );
-
-    await query(
-      'INSERT INTO user_profiles (user_id, full_name, preferred_language) VALUES (?, ?, ?)',
-      [userId, name, preferred_language || 'en']
+    // All or nothing: a user row without its profile or role breaks sign-in
+    await withTransaction(() =>
+      storage.users.create({
+        id: userId,
+        phone,
+        email: email || null,
+        passwordHash,
+        authProvider: 'local',
+        status: 'active',
+        role: safeRole,
+        healthId,
+        fullName: name,
+        preferredLanguage: preferred_language || 'en'
+      })
     );
 
-    const roleRows = await query('SELECT id FROM roles WHERE role_name = ? LIMIT 1', ['USER']);
-    if (roleRows.length) {
-      await query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, roleRows[0].id]);
-    }
-
     const user = await getUserProfile(userId);
-    const token = jwt.sign({ sub: userId, role: user?.role }, JWT_SECRET, { expiresIn: '7d' });
+    const tokens = await issueSessionTokens(req, { userId, role: user?.role });
 
     // Send welcome email (non-blocking)
     if (email) {
@@ -608,7 +639,25 @@ app.post('/auth/register', async (req, res, next) => {
       );
     }
 
-    res.status(201).json({ token, user });
+    // Kick off contact verification (non-blocking)
+    const channels = email ? ['phone', 'email'] : ['phone'];
+    for (const channel of channels) {
+      requestContactVerification({ userId, channel }).catch((err) =>
+        console.error(`Failed to send ${channel} verification:`, err.message)
+      );
+    }
+
+    res.status(201).json({ ...tokens, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Current password rules so clients can show them before submitting
+app.get('/api/auth/password-policy', async (req, res, next) => {
+  try {
+    const policy = await getPasswordPolicy();
+    res.json({ policy });
   } catch (err) {
     next(err);
   }
@@ -627,14 +676,11 @@ app.post('/api/auth/forgot-password', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
-    const rows = await query(
-      'SELECT id, email FROM users WHERE email = ? LIMIT 1',
-      [email.toLowerCase().trim()]
-    );
+    const user = await storage.users.findByEmail(email.toLowerCase().trim());
 
     // Always return success even if email doesn't exist (security best practice)
     // This prevents email enumeration attacks
-    if (!rows.length) {
+    if (!user) {
       console.log(`Password reset requested for non-existent email: ${email}`);
       return res.json({ 
         success: true, 
@@ -642,20 +688,14 @@ app.post('/api/auth/forgot-password', async (req, res, next) => {
       });
     }
 
-    const user = rows[0];
-    
     // Generate reset token (valid for 1 hour)
-    const resetToken = jwt.sign(
+    const resetToken = signJwt(
       { sub: user.id, purpose: 'password_reset' },
-      JWT_SECRET,
       { expiresIn: '1h' }
     );
 
     // Store reset token in database
-    await query(
-      'INSERT INTO password_reset_tokens (user_id, token, expires_at, created_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 1 HOUR), NOW())',
-      [user.id, resetToken]
-    );
+    await storage.passwordResets.insert({ userId: user.id, token: resetToken, ttlMinutes: 60 });
 
     // Get user profile for name
     const userProfile = await getUserProfile(user.id);
@@ -703,15 +743,10 @@ app.post('/api/auth/reset-password', async (req, res, next) => {
       return res.status(400).json({ error: 'Token and new password are required' });
     }
 
-    // Validate password strength
-    if (pwd.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
-    }
-
     // Verify token
     let decoded;
     try {
-      decoded = jwt.verify(token, JWT_SECRET);
+      decoded = verifyJwt(token);
       if (decoded.purpose !== 'password_reset') {
         return res.status(400).json({ error: 'Invalid reset token' });
       }
@@ -720,41 +755,44 @@ app.post('/api/auth/reset-password', async (req, res, next) => {
     }
 
     // Check if token exists and hasn't been used
-    const tokenRows = await query(
-      'SELECT id, user_id, used_at FROM password_reset_tokens WHERE token = ? AND expires_at > NOW() LIMIT 1',
-      [token]
-    );
+    const tokenRecord = await storage.passwordResets.findValid(token);
 
-    if (!tokenRows.length) {
+    if (!tokenRecord) {
       return res.status(400).json({ error: 'Invalid or expired reset token' });
     }
 
-    const tokenRecord = tokenRows[0];
-    
     if (tokenRecord.used_at) {
       return res.status(400).json({ error: 'This reset token has already been used' });
     }
 
+    // Validate password against the policy (checked after the token so history isn't probed anonymously)
+    const identity = (await storage.users.findProfile(decoded.sub)) || {};
+    const passwordCheck = await validatePassword(pwd, {
+      userId: decoded.sub,
+      identity: { phone: identity.phone, email: identity.email, name: identity.full_name }
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(buildPasswordPolicyError(passwordCheck.violations));
+    }
+
     // Hash new password
     const passwordHash = await bcrypt.hash(pwd, 10);
+    await recordPasswordHistory(decoded.sub);
 
     // Update password
-    await query(
-      'UPDATE users SET password_hash = ? WHERE id = ?',
-      [passwordHash, decoded.sub]
-    );
+    await storage.users.updatePassword(decoded.sub, passwordHash);
 
     // Mark token as used
-    await query(
-      'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
-      [tokenRecord.id]
-    );
+    await storage.passwordResets.markUsed(tokenRecord.id);
+
+    // Sign out every device that used the old password
+    await revokeUserSessions(decoded.sub, 'password_reset');
 
     // Get user email and send confirmation
-    const userRows = await query('SELECT email FROM users WHERE id = ? LIMIT 1', [decoded.sub]);
-    if (userRows.length && userRows[0].email) {
+    const resetUser = await storage.users.findById(decoded.sub);
+    if (resetUser?.email) {
       const userProfile = await getUserProfile(decoded.sub);
-      sendPasswordResetConfirmationEmail(userRows[0].email, userProfile?.name || '').catch(err =>
+      sendPasswordResetConfirmationEmail(resetUser.email, userProfile?.name || '').catch(err =>
         console.error('Failed to send password reset confirmation:', err.message)
       );
     }
@@ -768,6 +806,113 @@ app.post('/api/auth/reset-password', async (req, res, next) => {
   }
 });
 
+const VERIFICATION_ERROR_MESSAGES = {
+  USER_NOT_FOUND: 'User not found',
+  NO_EMAIL: 'No email address on this account',
+  ALREADY_VERIFIED: 'Already verified',
+  RATE_LIMITED: 'Please wait before requesting another code',
+  CODE_EXPIRED: 'Verification code expired. Please request a new one.',
+  TOO_MANY_ATTEMPTS: 'Too many incorrect attempts. Please request a new code.',
+  INVALID_CODE: 'Invalid verification code',
+  INVALID_TOKEN: 'Invalid or expired verification link'
+};
+
+const sendLoginLocked = (res, lockedUntil) => {
+  const retryAfter = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Please try again later.',
+    lockedUntil: lockedUntil.toISOString()
+  });
+};
+
+// Count a failed attempt; on lockout record a BRUTE_FORCE event and warn the account owner.
+// Returns the lock expiry when this failure triggered a lockout.
+const handleFailedLogin = async (req, { accountKey, ipKey, userRow, identifier, config }) => {
+  const newLocks = await registerLoginFailure({ accountKey, ipKey, config });
+  for (const lock of newLocks) {
+    recordSecurityEvent({
+      eventType: 'BRUTE_FORCE',
+      severity: 'HIGH',
+      userId: lock.scope === 'account' ? userRow?.id || null : null,
+      ipAddress: normalizeIp(req.ip),
+      userAgent: req.get('user-agent'),
+      description: lock.scope === 'account'
+        ? `Account locked after repeated failed logins (${identifier})`
+        : `IP ${normalizeIp(req.ip)} locked after repeated failed logins`,
+      metadata: { scope: lock.scope, lockedUntil: lock.lockedUntil.toISOString(), identifier }
+    }).catch((err) => console.warn('Failed to record lockout event:', err.message));
+
+    if (lock.scope === 'account' && userRow?.email && config.emailOnLockout) {
+      getUserProfile(userRow.id)
+        .then((profile) => sendAccountLockedEmail(userRow.email, profile?.name || '', lock.lockedUntil))
+        .catch((err) => console.warn('Failed to send lockout email:', err.message));
+    }
+  }
+  return newLocks.length ? newLocks[0].lockedUntil : null;
+};
+
+// Blocked/suspended accounts get a 403; suspended ones also get a short-lived appeal token
+const sendInactiveAccountResponse = async (res, userRow) => {
+  let suspensionDetails = null;
+  if (userRow.status === 'suspended') {
+    try {
+      const [suspension] = await listEntities({ type: 'user_suspension', userId: userRow.id, limit: 1 });
+      if (suspension) {
+        suspensionDetails = {
+          id: suspension.id,
+          reason: suspension.reason || null,
+          suspendedAt: suspension.suspendedAt || suspension.createdAt
+        };
+      }
+    } catch (e) {}
+  }
+
+  const appealToken = userRow.status === 'suspended'
+    ? signJwt(
+        { sub: userRow.id, purpose: 'suspension_appeal' },
+        { expiresIn: '15m' }
+      )
+    : null;
+
+  return res.status(403).json({
+    error: userRow.status === 'suspended' ? 'Account suspended' : 'User is blocked',
+    reason: userRow.status,
+    suspension: suspensionDetails,
+    appeal: userRow.status === 'suspended'
+      ? {
+          enabled: true,
+          token: appealToken,
+          expiresInMinutes: 15,
+          endpoint: '/auth/suspension-appeal'
+        }
+      : { enabled: false }
+  });
+};
+
+// Final step shared by every first-factor login: either a 2FA challenge or a full session
+const completeLogin = async (req, res, userId) => {
+  const user = await getUserProfile(userId);
+
+  // Second step: hand out a short-lived challenge instead of a session
+  const twoFactor = await getTwoFactorState(userId);
+  if (twoFactor.enabled || await isTwoFactorRequiredForRole(user?.role)) {
+    const purpose = twoFactor.enabled ? 'two_factor_challenge' : 'two_factor_enroll';
+    const challengeToken = signJwt({ sub: userId, purpose }, {
+      expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m`
+    });
+    return res.json({
+      twoFactorRequired: true,
+      enrollmentRequired: !twoFactor.enabled,
+      challengeToken,
+      expiresInMinutes: TWO_FACTOR_CHALLENGE_MINUTES
+    });
+  }
+
+  const tokens = await issueSessionTokens(req, { userId, role: user?.role });
+  return res.json({ ...tokens, user });
+};
+
 app.post('/auth/login', async (req, res, next) => {
   try {
     const { identifier, password } = req.body || {};
@@ -775,68 +920,576 @@ app.post('/auth/login', async (req, res, next) => {
       return res.status(400).json({ error: 'identifier and password are required' });
     }
 
-    const rows = await query(
-      'SELECT id, password_hash, status FROM users WHERE email = ? OR phone = ? LIMIT 1',
-      [identifier, identifier]
-    );
+    const userRow = await storage.users.findByLogin(identifier);
 
-    if (!rows.length) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Unknown identifiers are throttled too so lockouts don't reveal which accounts exist
+    const throttleConfig = await getLoginThrottleConfig();
+    const throttleKeys = {
+      accountKey: accountThrottleKey(userRow ? userRow.id : identifier),
+      ipKey: ipThrottleKey(normalizeIp(req.ip))
+    };
+    const throttle = await checkLoginThrottle({ ...throttleKeys, config: throttleConfig });
+    if (throttle.lockedUntil) {
+      return sendLoginLocked(res, throttle.lockedUntil);
     }
 
-    const userRow = rows[0];
+    const delayMs = getProgressiveDelayMs(throttle.accountFailures, throttleConfig);
+    if (delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
 
-    const ok = await bcrypt.compare(password, userRow.password_hash || '');
+    const ok = userRow ? await bcrypt.compare(password, userRow.password_hash || '') : false;
     if (!ok) {
+      const lockedUntil = await handleFailedLogin(req, { ...throttleKeys, userRow, identifier, config: throttleConfig });
+      if (lockedUntil) {
+        return sendLoginLocked(res, lockedUntil);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    await clearLoginThrottle(throttleKeys.accountKey);
+
     if (userRow.status !== 'active') {
-      let suspensionDetails = null;
-      if (userRow.status === 'suspended') {
-        try {
-          const suspensions = await query(
-            `SELECT id, data, created_at FROM app_entities WHERE type = 'user_suspension' AND user_id = ? ORDER BY created_at DESC LIMIT 1`,
-            [userRow.id]
-          );
-          if (suspensions.length > 0) {
-            const data = JSON.parse(suspensions[0].data || '{}');
-            suspensionDetails = {
-              id: data.id || suspensions[0].id,
-              reason: data.reason || null,
-              suspendedAt: data.suspendedAt || suspensions[0].created_at
-            };
-          }
-        } catch (e) {}
+      return sendInactiveAccountResponse(res, userRow);
+    }
+
+    await completeLogin(req, res, userRow.id);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Passwordless login: send a one-time code to a registered phone number
+app.post('/auth/otp/request', otpLimiter, async (req, res, next) => {
+  try {
+    const { phone } = req.body || {};
+    if (!phone) {
+      return res.status(400).json({ error: 'phone is required' });
+    }
+
+    const result = await requestLoginOtp(phone);
+
+    // Same answer for unknown numbers and for registered ones still in their
+    // resend wait (a 429 would only ever reach real accounts), so the
+    // endpoint can't be used to probe accounts
+    res.json({
+      success: true,
+      message: 'If this number is registered, a login code has been sent.',
+      expiresInMinutes: result.expiresInMinutes || 5
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/auth/otp/verify', otpLimiter, async (req, res, next) => {
+  try {
+    const { phone, code } = req.body || {};
+    if (!phone || !code) {
+      return res.status(400).json({ error: 'phone and code are required' });
+    }
+
+    const phoneUser = await storage.users.findByPhone(String(phone).trim());
+    const throttleConfig = await getLoginThrottleConfig();
+    const throttleKeys = {
+      accountKey: accountThrottleKey(phoneUser ? phoneUser.id : phone),
+      ipKey: ipThrottleKey(normalizeIp(req.ip))
+    };
+    const throttle = await checkLoginThrottle({ ...throttleKeys, config: throttleConfig });
+    if (throttle.lockedUntil) {
+      return sendLoginLocked(res, throttle.lockedUntil);
+    }
+
+    const result = await verifyLoginOtp(phone, code);
+    if (!result.ok) {
+      const lockedUntil = await handleFailedLogin(req, {
+        ...throttleKeys,
+        userRow: result.userRow || null,
+        identifier: phone,
+        config: throttleConfig
+      });
+      if (lockedUntil) {
+        return sendLoginLocked(res, lockedUntil);
+      }
+      return res.status(401).json({ error: VERIFICATION_ERROR_MESSAGES[result.error], code: result.error });
+    }
+
+    await clearLoginThrottle(throttleKeys.accountKey);
+
+    if (result.userRow.status !== 'active') {
+      return sendInactiveAccountResponse(res, result.userRow);
+    }
+
+    await completeLogin(req, res, result.userRow.id);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Complete a two-step login with a TOTP or recovery code. Users who must
+// enroll confirm their first code here and receive their recovery codes.
+app.post('/auth/2fa/verify', async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'challengeToken and code or recoveryCode are required' });
+    }
+
+    const decoded = verifyTwoFactorChallenge(challengeToken, ['two_factor_challenge', 'two_factor_enroll']);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    // Second-factor guesses count against the same lockout as passwords
+    const throttleConfig = await getLoginThrottleConfig();
+    const throttleKeys = {
+      accountKey: accountThrottleKey(decoded.sub),
+      ipKey: ipThrottleKey(normalizeIp(req.ip))
+    };
+    const throttle = await checkLoginThrottle({ ...throttleKeys, config: throttleConfig });
+    if (throttle.lockedUntil) {
+      return sendLoginLocked(res, throttle.lockedUntil);
+    }
+    const rejectCode = async () => {
+      const userRow = await storage.users.findById(decoded.sub);
+      const lockedUntil = await handleFailedLogin(req, {
+        ...throttleKeys,
+        userRow,
+        identifier: decoded.sub,
+        config: throttleConfig
+      });
+      if (lockedUntil) {
+        return sendLoginLocked(res, lockedUntil);
+      }
+      return res.status(401).json({ error: 'Invalid verification code' });
+    };
+
+    let recoveryCodes;
+    let recoveryCodesRemaining;
+    if (decoded.purpose === 'two_factor_enroll') {
+      recoveryCodes = code ? await confirmEnrollment(decoded.sub, code) : null;
+      if (!recoveryCodes) {
+        return rejectCode();
+      }
+    } else {
+      const result = await verifySecondFactor(decoded.sub, { code, recoveryCode });
+      if (!result.ok) {
+        return rejectCode();
+      }
+      recoveryCodesRemaining = result.recoveryCodesRemaining;
+    }
+    await clearLoginThrottle(throttleKeys.accountKey);
+
+    // Same answer as /auth/login, appeal token included, if the account was
+    // suspended or blocked after the challenge was issued
+    const account = await storage.users.findById(decoded.sub);
+    if (!account) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please log in again.' });
+    }
+    if (account.status !== 'active') {
+      return sendInactiveAccountResponse(res, account);
+    }
+
+    const user = await getUserProfile(decoded.sub);
+    const tokens = await issueSessionTokens(req, { userId: decoded.sub, role: user?.role });
+
+    res.json({ ...tokens, user, recoveryCodes, recoveryCodesRemaining });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/auth/2fa/status', requireAuth, async (req, res, next) => {
+  try {
+    const state = await getTwoFactorState(req.user.sub);
+    const required = await isTwoFactorRequiredForRole(req.user.role);
+    res.json({ enabled: state.enabled, required, recoveryCodesRemaining: state.recoveryCodesRemaining });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start enrollment. Accepts a normal session or an enrollment challenge from /auth/login.
+app.post('/auth/2fa/setup', (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) return requireAuth(req, res, next);
+  const decoded = verifyTwoFactorChallenge(challengeToken, ['two_factor_enroll']);
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid or expired challenge. Please log in again.' });
+  }
+  req.user = { sub: decoded.sub };
+  next();
+}, async (req, res, next) => {
+  try {
+    const state = await getTwoFactorState(req.user.sub);
+    if (state.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const user = await getUserProfile(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(req.user.sub, user.email || user.phone);
+    res.json({ secret, otpauthUri });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/auth/2fa/enable', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user.sub, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/auth/2fa/recovery-codes', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    const result = await verifySecondFactor(req.user.sub, { code });
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.sub);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/auth/2fa/disable', requireAuth, async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    if (await isTwoFactorRequiredForRole(req.user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const result = await verifySecondFactor(req.user.sub, { code, recoveryCode });
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(req.user.sub);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+app.post('/auth/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const account = await storage.users.findById(rotated.userId);
+    if (account?.status !== 'active') {
+      await revokeSession(rotated.sessionId, 'account_inactive');
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await getUserProfile(rotated.userId);
+    res.json({
+      token: signAccessToken({ userId: rotated.userId, role: user?.role, sessionId: rotated.sessionId }),
+      refreshToken: rotated.refreshToken,
+      refreshExpiresAt: rotated.expiresAt.toISOString(),
+      user
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/auth/logout', requireAuth, async (req, res, next) => {
+  try {
+    await revokeSession(req.user.jti, 'logout');
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================================
+// SIGNED-IN DEVICES
+// ============================================================================
+
+app.get('/auth/sessions', requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user.sub);
+    const meta = await getUserMeta(req.user.sub, ['new_device_alerts']);
+    res.json({
+      sessions: sessions.map((session) => ({ ...session, current: session.id === req.user.jti })),
+      newDeviceAlerts: meta.new_device_alerts !== 'false'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign out every device except the one making the request
+app.post('/auth/sessions/revoke-others', requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherUserSessions(req.user.sub, req.user.jti);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete('/auth/sessions/:sessionId', requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSession(req.user.sub, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, current: req.params.sessionId === req.user.jti });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.put('/auth/sessions/alerts', requireAuth, async (req, res, next) => {
+  try {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    await setUserMeta(req.user.sub, { new_device_alerts: enabled ? 'true' : 'false' });
+    res.json({ newDeviceAlerts: enabled });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================================
+// OPENID CONNECT LOGIN
+// ============================================================================
+
+const buildOidcCompleteUrl = (params) => {
+  const url = new URL('/auth/oidc/complete', process.env.FRONTEND_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+app.get('/auth/oidc/providers', (req, res) => {
+  res.json({ providers: listOidcProviders() });
+});
+
+// Starts the authorization-code + PKCE flow; ?mode=json returns the URL instead of redirecting
+app.get('/auth/oidc/:providerId/authorize', async (req, res, next) => {
+  try {
+    const provider = getOidcProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown identity provider' });
+    }
+    const authorizationUrl = await beginOidcLogin(provider, { returnTo: req.query.returnTo });
+    if (req.query.mode === 'json') {
+      return res.json({ authorizationUrl });
+    }
+    res.redirect(302, authorizationUrl);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A new way into the account: the owner hears about it in case it wasn't them
+const notifyIdentityLinked = async (req, userId, provider) => {
+  const profile = await getUserProfile(userId);
+  if (!profile?.email) return;
+  await sendIdentityLinkedEmail(profile.email, profile.name || '', {
+    providerName: provider.name,
+    ipAddress: normalizeIp(req.ip),
+    linkedAt: new Date()
+  });
+};
+
+// Redirects back to the frontend with either a one-time ticket, `linked` for a
+// link request, or an error code (INVALID_STATE, PROVIDER_DENIED,
+// PROVIDER_ERROR, NO_LINKED_ACCOUNT, ACCOUNT_NOT_LINKED, IDENTITY_IN_USE)
+app.get('/auth/oidc/:providerId/callback', async (req, res, next) => {
+  try {
+    const provider = getOidcProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown identity provider' });
+    }
+    const { code, state, error } = req.query;
+    const result = await completeOidcCallback(provider, { code, state, error });
+    if (!result.ok) {
+      return res.redirect(302, buildOidcCompleteUrl({ error: result.error, returnTo: result.returnTo }));
+    }
+    if (result.linkedUserId) {
+      if (result.linked) {
+        notifyIdentityLinked(req, result.linkedUserId, provider).catch((err) =>
+          console.warn('Failed to send identity linked alert:', err.message)
+        );
       }
+      return res.redirect(302, buildOidcCompleteUrl({ linked: provider.id, returnTo: result.returnTo }));
+    }
+    if (result.attachedUserId) {
+      notifyIdentityLinked(req, result.attachedUserId, provider).catch((err) =>
+        console.warn('Failed to send identity linked alert:', err.message)
+      );
+    }
+    res.redirect(302, buildOidcCompleteUrl({ ticket: result.ticket, returnTo: result.returnTo }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Frontend swaps the one-time ticket from the callback redirect for a session (or 2FA challenge)
+app.post('/auth/oidc/exchange', otpLimiter, async (req, res, next) => {
+  try {
+    const { ticket } = req.body || {};
+    const userId = await consumeOidcTicket(ticket);
+    if (!userId) {
+      return res.status(400).json({ error: 'Sign-in link expired. Please try again.' });
+    }
+
+    const userRow = await storage.users.findById(userId);
+    if (!userRow) {
+      return res.status(400).json({ error: 'Sign-in link expired. Please try again.' });
+    }
+    if (userRow.status !== 'active') {
+      return sendInactiveAccountResponse(res, userRow);
+    }
+
+    await completeLogin(req, res, userId);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/auth/identities', requireAuth, async (req, res, next) => {
+  try {
+    res.json({ identities: await listUserIdentities(req.user.sub) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Starts linking a provider account to the signed-in user. Returns the
+// authorization URL for the browser to open, since a plain redirect could not
+// carry the bearer token; the callback then links instead of signing in.
+app.post('/auth/identities/:providerId/link', requireAuth, async (req, res, next) => {
+  try {
+    const provider = getOidcProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown identity provider' });
+    }
+    const authorizationUrl = await beginOidcLogin(provider, {
+      returnTo: req.body?.returnTo,
+      linkUserId: req.user.sub
+    });
+    res.json({ authorizationUrl });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete('/auth/identities/:identityId', requireAuth, async (req, res, next) => {
+  try {
+    const removed = await unlinkUserIdentity(req.user.sub, req.params.identityId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Linked identity not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/auth/verification', requireAuth, async (req, res, next) => {
+  try {
+    const status = await getContactVerificationStatus(req.user.sub);
+    res.json({ verification: status });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send (or resend) a phone OTP or email verification link
+app.post('/auth/verification/request', requireAuth, async (req, res, next) => {
+  try {
+    const { channel } = req.body || {};
+    if (!['phone', 'email'].includes(channel)) {
+      return res.status(400).json({ error: 'channel must be phone or email' });
+    }
 
-      const appealToken = userRow.status === 'suspended'
-        ? jwt.sign(
-            { sub: userRow.id, purpose: 'suspension_appeal' },
-            JWT_SECRET,
-            { expiresIn: '15m' }
-          )
-        : null;
-
-      return res.status(403).json({
-        error: userRow.status === 'suspended' ? 'Account suspended' : 'User is blocked',
-        reason: userRow.status,
-        suspension: suspensionDetails,
-        appeal: userRow.status === 'suspended'
-          ? {
-              enabled: true,
-              token: appealToken,
-              expiresInMinutes: 15,
-              endpoint: '/auth/suspension-appeal'
-            }
-          : { enabled: false }
+    const result = await requestContactVerification({ userId: req.user.sub, channel });
+    if (!result.sent) {
+      if (result.retryAfterSeconds) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+      }
+      const status = result.error === 'RATE_LIMITED' ? 429 : result.error === 'USER_NOT_FOUND' ? 404 : 400;
+      return res.status(status).json({
+        error: VERIFICATION_ERROR_MESSAGES[result.error],
+        code: result.error,
+        retryAfterSeconds: result.retryAfterSeconds
       });
     }
 
-    const user = await getUserProfile(userRow.id);
-    const token = jwt.sign({ sub: userRow.id, role: user?.role }, JWT_SECRET, { expiresIn: '7d' });
+    res.json({ success: true, expiresInMinutes: result.expiresInMinutes });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({ token, user });
+app.post('/auth/verification/phone', requireAuth, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const result = await verifyPhoneCode(req.user.sub, code);
+    if (!result.ok) {
+      return res.status(400).json({ error: VERIFICATION_ERROR_MESSAGES[result.error], code: result.error });
+    }
+
+    const user = await getUserProfile(req.user.sub);
+    res.json({ success: true, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Email links are opened from the inbox, so this one does not require a session
+app.post('/auth/verification/email', async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const result = await verifyEmailToken(token);
+    if (!result.ok) {
+      return res.status(400).json({ error: VERIFICATION_ERROR_MESSAGES[result.error], code: result.error });
+    }
+
+    res.json({ success: true });
   } catch (err) {
     next(err);
   }
@@ -855,7 +1508,7 @@ app.post('/auth/suspension-appeal', async (req, res, next) => {
       if (!appealToken) {
         throw new Error('Missing appeal token');
       }
-      decoded = jwt.verify(appealToken, JWT_SECRET);
+      decoded = verifyJwt(appealToken);
       if (decoded.purpose !== 'suspension_appeal') {
         return res.status(400).json({ error: 'Invalid appeal token' });
       }
@@ -864,110 +1517,69 @@ app.post('/auth/suspension-appeal', async (req, res, next) => {
     }
 
     let userId = decoded?.sub || null;
-    let userRows = [];
+    let userRow = null;
 
     if (!userId && identifier) {
-      userRows = await query(
-        'SELECT id, email, status FROM users WHERE email = ? OR phone = ? LIMIT 1',
-        [identifier, identifier]
-      );
-      if (userRows.length) {
-        userId = userRows[0].id;
-      }
+      userRow = await storage.users.findByLogin(identifier);
+      userId = userRow?.id || null;
     }
 
     if (!userId) {
       return res.status(400).json({ error: 'Invalid or expired appeal token. Please log in again.' });
     }
 
-    if (!userRows.length) {
-      userRows = await query(
-        'SELECT id, email, status FROM users WHERE id = ? LIMIT 1',
-        [userId]
-      );
-    }
+    userRow ??= await storage.users.findById(userId);
 
-    if (!userRows.length) {
+    if (!userRow) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    if (userRows[0].status !== 'suspended') {
+    if (userRow.status !== 'suspended') {
       return res.status(400).json({ error: 'User is not suspended' });
     }
 
-    const existingAppeals = await query(
-      `SELECT id, data FROM app_entities WHERE type = 'suspension_appeal' AND user_id = ? ORDER BY created_at DESC LIMIT 1`,
-      [userId]
-    );
-    if (existingAppeals.length) {
-      try {
-        const existingData = JSON.parse(existingAppeals[0].data || '{}');
-        if ((existingData.status || 'pending') === 'pending') {
-          return res.json({ success: true, appealId: existingAppeals[0].id, existing: true });
-        }
-      } catch {}
-    }
-
-    const appealId = uuidv4();
     const now = new Date();
-    const payload = {
-      id: appealId,
-      userId,
-      message,
-      submittedAt: now.toISOString(),
-      status: 'pending'
-    };
+    // Locking the user row keeps two quick submissions from both filing an appeal;
+    // the appeal and the admin notification are saved together or not at all
+    const { appealId, existing } = await withTransaction(async () => {
+      await storage.users.lockForUpdate(userId);
+
+      const [latestAppeal] = await listEntities({ type: 'suspension_appeal', userId, limit: 1 });
+      if (latestAppeal && (latestAppeal.status || 'pending') === 'pending') {
+        return { appealId: latestAppeal.id, existing: true };
+      }
 
-    await query(
-      `INSERT INTO app_entities (id, user_id, type, subtype, data, created_at, updated_at)
-       VALUES (?, ?, 'suspension_appeal', NULL, ?, ?, ?)`,
-      [appealId, userId, JSON.stringify(payload), now, now]
-    );
+      const appeal = await createEntity({
+        type: 'suspension_appeal',
+        userId,
+        data: { userId, message, submittedAt: now.toISOString(), status: 'pending' }
+      });
 
-    const savedAppeal = await query(
-      `SELECT id FROM app_entities WHERE id = ? AND type = 'suspension_appeal' LIMIT 1`,
-      [appealId]
-    );
-    if (!savedAppeal.length) {
-      return res.status(500).json({ error: 'Failed to save appeal. Please try again.' });
-    }
+      await storage.adminNotifications.insertForRoles(getRoleFilterOptions('system_admin'), {
+        senderUserId: userId,
+        notificationType: 'SUSPENSION_APPEAL',
+        priority: 'HIGH',
+        title: 'Suspension Appeal Submitted',
+        message: `A suspended user submitted a show-cause request. Appeal ID: ${appeal.id}`,
+        actionRequired: true,
+        relatedEntityType: 'suspension_appeal',
+        relatedEntityId: appeal.id
+      });
 
-    try {
-      const systemRoleOptions = getRoleFilterOptions('system_admin');
-      const systemRolePlaceholders = systemRoleOptions.map(() => '?').join(', ');
-      await query(
-        `INSERT INTO admin_notifications (id, sender_user_id, recipient_user_id, notification_type, priority, title, message, action_required, related_entity_type, related_entity_id)
-         SELECT ?, ?, id, 'SUSPENSION_APPEAL', 'HIGH', ?, ?, TRUE, 'suspension_appeal', ?
-         FROM users WHERE role IN (${systemRolePlaceholders})`,
-        [
-          uuidv4(),
-          userId,
-          'Suspension Appeal Submitted',
-          `A suspended user submitted a show-cause request. Appeal ID: ${appealId}`,
-          appealId,
-          ...systemRoleOptions
-        ]
-      );
-    } catch (notifyErr) {
-      console.warn('Failed to create admin appeal notification:', notifyErr.message);
+      return { appealId: appeal.id, existing: false };
+    });
+
+    if (existing) {
+      return res.json({ success: true, appealId, existing: true });
     }
 
     try {
-      const systemRoleOptions = getRoleFilterOptions('system_admin');
-      const systemRolePlaceholders = systemRoleOptions.map(() => '?').join(', ');
-      const admins = await query(
-        `SELECT email FROM users WHERE role IN (${systemRolePlaceholders}) AND email IS NOT NULL`,
-        systemRoleOptions
-      );
-      const userRows = await query(
-        `SELECT u.email, COALESCE(p.full_name, 'User') as full_name
-         FROM users u
-         LEFT JOIN user_profiles p ON p.user_id = u.id
-         WHERE u.id = ? LIMIT 1`,
-        [userId]
+      const admins = (await storage.users.listByRoles(getRoleFilterOptions('system_admin'))).filter(
+        (admin) => admin.email
       );
-      const userEmail = userRows[0]?.email || '';
-      const userName = userRows[0]?.full_name || 'User';
+      const profile = await storage.users.findProfile(userId);
+      const userEmail = profile?.email || '';
+      const userName = profile?.full_name || 'User';
 
       await Promise.all(
         admins.map((admin) =>
@@ -996,7 +1608,11 @@ app.get('/auth/me', requireAuth, checkSuspensionStatus, async (req, res, next) =
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json({ user });
+    // Lets the frontend show an "impersonating" banner
+    const impersonation = isImpersonationToken(req.user)
+      ? { impersonatorId: req.user.act.sub, expiresAt: new Date(req.user.exp * 1000).toISOString(), readOnly: true }
+      : null;
+    res.json({ user, impersonation });
   } catch (err) {
     next(err);
   }
@@ -1009,10 +1625,7 @@ app.put('/profile', requireAuth, async (req, res, next) => {
       return res.status(400).json({ error: 'No updates provided' });
     }
 
-    await query(
-      'UPDATE user_profiles SET full_name = COALESCE(?, full_name), preferred_language = COALESCE(?, preferred_language) WHERE user_id = ?',
-      [name || null, preferred_language || null, req.user.sub]
-    );
+    await storage.users.updateProfile(req.user.sub, { fullName: name || null, preferredLanguage: preferred_language || null });
 
     const user = await getUserProfile(req.user.sub);
     res.json({ user });
@@ -1035,7 +1648,7 @@ app.put('/profile/avatar', requireAuth, async (req, res, next) => {
   }
 });
 
-const adminRouter = createAdminRouter({ requireAuth, requireRole });
+const adminRouter = createAdminRouter({ requireAuth, requirePermission });
 const mapLegacyAdminPath = (prefix) => (req, res, next) => {
   const originalUrl = req.url;
   req.url = `${prefix}${originalUrl}`;
@@ -1045,12 +1658,23 @@ const mapLegacyAdminPath = (prefix) => (req, res, next) => {
   });
 };
 
+// The admin dashboards and the table browser query the relational tables
+// directly, so they only exist on MySQL
+const requireSqlStorage = (req, res, next) => {
+  if (!isMemoryStorage()) return next();
+  res.status(501).json({
+    error: 'Admin tools need MySQL and are not available with STORAGE=memory',
+    code: 'SQL_UNAVAILABLE'
+  });
+};
+
+app.use(['/api/admin', '/api/system-admin', '/api/ops-admin', '/admin'], requireSqlStorage);
 app.use('/api/admin', adminRouter);
 app.use('/api/system-admin', mapLegacyAdminPath('/system'));
 app.use('/api/ops-admin', mapLegacyAdminPath('/operations'));
-app.use('/api', createAppRouter({ requireAuth, requireRole, requireConsentForPatient }));
+app.use('/api', createAppRouter({ requireAuth, requirePermission, requireConsentForPatient }));
 
-app.get('/admin/tables', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.get('/admin/tables', requireAuth, requirePermission('database.read'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const metas = await Promise.all(TABLES.map(async (table) => {
       const meta = await getTableMeta(table);
@@ -1062,7 +1686,7 @@ app.get('/admin/tables', requireAuth, requireRole('system_admin'), checkSuspensi
   }
 });
 
-app.get('/admin/:table', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.get('/admin/:table', requireAuth, requirePermission('database.read'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const table = req.params.table;
     if (!TABLES.includes(table)) {
@@ -1079,7 +1703,7 @@ app.get('/admin/:table', requireAuth, requireRole('system_admin'), checkSuspensi
   }
 });
 
-app.get('/admin/:table/row', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.get('/admin/:table/row', requireAuth, requirePermission('database.read'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const table = req.params.table;
     if (!TABLES.includes(table)) {
@@ -1112,7 +1736,7 @@ app.get('/admin/:table/row', requireAuth, requireRole('system_admin'), checkSusp
   }
 });
 
-app.post('/admin/:table', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.post('/admin/:table', requireAuth, requirePermission('database.write'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const table = req.params.table;
     if (!TABLES.includes(table)) {
@@ -1146,7 +1770,7 @@ app.post('/admin/:table', requireAuth, requireRole('system_admin'), checkSuspens
   }
 });
 
-app.put('/admin/:table/row', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.put('/admin/:table/row', requireAuth, requirePermission('database.write'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const table = req.params.table;
     if (!TABLES.includes(table)) {
@@ -1193,7 +1817,7 @@ app.put('/admin/:table/row', requireAuth, requireRole('system_admin'), checkSusp
   }
 });
 
-app.delete('/admin/:table/row', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.delete('/admin/:table/row', requireAuth, requirePermission('database.write'), checkSuspensionStatus, async (req, res, next) => {
   try {
     const table = req.params.table;
     if (!TABLES.includes(table)) {
@@ -1223,7 +1847,7 @@ app.delete('/admin/:table/row', requireAuth, requireRole('system_admin'), checkS
   }
 });
 
-app.post('/admin/seed', requireAuth, requireRole('system_admin'), checkSuspensionStatus, async (req, res, next) => {
+app.post('/admin/seed', requireAuth, requirePermission('database.write'), checkSuspensionStatus, async (req, res, next) => {
   try {
     await seedDatabase();
     res.json({ ok: true });
@@ -1241,16 +1865,40 @@ app.use((err, req, res, next) => {
   console.error('Error:', err);
   const status = err.status || 500;
   const message = err.message || 'Internal server error';
+  if (status === 409 && err.code === 'VERSION_CONFLICT') {
+    if (err.currentVersion) res.set('ETag', `"${err.currentVersion}"`);
+    return res.status(409).json({ error: message, code: err.code, current: err.current ?? null });
+  }
+  if (status === 400 && err.code === 'INVALID_ENTITY') {
+    return res.status(400).json({ error: message, code: err.code, issues: err.issues });
+  }
   res.status(status).json({ error: message });
 });
 
 const port = Number(process.env.PORT || 4000);
 
-async function bootstrap() {
-  await ensureAdminSchema();
+async function prepareDatabase() {
+  await runBootMigrations();
   await assertCoreTables();
-  await ensureAppTables();
+  await syncPermissionCatalog();
+  await initJwtKeys();
+}
+
+async function bootstrap() {
+  await assertSmsConfigured();
+  if (isMemoryStorage()) {
+    // Nothing to migrate; signing keys are created fresh in memory
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('STORAGE=memory loses all data on restart and cannot be used in production');
+    }
+    console.warn('⚠ STORAGE=memory: data lives in this process only and is lost on restart.');
+    console.warn('  Admin tools and the /admin table browser need MySQL and answer 501.');
+    await initJwtKeys();
+  } else {
+    await prepareDatabase();
+  }
   await seedAppData();
+  startTrashPurge();
   
   // Verify email configuration
   console.log('Verifying email configuration...');
@@ -1268,7 +1916,7 @@ async function bootstrap() {
 }
 
 // Export middleware functions for use in routes
-export { requireAuth, requireRole, requireConsentForPatient, checkSuspensionStatus };
+export { requireAuth, requireRole, requirePermission, requireConsentForPatient, checkSuspensionStatus };
 
 bootstrap().catch((err) => {
   console.error('Failed to start server:', err);
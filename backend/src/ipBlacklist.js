@@ -0,0 +1,138 @@
+import net from 'net';
+import { storage } from './storage/index.js';
+import { recordSecurityEvent } from './securityEvents.js';
+
+// Entries are also refreshed periodically so expiries and changes made by
+// other instances are picked up without a restart.
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedRules = null;
+let cacheLoadedAt = 0;
+let pendingLoad = null;
+
+// req.ip reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+export const normalizeIp = (value) => {
+  const ip = String(value || '').trim();
+  const mapped = ip.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+// Parses "203.0.113.7", "203.0.113.0/24", "2001:db8::/32" and friends.
+// Returns null for anything that is not a valid address or CIDR range.
+export const parseIpRule = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+
+  const [address, prefixRaw, ...rest] = raw.split('/');
+  if (rest.length) return null;
+
+  const ip = normalizeIp(address);
+  const version = net.isIP(ip);
+  if (!version) return null;
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixRaw === undefined ? maxPrefix : Number(prefixRaw);
+  if (!/^\d+$/.test(String(prefix)) || prefix < 0 || prefix > maxPrefix) return null;
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(ip, prefix, family);
+  return { blockList, family, cidr: `${ip}/${prefix}` };
+};
+
+const isExpired = (expiresAt, now = Date.now()) => {
+  if (!expiresAt) return false;
+  const time = new Date(expiresAt).getTime();
+  return Number.isFinite(time) && time <= now;
+};
+
+const loadRules = async () => {
+  const rows = await storage.entities.findRows({ type: 'ip_blacklist' });
+  return rows
+    .map((row) => {
+      let data = {};
+      try {
+        data = JSON.parse(row.data || '{}');
+      } catch (err) {
+        return null;
+      }
+      const ipAddress = data.ip_address || data.ipAddress;
+      const rule = parseIpRule(ipAddress);
+      if (!rule) return null;
+      return {
+        ...rule,
+        id: row.id,
+        ipAddress,
+        reason: data.reason || '',
+        expiresAt: data.expires_at || data.expiresAt || null
+      };
+    })
+    .filter(Boolean);
+};
+
+const getRules = async () => {
+  if (cachedRules && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cachedRules;
+  }
+  if (!pendingLoad) {
+    pendingLoad = loadRules()
+      .then((rules) => {
+        cachedRules = rules;
+        cacheLoadedAt = Date.now();
+        return rules;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+};
+
+export const invalidateIpBlacklistCache = () => {
+  cachedRules = null;
+  cacheLoadedAt = 0;
+};
+
+export async function findBlacklistEntry(ipAddress) {
+  const ip = normalizeIp(ipAddress);
+  const version = net.isIP(ip);
+  if (!version) return null;
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const now = Date.now();
+  const rules = await getRules();
+  return rules.find(
+    (rule) => rule.family === family && !isExpired(rule.expiresAt, now) && rule.blockList.check(ip, family)
+  ) || null;
+}
+
+export function createIpBlacklistMiddleware() {
+  return async (req, res, next) => {
+    let entry;
+    try {
+      entry = await findBlacklistEntry(req.ip);
+    } catch (err) {
+      // Fail open: a database hiccup must not take the whole API down
+      console.warn('IP blacklist check failed:', err.message);
+      return next();
+    }
+
+    if (!entry) return next();
+
+    recordSecurityEvent({
+      eventType: 'UNAUTHORIZED_ACCESS',
+      severity: 'MEDIUM',
+      ipAddress: normalizeIp(req.ip),
+      userAgent: req.get('user-agent'),
+      description: `Blocked request from blacklisted IP ${normalizeIp(req.ip)}`,
+      metadata: {
+        reason: 'ip_blacklisted',
+        blacklistEntryId: entry.id,
+        rule: entry.cidr,
+        method: req.method,
+        path: req.originalUrl
+      }
+    }).catch((err) => console.warn('Failed to record blocked request:', err.message));
+
+    return res.status(403).json({ error: 'Access denied' });
+  };
+}
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+import 'dotenv/config';
+import { storage } from './storage/index.js';
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEV_JWT_SECRET_PATH = path.join(path.resolve(__dirname, '..'), '.dev_jwt_secret');
+const SUPPORTED_ALGORITHMS = new Set(['HS256', 'RS256', 'ES256']);
+const REFRESH_INTERVAL_MS = 60 * 1000;
+// A rotated key is published this long before anyone signs with it, so every
+// instance has picked it up by the time tokens carrying its kid arrive.
+const ACTIVATION_DELAY_MS = 2 * REFRESH_INTERVAL_MS;
+const DEFAULT_GRACE_HOURS = 24;
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+let keyring = [];
+let refreshTimer = null;
+
+const loadDevJwtSecret = () => {
+  try {
+    const secret = fs.readFileSync(DEV_JWT_SECRET_PATH, 'utf8').trim();
+    if (secret.length >= 32) {
+      return secret;
+    }
+  } catch (err) {
+    // Ignore missing file
+  }
+
+  const generated = crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(DEV_JWT_SECRET_PATH, generated, { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    console.warn('Failed to persist dev JWT secret:', err.message || err);
+  }
+  return generated;
+};
+
+// Tokens issued before key ids existed carry no kid; they are checked against
+// JWT_SECRET (or the persisted dev secret) until they expire.
+const LEGACY_SECRET = (() => {
+  if (process.env.JWT_SECRET && process.env.JWT_SECRET.length >= 32) {
+    return process.env.JWT_SECRET;
+  }
+  if (NODE_ENV === 'production') {
+    return null;
+  }
+  return loadDevJwtSecret();
+})();
+
+export const getJwtAlgorithm = () => {
+  const algorithm = String(process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+  if (!SUPPORTED_ALGORITHMS.has(algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM: ${algorithm}`);
+  }
+  return algorithm;
+};
+
+const createKeyMaterial = async (algorithm) => {
+  if (algorithm === 'HS256') {
+    return { secret: crypto.randomBytes(48).toString('base64url'), privateKey: null, publicKey: null };
+  }
+  const { privateKey, publicKey } = algorithm === 'RS256'
+    ? await generateKeyPair('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      })
+    : await generateKeyPair('ec', {
+        namedCurve: 'P-256',
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+  return { secret: null, privateKey, publicKey };
+};
+
+const insertKey = async ({ algorithm, activatesAt }) => {
+  const kid = `${algorithm.toLowerCase()}-${crypto.randomBytes(8).toString('hex')}`;
+  const material = await createKeyMaterial(algorithm);
+  await storage.jwtKeys.insert({ kid, algorithm, ...material, activatesAt });
+  return kid;
+};
+
+const toKeyEntry = (row) => ({
+  kid: row.kid,
+  algorithm: row.algorithm,
+  signingKey: row.secret || row.private_key,
+  verifyKey: row.secret || row.public_key,
+  publicKey: row.public_key,
+  activatesAt: new Date(row.activates_at),
+  expiresAt: row.expires_at ? new Date(row.expires_at) : null
+});
+
+// Reloads every key that can still verify tokens (including ones waiting to activate)
+export async function refreshJwtKeys() {
+  const rows = await storage.jwtKeys.listValid();
+  keyring = rows.map(toKeyEntry);
+  return keyring.length;
+}
+
+// Called once at startup: creates the first key if needed and keeps the keyring fresh
+export async function initJwtKeys() {
+  if (!(await storage.jwtKeys.listValid()).length) {
+    const kid = await insertKey({ algorithm: getJwtAlgorithm(), activatesAt: new Date() });
+    console.log(`Created initial JWT signing key ${kid}`);
+  }
+  await refreshJwtKeys();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshJwtKeys().catch((err) => console.warn('JWT key refresh failed:', err.message));
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+}
+
+const getSigningKey = (now = new Date()) =>
+  keyring.find((key) => key.activatesAt <= now && (!key.expiresAt || key.expiresAt > now)) || null;
+
+export function signJwt(payload, options = {}) {
+  const key = getSigningKey();
+  if (!key) {
+    if (!LEGACY_SECRET) {
+      throw new Error('No JWT signing key is available');
+    }
+    return jwt.sign(payload, LEGACY_SECRET, options);
+  }
+  return jwt.sign(payload, key.signingKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+}
+
+// Same contract as jwt.verify: returns the payload or throws
+export function verifyJwt(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+  if (!kid) {
+    if (!LEGACY_SECRET) {
+      throw new jwt.JsonWebTokenError('jwt key id missing');
+    }
+    return jwt.verify(token, LEGACY_SECRET, { ...options, algorithms: ['HS256'] });
+  }
+
+  const now = new Date();
+  const key = keyring.find((item) => item.kid === kid && (!item.expiresAt || item.expiresAt > now));
+  if (!key) {
+    throw new jwt.JsonWebTokenError('jwt key id unknown or expired');
+  }
+  return jwt.verify(token, key.verifyKey, { ...options, algorithms: [key.algorithm] });
+}
+
+// Public keys for RS256/ES256 keys; HMAC keys are never published
+export function getJwks() {
+  const now = new Date();
+  return {
+    keys: keyring
+      .filter((key) => key.publicKey && (!key.expiresAt || key.expiresAt > now))
+      .map((key) => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+  };
+}
+
+// Adds a new signing key and gives every current key graceHours before it stops verifying
+export async function rotateJwtKeys({ algorithm = getJwtAlgorithm(), graceHours = DEFAULT_GRACE_HOURS } = {}) {
+  const normalized = String(algorithm).toUpperCase();
+  if (!SUPPORTED_ALGORITHMS.has(normalized)) {
+    throw new Error(`Unsupported algorithm: ${algorithm}`);
+  }
+  const hours = Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error('graceHours must be a non-negative number');
+  }
+
+  const activatesAt = new Date(Date.now() + ACTIVATION_DELAY_MS);
+  // Old keys must outlive the activation delay or nothing could sign in between
+  const retiresAt = new Date(activatesAt.getTime() + hours * 60 * 60 * 1000);
+
+  const current = await storage.jwtKeys.listKidsValidAt(retiresAt);
+  const kid = await insertKey({ algorithm: normalized, activatesAt });
+  await storage.jwtKeys.expire(current, retiresAt);
+  await refreshJwtKeys();
+
+  return { kid, algorithm: normalized, activatesAt, retired: current, retiresAt };
+}
+
+// Ends a key's validity immediately (e.g. after a suspected leak)
+export async function revokeJwtKey(kid) {
+  const revoked = await storage.jwtKeys.revoke(kid);
+  await refreshJwtKeys();
+  return revoked;
+}
+
+export async function listJwtKeys() {
+  const rows = await storage.jwtKeys.list();
+  const now = new Date();
+  const signing = rows.find((row) =>
+    new Date(row.activates_at) <= now && (!row.expires_at || new Date(row.expires_at) > now)
+  );
+  return rows.map((row) => ({
+    kid: row.kid,
+    algorithm: row.algorithm,
+    createdAt: row.created_at,
+    activatesAt: row.activates_at,
+    expiresAt: row.expires_at,
+    status: row.expires_at && new Date(row.expires_at) <= now
+      ? 'expired'
+      : new Date(row.activates_at) > now
+        ? 'pending'
+        : signing?.kid === row.kid ? 'signing' : 'verify-only'
+  }));
+}
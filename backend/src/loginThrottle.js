@@ -0,0 +1,87 @@
+import { storage } from './storage/index.js';
+import { getSystemSettings, parseSettingBoolean } from './settingsStore.js';
+
+const toPositiveNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+export const accountThrottleKey = (accountId) => `account:${String(accountId).trim().toLowerCase()}`;
+
+export const ipThrottleKey = (ipAddress) => `ip:${ipAddress}`;
+
+export async function getLoginThrottleConfig() {
+  const settings = await getSystemSettings([
+    'login_max_failures_per_account',
+    'login_max_failures_per_ip',
+    'login_failure_window_minutes',
+    'login_lockout_minutes',
+    'login_progressive_delay_ms',
+    'login_lockout_email_enabled'
+  ]);
+  return {
+    maxAccountFailures: toPositiveNumber(settings.login_max_failures_per_account, 5),
+    maxIpFailures: toPositiveNumber(settings.login_max_failures_per_ip, 20),
+    windowMinutes: toPositiveNumber(settings.login_failure_window_minutes, 15),
+    lockoutMinutes: toPositiveNumber(settings.login_lockout_minutes, 15),
+    baseDelayMs: toPositiveNumber(settings.login_progressive_delay_ms, 250),
+    maxDelayMs: 8000,
+    emailOnLockout: parseSettingBoolean(settings.login_lockout_email_enabled, true)
+  };
+}
+
+// Reports the latest active lock across the given keys and the recent
+// failure count for the account key.
+export async function checkLoginThrottle({ accountKey, ipKey, config }) {
+  const rows = await storage.loginThrottle.find([accountKey, ipKey], config.windowMinutes);
+
+  const now = Date.now();
+  let lockedUntil = null;
+  let accountFailures = 0;
+  for (const row of rows) {
+    const until = row.locked_until ? new Date(row.locked_until) : null;
+    if (until && until.getTime() > now && (!lockedUntil || until > lockedUntil)) {
+      lockedUntil = until;
+    }
+    if (row.throttle_key === accountKey && Number(row.in_window)) {
+      accountFailures = Number(row.failure_count) || 0;
+    }
+  }
+  return { lockedUntil, accountFailures };
+}
+
+// 0, base, 2x base, 4x base ... capped at maxDelayMs
+export const getProgressiveDelayMs = (failures, config) =>
+  failures > 0 ? Math.min(config.baseDelayMs * 2 ** (failures - 1), config.maxDelayMs) : 0;
+
+// Counts one failure against each key and locks any key that reaches its
+// threshold. Returns the locks created by this failure.
+export async function registerLoginFailure({ accountKey, ipKey, config }) {
+  const targets = [
+    { key: accountKey, scope: 'account', max: config.maxAccountFailures },
+    { key: ipKey, scope: 'ip', max: config.maxIpFailures }
+  ];
+  const newLocks = [];
+
+  for (const target of targets) {
+    const locked = await storage.loginThrottle.recordFailure(target.key, {
+      windowMinutes: config.windowMinutes,
+      max: target.max,
+      lockoutMinutes: config.lockoutMinutes
+    });
+
+    if (locked) {
+      newLocks.push({
+        scope: target.scope,
+        key: target.key,
+        lockedUntil: new Date(Date.now() + config.lockoutMinutes * 60 * 1000)
+      });
+    }
+  }
+
+  return newLocks;
+}
+
+export async function clearLoginThrottle(key) {
+  return storage.loginThrottle.clear(key);
+}
@@ -0,0 +1,85 @@
+import { getSystemSettings, parseSettingBoolean } from './settingsStore.js';
+
+const SETTINGS_CACHE_MS = 5 * 1000;
+const DEFAULT_RETRY_AFTER_SECONDS = 300;
+const DEFAULT_MESSAGE = 'System is under maintenance. We will be back soon!';
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const BYPASS_PATH_PATTERNS = [/^\/health$/, /^\/\.well-known\//, /^\/auth(\/|$)/, /^\/api\/auth(\/|$)/];
+
+let cachedState = null;
+let cacheLoadedAt = 0;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const loadState = async () => {
+  const settings = await getSystemSettings([
+    'maintenance_mode',
+    'maintenance_message',
+    'maintenance_read_only',
+    'maintenance_starts_at',
+    'maintenance_ends_at'
+  ]);
+  return {
+    enabled: parseSettingBoolean(settings.maintenance_mode),
+    message: settings.maintenance_message || DEFAULT_MESSAGE,
+    readOnly: parseSettingBoolean(settings.maintenance_read_only),
+    startsAt: parseDate(settings.maintenance_starts_at),
+    endsAt: parseDate(settings.maintenance_ends_at)
+  };
+};
+
+export const invalidateMaintenanceCache = () => {
+  cachedState = null;
+  cacheLoadedAt = 0;
+};
+
+// Maintenance is active while the flag is on and "now" falls inside the
+// optional start/end window.
+export async function getMaintenanceStatus(now = new Date()) {
+  if (!cachedState || Date.now() - cacheLoadedAt >= SETTINGS_CACHE_MS) {
+    cachedState = await loadState();
+    cacheLoadedAt = Date.now();
+  }
+  const { enabled, message, readOnly, startsAt, endsAt } = cachedState;
+  const active = enabled
+    && (!startsAt || now >= startsAt)
+    && (!endsAt || now < endsAt);
+  return { enabled, active, message, readOnly, startsAt, endsAt };
+}
+
+export function createMaintenanceMiddleware({ getRequestRole }) {
+  return async (req, res, next) => {
+    if (BYPASS_PATH_PATTERNS.some((pattern) => pattern.test(req.path))) {
+      return next();
+    }
+
+    let status;
+    try {
+      status = await getMaintenanceStatus();
+    } catch (err) {
+      console.warn('Maintenance status check failed:', err.message);
+      return next();
+    }
+
+    if (!status.active) return next();
+    if (status.readOnly && READ_ONLY_METHODS.has(req.method)) return next();
+    if (getRequestRole(req) === 'system_admin') return next();
+
+    const retryAfter = status.endsAt
+      ? Math.max(Math.ceil((status.endsAt.getTime() - Date.now()) / 1000), 1)
+      : DEFAULT_RETRY_AFTER_SECONDS;
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      error: 'Service unavailable',
+      maintenance: true,
+      message: status.message,
+      readOnly: status.readOnly,
+      endsAt: status.endsAt ? status.endsAt.toISOString() : null
+    });
+  };
+}
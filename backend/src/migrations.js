@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool } from './db.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+
+// 0001_some_name.up.sql / 0001_some_name.down.sql
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Databases created before versioned migrations already ran 0001-0005 on every boot
+const BASELINE_VERSION = 5;
+
+const LOCK_TIMEOUT_SECONDS = Math.max(Number(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS) || 60, 1);
+
+// Strict mode never changes the schema on boot; it refuses to start instead
+export const isStrictMigrations = () =>
+  process.env.MIGRATIONS_STRICT
+    ? process.env.MIGRATIONS_STRICT === 'true'
+    : process.env.NODE_ENV === 'production';
+
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// Splits on semicolons outside quotes and comments; comments are dropped
+export const splitSqlStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i += 1) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && quote !== '`') {
+        current += next ?? '';
+        i += 1;
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if ((ch === '-' && next === '-' && /\s/.test(sql[i + 2] ?? ' ')) || ch === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end - 1;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+    }
+    if (ch === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+};
+
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+
+  const byVersion = new Map();
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const [, versionText, name, direction] = match;
+    const version = Number(versionText);
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${versionText} has files with different names (${entry.name}, ${name})`);
+    }
+    entry[direction === 'up' ? 'upFile' : 'downFile'] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [];
+  for (const entry of [...byVersion.values()].sort((a, b) => a.version - b.version)) {
+    if (!entry.upFile) {
+      throw new Error(`Migration ${entry.version} (${entry.name}) has no .up.sql file`);
+    }
+    const upSql = await fs.readFile(entry.upFile, 'utf-8');
+    migrations.push({ ...entry, upSql, checksum: checksumOf(upSql) });
+  }
+  return migrations;
+}
+
+const ensureMigrationsTable = (conn) =>
+  conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT NOT NULL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at DATETIME NOT NULL,
+      execution_ms INT NOT NULL DEFAULT 0,
+      baseline TINYINT(1) NOT NULL DEFAULT 0
+    )`
+  );
+
+// One migrator at a time across every app instance sharing the database
+async function withMigrationLock(fn) {
+  const conn = await pool.getConnection();
+  const lockName = `${process.env.DB_NAME || 'neonest'}.schema_migrations`;
+  try {
+    const [rows] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, LOCK_TIMEOUT_SECONDS]);
+    if (Number(rows[0]?.acquired) !== 1) {
+      throw new Error(`Timed out after ${LOCK_TIMEOUT_SECONDS}s waiting for the migration lock`);
+    }
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [lockName]).catch(() => {});
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+// Existing databases get 0001-0005 recorded as applied instead of re-running them
+async function baselineExistingSchema(conn, migrations) {
+  const [[{ total }]] = await conn.query('SELECT COUNT(*) AS total FROM schema_migrations');
+  if (Number(total) > 0) return [];
+  const [tables] = await conn.query(
+    `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users'`
+  );
+  if (!tables.length) return [];
+
+  const baseline = migrations.filter((migration) => migration.version <= BASELINE_VERSION);
+  for (const migration of baseline) {
+    await conn.query(
+      `INSERT INTO schema_migrations (version, name, checksum, applied_at, execution_ms, baseline) VALUES (?, ?, ?, NOW(), 0, 1)`,
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+  return baseline;
+}
+
+const describeStatus = (migrations, appliedRows) => {
+  const applied = new Map(appliedRows.map((row) => [Number(row.version), row]));
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: row?.applied_at || null,
+      baseline: Boolean(row?.baseline)
+    };
+  });
+  // Recorded in the database but the files are gone
+  for (const row of applied.values()) {
+    status.push({
+      version: Number(row.version),
+      name: row.name,
+      state: 'missing',
+      appliedAt: row.applied_at,
+      baseline: Boolean(row.baseline)
+    });
+  }
+  return status.sort((a, b) => a.version - b.version);
+};
+
+const readStatus = async (conn, migrations) => {
+  const [rows] = await conn.query('SELECT version, name, checksum, applied_at, baseline FROM schema_migrations');
+  return describeStatus(migrations, rows);
+};
+
+const runStatements = async (conn, migration, sql) => {
+  for (const statement of splitSqlStatements(sql)) {
+    try {
+      await conn.query(statement);
+    } catch (err) {
+      err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}\n  in: ${statement.slice(0, 200)}`;
+      throw err;
+    }
+  }
+};
+
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  return withMigrationLock((conn) => readStatus(conn, migrations));
+}
+
+// Applies pending migrations in order. Refuses to run on top of modified or
+// missing history unless allowDrift is set (development boots only warn).
+export async function migrateUp({ to = null, allowDrift = false } = {}) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async (conn) => {
+    const baselined = await baselineExistingSchema(conn, migrations);
+    const status = await readStatus(conn, migrations);
+
+    const drift = status.filter((entry) => entry.state === 'modified' || entry.state === 'missing');
+    if (drift.length && !allowDrift) {
+      throw new Error(`Migration history does not match the files: ${drift.map((e) => `${e.version} (${e.state})`).join(', ')}`);
+    }
+
+    const pending = new Set(
+      status
+        .filter((entry) => entry.state === 'pending' && (to === null || entry.version <= Number(to)))
+        .map((entry) => entry.version)
+    );
+    const applied = [];
+    for (const migration of migrations.filter((m) => pending.has(m.version))) {
+      const startedAt = Date.now();
+      await runStatements(conn, migration, migration.upSql);
+      await conn.query(
+        `INSERT INTO schema_migrations (version, name, checksum, applied_at, execution_ms) VALUES (?, ?, ?, NOW(), ?)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+      applied.push({ version: migration.version, name: migration.name, ms: Date.now() - startedAt });
+    }
+    return { baselined: baselined.map((m) => m.version), applied, drift };
+  });
+}
+
+// Rolls back the most recently applied migrations, newest first
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  return withMigrationLock(async (conn) => {
+    const [rows] = await conn.query(
+      'SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT ?',
+      [Math.max(Number(steps) || 1, 1)]
+    );
+    const reverted = [];
+    for (const row of rows) {
+      const migration = byVersion.get(Number(row.version));
+      if (!migration?.downFile) {
+        throw new Error(`Migration ${row.version} (${row.name}) has no .down.sql file`);
+      }
+      const downSql = await fs.readFile(migration.downFile, 'utf-8');
+      await runStatements(conn, migration, downSql);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+    return reverted;
+  });
+}
+
+export async function createMigration(rawName) {
+  const name = String(rawName || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!name) {
+    throw new Error('Migration name is required');
+  }
+
+  const migrations = await loadMigrations();
+  const version = String((migrations.at(-1)?.version || 0) + 1).padStart(4, '0');
+  await fs.mkdir(MIGRATIONS_DIR, { recursive: true });
+
+  const upFile = path.join(MIGRATIONS_DIR, `${version}_${name}.up.sql`);
+  const downFile = path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`);
+  await fs.writeFile(upFile, `-- ${version}_${name}: apply\n\n`, { flag: 'wx' });
+  await fs.writeFile(downFile, `-- ${version}_${name}: revert everything the .up.sql file does\n\n`, { flag: 'wx' });
+  return { version, upFile, downFile };
+}
+
+// Boot hook: development applies pending migrations (warning on drift);
+// strict mode only checks and refuses to start when anything is out of date.
+export async function runBootMigrations() {
+  if (!isStrictMigrations()) {
+    const result = await migrateUp({ allowDrift: true });
+    result.drift.forEach((entry) =>
+      console.warn(`⚠ Migration ${entry.version}_${entry.name} is ${entry.state}; create a new migration instead of editing applied ones`)
+    );
+    if (result.baselined.length) {
+      console.log(`✓ Recorded existing schema as migrations ${result.baselined.join(', ')}`);
+    }
+    result.applied.forEach((entry) => console.log(`✓ Applied migration ${entry.version}_${entry.name} (${entry.ms}ms)`));
+    return;
+  }
+
+  const status = await getMigrationStatus();
+  const outOfDate = status.filter((entry) => entry.state !== 'applied');
+  if (outOfDate.length) {
+    const details = outOfDate.map((entry) => `${entry.version}_${entry.name} (${entry.state})`).join(', ');
+    throw new Error(`Database schema is out of date: ${details}. Run "npm run migrate -- up" before starting.`);
+  }
+}
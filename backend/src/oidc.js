@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import 'dotenv/config';
+import { withTransaction } from './db.js';
+import { storage } from './storage/index.js';
+import { CANONICAL_ROLES, normalizeRoleValue } from './roles.js';
+
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const TICKET_TTL_MINUTES = 2;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const ADMIN_ROLES = new Set(['system_admin', 'ops_admin', 'medical_admin']);
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// OIDC_PROVIDERS is a JSON array of
+// { id, name, issuer, clientId, clientSecret?, scopes?, autoProvision?, defaultRole?,
+//   trustVerifiedClaims? }
+const loadProviders = () => {
+  let parsed = [];
+  try {
+    parsed = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+  } catch (err) {
+    console.warn('OIDC_PROVIDERS is not valid JSON:', err.message);
+    return new Map();
+  }
+  const providers = new Map();
+  for (const entry of Array.isArray(parsed) ? parsed : []) {
+    const id = String(entry?.id || '').trim().toLowerCase();
+    if (!PROVIDER_ID_PATTERN.test(id) || !entry.issuer || !entry.clientId) {
+      console.warn(`Skipping invalid OIDC provider config: ${entry?.id || '(no id)'}`);
+      continue;
+    }
+    const defaultRole = normalizeRoleValue(entry.defaultRole) || 'mother';
+    providers.set(id, {
+      id,
+      name: entry.name || id,
+      issuer: String(entry.issuer).replace(/\/+$/, ''),
+      clientId: entry.clientId,
+      clientSecret: entry.clientSecret || null,
+      scopes: entry.scopes || 'openid email phone profile',
+      autoProvision: entry.autoProvision === true,
+      // Lets sign-in attach the identity to an existing account by a verified
+      // email or phone; only for providers that verify those themselves
+      trustVerifiedClaims: entry.trustVerifiedClaims === true,
+      // Admin roles are never handed out by an external provider
+      defaultRole: CANONICAL_ROLES.has(defaultRole) && !ADMIN_ROLES.has(defaultRole) ? defaultRole : 'mother'
+    });
+  }
+  return providers;
+};
+
+const providers = loadProviders();
+
+export const getOidcProvider = (id) => providers.get(String(id || '').toLowerCase()) || null;
+
+export const listOidcProviders = () =>
+  Array.from(providers.values()).map(({ id, name }) => ({ id, name }));
+
+const getRedirectUri = (provider) =>
+  `${(process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '')}/auth/oidc/${provider.id}/callback`;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`OIDC request to ${url} failed with status ${response.status}`);
+  }
+  return body;
+};
+
+const getDiscovery = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && Date.now() - cached.loadedAt < DISCOVERY_CACHE_MS) return cached.config;
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.id, { config, loadedAt: Date.now() });
+  return config;
+};
+
+// Unknown kids trigger one refetch so provider key rotation is picked up
+const getSigningKey = async (provider, discovery, kid) => {
+  const find = (keys) => keys.find((key) => !kid || key.kid === kid);
+  let keys = jwksCache.get(provider.id);
+  let jwk = keys && find(keys);
+  if (!jwk) {
+    keys = (await fetchJson(discovery.jwks_uri)).keys || [];
+    jwksCache.set(provider.id, keys);
+    jwk = find(keys);
+  }
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+const verifyIdToken = async (provider, discovery, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error('Malformed ID token');
+
+  const options = { issuer: discovery.issuer, audience: provider.clientId };
+  let key;
+  if (decoded.header.alg === 'HS256' && provider.clientSecret) {
+    key = provider.clientSecret;
+    options.algorithms = ['HS256'];
+  } else {
+    key = await getSigningKey(provider, discovery, decoded.header.kid);
+    options.algorithms = ID_TOKEN_ALGORITHMS;
+  }
+  if (!key) throw new Error('No matching signing key for ID token');
+
+  const claims = jwt.verify(idToken, key, options);
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  return claims;
+};
+
+// Returns the provider authorization URL for a new PKCE login attempt. With
+// `linkUserId` (a signed-in user) the callback links the provider identity to
+// that user instead of signing in.
+export async function beginOidcLogin(provider, { returnTo, linkUserId = null } = {}) {
+  const discovery = await getDiscovery(provider);
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const safeReturnTo = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo.slice(0, 500) : null;
+
+  await storage.oidcRequests.insert({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    returnTo: safeReturnTo,
+    linkUserId,
+    ttlMinutes: LOGIN_REQUEST_TTL_MINUTES
+  });
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: sha256(codeVerifier).toString('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+}
+
+const exchangeCode = async (provider, discovery, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+  return fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+};
+
+// Verified claims as the users table stores them; unverified ones are dropped
+const verifiedContacts = (claims) => ({
+  email: claims.email_verified === true && claims.email ? String(claims.email).toLowerCase() : null,
+  phone: claims.phone_number_verified === true && claims.phone_number ? String(claims.phone_number) : null
+});
+
+const provisionUser = async (provider, claims) => {
+  const userId = uuidv4();
+  const { email } = verifiedContacts(claims);
+  const now = new Date();
+  await withTransaction(() =>
+    storage.users.create({
+      id: userId,
+      phone: claims.phone_number,
+      email,
+      passwordHash: null,
+      authProvider: `oidc:${provider.id}`,
+      status: 'active',
+      role: provider.defaultRole,
+      healthId: `NG-${userId.slice(0, 8).toUpperCase()}`,
+      fullName: claims.name || '',
+      preferredLanguage: claims.locale?.startsWith('bn') ? 'bn' : 'en',
+      phoneVerifiedAt: now,
+      emailVerifiedAt: email ? now : null
+    })
+  );
+  return userId;
+};
+
+const findIdentityOwner = (provider, claims) => storage.identities.findOwner(provider.id, String(claims.sub));
+
+const insertIdentity = (provider, claims, userId) =>
+  storage.identities.insert({
+    id: uuidv4(),
+    userId,
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).slice(0, 255) : null,
+    phone: claims.phone_number ? String(claims.phone_number).slice(0, 20) : null
+  });
+
+// The account a trusted provider's verified claims point at, or null. Both
+// sides must have verified the contact, so an account registered with
+// someone else's unconfirmed address can't collect their identity. Claims
+// matching two different accounts, or an admin account, link nothing.
+const findAccountByVerifiedClaims = async (claims) => {
+  const { email, phone } = verifiedContacts(claims);
+  if (!email && !phone) return null;
+  const matches = await storage.users.listByVerifiedContact(email, phone);
+  if (matches.length !== 1) return null;
+  const [user] = matches;
+  return ADMIN_ROLES.has(normalizeRoleValue(user.role)) ? null : user.id;
+};
+
+// Finds the local user for a provider subject. Unknown subjects are attached
+// to an existing account only for providers with trustVerifiedClaims (see
+// findAccountByVerifiedClaims); otherwise the owner links them from a
+// signed-in session (linkIdentity), so a provider can't take over an account
+// by asserting its address. Failing that, they get a new account when the
+// provider allows it and nobody holds the phone or email yet.
+const resolveIdentity = async (provider, claims) => {
+  const ownerId = await findIdentityOwner(provider, claims);
+  if (ownerId) {
+    await storage.identities.touch(provider.id, String(claims.sub));
+    return { userId: ownerId };
+  }
+
+  if (provider.trustVerifiedClaims) {
+    const accountId = await findAccountByVerifiedClaims(claims);
+    if (accountId) {
+      await insertIdentity(provider, claims, accountId);
+      return { userId: accountId, attached: true };
+    }
+  }
+
+  const clash = await storage.users.existsByEmailOrPhone(
+    claims.email ? String(claims.email).toLowerCase() : null,
+    claims.phone_number ? String(claims.phone_number) : null
+  );
+  if (clash) return { error: 'ACCOUNT_NOT_LINKED' };
+  if (!provider.autoProvision || claims.phone_number_verified !== true || !claims.phone_number) {
+    return { error: 'NO_LINKED_ACCOUNT' };
+  }
+
+  const userId = await provisionUser(provider, claims);
+  await insertIdentity(provider, claims, userId);
+  return { userId };
+};
+
+// Attaches the provider subject to `userId`, who started the link while signed in
+const linkIdentity = async (provider, claims, userId) => {
+  const ownerId = await findIdentityOwner(provider, claims);
+  if (ownerId) return ownerId === userId ? { userId } : { error: 'IDENTITY_IN_USE' };
+  await insertIdentity(provider, claims, userId);
+  return { userId, linked: true };
+};
+
+// Handles the redirect back from the provider. Returns { ok, ticket, returnTo }
+// or { ok: false, error, returnTo? }; `attachedUserId` is set when sign-in
+// just attached the identity to an existing account. The ticket is exchanged for a session by
+// the frontend so tokens never travel in a URL. Link requests return
+// { ok, linkedUserId, linked, returnTo } instead and sign nobody in; `linked`
+// is false when the identity already belonged to that user.
+export async function completeOidcCallback(provider, { code, state, error }) {
+  if (!state) return { ok: false, error: 'INVALID_STATE' };
+  const request = await storage.oidcRequests.findPending(state, provider.id);
+  // A state is good for exactly one callback
+  if (!request || !(await storage.oidcRequests.complete(state))) return { ok: false, error: 'INVALID_STATE' };
+
+  if (error || !code) return { ok: false, error: 'PROVIDER_DENIED', returnTo: request.return_to };
+
+  let claims;
+  try {
+    const discovery = await getDiscovery(provider);
+    const tokens = await exchangeCode(provider, discovery, code, request.code_verifier);
+    claims = await verifyIdToken(provider, discovery, tokens.id_token, request.nonce);
+  } catch (err) {
+    console.warn(`OIDC login via ${provider.id} failed:`, err.message);
+    return { ok: false, error: 'PROVIDER_ERROR', returnTo: request.return_to };
+  }
+
+  if (request.link_user_id) {
+    const link = await linkIdentity(provider, claims, request.link_user_id);
+    if (link.error) return { ok: false, error: link.error, returnTo: request.return_to };
+    return { ok: true, linkedUserId: link.userId, linked: Boolean(link.linked), returnTo: request.return_to };
+  }
+
+  const identity = await resolveIdentity(provider, claims);
+  if (identity.error) return { ok: false, error: identity.error, returnTo: request.return_to };
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  await storage.oidcRequests.issueTicket(state, {
+    userId: identity.userId,
+    ticketHash: sha256(ticket).toString('hex'),
+    ttlMinutes: TICKET_TTL_MINUTES
+  });
+  return {
+    ok: true,
+    ticket,
+    returnTo: request.return_to,
+    attachedUserId: identity.attached ? identity.userId : null
+  };
+}
+
+// Single-use: returns the user id behind a ticket, or null
+export async function consumeOidcTicket(ticket) {
+  if (!ticket) return null;
+  const ticketHash = sha256(String(ticket)).toString('hex');
+  const request = await storage.oidcRequests.findByTicket(ticketHash);
+  if (!request) return null;
+  return (await storage.oidcRequests.complete(request.state)) ? request.user_id : null;
+}
+
+export async function listUserIdentities(userId) {
+  const rows = await storage.identities.listByUser(userId);
+  return rows.map((row) => ({
+    id: row.id,
+    provider: row.provider,
+    providerName: providers.get(row.provider)?.name || row.provider,
+    email: row.email,
+    phone: row.phone,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  }));
+}
+
+export async function unlinkUserIdentity(userId, identityId) {
+  return storage.identities.remove(identityId, userId);
+}
@@ -0,0 +1,51 @@
+import { storage } from './storage/index.js';
+import { sendSms } from './smsService.js';
+import {
+  generateOtpCode,
+  getResendWaitSeconds,
+  storeVerificationSecret,
+  consumeVerificationCode
+} from './contactVerification.js';
+
+const LOGIN_CODE_TTL_MINUTES = 5;
+
+const findUserByPhone = (phone) => storage.users.findByPhone(String(phone || '').trim());
+
+// Codes share the verification_codes table (purpose 'login_otp'), so they get
+// the same hashing, resend cooldown, hourly cap and attempt cap. The error
+// results are for logging; callers answer all of them like a sent code.
+export async function requestLoginOtp(phone) {
+  const userRow = await findUserByPhone(phone);
+  if (!userRow) return { sent: false, error: 'UNKNOWN_PHONE' };
+
+  const retryAfterSeconds = await getResendWaitSeconds(userRow.id, 'login_otp');
+  if (retryAfterSeconds) return { sent: false, error: 'RATE_LIMITED', retryAfterSeconds };
+
+  const code = generateOtpCode();
+  await storeVerificationSecret({
+    userId: userRow.id,
+    purpose: 'login_otp',
+    target: userRow.phone,
+    secret: code,
+    ttlMinutes: LOGIN_CODE_TTL_MINUTES
+  });
+  await sendSms(
+    userRow.phone,
+    `Your Nurture Glow login code is ${code}. It expires in ${LOGIN_CODE_TTL_MINUTES} minutes. Never share this code.`
+  );
+  return { sent: true, expiresInMinutes: LOGIN_CODE_TTL_MINUTES };
+}
+
+// Returns { ok, userRow } or { ok: false, error, userRow? }
+export async function verifyLoginOtp(phone, code) {
+  const userRow = await findUserByPhone(phone);
+  if (!userRow) return { ok: false, error: 'INVALID_CODE' };
+
+  const result = await consumeVerificationCode({ userId: userRow.id, purpose: 'login_otp', code });
+  if (!result.ok) return { ok: false, error: result.error, userRow };
+  if (result.target !== userRow.phone) return { ok: false, error: 'CODE_EXPIRED', userRow };
+
+  // Receiving the code proves possession of the number
+  await storage.users.markPhoneVerified(userRow.id, userRow.phone);
+  return { ok: true, userRow };
+}
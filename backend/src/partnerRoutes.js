@@ -0,0 +1,94 @@
+import express from 'express';
+import { storage } from './storage/index.js';
+import { createEntity, getBySubtype } from './appStore.js';
+
+// Machine-to-machine endpoints for partner hospitals and NGOs (API key auth
+// only). `keyLimiter` runs after requireApiKey and limits each key separately.
+export function createPartnerRouter({ requireApiKey, keyLimiter }) {
+  const router = express.Router();
+
+  const toOptionalNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+  };
+
+  const findUserByHealthId = (healthId) => storage.users.findByHealthId(String(healthId || '').trim());
+
+  router.get('/health-ids/:healthId/verification', requireApiKey('verification.read'), keyLimiter, async (req, res, next) => {
+    try {
+      const user = await findUserByHealthId(req.params.healthId);
+      if (!user) {
+        return res.status(404).json({ error: 'Health ID not found' });
+      }
+
+      res.json({
+        healthId: user.health_id,
+        status: user.health_id_verification_status || 'unverified',
+        verifiedAt: user.health_id_verified_at,
+        verifiedByHospitalId: user.health_id_verified_by_hospital_id
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // externalId makes retries safe: the same partner record is stored only once
+  router.post('/checkins', requireApiKey('checkins.write'), keyLimiter, async (req, res, next) => {
+    try {
+      const { healthId, externalId, checkinDate, bloodPressure, notes } = req.body || {};
+      if (!healthId || !checkinDate) {
+        return res.status(400).json({ error: 'healthId and checkinDate are required' });
+      }
+      const date = new Date(checkinDate);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: 'checkinDate must be a valid date' });
+      }
+      const weightKg = toOptionalNumber(req.body.weightKg);
+      const glucoseLevel = toOptionalNumber(req.body.glucoseLevel);
+      if (weightKg === undefined || glucoseLevel === undefined) {
+        return res.status(400).json({ error: 'weightKg and glucoseLevel must be numbers' });
+      }
+      if (externalId && String(externalId).length > 63) {
+        return res.status(400).json({ error: 'externalId must be at most 63 characters' });
+      }
+
+      const user = await findUserByHealthId(healthId);
+      if (!user) {
+        return res.status(404).json({ error: 'Health ID not found' });
+      }
+
+      const subtype = externalId ? `${req.serviceAccount.id}:${externalId}` : null;
+      if (subtype) {
+        const existing = await getBySubtype({ type: 'partner_checkin', userId: user.id, subtype });
+        if (existing) {
+          return res.json({ checkin: existing, duplicate: true });
+        }
+      }
+
+      const checkin = await createEntity({
+        type: 'partner_checkin',
+        userId: user.id,
+        subtype,
+        data: {
+          healthId: user.health_id,
+          externalId: externalId || null,
+          checkinDate: date.toISOString(),
+          weightKg,
+          bloodPressure: bloodPressure ? String(bloodPressure).slice(0, 20) : null,
+          glucoseLevel,
+          notes: notes ? String(notes).slice(0, 2000) : '',
+          serviceAccountId: req.serviceAccount.id,
+          serviceAccountName: req.serviceAccount.name,
+          hospitalId: req.serviceAccount.hospitalId || null
+        }
+      });
+
+      res.status(201).json({ checkin });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
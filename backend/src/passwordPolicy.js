@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import { storage } from './storage/index.js';
+import { getSystemSettings, parseSettingBoolean } from './settingsStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_HISTORY_COUNT = 24;
+
+const COMMON_PASSWORDS = (() => {
+  try {
+    const raw = fs.readFileSync(path.join(__dirname, 'data', 'common-passwords.txt'), 'utf8');
+    return new Set(
+      raw
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  } catch (err) {
+    console.warn('Common password list unavailable:', err.message);
+    return new Set();
+  }
+})();
+
+const toBanglaDigits = (value) => String(value).replace(/\d/g, (digit) => '০১২৩৪৫৬৭৮৯'[digit]);
+
+const VIOLATION_MESSAGES = {
+  too_short: (policy) => ({
+    en: `Password must be at least ${policy.minLength} characters long.`,
+    bn: `পাসওয়ার্ড কমপক্ষে ${toBanglaDigits(policy.minLength)} অক্ষরের হতে হবে।`
+  }),
+  too_long: () => ({
+    en: `Password must be at most ${MAX_PASSWORD_LENGTH} characters long.`,
+    bn: `পাসওয়ার্ড সর্বোচ্চ ${toBanglaDigits(MAX_PASSWORD_LENGTH)} অক্ষরের হতে পারে।`
+  }),
+  missing_letter: () => ({
+    en: 'Password must contain at least one letter.',
+    bn: 'পাসওয়ার্ডে অন্তত একটি অক্ষর থাকতে হবে।'
+  }),
+  missing_uppercase: () => ({
+    en: 'Password must contain at least one uppercase letter (A-Z).',
+    bn: 'পাসওয়ার্ডে অন্তত একটি বড় হাতের ইংরেজি অক্ষর (A-Z) থাকতে হবে।'
+  }),
+  missing_number: () => ({
+    en: 'Password must contain at least one number.',
+    bn: 'পাসওয়ার্ডে অন্তত একটি সংখ্যা থাকতে হবে।'
+  }),
+  missing_symbol: () => ({
+    en: 'Password must contain at least one symbol (for example ! @ # $).',
+    bn: 'পাসওয়ার্ডে অন্তত একটি চিহ্ন (যেমন ! @ # $) থাকতে হবে।'
+  }),
+  common_password: () => ({
+    en: 'This password is too common. Please choose one that is harder to guess.',
+    bn: 'এই পাসওয়ার্ডটি খুব সাধারণ। অনুগ্রহ করে অনুমান করা কঠিন এমন একটি পাসওয়ার্ড বেছে নিন।'
+  }),
+  contains_personal_info: () => ({
+    en: 'Password must not contain your phone number, email or name.',
+    bn: 'পাসওয়ার্ডে আপনার ফোন নম্বর, ইমেইল বা নাম ব্যবহার করা যাবে না।'
+  }),
+  reused_password: (policy) => ({
+    en: `You cannot reuse any of your last ${policy.historyCount} passwords.`,
+    bn: `আপনার শেষ ${toBanglaDigits(policy.historyCount)}টি পাসওয়ার্ডের কোনোটি আবার ব্যবহার করা যাবে না।`
+  })
+};
+
+export async function getPasswordPolicy() {
+  const settings = await getSystemSettings([
+    'password_min_length',
+    'password_require_letter',
+    'password_require_uppercase',
+    'password_require_number',
+    'password_require_symbol',
+    'password_block_common',
+    'password_history_count'
+  ]);
+  const minLength = Math.min(Math.max(Number(settings.password_min_length) || 8, 6), MAX_PASSWORD_LENGTH);
+  const historyCount = Math.min(Math.max(Number(settings.password_history_count ?? 5) || 0, 0), MAX_HISTORY_COUNT);
+  return {
+    minLength,
+    requireLetter: parseSettingBoolean(settings.password_require_letter, true),
+    requireUppercase: parseSettingBoolean(settings.password_require_uppercase, false),
+    requireNumber: parseSettingBoolean(settings.password_require_number, true),
+    requireSymbol: parseSettingBoolean(settings.password_require_symbol, false),
+    blockCommon: parseSettingBoolean(settings.password_block_common, true),
+    historyCount
+  };
+}
+
+const containsPersonalInfo = (password, identity = {}) => {
+  const lower = password.toLowerCase();
+  const fragments = [
+    identity.phone ? String(identity.phone).replace(/\D/g, '').slice(-8) : '',
+    identity.email ? String(identity.email).split('@')[0] : '',
+    ...String(identity.name || '').split(/\s+/)
+  ]
+    .map((item) => item.trim().toLowerCase())
+    .filter((item) => item.length >= 4);
+  return fragments.some((fragment) => lower.includes(fragment));
+};
+
+// Hashes the user must not reuse: their current one plus the stored history
+const getRecentHashes = async (userId, historyCount) => {
+  if (!userId || historyCount <= 0) return [];
+  const user = await storage.users.findById(userId);
+  const history = await storage.users.listPasswordHistory(userId, Math.max(historyCount - 1, 0));
+  return [user?.password_hash, ...history].filter(Boolean);
+};
+
+// Returns { valid, violations: [{ code, message: { en, bn } }] }
+export async function validatePassword(password, { userId = null, identity = {} } = {}) {
+  const policy = await getPasswordPolicy();
+  const value = typeof password === 'string' ? password : '';
+  const codes = [];
+
+  if (value.length < policy.minLength) codes.push('too_short');
+  if (value.length > MAX_PASSWORD_LENGTH) codes.push('too_long');
+  if (policy.requireLetter && !/\p{L}/u.test(value)) codes.push('missing_letter');
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) codes.push('missing_uppercase');
+  if (policy.requireNumber && !/[\p{Nd}]/u.test(value)) codes.push('missing_number');
+  if (policy.requireSymbol && !/[^\p{L}\p{N}\s]/u.test(value)) codes.push('missing_symbol');
+  if (policy.blockCommon && COMMON_PASSWORDS.has(value.toLowerCase())) codes.push('common_password');
+  if (value && containsPersonalInfo(value, identity)) codes.push('contains_personal_info');
+
+  if (!codes.length && userId) {
+    for (const hash of await getRecentHashes(userId, policy.historyCount)) {
+      if (await bcrypt.compare(value, hash)) {
+        codes.push('reused_password');
+        break;
+      }
+    }
+  }
+
+  return {
+    valid: codes.length === 0,
+    violations: codes.map((code) => ({ code, message: VIOLATION_MESSAGES[code](policy) }))
+  };
+}
+
+export const buildPasswordPolicyError = (violations) => ({
+  error: violations[0]?.message.en || 'Password does not meet the password policy',
+  code: 'PASSWORD_POLICY_VIOLATION',
+  violations
+});
+
+// Call before overwriting users.password_hash so the old hash joins the history
+export async function recordPasswordHistory(userId) {
+  const user = await storage.users.findById(userId);
+  if (!user?.password_hash) return;
+  await storage.users.addPasswordHistory(userId, user.password_hash, MAX_HISTORY_COUNT);
+}
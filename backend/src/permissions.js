@@ -0,0 +1,334 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from './db.js';
+import { storage } from './storage/index.js';
+import { normalizeRoleValue, CANONICAL_ROLES } from './roles.js';
+
+const ACCESS_CACHE_MS = 30 * 1000;
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
+
+const SYSTEM = ['system_admin'];
+const OPS = ['ops_admin', 'system_admin'];
+const MEDICAL = ['medical_admin', 'system_admin'];
+const ADMINS = ['system_admin', 'ops_admin', 'medical_admin'];
+
+// Every permission the code checks, with the roles that receive it by default.
+// Defaults are applied once, when a permission first appears, so later edits
+// made by system admins are never overwritten.
+export const PERMISSION_CATALOG = {
+  'system.dashboard.read': { description: 'View the system admin dashboard', roles: SYSTEM },
+  'system.metrics.read': { description: 'View system metrics, connections and health', roles: SYSTEM },
+  'users.read': { description: 'List users and view their activity', roles: SYSTEM },
+  'users.manage': { description: 'Edit users, change roles and reactivate accounts', roles: SYSTEM },
+  'users.suspend': { description: 'Suspend user accounts', roles: SYSTEM },
+  'users.credentials.reset': { description: 'Force password resets, clear lockouts and reset two-factor', roles: SYSTEM },
+  'users.export': { description: 'Export the user list', roles: SYSTEM },
+  'users.impersonate': { description: 'Sign in as a user to see what they see (read-only)', roles: SYSTEM },
+  'sessions.revoke': { description: 'Sign users out of all sessions', roles: SYSTEM },
+  'appeals.read': { description: 'View suspension appeals', roles: SYSTEM },
+  'appeals.manage': { description: 'Decide suspension appeals', roles: SYSTEM },
+  'security.read': { description: 'View security events and the IP blacklist', roles: SYSTEM },
+  'security.manage': { description: 'Record and resolve security events, edit the IP blacklist', roles: SYSTEM },
+  'backups.read': { description: 'List backups', roles: SYSTEM },
+  'backups.create': { description: 'Create backups', roles: SYSTEM },
+  'backups.download': { description: 'Download backup files', roles: SYSTEM },
+  'backups.restore': { description: 'Restore the database from a backup', roles: SYSTEM },
+  'backups.delete': { description: 'Delete backups', roles: SYSTEM },
+  'maintenance.manage': { description: 'Turn maintenance mode on or off', roles: SYSTEM },
+  'messages.read': { description: 'View system messages', roles: SYSTEM },
+  'messages.manage': { description: 'Send and delete system messages', roles: SYSTEM },
+  'settings.read': { description: 'View system settings', roles: SYSTEM },
+  'settings.manage': { description: 'Change system settings', roles: SYSTEM },
+  'audit.read': { description: 'View the admin and user audit trail', roles: SYSTEM },
+  'audit.export': { description: 'Export the audit trail', roles: SYSTEM },
+  'permissions.read': { description: 'View roles, permissions and user grants', roles: SYSTEM },
+  'permissions.manage': { description: 'Edit roles, permissions and user grants', roles: SYSTEM },
+  'api_keys.read': { description: 'View service accounts and API keys', roles: SYSTEM },
+  'api_keys.manage': { description: 'Create, change and revoke service accounts and API keys', roles: SYSTEM },
+  'database.read': { description: 'Browse raw database tables', roles: SYSTEM },
+  'database.write': { description: 'Edit raw database tables and run seeds', roles: SYSTEM },
+  'data.export': { description: 'Export platform data sets', roles: SYSTEM },
+  'data.bulk_delete': { description: 'Bulk delete platform records', roles: SYSTEM },
+  'blood_donors.manage': { description: 'Reset the blood donor registry', roles: SYSTEM },
+  'operations.dashboard.read': { description: 'View the operations dashboard', roles: OPS },
+  'card_batches.read': { description: 'View health card batches', roles: OPS },
+  'card_batches.manage': { description: 'Create and activate health card batches', roles: OPS },
+  'hospitals.read': { description: 'View partner hospitals', roles: OPS },
+  'hospitals.manage': { description: 'Add, edit, approve and remove partner hospitals', roles: OPS },
+  'csr_programs.read': { description: 'View CSR programs', roles: OPS },
+  'csr_programs.manage': { description: 'Add, edit and remove CSR programs', roles: OPS },
+  'support_tickets.read': { description: 'View support tickets', roles: OPS },
+  'support_tickets.manage': { description: 'Open and update support tickets', roles: OPS },
+  'community.read': { description: 'View community posts for moderation', roles: OPS },
+  'community.moderate': { description: 'Approve or reject community posts', roles: OPS },
+  'blood_requests.read': { description: 'View blood requests', roles: OPS },
+  'announcements.read': { description: 'View announcements', roles: OPS },
+  'announcements.manage': { description: 'Publish announcements', roles: OPS },
+  'pharmacists.read': { description: 'View pending pharmacist applications', roles: OPS },
+  'pharmacists.approve': { description: 'Approve or reject pharmacists', roles: OPS },
+  'medical.dashboard.read': { description: 'View the medical admin dashboard', roles: MEDICAL },
+  'doctor_verifications.read': { description: 'View doctor verification requests', roles: MEDICAL },
+  'doctor_verifications.manage': { description: 'Decide doctor verification requests', roles: MEDICAL },
+  'high_risk_cases.read': { description: 'View high-risk cases', roles: MEDICAL },
+  'high_risk_cases.create': { description: 'Flag a patient as a high-risk case', roles: ['medical_admin', 'doctor', 'system_admin'] },
+  'high_risk_cases.manage': { description: 'Update high-risk cases', roles: MEDICAL },
+  'consultation_reviews.read': { description: 'View consultation reviews', roles: MEDICAL },
+  'consultation_reviews.manage': { description: 'Decide consultation reviews', roles: MEDICAL },
+  'emergency_access.read': { description: 'View emergency access logs', roles: MEDICAL },
+  'clinical_history.read': { description: 'View the change history of any clinical record', roles: MEDICAL },
+  'admin_actions.read': { description: 'View the shared admin action feed', roles: ADMINS },
+  'interactions.read': { description: 'View admin-to-admin interactions', roles: ADMINS },
+  'interactions.manage': { description: 'Open and respond to admin interactions', roles: ADMINS },
+  'stats.read': { description: 'View platform statistics', roles: ADMINS },
+  'analytics.read': { description: 'View analytics', roles: ADMINS },
+  'doctor.dashboard.read': { description: 'View the doctor dashboard', roles: ['doctor'] },
+  'doctor_verification.submit': { description: 'Apply for doctor verification', roles: ['doctor'] },
+  'consultations.read': { description: 'View their consultations and appointments', roles: ['doctor'] },
+  'consultations.manage': { description: 'Update their consultations and appointments', roles: ['doctor'] },
+  'schedule.read': { description: 'View their consultation schedule', roles: ['doctor'] },
+  'schedule.manage': { description: 'Change their consultation schedule', roles: ['doctor'] },
+  'earnings.read': { description: 'View their consultation earnings', roles: ['doctor'] },
+  'consents.request': { description: 'Ask patients for access to their records', roles: ['doctor'] },
+  'patients.read': { description: 'View consented patient records', roles: ['doctor'] },
+  'prescriptions.read': { description: 'View the prescriptions they have written', roles: ['doctor'] },
+  'prescriptions.write': { description: 'Write prescriptions for consented patients', roles: ['doctor'] },
+  'pharmacy.dashboard.read': { description: 'View the pharmacy dashboard', roles: ['pharmacist'] },
+  'pharmacist_verification.submit': { description: 'Apply for pharmacist verification', roles: ['pharmacist'] },
+  'orders.read': { description: 'View pharmacy orders', roles: ['pharmacist'] },
+  'orders.fulfil': { description: 'Update and fulfil pharmacy orders', roles: ['pharmacist'] }
+};
+
+// system_admin always keeps this one so nobody can lock admins out of the editor
+const PROTECTED_GRANTS = { system_admin: ['permissions.manage'] };
+
+const accessCache = new Map();
+
+export const invalidatePermissionCache = (userId) => {
+  if (userId) accessCache.delete(userId);
+  else accessCache.clear();
+};
+
+export const isKnownPermission = (key) => Object.prototype.hasOwnProperty.call(PERMISSION_CATALOG, key);
+
+// Keeps the system roles and the permission catalog in step with the code;
+// keys new to the catalog start out granted to their default roles
+export async function syncPermissionCatalog() {
+  for (const role of CANONICAL_ROLES) {
+    await query('INSERT IGNORE INTO roles (role_name, is_system) VALUES (?, 1)', [role]);
+    await query('UPDATE roles SET is_system = 1 WHERE role_name = ?', [role]);
+  }
+
+  const existing = new Set(
+    (await query('SELECT permission_key FROM permissions')).map((row) => row.permission_key)
+  );
+  for (const [key, entry] of Object.entries(PERMISSION_CATALOG)) {
+    if (existing.has(key)) {
+      await query('UPDATE permissions SET description = ? WHERE permission_key = ?', [entry.description, key]);
+      continue;
+    }
+    await query('INSERT INTO permissions (permission_key, description, created_at) VALUES (?, ?, NOW())', [key, entry.description]);
+    for (const role of entry.roles) {
+      await query(
+        `INSERT IGNORE INTO role_permissions (role_id, permission_key, created_at)
+         SELECT id, ?, NOW() FROM roles WHERE role_name = ?`,
+        [key, role]
+      );
+    }
+  }
+}
+
+// What the catalog grants these roles by default
+const defaultPermissionsFor = (roles) =>
+  Object.entries(PERMISSION_CATALOG)
+    .filter(([, entry]) => entry.roles.some((role) => roles.includes(role)))
+    .map(([key]) => key);
+
+const loadUserAccess = async (userId) => {
+  const user = await storage.users.findById(userId);
+  if (!user) return null;
+  const role = normalizeRoleValue(user.role || 'mother');
+
+  const grants = await storage.permissions.loadGrants(userId, role);
+  const roles = Array.from(new Set([role, ...grants.roles]));
+  // Stores without role and grant tables (STORAGE=memory) report no
+  // permissions of their own, so every role keeps its catalog defaults
+  const permissions = grants.permissions ?? defaultPermissionsFor(roles);
+
+  return { role, roles, permissions: new Set(permissions) };
+};
+
+// Returns { role, roles, permissions: Set } or null for unknown users
+export async function getUserAccess(userId) {
+  const cached = accessCache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < ACCESS_CACHE_MS) {
+    return cached.access;
+  }
+  const access = await loadUserAccess(userId);
+  if (access) accessCache.set(userId, { access, loadedAt: Date.now() });
+  return access;
+}
+
+// Passes only when the signed-in user holds every listed permission
+export const requirePermission = (...required) => {
+  const keys = required.flatMap((key) => (Array.isArray(key) ? key : [key]));
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.sub) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const access = await getUserAccess(req.user.sub);
+      const missing = keys.filter((key) => !access?.permissions.has(key));
+      if (missing.length) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          required: keys,
+          missing
+        });
+      }
+
+      req.userRole = access.role;
+      req.user.role = access.role;
+      req.permissions = access.permissions;
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      return res.status(500).json({ error: 'Permission verification failed' });
+    }
+  };
+};
+
+export async function listPermissions() {
+  const rows = await query(
+    `SELECT p.permission_key, p.description, r.role_name
+     FROM permissions p
+     LEFT JOIN role_permissions rp ON rp.permission_key = p.permission_key
+     LEFT JOIN roles r ON r.id = rp.role_id
+     ORDER BY p.permission_key, r.role_name`
+  );
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!byKey.has(row.permission_key)) {
+      byKey.set(row.permission_key, { key: row.permission_key, description: row.description, roles: [] });
+    }
+    if (row.role_name) byKey.get(row.permission_key).roles.push(row.role_name);
+  }
+  return Array.from(byKey.values());
+}
+
+export async function listRoles() {
+  const roles = await query(
+    `SELECT r.id, r.role_name, r.description, r.is_system,
+            (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS assigned_users
+     FROM roles r ORDER BY r.is_system DESC, r.role_name`
+  );
+  const grants = await query('SELECT role_id, permission_key FROM role_permissions ORDER BY permission_key');
+  return roles.map((role) => ({
+    id: role.id,
+    name: role.role_name,
+    description: role.description,
+    isSystem: Boolean(role.is_system),
+    assignedUsers: Number(role.assigned_users) || 0,
+    permissions: grants.filter((grant) => grant.role_id === role.id).map((grant) => grant.permission_key)
+  }));
+}
+
+export async function findRole(roleName) {
+  const rows = await query(
+    'SELECT id, role_name, description, is_system FROM roles WHERE role_name = ? LIMIT 1',
+    [String(roleName || '').trim()]
+  );
+  return rows[0] || null;
+}
+
+// Returns null when valid, otherwise an error message
+export const validateRoleName = (value) => {
+  const name = String(value || '').trim().toLowerCase();
+  if (!ROLE_NAME_PATTERN.test(name)) {
+    return 'Role name must be 3-50 lowercase letters, digits or underscores and start with a letter';
+  }
+  if (CANONICAL_ROLES.has(normalizeRoleValue(name))) {
+    return 'Role name clashes with a built-in role';
+  }
+  return null;
+};
+
+export async function setRolePermissions(roleId, roleName, permissionKeys, grantedBy) {
+  const keys = Array.from(new Set([...permissionKeys, ...(PROTECTED_GRANTS[roleName] || [])]));
+  await query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  for (const key of keys) {
+    await query(
+      'INSERT INTO role_permissions (role_id, permission_key, granted_by, created_at) VALUES (?, ?, ?, NOW())',
+      [roleId, key, grantedBy]
+    );
+  }
+  invalidatePermissionCache();
+  return keys;
+}
+
+export async function createRole({ name, description, permissions, createdBy }) {
+  const result = await query(
+    'INSERT INTO roles (role_name, description, is_system) VALUES (?, ?, 0)',
+    [name, description || null]
+  );
+  const grantedPermissions = await setRolePermissions(result.insertId, name, permissions, createdBy);
+  return { id: result.insertId, name, description: description || null, isSystem: false, permissions: grantedPermissions };
+}
+
+export async function deleteRole(roleId) {
+  await query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  await query('DELETE FROM user_roles WHERE role_id = ?', [roleId]);
+  const result = await query('DELETE FROM roles WHERE id = ? AND is_system = 0', [roleId]);
+  invalidatePermissionCache();
+  return result.affectedRows || 0;
+}
+
+// Adds an extra role on top of the user's primary users.role
+export async function assignUserRole(userId, roleId) {
+  const rows = await query('SELECT id FROM user_roles WHERE user_id = ? AND role_id = ? LIMIT 1', [userId, roleId]);
+  if (rows.length) return false;
+  await query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, roleId]);
+  invalidatePermissionCache(userId);
+  return true;
+}
+
+export async function removeUserRole(userId, roleId) {
+  const result = await query('DELETE FROM user_roles WHERE user_id = ? AND role_id = ?', [userId, roleId]);
+  invalidatePermissionCache(userId);
+  return result.affectedRows || 0;
+}
+
+export async function listUserGrants(userId) {
+  const rows = await query(
+    `SELECT id, permission_key, reason, granted_by, expires_at, created_at
+     FROM user_permission_grants WHERE user_id = ? ORDER BY permission_key`,
+    [userId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    permission: row.permission_key,
+    reason: row.reason,
+    grantedBy: row.granted_by,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    active: !row.expires_at || new Date(row.expires_at) > new Date()
+  }));
+}
+
+export async function grantUserPermission({ userId, permission, reason, expiresAt, grantedBy }) {
+  await query(
+    `INSERT INTO user_permission_grants (id, user_id, permission_key, reason, granted_by, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE reason = VALUES(reason), granted_by = VALUES(granted_by), expires_at = VALUES(expires_at)`,
+    [uuidv4(), userId, permission, reason || null, grantedBy, expiresAt || null]
+  );
+  invalidatePermissionCache(userId);
+}
+
+export async function revokeUserPermission(userId, permission) {
+  const result = await query(
+    'DELETE FROM user_permission_grants WHERE user_id = ? AND permission_key = ?',
+    [userId, permission]
+  );
+  invalidatePermissionCache(userId);
+  return result.affectedRows || 0;
+}
@@ -0,0 +1,507 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query, withTransaction } from './db.js';
+import { storage, isMemoryStorage } from './storage/index.js';
+import { upgradeEntityData } from './entitySchemas.js';
+
+/**
+ * Relational copies of app entities (migration 0011), so dashboards and
+ * analytics can join real tables:
+ *   appointment   -> consultations
+ *   order         -> orders, order_items, payments
+ *   prescription  -> prescriptions
+ *   doctor_review -> doctor_reviews
+ *
+ * app_entities stays the source of truth. appStore writes the copy after
+ * every create, update, trash and restore (dual write, on unless
+ * RELATIONAL_DUAL_WRITE=false); backfillRelational() fills in rows written
+ * before that and verifyRelational() reports what still differs. Reads move
+ * over with RELATIONAL_READS=true. Nothing here runs with STORAGE=memory.
+ */
+
+const BACKFILL_BATCH_SIZE = 200;
+
+// Lock errors abort the surrounding transaction, so they must reach withTransaction
+const LOCK_ERRORS = new Set(['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT']);
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isFinite(date.getTime()) ? date : null;
+};
+
+const toMoney = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+};
+
+const clip = (value, max) => (value === undefined || value === null ? null : String(value).slice(0, max));
+
+// Lookups repeated across a backfill batch are answered once
+const createResolver = () => {
+  const cache = new Map();
+  const memo = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load());
+    return cache.get(key);
+  };
+
+  const rowExists = (table, id) =>
+    memo(`${table}:${id}`, async () => {
+      if (!id) return false;
+      const rows = await query(`SELECT id FROM ${table} WHERE id = ? LIMIT 1`, [id]);
+      return rows.length > 0;
+    });
+
+  // Doctor accounts have a doctors row and may belong to a hospital;
+  // catalog doctors only name their hospital
+  const doctor = (ref) =>
+    memo(`doctor:${ref}`, async () => {
+      if (!ref) return { doctorId: null, hospitalId: null };
+      const [doctorRows, userRows] = await Promise.all([
+        query('SELECT id FROM doctors WHERE id = ? LIMIT 1', [ref]),
+        query('SELECT hospital_id FROM users WHERE id = ? LIMIT 1', [ref])
+      ]);
+      let hospitalId = userRows[0]?.hospital_id || null;
+      if (!hospitalId) {
+        const catalogRow = await storage.catalog.get('doctor', ref);
+        const hospitalName = catalogRow ? JSON.parse(catalogRow.data || '{}').hospital : null;
+        if (hospitalName) {
+          const hospitals = await query(
+            `SELECT id FROM hospitals WHERE name = ? OR name LIKE CONCAT(?, ' %') ORDER BY name = ? DESC LIMIT 1`,
+            [hospitalName, hospitalName, hospitalName]
+          );
+          hospitalId = hospitals[0]?.id || null;
+        }
+      }
+      return { doctorId: doctorRows[0]?.id || null, hospitalId };
+    });
+
+  // Cart items carry medicine catalog ids; products are matched by id, then name
+  const product = (ref, name) =>
+    memo(`product:${ref}:${name}`, async () => {
+      const rows = await query(
+        'SELECT id FROM products WHERE id = ? OR (? IS NOT NULL AND name = ?) ORDER BY id = ? DESC LIMIT 1',
+        [ref, name, name, ref]
+      );
+      return rows[0]?.id || null;
+    });
+
+  return { rowExists, doctor, product };
+};
+
+// Reads the current copy's version under lock; false when the copy is already newer
+async function claimRow(table, id, version) {
+  const rows = await query(`SELECT source_version FROM ${table} WHERE id = ? FOR UPDATE`, [id]);
+  if (!rows.length) return { exists: false, current: true };
+  const stored = rows[0].source_version;
+  return { exists: true, current: stored === null || Number(stored) <= version };
+}
+
+async function writeRow(table, id, columns, exists) {
+  const names = Object.keys(columns);
+  if (exists) {
+    await query(`UPDATE ${table} SET ${names.map((name) => `${name} = ?`).join(', ')} WHERE id = ?`, [
+      ...names.map((name) => columns[name]),
+      id
+    ]);
+    return;
+  }
+  await query(`INSERT INTO ${table} (id, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`, [
+    id,
+    ...names.map((name) => columns[name])
+  ]);
+}
+
+const paymentStatusOf = (orderStatus) => {
+  if (orderStatus === 'delivered') return 'paid';
+  if (orderStatus === 'cancelled') return 'cancelled';
+  return 'pending';
+};
+
+const RELATIONAL_TYPES = {
+  appointment: {
+    table: 'consultations',
+    async columns(record, resolve) {
+      const { data } = record;
+      const { doctorId, hospitalId } = await resolve.doctor(data.doctorId);
+      return {
+        user_id: data.patientId || record.userId || data.userId,
+        doctor_id: doctorId,
+        doctor_ref: clip(data.doctorId, 100),
+        hospital_id: hospitalId,
+        consultation_type: clip(data.type ? String(data.type).toLowerCase() : null, 50),
+        scheduled_date: toDate(data.scheduledAt) || toDate(`${data.date || ''} ${data.time || ''}`.trim()) || toDate(data.date),
+        status: clip(data.status, 50),
+        notes: data.notes || null
+      };
+    }
+  },
+  order: {
+    table: 'orders',
+    async columns(record) {
+      const { data } = record;
+      const address = data.deliveryAddress;
+      return {
+        user_id: record.userId || data.userId,
+        order_date: toDate(data.orderDate),
+        total_amount: toMoney(data.total),
+        delivery_fee: toMoney(data.deliveryFee),
+        status: clip(data.status, 50),
+        shipping_address: clip(address && typeof address === 'object' ? JSON.stringify(address) : address, 500)
+      };
+    },
+    // Items are replaced as a whole; the single payment row shares the order's id
+    async afterWrite(record, resolve) {
+      const { id, data } = record;
+      await query('DELETE FROM order_items WHERE order_id = ?', [id]);
+      for (const item of data.items || []) {
+        await query(
+          `INSERT INTO order_items (id, order_id, product_id, product_ref, product_name, quantity, unit_price, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            uuidv4(),
+            id,
+            await resolve.product(item.id, item.name || null),
+            clip(item.id, 100),
+            clip(item.name, 255),
+            Math.max(Math.round(Number(item.quantity) || 0), 1),
+            toMoney(item.price),
+            record.createdAt
+          ]
+        );
+      }
+      await query(
+        `INSERT INTO payments (id, order_id, amount, payment_method, payment_status, created_at)
+         VALUES (?, ?, ?, 'cash_on_delivery', ?, ?)
+         ON DUPLICATE KEY UPDATE amount = VALUES(amount), payment_status = VALUES(payment_status)`,
+        [id, id, toMoney(data.total), paymentStatusOf(data.status), record.createdAt]
+      );
+    },
+    async beforeRemove(ids) {
+      await query(`DELETE FROM payments WHERE order_id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+  },
+  prescription: {
+    table: 'prescriptions',
+    async columns(record, resolve) {
+      const { data } = record;
+      const { doctorId } = await resolve.doctor(data.doctorId);
+      return {
+        consultation_id: (await resolve.rowExists('consultations', data.consultationId)) ? data.consultationId : null,
+        doctor_id: doctorId,
+        doctor_ref: clip(data.doctorId, 100),
+        patient_id: data.patientId || record.userId,
+        diagnosis: data.diagnosis || null,
+        instructions: data.instructions || null,
+        medications: JSON.stringify(data.medications || []),
+        follow_up_date: toDate(data.followUpDate),
+        prescribed_at: toDate(data.prescribedAt),
+        status: clip(data.status || 'active', 50)
+      };
+    }
+  },
+  doctor_review: {
+    table: 'doctor_reviews',
+    async columns(record, resolve) {
+      const { data } = record;
+      const { doctorId } = await resolve.doctor(data.doctorId);
+      const rating = Number(data.rating);
+      return {
+        doctor_id: doctorId,
+        doctor_ref: clip(data.doctorId, 100),
+        user_id: record.userId || data.userId,
+        consultation_id: (await resolve.rowExists('consultations', data.appointmentId)) ? data.appointmentId : null,
+        rating: Number.isFinite(rating) ? Math.round(rating) : null,
+        review_text: data.reviewText || null
+      };
+    }
+  }
+};
+
+export const RELATIONAL_SYNC_TYPES = Object.keys(RELATIONAL_TYPES);
+
+export const syncsRelational = (type) =>
+  !isMemoryStorage() && process.env.RELATIONAL_DUAL_WRITE !== 'false' && Object.hasOwn(RELATIONAL_TYPES, type);
+
+// The read switch: reporting queries use the relational tables instead of
+// scanning app_entities JSON. Only turn it on once verify-relational is clean.
+export const relationalReadsEnabled = () => !isMemoryStorage() && process.env.RELATIONAL_READS === 'true';
+
+/**
+ * Writes the relational copy of one entity: { type, id, userId, data,
+ * version, createdAt }, with `data` the parsed document. A copy built from a
+ * newer version is left alone. Throws on failure (e.g. a user_id that no
+ * longer exists); callers decide whether that is fatal.
+ */
+export async function syncRelationalRecord(record, resolve = createResolver()) {
+  const definition = RELATIONAL_TYPES[record.type];
+  if (!definition) return false;
+
+  const now = new Date();
+  const createdAt = toDate(record.data?.createdAt) || toDate(record.createdAt) || now;
+  const version = Number(record.version) || 1;
+  const normalized = { ...record, createdAt, data: upgradeEntityData(record.type, record.data || {}) };
+
+  return withTransaction(async () => {
+    const claim = await claimRow(definition.table, record.id, version);
+    if (!claim.current) return false;
+    const columns = await definition.columns(normalized, resolve);
+    await writeRow(
+      definition.table,
+      record.id,
+      { ...columns, source_version: version, created_at: createdAt, updated_at: now },
+      claim.exists
+    );
+    if (definition.afterWrite) await definition.afterWrite(normalized, resolve);
+    return true;
+  });
+}
+
+// Dual-write entry point for appStore. A failed copy is logged and left for
+// the backfill to repair rather than failing the user's write.
+export async function mirrorEntity(record) {
+  if (!syncsRelational(record.type)) return;
+  try {
+    await syncRelationalRecord(record);
+  } catch (err) {
+    if (LOCK_ERRORS.has(err.code)) throw err;
+    console.warn(`Relational copy of ${record.type} ${record.id} failed:`, err.message);
+  }
+}
+
+// Drops the copies of trashed entities; `rows` are app_entities rows
+export async function removeMirroredRows(rows) {
+  const idsByType = new Map();
+  for (const row of rows) {
+    if (!syncsRelational(row.type)) continue;
+    idsByType.set(row.type, [...(idsByType.get(row.type) || []), row.id]);
+  }
+  for (const [type, ids] of idsByType) {
+    const definition = RELATIONAL_TYPES[type];
+    try {
+      await withTransaction(async () => {
+        if (definition.beforeRemove) await definition.beforeRemove(ids);
+        await query(`DELETE FROM ${definition.table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      });
+    } catch (err) {
+      if (LOCK_ERRORS.has(err.code)) throw err;
+      console.warn(`Removing relational copies of ${ids.length} ${type} row(s) failed:`, err.message);
+    }
+  }
+}
+
+const recordFromRow = (row) => {
+  let data = {};
+  try {
+    data = JSON.parse(row.data || '{}');
+  } catch (err) {
+    data = {};
+  }
+  return { type: row.type, id: row.id, userId: row.user_id, data, version: row.version, createdAt: row.created_at };
+};
+
+// Copies restored entities back; `rows` are the app_entities rows as read
+// before the restore, which bumped each version by one
+export async function mirrorRows(rows) {
+  for (const row of rows) {
+    await mirrorEntity({ ...recordFromRow(row), version: (Number(row.version) || 1) + 1 });
+  }
+}
+
+const assertMysql = () => {
+  if (!isMemoryStorage()) return;
+  const error = new Error('Relational records need MySQL and are not kept with STORAGE=memory');
+  error.status = 501;
+  error.code = 'SQL_UNAVAILABLE';
+  throw error;
+};
+
+const resolveTypes = (types) => {
+  const selected = types?.length ? types : RELATIONAL_SYNC_TYPES;
+  const unknown = selected.filter((type) => !Object.hasOwn(RELATIONAL_TYPES, type));
+  if (unknown.length) {
+    const error = new Error(`No relational table for: ${unknown.join(', ')}`);
+    error.status = 400;
+    error.code = 'UNKNOWN_RELATIONAL_TYPE';
+    throw error;
+  }
+  // Appointments first: prescriptions and reviews link to their consultation
+  return RELATIONAL_SYNC_TYPES.filter((type) => selected.includes(type));
+};
+
+/**
+ * Copies live entities into the relational tables in id order, saving a
+ * checkpoint in relational_backfill after every batch so a rerun resumes
+ * where the last one stopped. Finished types are skipped unless `restart`.
+ * Rows that fail are counted and the first error kept; the run continues.
+ * Returns one summary per type.
+ */
+export async function backfillRelational({ types, batchSize = BACKFILL_BATCH_SIZE, restart = false, onBatch } = {}) {
+  assertMysql();
+  const summaries = [];
+
+  for (const type of resolveTypes(types)) {
+    const [saved] = await query('SELECT * FROM relational_backfill WHERE entity_type = ?', [type]);
+    if (saved?.completed_at && !restart) {
+      summaries.push({ type, synced: Number(saved.synced), failed: Number(saved.failed), skipped: true, lastError: saved.last_error });
+      continue;
+    }
+
+    const progress =
+      saved && !restart
+        ? { lastId: saved.last_id, synced: Number(saved.synced), failed: Number(saved.failed), lastError: saved.last_error }
+        : { lastId: null, synced: 0, failed: 0, lastError: null };
+    const startedAt = saved && !restart ? saved.started_at : new Date();
+
+    for (;;) {
+      const rows = await query(
+        `SELECT id, type, user_id, data, version, created_at
+         FROM app_entities
+         WHERE type = ? AND deleted_at IS NULL ${progress.lastId ? 'AND id > ?' : ''}
+         ORDER BY id ASC
+         LIMIT ?`,
+        progress.lastId ? [type, progress.lastId, batchSize] : [type, batchSize]
+      );
+
+      const resolve = createResolver();
+      for (const row of rows) {
+        try {
+          await syncRelationalRecord(recordFromRow(row), resolve);
+          progress.synced += 1;
+        } catch (err) {
+          progress.failed += 1;
+          progress.lastError = progress.lastError || clip(`${row.id}: ${err.message}`, 500);
+        }
+        progress.lastId = row.id;
+      }
+
+      const done = rows.length < batchSize;
+      await query(
+        `INSERT INTO relational_backfill (entity_type, last_id, synced, failed, last_error, started_at, updated_at, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)
+         ON DUPLICATE KEY UPDATE last_id = VALUES(last_id), synced = VALUES(synced), failed = VALUES(failed),
+           last_error = VALUES(last_error), started_at = VALUES(started_at), updated_at = NOW(), completed_at = VALUES(completed_at)`,
+        [type, progress.lastId, progress.synced, progress.failed, progress.lastError, startedAt, done ? new Date() : null]
+      );
+      if (onBatch) onBatch({ type, ...progress });
+      if (done) break;
+    }
+
+    summaries.push({ type, synced: progress.synced, failed: progress.failed, skipped: false, lastError: progress.lastError });
+  }
+
+  return summaries;
+}
+
+const countWithSamples = async (idColumn, fromClause, params, sampleLimit) => {
+  const [row] = await query(`SELECT COUNT(*) AS count ${fromClause}`, params);
+  const samples = sampleLimit > 0 ? await query(`SELECT ${idColumn} AS id ${fromClause} ORDER BY ${idColumn} LIMIT ?`, [...params, sampleLimit]) : [];
+  return { count: Number(row.count), samples: samples.map((sample) => sample.id) };
+};
+
+/**
+ * Compares app_entities with the relational copies, per type:
+ *   entities  live entities of the type
+ *   rows      relational rows that came from an entity (source_version set)
+ *   missing   entities without a copy
+ *   stale     copies built from an older entity version
+ *   orphaned  copies whose entity is gone or in the trash
+ *   unlinked  copies whose doctor/product reference matched no row (FK left NULL)
+ * plus up to `sampleLimit` ids for missing, stale and orphaned.
+ */
+export async function verifyRelational({ types, sampleLimit = 20 } = {}) {
+  assertMysql();
+  const report = [];
+
+  for (const type of resolveTypes(types)) {
+    const { table } = RELATIONAL_TYPES[type];
+    const liveEntities = `(SELECT id, version FROM app_entities WHERE type = ? AND deleted_at IS NULL) e`;
+
+    const [counts] = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM app_entities WHERE type = ? AND deleted_at IS NULL) AS entities,
+         (SELECT COUNT(*) FROM ${table} WHERE source_version IS NOT NULL) AS \`rows\``,
+      [type]
+    );
+    const missing = await countWithSamples('e.id', `FROM ${liveEntities} LEFT JOIN ${table} r ON r.id = e.id WHERE r.id IS NULL`, [type], sampleLimit);
+    const stale = await countWithSamples('e.id', `FROM ${liveEntities} JOIN ${table} r ON r.id = e.id WHERE r.source_version < e.version`, [type], sampleLimit);
+    const orphaned = await countWithSamples(
+      'r.id',
+      `FROM ${table} r LEFT JOIN ${liveEntities} ON e.id = r.id WHERE r.source_version IS NOT NULL AND e.id IS NULL`,
+      [type],
+      sampleLimit
+    );
+
+    let unlinked = 0;
+    if (type === 'order') {
+      const [row] = await query(
+        `SELECT COUNT(*) AS count FROM order_items i JOIN orders o ON o.id = i.order_id
+         WHERE o.source_version IS NOT NULL AND i.product_id IS NULL`
+      );
+      unlinked = Number(row.count);
+    } else {
+      const [row] = await query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE source_version IS NOT NULL AND doctor_id IS NULL AND doctor_ref IS NOT NULL`
+      );
+      unlinked = Number(row.count);
+    }
+
+    report.push({
+      type,
+      table,
+      entities: Number(counts.entities),
+      rows: Number(counts.rows),
+      missing: missing.count,
+      stale: stale.count,
+      orphaned: orphaned.count,
+      unlinked,
+      samples: { missing: missing.samples, stale: stale.samples, orphaned: orphaned.samples }
+    });
+  }
+
+  return report;
+}
+
+// Reads behind RELATIONAL_READS
+
+// Per day counts of new appointments or orders, newest day first
+export async function countCreatedByDay(type, { dateFrom, dateTo } = {}) {
+  const { table } = RELATIONAL_TYPES[type];
+  const conditions = ['source_version IS NOT NULL'];
+  const params = [];
+  if (dateFrom) {
+    conditions.push('created_at >= ?');
+    params.push(dateFrom);
+  }
+  if (dateTo) {
+    conditions.push('created_at <= ?');
+    params.push(dateTo);
+  }
+  return query(
+    `SELECT DATE(created_at) as date, COUNT(*) as count
+     FROM ${table} WHERE ${conditions.join(' AND ')}
+     GROUP BY DATE(created_at) ORDER BY date DESC LIMIT 30`,
+    params
+  );
+}
+
+// Map of doctor id (account or catalog) -> { total, count } over valid ratings
+export async function loadDoctorRatingTotals() {
+  const rows = await query(
+    `SELECT doctor_ref, SUM(rating) AS total, COUNT(*) AS count
+     FROM doctor_reviews
+     WHERE doctor_ref IS NOT NULL AND rating BETWEEN 1 AND 5
+     GROUP BY doctor_ref`
+  );
+  return new Map(rows.map((row) => [row.doctor_ref, { total: Number(row.total), count: Number(row.count) }]));
+}
+
+// app_entities rows of the prescriptions a doctor issued, newest first
+export async function listPrescriptionRowsByDoctor(doctorRef) {
+  return query(
+    `SELECT e.id, e.type, e.data, e.version FROM prescriptions p
+     JOIN app_entities e ON e.id = p.id AND e.deleted_at IS NULL
+     WHERE p.doctor_ref = ?
+     ORDER BY p.prescribed_at DESC`,
+    [doctorRef]
+  );
+}
@@ -0,0 +1,232 @@
+import 'dotenv/config';
+import { listCatalog, listEntities, getEntity, onEntityChange, onCatalogChange } from '../appStore.js';
+import { createInvertedIndex } from './invertedIndex.js';
+import { buildSnippet } from './snippet.js';
+
+/**
+ * Site search over the doctor, hospital and medicine catalogs and community
+ * posts. The index lives in this process, so it works the same with either
+ * storage driver and handles Bangla, which MySQL's FULLTEXT parsers split
+ * poorly. It is built on the first search, kept current by the appStore
+ * change hooks, and rebuilt once it is SEARCH_INDEX_MAX_AGE_SECONDS old to
+ * pick up writes made by other server instances.
+ */
+
+const INDEX_MAX_AGE_MS = Math.max(Number(process.env.SEARCH_INDEX_MAX_AGE_SECONDS) || 600, 10) * 1000;
+
+const FIELD_WEIGHTS = { name: 3, specialty: 2, category: 2, hospital: 1.5, location: 1.5, author: 1.5, content: 1 };
+
+// Fee or price buckets for the `price` facet; `max` is exclusive
+const PRICE_RANGES = [
+  { key: 'under-500', max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-2000', min: 1000, max: 2000 },
+  { key: '2000-plus', min: 2000 }
+];
+
+export const SEARCH_FACETS = ['specialty', 'location', 'category', 'price'];
+
+const priceRange = (value) => {
+  const amount = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(amount)) return null;
+  return PRICE_RANGES.find(({ min = 0, max = Infinity }) => amount >= min && amount < max).key;
+};
+
+// "Ramna, Dhaka" and "Dhaka" both facet as Dhaka
+const cityOf = (location) => {
+  const parts = String(location || '').split(',').map((part) => part.trim()).filter(Boolean);
+  return parts.length ? parts[parts.length - 1] : null;
+};
+
+// Public search type -> how its records become index documents
+const SEARCH_TYPES = {
+  doctors: {
+    catalog: 'doctor',
+    toDocument: (doctor) => ({
+      fields: { name: doctor.name, specialty: doctor.specialty, hospital: doctor.hospital, location: doctor.location },
+      facets: { specialty: doctor.specialty || null, location: cityOf(doctor.location), price: priceRange(doctor.fee) },
+      item: doctor
+    })
+  },
+  hospitals: {
+    catalog: 'hospital',
+    toDocument: (hospital) => ({
+      fields: { name: hospital.name, location: hospital.location },
+      facets: { location: cityOf(hospital.location) },
+      item: hospital
+    })
+  },
+  medicines: {
+    catalog: 'medicine',
+    toDocument: (medicine) => ({
+      fields: { name: medicine.name, category: medicine.category },
+      facets: { category: medicine.category || null, price: priceRange(medicine.price) },
+      item: medicine
+    })
+  },
+  posts: {
+    entity: 'community_post',
+    // Rejected posts stay out of search; likes and comments are not indexed,
+    // so results carry their counts instead of the full lists
+    toDocument: (post) =>
+      post.moderation === 'rejected'
+        ? null
+        : {
+            fields: { content: post.content, author: post.authorName },
+            facets: {},
+            item: {
+              id: post.id,
+              userId: post.userId,
+              authorName: post.authorName,
+              content: post.content,
+              image: post.image,
+              createdAt: post.createdAt,
+              likeCount: Array.isArray(post.likes) ? post.likes.length : 0,
+              commentCount: Array.isArray(post.comments) ? post.comments.length : 0
+            }
+          }
+  }
+};
+
+export const SEARCH_TYPE_NAMES = Object.keys(SEARCH_TYPES);
+
+const CATALOG_SEARCH_TYPES = new Map(
+  Object.entries(SEARCH_TYPES)
+    .filter(([, config]) => config.catalog)
+    .map(([name, config]) => [config.catalog, name])
+);
+
+const toDocument = (searchType, record) => {
+  const document = SEARCH_TYPES[searchType].toDocument(record);
+  return document && { ...document, key: `${searchType}:${record.id}`, searchType, id: record.id };
+};
+
+const loadRecords = (searchType) => {
+  const config = SEARCH_TYPES[searchType];
+  return config.catalog ? listCatalog(config.catalog) : listEntities({ type: config.entity });
+};
+
+let index = null;
+let builtAt = 0;
+let building = null;
+// Changes seen while a rebuild is reading; replayed once it is swapped in
+let changedDuringBuild = null;
+
+const replaceType = (target, searchType, records) => {
+  target.keys().filter((key) => key.startsWith(`${searchType}:`)).forEach((key) => target.remove(key));
+  for (const record of records) {
+    const document = toDocument(searchType, record);
+    if (document) target.add(document);
+  }
+};
+
+const refreshPosts = async (target, ids) => {
+  for (const id of ids) {
+    const post = await getEntity({ id, type: SEARCH_TYPES.posts.entity });
+    const document = post && toDocument('posts', post);
+    if (document) target.add(document);
+    else target.remove(`posts:${id}`);
+  }
+};
+
+async function rebuildIndex() {
+  const fresh = createInvertedIndex({ fieldWeights: FIELD_WEIGHTS });
+  changedDuringBuild = { catalogTypes: new Set(), postIds: new Set() };
+  const startedAt = Date.now();
+  try {
+    for (const searchType of SEARCH_TYPE_NAMES) {
+      replaceType(fresh, searchType, await loadRecords(searchType));
+    }
+    const { catalogTypes, postIds } = changedDuringBuild;
+    for (const searchType of catalogTypes) replaceType(fresh, searchType, await loadRecords(searchType));
+    await refreshPosts(fresh, postIds);
+    index = fresh;
+    builtAt = startedAt;
+  } finally {
+    changedDuringBuild = null;
+  }
+}
+
+async function ensureIndex() {
+  if (index && Date.now() - builtAt < INDEX_MAX_AGE_MS) return index;
+  if (!building) {
+    building = rebuildIndex().finally(() => {
+      building = null;
+    });
+    if (index) building.catch((err) => console.warn('Search index rebuild failed:', err.message));
+  }
+  // A stale index still answers while its replacement is built
+  if (index) return index;
+  await building;
+  return index;
+}
+
+onCatalogChange(async ({ type }) => {
+  const searchType = CATALOG_SEARCH_TYPES.get(type);
+  if (!searchType) return;
+  changedDuringBuild?.catalogTypes.add(searchType);
+  if (index) replaceType(index, searchType, await loadRecords(searchType));
+});
+
+onEntityChange([SEARCH_TYPES.posts.entity], async ({ ids, action }) => {
+  ids.forEach((id) => changedDuringBuild?.postIds.add(id));
+  if (!index) return;
+  if (action === 'delete') ids.forEach((id) => index.remove(`posts:${id}`));
+  else await refreshPosts(index, ids);
+});
+
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Runs `query` over the requested search types (all by default).
+ * `filters` maps a facet (specialty, location, category, price) to the
+ * values to keep; documents without that facet are dropped when it is
+ * filtered. Facet counts cover the matches with every other facet's filter
+ * applied, so a selected value's alternatives stay visible.
+ * Returns { total, items, facets }; each item is
+ * { type, id, score, highlights: { field: '…<mark>word</mark>…' }, item }.
+ */
+export async function search({ query, types = SEARCH_TYPE_NAMES, filters = {}, limit = 20, offset = 0 }) {
+  const current = await ensureIndex();
+  const wanted = new Set(types);
+  const matches = current.search(query, { accept: (document) => wanted.has(document.searchType) });
+
+  const activeFilters = SEARCH_FACETS.filter((facet) => filters[facet]?.length);
+  const facets = Object.fromEntries(['type', ...SEARCH_FACETS].map((facet) => [facet, {}]));
+  const count = (facet, value) => {
+    if (value !== null && value !== undefined) facets[facet][value] = (facets[facet][value] || 0) + 1;
+  };
+
+  const kept = [];
+  for (const match of matches) {
+    const values = match.document.facets;
+    const failed = activeFilters.filter(
+      (facet) => !filters[facet].some((wantedValue) => values[facet] != null && sameValue(values[facet], wantedValue))
+    );
+    if (failed.length > 1) continue;
+    if (failed.length === 1) {
+      count(failed[0], values[failed[0]]);
+      continue;
+    }
+    kept.push(match);
+    count('type', match.document.searchType);
+    SEARCH_FACETS.forEach((facet) => count(facet, values[facet]));
+  }
+
+  const items = kept.slice(offset, offset + limit).map(({ document, score, terms }) => {
+    const highlights = {};
+    for (const [field, text] of Object.entries(document.fields)) {
+      const snippet = buildSnippet(text, terms);
+      if (snippet) highlights[field] = snippet;
+    }
+    return {
+      type: document.searchType,
+      id: document.id,
+      score: Math.round(score * 1000) / 1000,
+      highlights,
+      item: document.item
+    };
+  });
+
+  return { total: kept.length, items, facets };
+}
@@ -0,0 +1,141 @@
+import { editDistance, phoneticKey, tokenize } from './tokenizer.js';
+
+// How much a query word counts when it reaches an indexed term by each route
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.75, phonetic: 0.6, typo: 0.5 };
+
+// Typos are allowed after the first letter only ("mother" must not reach "other")
+const typoAllowance = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * In-memory inverted index over small documents:
+ *   { key, fields: { name: 'Dr. Arifa Begum', ... }, ...anything else }
+ * `fieldWeights` says how much a match in each field is worth; fields without
+ * a weight are stored but not searched. Documents are replaced whole by
+ * `add` (same key) and the index keeps no other state, so it can be rebuilt
+ * from scratch at any time.
+ */
+export function createInvertedIndex({ fieldWeights }) {
+  const documents = new Map();
+  // term -> Map(document key -> field-weighted frequency)
+  const postings = new Map();
+  // phonetic key -> Set(term)
+  const soundsLike = new Map();
+
+  const unlinkTerm = (term, key) => {
+    const docs = postings.get(term);
+    if (!docs) return;
+    docs.delete(key);
+    if (docs.size) return;
+    postings.delete(term);
+    const sound = phoneticKey(term);
+    const terms = sound && soundsLike.get(sound);
+    if (!terms) return;
+    terms.delete(term);
+    if (!terms.size) soundsLike.delete(sound);
+  };
+
+  const remove = (key) => {
+    const document = documents.get(key);
+    if (!document) return false;
+    document.terms.forEach((term) => unlinkTerm(term, key));
+    documents.delete(key);
+    return true;
+  };
+
+  const add = (document) => {
+    remove(document.key);
+    const frequencies = new Map();
+    for (const [field, weight] of Object.entries(fieldWeights)) {
+      for (const { term } of tokenize(document.fields[field])) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      }
+    }
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+        const sound = phoneticKey(term);
+        if (sound) soundsLike.set(sound, (soundsLike.get(sound) || new Set()).add(term));
+      }
+      postings.get(term).set(document.key, frequency);
+    }
+    documents.set(document.key, { ...document, terms: [...frequencies.keys()] });
+  };
+
+  // Indexed terms a query word may stand for, with the best weight of each
+  const expand = (word) => {
+    const matches = new Map();
+    const offer = (term, weight) => {
+      if ((matches.get(term) || 0) < weight) matches.set(term, weight);
+    };
+    if (postings.has(word)) offer(word, MATCH_WEIGHTS.exact);
+    const sound = phoneticKey(word);
+    (soundsLike.get(sound) || []).forEach((term) => offer(term, MATCH_WEIGHTS.phonetic));
+    const allowance = typoAllowance(word);
+    for (const term of postings.keys()) {
+      if (word.length >= 2 && term.length > word.length && term.startsWith(word)) {
+        offer(term, MATCH_WEIGHTS.prefix);
+      } else if (allowance && term[0] === word[0] && editDistance(word, term, allowance) <= allowance) {
+        offer(term, MATCH_WEIGHTS.typo);
+      }
+    }
+    return matches;
+  };
+
+  /**
+   * Documents matching every word of `query`, best first:
+   * [{ document, score, terms }] where `terms` are the indexed terms that
+   * matched (for highlighting). `accept(document)` narrows the candidates.
+   */
+  const search = (query, { accept = () => true } = {}) => {
+    const words = [...new Set(tokenize(query).map(({ term }) => term))];
+    if (!words.length) return [];
+
+    let candidates = null;
+    for (const word of words) {
+      const scores = new Map();
+      for (const [term, weight] of expand(word)) {
+        const docs = postings.get(term);
+        const idf = Math.log(1 + documents.size / docs.size);
+        for (const [key, frequency] of docs) {
+          const score = weight * frequency * idf;
+          const best = scores.get(key);
+          if (!best) scores.set(key, { score, terms: [term] });
+          else {
+            best.score = Math.max(best.score, score);
+            best.terms.push(term);
+          }
+        }
+      }
+      if (candidates === null) {
+        candidates = scores;
+      } else {
+        for (const [key, match] of candidates) {
+          const next = scores.get(key);
+          if (!next) candidates.delete(key);
+          else {
+            match.score += next.score;
+            match.terms.push(...next.terms);
+          }
+        }
+      }
+      if (!candidates.size) return [];
+    }
+
+    const results = [];
+    for (const [key, { score, terms }] of candidates) {
+      const document = documents.get(key);
+      if (accept(document)) results.push({ document, score, terms: new Set(terms) });
+    }
+    return results.sort((a, b) => b.score - a.score);
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    get size() {
+      return documents.size;
+    },
+    keys: () => [...documents.keys()]
+  };
+}
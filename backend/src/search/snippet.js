@@ -0,0 +1,42 @@
+import { tokenize } from './tokenizer.js';
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * HTML-escaped excerpt of `text` with the words that index to one of `terms`
+ * wrapped in <mark>. Long text is cut to about `maxLength` characters around
+ * the first match, on word boundaries, with an ellipsis where it was cut.
+ * Returns null when nothing in the text matched.
+ */
+export function buildSnippet(text, terms, { maxLength = 160 } = {}) {
+  const source = String(text ?? '');
+  const hits = tokenize(source).filter(({ term }) => terms.has(term));
+  if (!hits.length) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    start = Math.max(hits[0].start - Math.floor(maxLength / 4), 0);
+    end = Math.min(start + maxLength, source.length);
+    start = Math.max(end - maxLength, 0);
+    if (start > 0) {
+      const space = source.indexOf(' ', start);
+      if (space >= 0 && space < hits[0].start) start = space + 1;
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > start && space >= hits[0].end) end = space;
+    }
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const hit of hits) {
+    if (hit.start < start || hit.end > end) continue;
+    snippet += `${escapeHtml(source.slice(position, hit.start))}<mark>${escapeHtml(source.slice(hit.start, hit.end))}</mark>`;
+    position = hit.end;
+  }
+  snippet += escapeHtml(source.slice(position, end));
+  return end < source.length ? `${snippet}…` : snippet;
+}
@@ -0,0 +1,101 @@
+// Text handling for the search index: Bangla and English words, plus a
+// phonetic key so spellings of one name ("Arifa", "Arifah", "আরিফা") meet.
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+const BANGLA_PATTERN = /[ঀ-৿]/;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with', 'dr',
+  'ও', 'এবং', 'এর', 'কি', 'না', 'যে', 'এই', 'সে', 'আর', 'জন্য', 'থেকে', 'ডা'
+]);
+
+// Zero-width joiners are spelling noise in Bangla; digits compare as ASCII
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFKC')
+    .replace(/[‌‍]/g, '')
+    .replace(/[০-৯]/g, (digit) => String(BANGLA_DIGITS.indexOf(digit)))
+    .toLowerCase();
+
+// Plural English nouns index with their singular ("vitamins" -> "vitamin")
+const stemEnglish = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Splits text into index terms with their position in the original string:
+ * [{ term, start, end }]. Stopwords are dropped; English words are stemmed,
+ * Bangla words are kept whole (matching on their phonetic key instead).
+ */
+export function tokenize(text) {
+  const source = String(text ?? '');
+  const tokens = [];
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const word = normalizeText(match[0]);
+    if (!word || STOPWORDS.has(word)) continue;
+    const term = BANGLA_PATTERN.test(word) ? word : stemEnglish(word);
+    tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+const BANGLA_LETTERS = {
+  অ: 'o', আ: 'a', ই: 'i', ঈ: 'i', উ: 'u', ঊ: 'u', ঋ: 'ri', এ: 'e', ঐ: 'oi', ও: 'o', ঔ: 'ou',
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri', 'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou',
+  ক: 'k', খ: 'kh', গ: 'g', ঘ: 'gh', ঙ: 'ng', চ: 'ch', ছ: 'chh', জ: 'j', ঝ: 'jh', ঞ: 'n',
+  ট: 't', ঠ: 'th', ড: 'd', ঢ: 'dh', ণ: 'n', ত: 't', থ: 'th', দ: 'd', ধ: 'dh', ন: 'n',
+  প: 'p', ফ: 'f', ব: 'b', ভ: 'bh', ম: 'm', য: 'j', র: 'r', ল: 'l', শ: 'sh', ষ: 'sh', স: 's', হ: 'h',
+  ড়: 'r', ঢ়: 'rh', য়: 'y', ৎ: 't', 'ং': 'ng', 'ঃ': 'h', 'ঁ': '', '্': '', '়': ''
+};
+
+// Latin spelling of a Bangla word, close enough for phonetic keys
+export const romanize = (word) => [...word.normalize('NFC')].map((char) => BANGLA_LETTERS[char] ?? char).join('');
+
+const VOWELS = /[aeiouyw]/g;
+
+/**
+ * Consonant skeleton of a word: transliteration variants fold together
+ * (ph/f, z/j, v/b, sh/s, aspirated consonants, a trailing h, doubled
+ * letters) and vowels after the first letter are dropped, since Bangla names
+ * are romanized with whatever vowels the writer hears. Short words have no
+ * key; they would match far too much.
+ */
+export function phoneticKey(term) {
+  let word = BANGLA_PATTERN.test(term) ? romanize(term) : term;
+  word = word.replace(/[^a-z]/g, '');
+  if (word.length < 3) return null;
+  word = word
+    .replace(/ph/g, 'f')
+    .replace(/([kgcjtdb])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/ck/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/z/g, 'j')
+    .replace(/v/g, 'b')
+    .replace(/x/g, 'ks')
+    .replace(/([aeiou])h$/, '$1')
+    .replace(/(.)\1+/g, '$1');
+  const key = (word[0].replace(VOWELS, 'a') + word.slice(1).replace(VOWELS, '')).replace(/(.)\1+/g, '$1');
+  return key.length >= 2 ? key : null;
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,26 @@
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+
+// Event types must match the security_events.event_type enum in migrations/0004_admin_tables.up.sql
+export async function recordSecurityEvent({
+  eventType,
+  severity = 'MEDIUM',
+  userId = null,
+  ipAddress = null,
+  userAgent = null,
+  description,
+  metadata = {}
+}) {
+  const eventId = uuidv4();
+  await storage.securityEvents.insert({
+    id: eventId,
+    eventType,
+    severity,
+    userId,
+    ipAddress: ipAddress ? String(ipAddress).slice(0, 45) : null,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+    description: String(description || '').slice(0, 500),
+    metadata: JSON.stringify(metadata || {})
+  });
+  return eventId;
+}
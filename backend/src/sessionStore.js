@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './storage/index.js';
+
+const REFRESH_TOKEN_TTL_DAYS = Math.max(Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30, 1);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// The session id doubles as the access token jti.
+// Impersonation sessions carry the admin's id and are never refreshed.
+export async function createSession({ userId, ipAddress, userAgent, impersonatorId = null, expiresAt = refreshExpiry() }) {
+  const id = uuidv4();
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  await storage.sessions.insert({
+    id,
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ipAddress: ipAddress ? String(ipAddress).slice(0, 45) : null,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+    createdAt: now,
+    expiresAt,
+    impersonatorUserId: impersonatorId
+  });
+
+  return { sessionId: id, refreshToken, expiresAt };
+}
+
+export async function getActiveSession(sessionId) {
+  if (!sessionId) return null;
+  return storage.sessions.findActive(sessionId);
+}
+
+export async function touchSession(sessionId) {
+  await storage.sessions.touch(sessionId);
+}
+
+// Swap a refresh token for a new one. Presenting an already-rotated token
+// means it leaked, so the whole session is revoked.
+export async function rotateRefreshToken(refreshToken) {
+  if (!refreshToken) return null;
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await storage.sessions.findByRefreshHash(tokenHash);
+
+  if (!session) {
+    const reused = await storage.sessions.findByPreviousHash(tokenHash);
+    if (reused) {
+      await revokeSession(reused.id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  if (session.revoked_at || session.impersonator_user_id || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const nextToken = generateRefreshToken();
+  const expiresAt = refreshExpiry();
+  const rotated = await storage.sessions.rotate({
+    sessionId: session.id,
+    tokenHash,
+    nextHash: hashToken(nextToken),
+    expiresAt
+  });
+
+  // Lost a race with a concurrent refresh of the same token
+  if (!rotated) return null;
+
+  return { sessionId: session.id, userId: session.user_id, refreshToken: nextToken, expiresAt };
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+  return storage.sessions.revoke({ sessionId }, reason);
+}
+
+export async function revokeUserSessions(userId, reason = 'revoked') {
+  return storage.sessions.revoke({ userId }, reason);
+}
+
+// "Chrome on Android" style label for the session list
+export const describeDevice = (userAgent) => {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+
+  const browser =
+    (/Edg\//.test(ua) && 'Edge') ||
+    (/OPR\/|Opera/.test(ua) && 'Opera') ||
+    (/SamsungBrowser\//.test(ua) && 'Samsung Internet') ||
+    (/Firefox\/|FxiOS\//.test(ua) && 'Firefox') ||
+    (/Chrome\/|CriOS\//.test(ua) && 'Chrome') ||
+    (/Safari\//.test(ua) && 'Safari') ||
+    (/okhttp|Dart\/|Expo|ReactNative/i.test(ua) && 'Nurture Glow app') ||
+    null;
+  const os =
+    (/Android/.test(ua) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(ua) && 'iOS') ||
+    (/Windows/.test(ua) && 'Windows') ||
+    (/Mac OS X|Macintosh/.test(ua) && 'macOS') ||
+    (/Linux/.test(ua) && 'Linux') ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+export async function listUserSessions(userId) {
+  const rows = await storage.sessions.listActive(userId);
+  return rows.map((row) => ({
+    id: row.id,
+    deviceLabel: row.impersonator_user_id ? 'Nurture Glow support (view only)' : describeDevice(row.user_agent),
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at,
+    impersonation: Boolean(row.impersonator_user_id)
+  }));
+}
+
+// Scoped to the owner so one user cannot revoke another user's session
+export async function revokeUserSession(userId, sessionId, reason = 'revoked_by_user') {
+  return storage.sessions.revoke({ sessionId, userId }, reason);
+}
+
+export async function revokeOtherUserSessions(userId, keepSessionId, reason = 'revoked_by_user') {
+  return storage.sessions.revoke({ userId, exceptSessionId: keepSessionId }, reason);
+}
+
+// A device counts as known once any earlier session used the same user agent
+export async function isKnownDevice(userId, userAgent) {
+  const { total, matching } = await storage.sessions.countDevices(userId, userAgent ? String(userAgent).slice(0, 500) : null);
+  return { hasSessions: total > 0, known: matching > 0 };
+}
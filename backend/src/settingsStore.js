@@ -0,0 +1,45 @@
+import { storage } from './storage/index.js';
+
+export const parseSettingBoolean = (value, fallback = false) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+  return fallback;
+};
+
+// Accepts a JSON array or a comma separated string
+export const parseSettingList = (value, fallback = []) => {
+  if (value === null || value === undefined) return fallback;
+  const raw = String(value).trim();
+  if (!raw) return [];
+  if (raw.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed.map((item) => String(item).trim()).filter(Boolean) : fallback;
+    } catch (err) {
+      return fallback;
+    }
+  }
+  return raw.split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+export async function getSystemSettings(keys) {
+  if (!keys.length) return {};
+  return storage.settings.get(keys);
+}
+
+export async function getSystemSetting(key, fallback = null) {
+  const { [key]: value } = await storage.settings.get([key]);
+  if (value === null || value === undefined) return fallback;
+  return value;
+}
+
+export async function getSettingBoolean(key, fallback = false) {
+  return parseSettingBoolean(await getSystemSetting(key), fallback);
+}
+
+export async function getSettingList(key, fallback = []) {
+  return parseSettingList(await getSystemSetting(key), fallback);
+}
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import 'dotenv/config';
+
+/**
+ * SMS Service for Nurture-Glow
+ * Providers are plain async functions ({ to, message }) => result, selected
+ * with SMS_PROVIDER. `twilio` is built in; any other gateway is loaded from
+ * SMS_PROVIDER_MODULE, a file whose default export is such a function and
+ * which is registered under the SMS_PROVIDER name.
+ */
+
+const GATEWAY_TIMEOUT_MS = 10000;
+
+// Local numbers ("01711...") get SMS_COUNTRY_CODE (default 880) in place of the leading 0
+const toE164 = (phone) => {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  const countryCode = String(process.env.SMS_COUNTRY_CODE || '880').replace(/\D/g, '');
+  return `+${countryCode}${digits.replace(/^0+/, '')}`;
+};
+
+const twilioConfig = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+    throw new Error('SMS_PROVIDER=twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM');
+  }
+  return { accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN, from: TWILIO_FROM };
+};
+
+// Startup checks for providers that need settings of their own
+const PROVIDER_CHECKS = { twilio: twilioConfig };
+
+const providers = {
+  console: async ({ to, message }) => {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📱 SMS to ${to}:`);
+    console.log(`   ${message}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    return { success: true, provider: 'console' };
+  },
+  // Development stand-in: appends each message to SMS_OUTBOX_FILE (default ./sms-outbox.log)
+  file: async ({ to, message }) => {
+    const filePath = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'sms-outbox.log');
+    await fs.appendFile(filePath, `${new Date().toISOString()}\t${to}\t${message}\n`, 'utf8');
+    return { success: true, provider: 'file', filePath };
+  },
+  twilio: async ({ to, message }) => {
+    const { accountSid, authToken, from } = twilioConfig();
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'content-type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: toE164(to), From: from, Body: message }),
+      signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(`Twilio rejected the SMS (status ${response.status}): ${body?.message || 'no details'}`);
+    }
+    return { success: true, provider: 'twilio', messageId: body?.sid };
+  }
+};
+
+// Stand-ins that never deliver anything; login and verification codes sent
+// through them would only reach the server's log or disk
+const DEVELOPMENT_PROVIDERS = new Set(['console', 'file']);
+
+export const registerSmsProvider = (name, sender) => {
+  providers[name] = sender;
+};
+
+// The configured provider; in production SMS_PROVIDER must name a real gateway
+const resolveProvider = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.SMS_PROVIDER || (production ? '' : 'console');
+  if (!name) {
+    throw new Error('SMS_PROVIDER must name an SMS gateway in production (twilio, or one loaded from SMS_PROVIDER_MODULE)');
+  }
+  if (production && DEVELOPMENT_PROVIDERS.has(name)) {
+    throw new Error(`SMS_PROVIDER=${name} does not deliver messages and cannot be used in production`);
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+let moduleLoad = null;
+
+const loadProviderModule = () => {
+  moduleLoad ??= (async () => {
+    const modulePath = process.env.SMS_PROVIDER_MODULE;
+    if (!modulePath) return;
+    const name = process.env.SMS_PROVIDER;
+    if (!name) {
+      throw new Error('SMS_PROVIDER_MODULE needs SMS_PROVIDER to name the gateway it provides');
+    }
+    const { default: sender } = await import(pathToFileURL(path.resolve(modulePath)).href);
+    if (typeof sender !== 'function') {
+      throw new Error(`SMS_PROVIDER_MODULE ${modulePath} must export a default ({ to, message }) => Promise function`);
+    }
+    registerSmsProvider(name, sender);
+  })();
+  return moduleLoad;
+};
+
+// Called at startup so a misconfigured production server refuses to boot
+// instead of silently dropping login codes
+export const assertSmsConfigured = async () => {
+  await loadProviderModule();
+  resolveProvider();
+  PROVIDER_CHECKS[process.env.SMS_PROVIDER]?.();
+};
+
+export async function sendSms(to, message) {
+  await loadProviderModule();
+  return resolveProvider()({ to, message });
+}
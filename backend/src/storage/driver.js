@@ -0,0 +1,15 @@
+import 'dotenv/config';
+
+const STORAGE_DRIVERS = new Set(['mysql', 'memory']);
+
+// STORAGE=memory keeps everything in process memory (demos, frontend work,
+// automated tests); anything else needs the MySQL server from DB_*
+export const STORAGE_DRIVER = (() => {
+  const driver = String(process.env.STORAGE || 'mysql').trim().toLowerCase();
+  if (!STORAGE_DRIVERS.has(driver)) {
+    throw new Error(`Unsupported STORAGE: ${process.env.STORAGE} (expected mysql or memory)`);
+  }
+  return driver;
+})();
+
+export const isMemoryStorage = () => STORAGE_DRIVER === 'memory';
@@ -0,0 +1,23 @@
+import { STORAGE_DRIVER } from './driver.js';
+import { createMysqlStorage } from './mysqlStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+export { STORAGE_DRIVER, isMemoryStorage } from './driver.js';
+
+/**
+ * The persistence behind appStore and auth, picked by STORAGE (driver.js):
+ *   import { storage } from './storage/index.js';
+ *   const user = await storage.users.findByLogin(identifier);
+ *
+ * Repositories: entities (app_entities, including trash), revisions,
+ * userMeta, catalog, users (with profiles and password history),
+ * passwordResets, sessions, loginThrottle, twoFactor, permissions, settings
+ * and securityEvents. Both implementations return rows shaped like the MySQL
+ * tables (snake_case columns, entity data as a JSON string), so callers
+ * never branch on the driver. Tables come from the migrations, which only
+ * run against MySQL.
+ *
+ * Writes made inside withTransaction join the transaction on MySQL; the
+ * memory store applies them immediately.
+ */
+export const storage = STORAGE_DRIVER === 'memory' ? createMemoryStorage() : createMysqlStorage();
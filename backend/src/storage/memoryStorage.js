@@ -0,0 +1,1113 @@
+// In-process stand-in for the MySQL tables behind the storage interface.
+// Rows keep the MySQL column names (and entity data as a JSON string) so the
+// modules above cannot tell the two apart. Nothing survives a restart.
+
+import { randomUUID } from 'crypto';
+
+const MAX_LOG_ROWS = 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE_MS);
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+const copy = (row) => (row ? { ...row } : null);
+
+// MySQL compares strings case-insensitively (utf8mb4_0900_ai_ci)
+const sameText = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a).toLowerCase() === String(b).toLowerCase();
+
+// Orders two non-null values the way MySQL would for the column involved
+const compareValues = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() - new Date(b).getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(a) - Number(b);
+  const left = String(a).toLowerCase();
+  const right = String(b).toLowerCase();
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// NULL sorts first ascending (and so last descending), as in MySQL
+const compareNullable = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return compareValues(a, b);
+};
+
+const parseData = (row) => {
+  if (!row.parsed || row.parsed.source !== row.data) {
+    let value = {};
+    try {
+      value = JSON.parse(row.data || '{}');
+    } catch (err) {
+      value = {};
+    }
+    row.parsed = { source: row.data, value };
+  }
+  return row.parsed.value;
+};
+
+const readPath = (data, field) =>
+  field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+
+const JSON_FIELD = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const ROW_COLUMNS = { id: 'id', userId: 'user_id', subtype: 'subtype', createdAt: 'created_at', updatedAt: 'updated_at' };
+// Generated columns (migration 0007): JSON strings only, truncated like the column
+const GENERATED_COLUMNS = {
+  doctorId: { length: 64 },
+  patientId: { length: 64 },
+  status: { length: 40, normalize: (value) => value.trim().toLowerCase() },
+  scheduledAt: { length: 32 }
+};
+
+// Returns (row) => value for a field, typed by the value it is compared with,
+// plus how that value is normalized (mirrors resolveField in mysqlStorage.js)
+const resolveField = (field, sample) => {
+  if (ROW_COLUMNS[field]) {
+    const column = ROW_COLUMNS[field];
+    return { read: (row) => row[column] ?? null };
+  }
+  const generated = GENERATED_COLUMNS[field];
+  if (generated) {
+    const normalize = generated.normalize || ((value) => value);
+    return {
+      read: (row) => {
+        const value = parseData(row)[field];
+        return typeof value === 'string' ? normalize(value).slice(0, generated.length) : null;
+      },
+      normalize: field === 'status' ? (value) => String(value).trim().toLowerCase() : undefined
+    };
+  }
+  if (!JSON_FIELD.test(field)) {
+    throw new Error(`Invalid entity field: ${field}`);
+  }
+  if (typeof sample === 'number') {
+    return {
+      read: (row) => {
+        const value = readPath(parseData(row), field);
+        return value === undefined || value === null ? null : Number(value) || 0;
+      }
+    };
+  }
+  if (typeof sample === 'boolean') {
+    return {
+      read: (row) => {
+        const value = readPath(parseData(row), field);
+        return value === undefined || value === null ? null : value;
+      },
+      normalize: (value) => Boolean(value)
+    };
+  }
+  return {
+    read: (row) => {
+      const value = readPath(parseData(row), field);
+      if (value === undefined || value === null) return null;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  };
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const OPERATORS = {
+  '=': (c) => c === 0,
+  '<>': (c) => c !== 0,
+  '>': (c) => c > 0,
+  '>=': (c) => c >= 0,
+  '<': (c) => c < 0,
+  '<=': (c) => c <= 0
+};
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=', ne: '<>' };
+
+// A predicate over rows for the same filters buildEntityFilters turns into SQL
+const buildEntityFilter = ({ type, userId, subtype, where = {} }) => {
+  const tests = [(row) => row.type === type && !row.deleted_at];
+
+  const addComparison = (field, operator, value) => {
+    const column = resolveField(field, value);
+    if (value === null) {
+      tests.push((row) => (operator === '<>' ? column.read(row) !== null : column.read(row) === null));
+      return;
+    }
+    const expected = (column.normalize || ((item) => item))(value);
+    tests.push((row) => {
+      const actual = column.read(row);
+      // Comparisons with NULL are never true in SQL
+      return actual !== null && OPERATORS[operator](compareValues(actual, expected));
+    });
+  };
+
+  const addList = (field, values, negate) => {
+    const column = resolveField(field, values[0]);
+    const expected = values.map(column.normalize || ((item) => item));
+    tests.push((row) => {
+      const actual = column.read(row);
+      const found = actual !== null && expected.some((value) => value !== null && compareValues(actual, value) === 0);
+      return negate ? actual === null || !found : found;
+    });
+  };
+
+  if (userId !== undefined) addComparison('userId', '=', userId);
+  if (subtype !== undefined) addComparison('subtype', '=', subtype);
+
+  for (const [field, condition] of Object.entries(where)) {
+    if (condition === undefined) continue;
+    if (Array.isArray(condition)) {
+      addList(field, condition, false);
+    } else if (isPlainObject(condition)) {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (value === undefined) continue;
+        if (operator === 'in' || operator === 'nin') {
+          addList(field, Array.isArray(value) ? value : [value], operator === 'nin');
+        } else if (RANGE_OPERATORS[operator]) {
+          addComparison(field, RANGE_OPERATORS[operator], value);
+        } else {
+          throw new Error(`Unsupported filter operator "${operator}" for ${field}`);
+        }
+      }
+    } else {
+      addComparison(field, '=', condition);
+    }
+  }
+
+  return (row) => tests.every((test) => test(row));
+};
+
+const compareSortValues = (sortEntries, left, right) => {
+  for (let index = 0; index < sortEntries.length; index += 1) {
+    const result = compareNullable(left[index], right[index]);
+    if (result !== 0) return sortEntries[index].direction === 'DESC' ? -result : result;
+  }
+  return 0;
+};
+
+const matchesScope = (row, { ids, type, types, userId, deleted = false, deletedBy }) =>
+  Boolean(row.deleted_at) === deleted &&
+  (!ids || ids.includes(row.id)) &&
+  (!type || row.type === type) &&
+  (!types || types.includes(row.type)) &&
+  (userId === undefined || sameText(row.user_id, userId)) &&
+  (deletedBy === undefined || sameText(row.deleted_by, deletedBy));
+
+const entityRow = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  type: row.type,
+  subtype: row.subtype,
+  data: row.data,
+  version: row.version
+});
+
+const createEntityRepository = (rows) => ({
+  async findOne({ id, type, userId, subtype }) {
+    for (const row of rows.values()) {
+      if (row.type !== type || row.deleted_at) continue;
+      if (id !== undefined && !sameText(row.id, id)) continue;
+      if (userId !== undefined && !sameText(row.user_id, userId)) continue;
+      if (subtype !== undefined && !sameText(row.subtype, subtype)) continue;
+      return entityRow(row);
+    }
+    return null;
+  },
+
+  async insert({ id, userId, type, subtype, data, createdAt, updatedAt }) {
+    rows.set(id, {
+      id,
+      user_id: userId,
+      type,
+      subtype,
+      data,
+      created_at: createdAt,
+      updated_at: updatedAt,
+      version: 1,
+      deleted_at: null,
+      deleted_by: null
+    });
+  },
+
+  async update({ id, version, data, subtype, updatedAt }) {
+    const row = rows.get(id);
+    if (!row || row.version !== version) return false;
+    Object.assign(row, { data, subtype, updated_at: updatedAt, version: row.version + 1 });
+    return true;
+  },
+
+  async select({ type, userId, subtype, where, sort, limit, offset = 0, after }) {
+    const matches = buildEntityFilter({ type, userId, subtype, where });
+    const readers = sort.map((entry) => resolveField(entry.field).read);
+    const selected = [];
+    for (const row of rows.values()) {
+      if (!matches(row)) continue;
+      const sortValues = readers.map((read) => read(row));
+      if (after && compareSortValues(sort, sortValues, after) <= 0) continue;
+      selected.push({ ...entityRow(row), sortValues });
+    }
+    selected.sort((a, b) => compareSortValues(sort, a.sortValues, b.sortValues));
+    return limit ? selected.slice(offset, offset + limit) : selected;
+  },
+
+  async count({ type, userId, subtype, where, groupBy }) {
+    const matches = buildEntityFilter({ type, userId, subtype, where });
+    const matching = Array.from(rows.values()).filter(matches);
+    if (!groupBy) return matching.length;
+
+    const read = resolveField(groupBy).read;
+    return matching.reduce((acc, row) => {
+      const key = read(row) ?? 'null';
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+  },
+
+  async sum({ type, userId, subtype, where, field }) {
+    const matches = buildEntityFilter({ type, userId, subtype, where });
+    const read = resolveField(field, 0).read;
+    let total = 0;
+    for (const row of rows.values()) {
+      if (matches(row)) total += read(row) ?? 0;
+    }
+    return total;
+  },
+
+  async findRows(scope) {
+    return Array.from(rows.values())
+      .filter((row) => matchesScope(row, scope))
+      .map(entityRow);
+  },
+
+  async trash(scope, deletedBy) {
+    let affected = 0;
+    for (const row of rows.values()) {
+      if (!matchesScope(row, scope)) continue;
+      Object.assign(row, { deleted_at: new Date(), deleted_by: deletedBy, version: row.version + 1 });
+      affected += 1;
+    }
+    return affected;
+  },
+
+  async restore(scope) {
+    let affected = 0;
+    for (const row of rows.values()) {
+      if (!matchesScope(row, { ...scope, deleted: true })) continue;
+      Object.assign(row, { deleted_at: null, deleted_by: null, version: row.version + 1 });
+      affected += 1;
+    }
+    return affected;
+  },
+
+  async listTrash({ userId, type, limit, retentionDays }) {
+    return Array.from(rows.values())
+      .filter((row) => matchesScope(row, { type, userId, deleted: true, deletedBy: userId }))
+      .sort((a, b) => b.deleted_at - a.deleted_at || compareValues(b.id, a.id))
+      .slice(0, limit)
+      .map((row) => ({
+        ...entityRow(row),
+        deleted_at: row.deleted_at,
+        purge_at: new Date(row.deleted_at.getTime() + retentionDays * DAY_MS)
+      }));
+  },
+
+  async purgeTrash({ retentionDays, limit }) {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    let purged = 0;
+    for (const [id, row] of rows) {
+      if (purged >= limit) break;
+      if (row.deleted_at && row.deleted_at.getTime() < cutoff) {
+        rows.delete(id);
+        purged += 1;
+      }
+    }
+    return purged;
+  }
+});
+
+const createRevisionRepository = (revisions) => ({
+  async insert({ entityType, entityId, ownerUserId, entityVersion, action, actorUserId, actorRole, requestId, changes, createdAt }) {
+    revisions.push({
+      id: revisions.length + 1,
+      entity_type: entityType,
+      entity_id: entityId,
+      owner_user_id: ownerUserId,
+      entity_version: entityVersion,
+      action,
+      actor_user_id: actorUserId,
+      actor_role: actorRole,
+      request_id: requestId,
+      changes,
+      created_at: createdAt
+    });
+  },
+
+  async exists({ entityType, entityId }) {
+    return revisions.some((row) => row.entity_type === entityType && row.entity_id === entityId);
+  },
+
+  async list({ entityType, entityId, until }) {
+    return revisions
+      .filter((row) => row.entity_type === entityType && row.entity_id === entityId)
+      .filter((row) => !until || compareValues(row.created_at, until) <= 0)
+      .map(copy);
+  }
+});
+
+const createUserMetaRepository = (meta) => ({
+  async get(userId, keys) {
+    const values = meta.get(userId) || new Map();
+    return keys.reduce((acc, key) => {
+      if (values.has(key)) acc[key] = values.get(key);
+      return acc;
+    }, {});
+  },
+
+  async set(userId, key, value) {
+    if (!meta.has(userId)) meta.set(userId, new Map());
+    meta.get(userId).set(key, value);
+  }
+});
+
+const createCatalogRepository = (catalog) => ({
+  async list(type) {
+    return catalog.filter((row) => row.type === type).map((row) => ({ id: row.id, data: row.data }));
+  },
+
+  async get(type, id) {
+    const row = catalog.find((item) => item.type === type && sameText(item.id, id));
+    return row ? { id: row.id, data: row.data } : null;
+  },
+
+  async count(type) {
+    return catalog.filter((row) => row.type === type).length;
+  },
+
+  async insert({ id, type, data, createdAt, updatedAt }) {
+    catalog.push({ id, type, data, created_at: createdAt, updated_at: updatedAt });
+  }
+});
+
+const createUserRepository = ({ users, profiles, userRoles, passwordHistory }) => {
+  const find = (predicate) => {
+    for (const user of users.values()) {
+      if (predicate(user)) return user;
+    }
+    return null;
+  };
+
+  return {
+    async findById(userId) {
+      return copy(find((user) => sameText(user.id, userId)));
+    },
+
+    async findByLogin(identifier) {
+      return copy(find((user) => sameText(user.email, identifier) || sameText(user.phone, identifier)));
+    },
+
+    async findByEmail(email) {
+      return copy(find((user) => sameText(user.email, email)));
+    },
+
+    async findByPhone(phone) {
+      return copy(find((user) => sameText(user.phone, phone)));
+    },
+
+    async listByVerifiedContact(email, phone) {
+      return Array.from(users.values())
+        .filter(
+          (user) =>
+            (user.email_verified_at && sameText(user.email, email)) ||
+            (user.phone_verified_at && sameText(user.phone, phone))
+        )
+        .slice(0, 2)
+        .map((user) => copy(user));
+    },
+
+    async findByHealthId(healthId) {
+      return copy(find((user) => sameText(user.health_id, healthId)));
+    },
+
+    async listByRoles(roles) {
+      return Array.from(users.values())
+        .filter((user) => roles.some((role) => sameText(user.role, role)))
+        .map((user) => ({ id: user.id, email: user.email }));
+    },
+
+    // Nothing to lock: memory writes never interleave inside a statement
+    async lockForUpdate() {},
+
+    async existsByEmailOrPhone(email, phone) {
+      return Boolean(find((user) => sameText(user.email, email) || sameText(user.phone, phone)));
+    },
+
+    async findProfile(userId) {
+      const user = find((item) => sameText(item.id, userId));
+      if (!user) return null;
+      const profile = profiles.get(user.id) || {};
+      return {
+        ...user,
+        full_name: profile.full_name ?? null,
+        preferred_language: profile.preferred_language ?? null,
+        date_of_birth: null
+      };
+    },
+
+    // Profiles keep no date of birth here
+    async listProfiles(userIds) {
+      return userIds
+        .filter((userId) => profiles.has(userId))
+        .map((userId) => ({ user_id: userId, full_name: profiles.get(userId).full_name ?? null, date_of_birth: null }));
+    },
+
+    async create({
+      id,
+      phone,
+      email,
+      passwordHash,
+      authProvider,
+      status,
+      role,
+      healthId,
+      fullName,
+      preferredLanguage,
+      phoneVerifiedAt = null,
+      emailVerifiedAt = null
+    }) {
+      if (find((user) => sameText(user.email, email) || sameText(user.phone, phone))) {
+        const error = new Error('Duplicate entry for users');
+        error.code = 'ER_DUP_ENTRY';
+        throw error;
+      }
+      users.set(id, {
+        id,
+        phone,
+        email,
+        password_hash: passwordHash,
+        auth_provider: authProvider,
+        status,
+        role,
+        health_id: healthId,
+        health_id_verification_status: 'unverified',
+        health_id_verified_at: null,
+        health_id_verified_by_hospital_id: null,
+        phone_verified_at: phoneVerifiedAt,
+        email_verified_at: emailVerifiedAt,
+        created_at: new Date()
+      });
+      profiles.set(id, { full_name: fullName, preferred_language: preferredLanguage });
+      userRoles.set(id, new Set(['USER']));
+    },
+
+    async updatePassword(userId, passwordHash) {
+      const user = users.get(userId);
+      if (user) user.password_hash = passwordHash;
+    },
+
+    async markPhoneVerified(userId, phone) {
+      const user = users.get(userId);
+      if (user && sameText(user.phone, phone)) user.phone_verified_at ??= new Date();
+    },
+
+    async markEmailVerified(userId, email) {
+      const user = users.get(userId);
+      if (user && sameText(user.email, email)) user.email_verified_at ??= new Date();
+    },
+
+    async updateProfile(userId, { fullName, preferredLanguage }) {
+      const profile = profiles.get(userId);
+      if (!profile) return;
+      if (fullName !== null && fullName !== undefined) profile.full_name = fullName;
+      if (preferredLanguage !== null && preferredLanguage !== undefined) profile.preferred_language = preferredLanguage;
+    },
+
+    async listPasswordHistory(userId, limit) {
+      return (passwordHistory.get(userId) || []).slice(0, limit);
+    },
+
+    async addPasswordHistory(userId, passwordHash, keep) {
+      passwordHistory.set(userId, [passwordHash, ...(passwordHistory.get(userId) || [])].slice(0, keep));
+    }
+  };
+};
+
+const createPasswordResetRepository = (tokens) => ({
+  async insert({ userId, token, ttlMinutes }) {
+    tokens.push({
+      id: tokens.length + 1,
+      user_id: userId,
+      token,
+      expires_at: minutesFromNow(ttlMinutes),
+      used_at: null,
+      created_at: new Date()
+    });
+  },
+
+  async findValid(token) {
+    const row = tokens.find((item) => item.token === token && item.expires_at > new Date());
+    return row ? { id: row.id, user_id: row.user_id, used_at: row.used_at } : null;
+  },
+
+  async markUsed(id) {
+    const row = tokens.find((item) => item.id === id);
+    if (row) row.used_at = new Date();
+  }
+});
+
+const createSessionRepository = (sessions) => {
+  const isLive = (session) => !session.revoked_at && session.expires_at > new Date();
+
+  return {
+    async insert({ id, userId, refreshTokenHash, ipAddress, userAgent, createdAt, expiresAt, impersonatorUserId }) {
+      sessions.set(id, {
+        id,
+        user_id: userId,
+        refresh_token_hash: refreshTokenHash,
+        previous_refresh_hash: null,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        created_at: createdAt,
+        last_seen_at: createdAt,
+        expires_at: expiresAt,
+        revoked_at: null,
+        revoked_reason: null,
+        impersonator_user_id: impersonatorUserId
+      });
+    },
+
+    async findActive(sessionId) {
+      const session = sessions.get(sessionId);
+      return session && isLive(session) ? copy(session) : null;
+    },
+
+    async touch(sessionId) {
+      const session = sessions.get(sessionId);
+      if (session && session.last_seen_at < minutesAgo(1)) session.last_seen_at = new Date();
+    },
+
+    async findByRefreshHash(tokenHash) {
+      for (const session of sessions.values()) {
+        if (session.refresh_token_hash === tokenHash) return copy(session);
+      }
+      return null;
+    },
+
+    async findByPreviousHash(tokenHash) {
+      for (const session of sessions.values()) {
+        if (session.previous_refresh_hash === tokenHash && !session.revoked_at) return copy(session);
+      }
+      return null;
+    },
+
+    async rotate({ sessionId, tokenHash, nextHash, expiresAt }) {
+      const session = sessions.get(sessionId);
+      if (!session || session.refresh_token_hash !== tokenHash || session.revoked_at) return false;
+      Object.assign(session, {
+        previous_refresh_hash: session.refresh_token_hash,
+        refresh_token_hash: nextHash,
+        last_seen_at: new Date(),
+        expires_at: expiresAt
+      });
+      return true;
+    },
+
+    async revoke({ sessionId, userId, exceptSessionId }, reason) {
+      let affected = 0;
+      for (const session of sessions.values()) {
+        if (session.revoked_at) continue;
+        if (sessionId !== undefined && session.id !== sessionId) continue;
+        if (userId !== undefined && session.user_id !== userId) continue;
+        if (exceptSessionId !== undefined && session.id === exceptSessionId) continue;
+        Object.assign(session, { revoked_at: new Date(), revoked_reason: reason });
+        affected += 1;
+      }
+      return affected;
+    },
+
+    async listActive(userId) {
+      return Array.from(sessions.values())
+        .filter((session) => session.user_id === userId && isLive(session))
+        .sort((a, b) => b.last_seen_at - a.last_seen_at)
+        .map(copy);
+    },
+
+    async countDevices(userId, userAgent) {
+      const own = Array.from(sessions.values()).filter(
+        (session) => session.user_id === userId && !session.impersonator_user_id
+      );
+      return { total: own.length, matching: own.filter((session) => session.user_agent === userAgent).length };
+    }
+  };
+};
+
+const createLoginThrottleRepository = (throttle) => ({
+  async find(keys, windowMinutes) {
+    const windowStart = minutesAgo(windowMinutes);
+    return keys
+      .filter((key) => throttle.has(key))
+      .map((key) => {
+        const row = throttle.get(key);
+        return { throttle_key: key, ...row, in_window: row.first_failure_at >= windowStart ? 1 : 0 };
+      });
+  },
+
+  async recordFailure(key, { windowMinutes, max, lockoutMinutes }) {
+    const now = new Date();
+    const row = throttle.get(key);
+    if (!row) {
+      throttle.set(key, { failure_count: 1, first_failure_at: now, last_failure_at: now, locked_until: null });
+    } else if (row.first_failure_at < minutesAgo(windowMinutes)) {
+      Object.assign(row, { failure_count: 1, first_failure_at: now, last_failure_at: now });
+    } else {
+      Object.assign(row, { failure_count: row.failure_count + 1, last_failure_at: now });
+    }
+
+    const current = throttle.get(key);
+    if (current.failure_count < max || (current.locked_until && current.locked_until > now)) return false;
+    Object.assign(current, { locked_until: minutesFromNow(lockoutMinutes), failure_count: 0, first_failure_at: now });
+    return true;
+  },
+
+  async clear(key) {
+    return throttle.delete(key) ? 1 : 0;
+  }
+});
+
+const createTwoFactorRepository = (twoFactor) => ({
+  async get(userId) {
+    return copy(twoFactor.get(userId));
+  },
+
+  async setPending(userId, pendingSecret) {
+    const existing = twoFactor.get(userId);
+    if (existing) {
+      Object.assign(existing, { pending_secret: pendingSecret, updated_at: new Date() });
+      return;
+    }
+    twoFactor.set(userId, {
+      user_id: userId,
+      secret: null,
+      pending_secret: pendingSecret,
+      recovery_codes: null,
+      enabled_at: null,
+      last_used_step: null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  },
+
+  async enable(userId, { recoveryCodes, lastUsedStep }) {
+    const row = twoFactor.get(userId);
+    if (!row) return;
+    Object.assign(row, {
+      secret: row.pending_secret,
+      pending_secret: null,
+      recovery_codes: recoveryCodes,
+      enabled_at: new Date(),
+      last_used_step: lastUsedStep,
+      updated_at: new Date()
+    });
+  },
+
+  async claimStep(userId, step) {
+    const row = twoFactor.get(userId);
+    if (!row || (row.last_used_step !== null && row.last_used_step >= step)) return false;
+    Object.assign(row, { last_used_step: step, updated_at: new Date() });
+    return true;
+  },
+
+  async setRecoveryCodes(userId, recoveryCodes) {
+    const row = twoFactor.get(userId);
+    if (row) Object.assign(row, { recovery_codes: recoveryCodes, updated_at: new Date() });
+  },
+
+  async replaceRecoveryCodes(userId, expected, recoveryCodes) {
+    const row = twoFactor.get(userId);
+    if (!row || row.recovery_codes !== expected) return false;
+    Object.assign(row, { recovery_codes: recoveryCodes, updated_at: new Date() });
+    return true;
+  },
+
+  async remove(userId) {
+    return twoFactor.delete(userId) ? 1 : 0;
+  }
+});
+
+// There are no role or grant tables in memory: `permissions` is null and the
+// catalog defaults for the user's roles apply (see loadUserAccess)
+const createPermissionRepository = (userRoles) => ({
+  async loadGrants(userId) {
+    return { roles: Array.from(userRoles.get(userId) || []), permissions: null };
+  }
+});
+
+// Starts empty, so every setting falls back to its default
+const createSettingsRepository = (settings) => ({
+  async get(keys) {
+    return keys.reduce((acc, key) => {
+      if (settings.has(key)) acc[key] = settings.get(key);
+      return acc;
+    }, {});
+  }
+});
+
+// Security events, audit logs and admin actions: only the newest rows are kept
+const createLogRepository = (rows) => ({
+  async insert(row) {
+    rows.push({ ...row, created_at: new Date() });
+    if (rows.length > MAX_LOG_ROWS) rows.shift();
+  }
+});
+
+const createVerificationCodeRepository = (codes) => {
+  const isPending = (code) => !code.consumed_at && code.expires_at > new Date();
+
+  return {
+    async listSentSince(userId, purpose, minutes) {
+      const since = minutesAgo(minutes);
+      return codes
+        .filter((code) => code.user_id === userId && code.purpose === purpose && code.created_at > since)
+        .sort((a, b) => b.created_at - a.created_at)
+        .map((code) => ({ created_at: code.created_at }));
+    },
+
+    async expirePending(userId, purpose) {
+      codes
+        .filter((code) => code.user_id === userId && code.purpose === purpose && isPending(code))
+        .forEach((code) => {
+          code.expires_at = new Date();
+        });
+    },
+
+    async insert({ id, userId, purpose, target, secretHash, expiresAt, createdAt }) {
+      codes.push({
+        id,
+        user_id: userId,
+        purpose,
+        target,
+        secret_hash: secretHash,
+        attempts: 0,
+        expires_at: expiresAt,
+        consumed_at: null,
+        created_at: createdAt
+      });
+    },
+
+    async findLatestPending(userId, purpose) {
+      const pending = codes.filter((code) => code.user_id === userId && code.purpose === purpose && isPending(code));
+      return copy(pending.sort((a, b) => b.created_at - a.created_at)[0]);
+    },
+
+    async findPending(id, purpose) {
+      return copy(codes.find((code) => code.id === id && code.purpose === purpose && isPending(code)));
+    },
+
+    async addAttempt(id) {
+      const code = codes.find((item) => item.id === id);
+      if (code) code.attempts += 1;
+    },
+
+    async consume(id) {
+      const code = codes.find((item) => item.id === id);
+      if (!code || code.consumed_at) return false;
+      code.consumed_at = new Date();
+      return true;
+    }
+  };
+};
+
+const createJwtKeyRepository = (keys) => {
+  const validAt = (key, date) => !key.expires_at || key.expires_at > date;
+  const newestFirst = (list) => list.sort((a, b) => b.activates_at - a.activates_at).map(copy);
+
+  return {
+    async insert({ kid, algorithm, secret, privateKey, publicKey, activatesAt }) {
+      keys.push({
+        kid,
+        algorithm,
+        secret,
+        private_key: privateKey,
+        public_key: publicKey,
+        created_at: new Date(),
+        activates_at: activatesAt,
+        expires_at: null
+      });
+    },
+
+    async listValid() {
+      return newestFirst(keys.filter((key) => validAt(key, new Date())));
+    },
+
+    async listKidsValidAt(date) {
+      return keys.filter((key) => validAt(key, date)).map((key) => key.kid);
+    },
+
+    async expire(kids, expiresAt) {
+      keys.filter((key) => kids.includes(key.kid)).forEach((key) => {
+        key.expires_at = expiresAt;
+      });
+    },
+
+    async revoke(kid) {
+      const key = keys.find((item) => item.kid === kid && validAt(item, new Date()));
+      if (!key) return 0;
+      key.expires_at = new Date();
+      return 1;
+    },
+
+    async list() {
+      return newestFirst([...keys]);
+    }
+  };
+};
+
+const createServiceAccountRepository = (accounts) => ({
+  async list() {
+    return Array.from(accounts.values())
+      .sort((a, b) => compareValues(a.name, b.name))
+      .map(copy);
+  },
+
+  async findById(id) {
+    return copy(accounts.get(id));
+  },
+
+  async insert({ id, name, description, hospitalId, createdBy }) {
+    const now = new Date();
+    accounts.set(id, {
+      id,
+      name,
+      description,
+      hospital_id: hospitalId,
+      status: 'active',
+      created_by: createdBy,
+      created_at: now,
+      updated_at: now
+    });
+  },
+
+  async setStatus(id, status) {
+    const account = accounts.get(id);
+    if (!account) return 0;
+    Object.assign(account, { status, updated_at: new Date() });
+    return 1;
+  }
+});
+
+const createApiKeyRepository = ({ keys, accounts }) => {
+  // Rows as the MySQL SELECTs return them: everything but the hash
+  const publicRow = (key) => {
+    if (!key) return null;
+    const { key_hash: keyHash, ...row } = key;
+    return row;
+  };
+
+  return {
+    async list() {
+      return Array.from(keys.values())
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(publicRow);
+    },
+
+    async findById(id) {
+      return publicRow(keys.get(id));
+    },
+
+    async findByPrefix(prefix) {
+      const key = Array.from(keys.values()).find((item) => item.key_prefix === prefix);
+      const account = key && accounts.get(key.service_account_id);
+      if (!account) return null;
+      return { ...key, account_name: account.name, hospital_id: account.hospital_id, account_status: account.status };
+    },
+
+    async insert({ id, serviceAccountId, name, keyPrefix, keyHash, scopes, ipAllowlist, expiresAt, createdBy }) {
+      keys.set(id, {
+        id,
+        service_account_id: serviceAccountId,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes,
+        ip_allowlist: ipAllowlist,
+        expires_at: expiresAt,
+        last_used_at: null,
+        last_used_ip: null,
+        revoked_at: null,
+        created_by: createdBy,
+        created_at: new Date()
+      });
+    },
+
+    async update(id, { name, scopes, ipAllowlist, expiresAt }) {
+      const key = keys.get(id);
+      const changes = Object.entries({ name, scopes, ip_allowlist: ipAllowlist, expires_at: expiresAt }).filter(
+        ([, value]) => value !== undefined
+      );
+      if (!key || key.revoked_at || !changes.length) return 0;
+      Object.assign(key, Object.fromEntries(changes));
+      return 1;
+    },
+
+    async revoke(id) {
+      const key = keys.get(id);
+      if (!key || key.revoked_at) return 0;
+      key.revoked_at = new Date();
+      return 1;
+    },
+
+    async recordUse(id, ipAddress) {
+      const key = keys.get(id);
+      if (key) Object.assign(key, { last_used_at: new Date(), last_used_ip: ipAddress });
+    }
+  };
+};
+
+const createOidcRequestRepository = (requests) => {
+  const isOpen = (request) => !request.completed_at && request.expires_at > new Date();
+
+  return {
+    async insert({ state, provider, codeVerifier, nonce, returnTo, linkUserId, ttlMinutes }) {
+      requests.set(state, {
+        state,
+        provider,
+        code_verifier: codeVerifier,
+        nonce,
+        return_to: returnTo,
+        link_user_id: linkUserId,
+        user_id: null,
+        ticket_hash: null,
+        created_at: new Date(),
+        completed_at: null,
+        expires_at: minutesFromNow(ttlMinutes)
+      });
+    },
+
+    async findPending(state, provider) {
+      const request = requests.get(state);
+      return request && request.provider === provider && !request.user_id && isOpen(request) ? copy(request) : null;
+    },
+
+    async complete(state) {
+      const request = requests.get(state);
+      if (!request || request.completed_at) return false;
+      request.completed_at = new Date();
+      return true;
+    },
+
+    async issueTicket(state, { userId, ticketHash, ttlMinutes }) {
+      const request = requests.get(state);
+      if (!request) return;
+      Object.assign(request, {
+        user_id: userId,
+        ticket_hash: ticketHash,
+        completed_at: null,
+        expires_at: minutesFromNow(ttlMinutes)
+      });
+    },
+
+    async findByTicket(ticketHash) {
+      for (const request of requests.values()) {
+        if (request.ticket_hash === ticketHash && isOpen(request)) {
+          return { state: request.state, user_id: request.user_id };
+        }
+      }
+      return null;
+    }
+  };
+};
+
+const createIdentityRepository = (identities) => ({
+  async findOwner(provider, subject) {
+    return identities.find((item) => item.provider === provider && item.subject === subject)?.user_id || null;
+  },
+
+  async insert({ id, userId, provider, subject, email, phone }) {
+    if (identities.some((item) => item.provider === provider && item.subject === subject)) {
+      const error = new Error('Duplicate entry for user_identities');
+      error.code = 'ER_DUP_ENTRY';
+      throw error;
+    }
+    const now = new Date();
+    identities.push({ id, user_id: userId, provider, subject, email, phone, created_at: now, last_login_at: now });
+  },
+
+  async touch(provider, subject) {
+    const identity = identities.find((item) => item.provider === provider && item.subject === subject);
+    if (identity) identity.last_login_at = new Date();
+  },
+
+  async listByUser(userId) {
+    return identities
+      .filter((item) => item.user_id === userId)
+      .sort((a, b) => a.created_at - b.created_at)
+      .map(copy);
+  },
+
+  async remove(id, userId) {
+    const index = identities.findIndex((item) => item.id === id && item.user_id === userId);
+    if (index < 0) return 0;
+    identities.splice(index, 1);
+    return 1;
+  }
+});
+
+// There is no doctors directory table in memory; callers fall back to the
+// doctor's profile entity
+const createDoctorRepository = () => ({
+  async findById() {
+    return null;
+  }
+});
+
+const createAdminNotificationRepository = ({ notifications, users }) => ({
+  async insertForRoles(
+    roles,
+    { senderUserId, notificationType, priority, title, message, actionRequired, relatedEntityType, relatedEntityId }
+  ) {
+    for (const user of users.values()) {
+      if (!roles.some((role) => sameText(user.role, role))) continue;
+      notifications.push({
+        id: randomUUID(),
+        sender_user_id: senderUserId,
+        recipient_user_id: user.id,
+        notification_type: notificationType,
+        priority,
+        title,
+        message,
+        action_required: actionRequired,
+        related_entity_type: relatedEntityType,
+        related_entity_id: relatedEntityId,
+        is_read: false,
+        created_at: new Date()
+      });
+    }
+    notifications.splice(0, Math.max(notifications.length - MAX_LOG_ROWS, 0));
+  }
+});
+
+export function createMemoryStorage() {
+  const users = new Map();
+  const userRoles = new Map();
+  const serviceAccounts = new Map();
+  return {
+    driver: 'memory',
+    entities: createEntityRepository(new Map()),
+    revisions: createRevisionRepository([]),
+    userMeta: createUserMetaRepository(new Map()),
+    catalog: createCatalogRepository([]),
+    users: createUserRepository({ users, profiles: new Map(), userRoles, passwordHistory: new Map() }),
+    passwordResets: createPasswordResetRepository([]),
+    sessions: createSessionRepository(new Map()),
+    loginThrottle: createLoginThrottleRepository(new Map()),
+    twoFactor: createTwoFactorRepository(new Map()),
+    permissions: createPermissionRepository(userRoles),
+    settings: createSettingsRepository(new Map()),
+    securityEvents: createLogRepository([]),
+    verificationCodes: createVerificationCodeRepository([]),
+    jwtKeys: createJwtKeyRepository([]),
+    serviceAccounts: createServiceAccountRepository(serviceAccounts),
+    apiKeys: createApiKeyRepository({ keys: new Map(), accounts: serviceAccounts }),
+    oidcRequests: createOidcRequestRepository(new Map()),
+    identities: createIdentityRepository([]),
+    doctors: createDoctorRepository(),
+    auditLogs: createLogRepository([]),
+    adminActions: createLogRepository([]),
+    adminNotifications: createAdminNotificationRepository({ notifications: [], users })
+  };
+}
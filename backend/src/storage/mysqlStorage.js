@@ -0,0 +1,1252 @@
+import { query, inTransaction } from '../db.js';
+
+// Row columns and the JSON keys backed by generated, indexed columns
+// (migration 0007). Any other key is read from the JSON document.
+const ENTITY_COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  subtype: 'subtype',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  doctorId: 'doctor_id',
+  patientId: 'patient_id',
+  status: 'status',
+  scheduledAt: 'scheduled_at'
+};
+
+const JSON_FIELD = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=', ne: '<>' };
+
+// Returns { sql, params } for a field, typed by the value it is compared with
+const resolveField = (field, sample) => {
+  if (field === 'status') {
+    // The generated column is lower-cased and trimmed
+    return { sql: 'status', params: [], normalize: (value) => String(value).trim().toLowerCase() };
+  }
+  if (ENTITY_COLUMNS[field]) {
+    return { sql: ENTITY_COLUMNS[field], params: [] };
+  }
+  if (!JSON_FIELD.test(field)) {
+    throw new Error(`Invalid entity field: ${field}`);
+  }
+  const path = `$.${field}`;
+  if (typeof sample === 'number') {
+    return { sql: 'CAST(JSON_EXTRACT(data, ?) AS DECIMAL(20, 6))', params: [path] };
+  }
+  if (typeof sample === 'boolean') {
+    return { sql: 'JSON_EXTRACT(data, ?)', params: [path], normalize: (value) => JSON.stringify(Boolean(value)), cast: 'CAST(? AS JSON)' };
+  }
+  return { sql: 'JSON_UNQUOTE(JSON_EXTRACT(data, ?))', params: [path] };
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// where: { field: value | null | [values] | { in, nin, gt, gte, lt, lte, ne } }
+const buildEntityFilters = ({ type, userId, subtype, where = {} }) => {
+  const clauses = ['type = ?', 'deleted_at IS NULL'];
+  const params = [type];
+
+  const addComparison = (field, operator, value) => {
+    const column = resolveField(field, value);
+    const normalize = column.normalize || ((item) => item);
+    const placeholder = column.cast || '?';
+    if (value === null) {
+      clauses.push(`${column.sql} ${operator === '<>' ? 'IS NOT NULL' : 'IS NULL'}`);
+      params.push(...column.params);
+      return;
+    }
+    clauses.push(`${column.sql} ${operator} ${placeholder}`);
+    params.push(...column.params, normalize(value));
+  };
+
+  const addList = (field, values, negate) => {
+    const column = resolveField(field, values[0]);
+    const normalize = column.normalize || ((item) => item);
+    if (!values.length) {
+      clauses.push(negate ? '1 = 1' : '1 = 0');
+      return;
+    }
+    const placeholders = values.map(() => column.cast || '?').join(', ');
+    clauses.push(
+      negate
+        ? `(${column.sql} IS NULL OR ${column.sql} NOT IN (${placeholders}))`
+        : `${column.sql} IN (${placeholders})`
+    );
+    params.push(...column.params, ...(negate ? column.params : []), ...values.map(normalize));
+  };
+
+  if (userId !== undefined) addComparison('userId', '=', userId);
+  if (subtype !== undefined) addComparison('subtype', '=', subtype);
+
+  for (const [field, condition] of Object.entries(where)) {
+    if (condition === undefined) continue;
+    if (Array.isArray(condition)) {
+      addList(field, condition, false);
+    } else if (isPlainObject(condition)) {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (value === undefined) continue;
+        if (operator === 'in' || operator === 'nin') {
+          addList(field, Array.isArray(value) ? value : [value], operator === 'nin');
+        } else if (RANGE_OPERATORS[operator]) {
+          addComparison(field, RANGE_OPERATORS[operator], value);
+        } else {
+          throw new Error(`Unsupported filter operator "${operator}" for ${field}`);
+        }
+      }
+    } else {
+      addComparison(field, '=', condition);
+    }
+  }
+
+  return { clauses, params };
+};
+
+// Keyset condition for "rows after this cursor". MySQL sorts NULL first
+// ascending and last descending, which the NULL branches mirror.
+const buildCursorCondition = (sortEntries, values) => {
+  const branches = [];
+  const params = [];
+
+  sortEntries.forEach((entry, index) => {
+    const value = values[index];
+    const { sql, params: columnParams } = entry.column;
+    // Nothing sorts after NULL when descending; later branches cover the ties
+    if (entry.direction === 'DESC' && value === null) return;
+
+    const parts = [];
+    const branchParams = [];
+    sortEntries.slice(0, index).forEach((previous, prevIndex) => {
+      const previousValue = values[prevIndex];
+      parts.push(previousValue === null ? `${previous.column.sql} IS NULL` : `${previous.column.sql} = ?`);
+      branchParams.push(...previous.column.params);
+      if (previousValue !== null) branchParams.push(previousValue);
+    });
+
+    if (entry.direction === 'ASC' && value === null) {
+      parts.push(`${sql} IS NOT NULL`);
+      branchParams.push(...columnParams);
+    } else if (entry.direction === 'ASC') {
+      parts.push(`${sql} > ?`);
+      branchParams.push(...columnParams, value);
+    } else {
+      parts.push(`(${sql} < ? OR ${sql} IS NULL)`);
+      branchParams.push(...columnParams, value, ...columnParams);
+    }
+
+    branches.push(`(${parts.join(' AND ')})`);
+    params.push(...branchParams);
+  });
+
+  return { sql: branches.length ? `(${branches.join(' OR ')})` : '1 = 0', params };
+};
+
+// Rows picked by id/type/owner for trash, restore and revision bookkeeping
+const buildScope = ({ ids, type, types, userId, deleted = false, deletedBy }) => {
+  const clauses = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const params = [];
+  if (ids) {
+    clauses.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+  if (type) {
+    clauses.push('type = ?');
+    params.push(type);
+  }
+  if (types) {
+    clauses.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (userId !== undefined) {
+    clauses.push('user_id = ?');
+    params.push(userId);
+  }
+  if (deletedBy !== undefined) {
+    clauses.push('deleted_by = ?');
+    params.push(deletedBy);
+  }
+  return { clauses, params };
+};
+
+const createEntityRepository = () => ({
+  async findOne({ id, type, userId, subtype }) {
+    const clauses = ['type = ?', 'deleted_at IS NULL'];
+    const params = [type];
+    if (id !== undefined) {
+      clauses.push('id = ?');
+      params.push(id);
+    }
+    if (userId !== undefined) {
+      clauses.push('user_id = ?');
+      params.push(userId);
+    }
+    if (subtype !== undefined) {
+      clauses.push('subtype = ?');
+      params.push(subtype);
+    }
+    // Inside a transaction the row stays locked until commit, so the
+    // read-modify-write cannot lose to another writer
+    const rows = await query(
+      `SELECT id, user_id, type, subtype, data, version FROM app_entities WHERE ${clauses.join(' AND ')} LIMIT 1${
+        inTransaction() ? ' FOR UPDATE' : ''
+      }`,
+      params
+    );
+    return rows[0] || null;
+  },
+
+  async insert({ id, userId, type, subtype, data, createdAt, updatedAt }) {
+    await query(
+      `INSERT INTO app_entities (id, user_id, type, subtype, data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, type, subtype, data, createdAt, updatedAt]
+    );
+  },
+
+  // Compare-and-set on version; false when another write got there first
+  async update({ id, version, data, subtype, updatedAt }) {
+    const result = await query(
+      `UPDATE app_entities SET data = ?, updated_at = ?, subtype = ?, version = version + 1
+       WHERE id = ? AND version = ?`,
+      [data, updatedAt, subtype, id, version]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // sort: [{ field, direction }]; `after` holds the sort values of the row a
+  // cursor points at. Each row carries its own sort values as `sortValues`.
+  async select({ type, userId, subtype, where, sort, limit, offset = 0, after }) {
+    const { clauses, params } = buildEntityFilters({ type, userId, subtype, where });
+    const sortEntries = sort.map((entry) => ({ ...entry, column: resolveField(entry.field) }));
+    if (after) {
+      const condition = buildCursorCondition(sortEntries, after);
+      clauses.push(condition.sql);
+      params.push(...condition.params);
+    }
+
+    const sortSelect = sortEntries.map((entry, index) => `${entry.column.sql} AS sort_${index}`).join(', ');
+    const sortParams = sortEntries.flatMap((entry) => entry.column.params);
+    const orderBy = sortEntries.map((entry) => `${entry.column.sql} ${entry.direction}`).join(', ');
+
+    const rows = await query(
+      `SELECT id, user_id, type, data, version, ${sortSelect}
+       FROM app_entities
+       WHERE ${clauses.join(' AND ')}
+       ORDER BY ${orderBy}
+       ${limit ? 'LIMIT ? OFFSET ?' : ''}`,
+      [...sortParams, ...params, ...sortParams, ...(limit ? [limit, offset] : [])]
+    );
+    return rows.map((row) => ({ ...row, sortValues: sortEntries.map((_, index) => row[`sort_${index}`] ?? null) }));
+  },
+
+  // Number of matching rows, or { value: count } per distinct value of groupBy
+  async count({ type, userId, subtype, where, groupBy }) {
+    const { clauses, params } = buildEntityFilters({ type, userId, subtype, where });
+    if (!groupBy) {
+      const rows = await query(`SELECT COUNT(*) AS total FROM app_entities WHERE ${clauses.join(' AND ')}`, params);
+      return Number(rows[0]?.total || 0);
+    }
+
+    const column = resolveField(groupBy);
+    const rows = await query(
+      `SELECT ${column.sql} AS group_value, COUNT(*) AS total
+       FROM app_entities
+       WHERE ${clauses.join(' AND ')}
+       GROUP BY group_value`,
+      [...column.params, ...params]
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.group_value ?? 'null'] = Number(row.total);
+      return acc;
+    }, {});
+  },
+
+  // Total of a numeric data field over the matching rows (0 when none match)
+  async sum({ type, userId, subtype, where, field }) {
+    const { clauses, params } = buildEntityFilters({ type, userId, subtype, where });
+    const column = resolveField(field, 0);
+    const rows = await query(
+      `SELECT COALESCE(SUM(${column.sql}), 0) AS total FROM app_entities WHERE ${clauses.join(' AND ')}`,
+      [...column.params, ...params]
+    );
+    return Number(rows[0]?.total || 0);
+  },
+
+  // Locked like findOne, so a trash or restore reads what it is about to change
+  async findRows(scope) {
+    const { clauses, params } = buildScope(scope);
+    return query(
+      `SELECT id, type, user_id, data, version, created_at FROM app_entities WHERE ${clauses.join(' AND ')}${
+        inTransaction() ? ' FOR UPDATE' : ''
+      }`,
+      params
+    );
+  },
+
+  async trash(scope, deletedBy) {
+    const { clauses, params } = buildScope(scope);
+    const result = await query(
+      `UPDATE app_entities SET deleted_at = NOW(), deleted_by = ?, version = version + 1
+       WHERE ${clauses.join(' AND ')}`,
+      [deletedBy, ...params]
+    );
+    return result.affectedRows || 0;
+  },
+
+  async restore(scope) {
+    const { clauses, params } = buildScope({ ...scope, deleted: true });
+    const result = await query(
+      `UPDATE app_entities SET deleted_at = NULL, deleted_by = NULL, version = version + 1
+       WHERE ${clauses.join(' AND ')}`,
+      params
+    );
+    return result.affectedRows || 0;
+  },
+
+  async listTrash({ userId, type, limit, retentionDays }) {
+    const { clauses, params } = buildScope({ type, userId, deleted: true, deletedBy: userId });
+    return query(
+      `SELECT id, type, data, version, deleted_at,
+              DATE_ADD(deleted_at, INTERVAL ? DAY) AS purge_at
+       FROM app_entities
+       WHERE ${clauses.join(' AND ')}
+       ORDER BY deleted_at DESC, id DESC
+       LIMIT ?`,
+      [retentionDays, ...params, limit]
+    );
+  },
+
+  async purgeTrash({ retentionDays, limit }) {
+    const result = await query(
+      `DELETE FROM app_entities
+       WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+       LIMIT ?`,
+      [retentionDays, limit]
+    );
+    return result.affectedRows || 0;
+  }
+});
+
+const createRevisionRepository = () => ({
+  async insert({ entityType, entityId, ownerUserId, entityVersion, action, actorUserId, actorRole, requestId, changes, createdAt }) {
+    await query(
+      `INSERT INTO entity_revisions (entity_type, entity_id, owner_user_id, entity_version, action, actor_user_id, actor_role, request_id, changes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [entityType, entityId, ownerUserId, entityVersion, action, actorUserId, actorRole, requestId, changes, createdAt]
+    );
+  },
+
+  async exists({ entityType, entityId }) {
+    const rows = await query('SELECT id FROM entity_revisions WHERE entity_type = ? AND entity_id = ? LIMIT 1', [
+      entityType,
+      entityId
+    ]);
+    return rows.length > 0;
+  },
+
+  // Oldest first; `until` keeps only revisions made at or before that time
+  async list({ entityType, entityId, until }) {
+    return query(
+      `SELECT id, action, entity_version, owner_user_id, actor_user_id, actor_role, request_id, changes, created_at
+       FROM entity_revisions
+       WHERE entity_type = ? AND entity_id = ?${until ? ' AND created_at <= ?' : ''}
+       ORDER BY id ASC`,
+      until ? [entityType, entityId, until] : [entityType, entityId]
+    );
+  }
+});
+
+const createUserMetaRepository = () => ({
+  async get(userId, keys) {
+    const rows = await query(
+      `SELECT meta_key, meta_value FROM app_user_meta WHERE user_id = ? AND meta_key IN (${keys.map(() => '?').join(', ')})`,
+      [userId, ...keys]
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.meta_key] = row.meta_value;
+      return acc;
+    }, {});
+  },
+
+  async set(userId, key, value, updatedAt) {
+    await query(
+      `INSERT INTO app_user_meta (user_id, meta_key, meta_value, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE meta_value = VALUES(meta_value), updated_at = VALUES(updated_at)`,
+      [userId, key, value, updatedAt]
+    );
+  }
+});
+
+const createCatalogRepository = () => ({
+  async list(type) {
+    return query('SELECT id, data FROM app_catalog WHERE type = ? ORDER BY created_at ASC', [type]);
+  },
+
+  async get(type, id) {
+    const rows = await query('SELECT id, data FROM app_catalog WHERE id = ? AND type = ? LIMIT 1', [id, type]);
+    return rows[0] || null;
+  },
+
+  async count(type) {
+    const rows = await query('SELECT COUNT(*) AS count FROM app_catalog WHERE type = ?', [type]);
+    return Number(rows[0]?.count || 0);
+  },
+
+  async insert({ id, type, data, createdAt, updatedAt }) {
+    await query(
+      `INSERT INTO app_catalog (id, type, data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, type, data, createdAt, updatedAt]
+    );
+  }
+});
+
+const createUserRepository = () => ({
+  async findById(userId) {
+    const rows = await query('SELECT id, phone, email, password_hash, status, role FROM users WHERE id = ? LIMIT 1', [userId]);
+    return rows[0] || null;
+  },
+
+  async findByLogin(identifier) {
+    const rows = await query(
+      'SELECT id, email, phone, password_hash, status, role FROM users WHERE email = ? OR phone = ? LIMIT 1',
+      [identifier, identifier]
+    );
+    return rows[0] || null;
+  },
+
+  async findByEmail(email) {
+    const rows = await query('SELECT id, email, phone, status FROM users WHERE email = ? LIMIT 1', [email]);
+    return rows[0] || null;
+  },
+
+  async findByPhone(phone) {
+    const rows = await query('SELECT id, email, phone, status FROM users WHERE phone = ? LIMIT 1', [phone]);
+    return rows[0] || null;
+  },
+
+  // Users holding `email` or `phone` as a contact they have verified
+  async listByVerifiedContact(email, phone) {
+    return query(
+      `SELECT id, email, phone, status, role FROM users
+       WHERE (email = ? AND email_verified_at IS NOT NULL) OR (phone = ? AND phone_verified_at IS NOT NULL)
+       LIMIT 2`,
+      [email, phone]
+    );
+  },
+
+  async findByHealthId(healthId) {
+    const rows = await query(
+      `SELECT id, health_id, health_id_verification_status, health_id_verified_at, health_id_verified_by_hospital_id
+       FROM users WHERE health_id = ? LIMIT 1`,
+      [healthId]
+    );
+    return rows[0] || null;
+  },
+
+  async listByRoles(roles) {
+    if (!roles.length) return [];
+    return query(`SELECT id, email FROM users WHERE role IN (${roles.map(() => '?').join(', ')})`, roles);
+  },
+
+  // Holds the user row until commit; a no-op outside withTransaction
+  async lockForUpdate(userId) {
+    await query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+  },
+
+  async existsByEmailOrPhone(email, phone) {
+    const rows = await query('SELECT id FROM users WHERE email = ? OR phone = ? LIMIT 1', [email, phone]);
+    return rows.length > 0;
+  },
+
+  // The user joined with their profile, as getUserProfile needs it
+  async findProfile(userId) {
+    const rows = await query(
+      `SELECT u.id, u.phone, u.email, u.status, u.role, u.health_id, u.phone_verified_at, u.email_verified_at,
+              p.full_name, p.preferred_language, p.date_of_birth
+       FROM users u
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       WHERE u.id = ?
+       LIMIT 1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  // user_profiles rows (user_id, full_name, date_of_birth) for the given users
+  async listProfiles(userIds) {
+    if (!userIds.length) return [];
+    return query(
+      `SELECT user_id, full_name, date_of_birth FROM user_profiles WHERE user_id IN (${userIds.map(() => '?').join(', ')})`,
+      userIds
+    );
+  },
+
+  // The user, their profile and the base USER role; run inside withTransaction
+  async create({
+    id,
+    phone,
+    email,
+    passwordHash,
+    authProvider,
+    status,
+    role,
+    healthId,
+    fullName,
+    preferredLanguage,
+    phoneVerifiedAt = null,
+    emailVerifiedAt = null
+  }) {
+    await query(
+      `INSERT INTO users (id, phone, email, password_hash, auth_provider, status, role, health_id, phone_verified_at, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, phone, email, passwordHash, authProvider, status, role, healthId, phoneVerifiedAt, emailVerifiedAt]
+    );
+    await query('INSERT INTO user_profiles (user_id, full_name, preferred_language) VALUES (?, ?, ?)', [
+      id,
+      fullName,
+      preferredLanguage
+    ]);
+    const roleRows = await query('SELECT id FROM roles WHERE role_name = ? LIMIT 1', ['USER']);
+    if (roleRows.length) {
+      await query('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [id, roleRows[0].id]);
+    }
+  },
+
+  async updatePassword(userId, passwordHash) {
+    await query('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+  },
+
+  // Only while the account still has that number or address; an earlier
+  // verification time is kept
+  async markPhoneVerified(userId, phone) {
+    await query(
+      'UPDATE users SET phone_verified_at = COALESCE(phone_verified_at, NOW()) WHERE id = ? AND phone = ?',
+      [userId, phone]
+    );
+  },
+
+  async markEmailVerified(userId, email) {
+    await query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ? AND email = ?',
+      [userId, email]
+    );
+  },
+
+  // Only the given (non-null) fields change
+  async updateProfile(userId, { fullName, preferredLanguage }) {
+    await query(
+      'UPDATE user_profiles SET full_name = COALESCE(?, full_name), preferred_language = COALESCE(?, preferred_language) WHERE user_id = ?',
+      [fullName ?? null, preferredLanguage ?? null, userId]
+    );
+  },
+
+  async listPasswordHistory(userId, limit) {
+    const rows = await query(
+      'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [userId, limit]
+    );
+    return rows.map((row) => row.password_hash);
+  },
+
+  // Appends a hash and drops everything past the newest `keep`
+  async addPasswordHistory(userId, passwordHash, keep) {
+    await query('INSERT INTO password_history (user_id, password_hash, created_at) VALUES (?, ?, NOW())', [
+      userId,
+      passwordHash
+    ]);
+    const stale = await query(
+      'SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1000 OFFSET ?',
+      [userId, keep]
+    );
+    if (stale.length) {
+      await query(
+        `DELETE FROM password_history WHERE id IN (${stale.map(() => '?').join(', ')})`,
+        stale.map((row) => row.id)
+      );
+    }
+  }
+});
+
+const createPasswordResetRepository = () => ({
+  async insert({ userId, token, ttlMinutes }) {
+    await query(
+      'INSERT INTO password_reset_tokens (user_id, token, expires_at, created_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())',
+      [userId, token, ttlMinutes]
+    );
+  },
+
+  // The unexpired token row, used or not
+  async findValid(token) {
+    const rows = await query(
+      'SELECT id, user_id, used_at FROM password_reset_tokens WHERE token = ? AND expires_at > NOW() LIMIT 1',
+      [token]
+    );
+    return rows[0] || null;
+  },
+
+  async markUsed(id) {
+    await query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [id]);
+  }
+});
+
+const createSessionRepository = () => ({
+  async insert({ id, userId, refreshTokenHash, ipAddress, userAgent, createdAt, expiresAt, impersonatorUserId }) {
+    await query(
+      `INSERT INTO auth_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, created_at, last_seen_at, expires_at, impersonator_user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, refreshTokenHash, ipAddress, userAgent, createdAt, createdAt, expiresAt, impersonatorUserId]
+    );
+  },
+
+  async findActive(sessionId) {
+    const rows = await query(
+      `SELECT id, user_id, created_at, last_seen_at, expires_at, impersonator_user_id
+       FROM auth_sessions
+       WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [sessionId]
+    );
+    return rows[0] || null;
+  },
+
+  async touch(sessionId) {
+    await query(
+      `UPDATE auth_sessions SET last_seen_at = NOW()
+       WHERE id = ? AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+      [sessionId]
+    );
+  },
+
+  async findByRefreshHash(tokenHash) {
+    const rows = await query(
+      `SELECT id, user_id, revoked_at, expires_at, impersonator_user_id FROM auth_sessions WHERE refresh_token_hash = ? LIMIT 1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  // The live session whose previous refresh token this is (a replayed token)
+  async findByPreviousHash(tokenHash) {
+    const rows = await query(
+      `SELECT id FROM auth_sessions WHERE previous_refresh_hash = ? AND revoked_at IS NULL LIMIT 1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  // False when the session no longer holds `tokenHash` (a concurrent refresh won)
+  async rotate({ sessionId, tokenHash, nextHash, expiresAt }) {
+    const result = await query(
+      `UPDATE auth_sessions
+       SET previous_refresh_hash = refresh_token_hash, refresh_token_hash = ?, last_seen_at = NOW(), expires_at = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [nextHash, expiresAt, sessionId, tokenHash]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Revokes the live sessions matching { sessionId, userId, exceptSessionId }
+  async revoke({ sessionId, userId, exceptSessionId }, reason) {
+    const clauses = ['revoked_at IS NULL'];
+    const params = [reason];
+    if (sessionId !== undefined) {
+      clauses.push('id = ?');
+      params.push(sessionId);
+    }
+    if (userId !== undefined) {
+      clauses.push('user_id = ?');
+      params.push(userId);
+    }
+    if (exceptSessionId !== undefined) {
+      clauses.push('id <> ?');
+      params.push(exceptSessionId);
+    }
+    const result = await query(
+      `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE ${clauses.join(' AND ')}`,
+      params
+    );
+    return result.affectedRows || 0;
+  },
+
+  async listActive(userId) {
+    return query(
+      `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at, impersonator_user_id
+       FROM auth_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+  },
+
+  // { total, matching }: the user's own (non-impersonation) sessions, and those from userAgent
+  async countDevices(userId, userAgent) {
+    const rows = await query(
+      `SELECT
+         COUNT(*) AS total,
+         SUM(CASE WHEN user_agent <=> ? THEN 1 ELSE 0 END) AS matching
+       FROM auth_sessions
+       WHERE user_id = ? AND impersonator_user_id IS NULL`,
+      [userAgent, userId]
+    );
+    return { total: Number(rows[0]?.total) || 0, matching: Number(rows[0]?.matching) || 0 };
+  }
+});
+
+const createLoginThrottleRepository = () => ({
+  // Rows for the keys, with in_window set when the first failure is recent
+  async find(keys, windowMinutes) {
+    return query(
+      `SELECT throttle_key, failure_count, locked_until,
+              first_failure_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE) AS in_window
+       FROM login_throttle WHERE throttle_key IN (${keys.map(() => '?').join(', ')})`,
+      [windowMinutes, ...keys]
+    );
+  },
+
+  // Counts a failure (restarting the count outside the window), then locks
+  // the key if it reached `max`. True when this call created the lock.
+  async recordFailure(key, { windowMinutes, max, lockoutMinutes }) {
+    // Assignments run left to right, so first_failure_at is still the old value
+    // when failure_count is evaluated.
+    await query(
+      `INSERT INTO login_throttle (throttle_key, failure_count, first_failure_at, last_failure_at)
+       VALUES (?, 1, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         failure_count = IF(first_failure_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failure_count + 1),
+         first_failure_at = IF(first_failure_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), NOW(), first_failure_at),
+         last_failure_at = NOW()`,
+      [key, windowMinutes, windowMinutes]
+    );
+
+    const result = await query(
+      `UPDATE login_throttle
+       SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), failure_count = 0, first_failure_at = NOW()
+       WHERE throttle_key = ? AND failure_count >= ? AND (locked_until IS NULL OR locked_until <= NOW())`,
+      [lockoutMinutes, key, max]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async clear(key) {
+    const result = await query('DELETE FROM login_throttle WHERE throttle_key = ?', [key]);
+    return result.affectedRows || 0;
+  }
+});
+
+const createTwoFactorRepository = () => ({
+  async get(userId) {
+    const rows = await query(
+      `SELECT user_id, secret, pending_secret, recovery_codes, enabled_at, last_used_step
+       FROM user_two_factor WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  async setPending(userId, pendingSecret) {
+    const now = new Date();
+    await query(
+      `INSERT INTO user_two_factor (user_id, pending_secret, created_at, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE pending_secret = VALUES(pending_secret), updated_at = VALUES(updated_at)`,
+      [userId, pendingSecret, now, now]
+    );
+  },
+
+  // Promotes the pending secret to the active one
+  async enable(userId, { recoveryCodes, lastUsedStep }) {
+    await query(
+      `UPDATE user_two_factor
+       SET secret = pending_secret, pending_secret = NULL, recovery_codes = ?, enabled_at = NOW(), last_used_step = ?, updated_at = NOW()
+       WHERE user_id = ?`,
+      [recoveryCodes, lastUsedStep, userId]
+    );
+  },
+
+  // Records `step` as used unless it (or a later one) already was; false when
+  // a concurrent verification claimed it first
+  async claimStep(userId, step) {
+    const result = await query(
+      `UPDATE user_two_factor SET last_used_step = ?, updated_at = NOW()
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async setRecoveryCodes(userId, recoveryCodes) {
+    await query('UPDATE user_two_factor SET recovery_codes = ?, updated_at = NOW() WHERE user_id = ?', [
+      recoveryCodes,
+      userId
+    ]);
+  },
+
+  // Compare-and-set: false when the stored codes are no longer `expected`
+  async replaceRecoveryCodes(userId, expected, recoveryCodes) {
+    const result = await query(
+      'UPDATE user_two_factor SET recovery_codes = ?, updated_at = NOW() WHERE user_id = ? AND recovery_codes = ?',
+      [recoveryCodes, userId, expected]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async remove(userId) {
+    const result = await query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    return result.affectedRows || 0;
+  }
+});
+
+const createPermissionRepository = () => ({
+  // { roles, permissions }: extra role names held through user_roles, and every
+  // permission key granted to the primary role, those roles or the user directly
+  async loadGrants(userId, role) {
+    const roleRows = await query(
+      `SELECT r.role_name FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE ur.user_id = ?`,
+      [userId]
+    );
+    const permissionRows = await query(
+      `SELECT DISTINCT rp.permission_key
+       FROM role_permissions rp
+       JOIN roles r ON r.id = rp.role_id
+       WHERE r.role_name = ? OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = ?)
+       UNION
+       SELECT permission_key FROM user_permission_grants
+       WHERE user_id = ? AND (expires_at IS NULL OR expires_at > NOW())`,
+      [role, userId, userId]
+    );
+    return {
+      roles: roleRows.map((row) => row.role_name),
+      permissions: permissionRows.map((row) => row.permission_key)
+    };
+  }
+});
+
+const createSettingsRepository = () => ({
+  // { key: value } for the keys that are set
+  async get(keys) {
+    const rows = await query(
+      `SELECT setting_key, value FROM system_settings WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+      keys
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.setting_key] = row.value;
+      return acc;
+    }, {});
+  }
+});
+
+const createSecurityEventRepository = () => ({
+  async insert({ id, eventType, severity, userId, ipAddress, userAgent, description, metadata }) {
+    await query(
+      `INSERT INTO security_events (id, event_type, severity, user_id, ip_address, user_agent, description, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, eventType, severity, userId, ipAddress, userAgent, description, metadata]
+    );
+  }
+});
+
+const createVerificationCodeRepository = () => ({
+  // created_at of the codes sent in the last `minutes`, newest first
+  async listSentSince(userId, purpose, minutes) {
+    return query(
+      `SELECT created_at FROM verification_codes
+       WHERE user_id = ? AND purpose = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       ORDER BY created_at DESC`,
+      [userId, purpose, minutes]
+    );
+  },
+
+  async expirePending(userId, purpose) {
+    await query(
+      `UPDATE verification_codes SET expires_at = NOW()
+       WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > NOW()`,
+      [userId, purpose]
+    );
+  },
+
+  async insert({ id, userId, purpose, target, secretHash, expiresAt, createdAt }) {
+    await query(
+      `INSERT INTO verification_codes (id, user_id, purpose, target, secret_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, purpose, target, secretHash, expiresAt, createdAt]
+    );
+  },
+
+  async findLatestPending(userId, purpose) {
+    const rows = await query(
+      `SELECT id, target, secret_hash, attempts FROM verification_codes
+       WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId, purpose]
+    );
+    return rows[0] || null;
+  },
+
+  async findPending(id, purpose) {
+    const rows = await query(
+      `SELECT id, user_id, target, secret_hash FROM verification_codes
+       WHERE id = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [id, purpose]
+    );
+    return rows[0] || null;
+  },
+
+  async addAttempt(id) {
+    await query('UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ?', [id]);
+  },
+
+  // False when the code was already used (a concurrent check won)
+  async consume(id) {
+    const result = await query(
+      'UPDATE verification_codes SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+});
+
+const createJwtKeyRepository = () => ({
+  async insert({ kid, algorithm, secret, privateKey, publicKey, activatesAt }) {
+    await query(
+      `INSERT INTO jwt_signing_keys (kid, algorithm, secret, private_key, public_key, created_at, activates_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+      [kid, algorithm, secret, privateKey, publicKey, activatesAt]
+    );
+  },
+
+  // Keys that can still verify tokens (including ones waiting to activate), newest first
+  async listValid() {
+    return query(
+      `SELECT kid, algorithm, secret, private_key, public_key, activates_at, expires_at
+       FROM jwt_signing_keys
+       WHERE expires_at IS NULL OR expires_at > NOW()
+       ORDER BY activates_at DESC`
+    );
+  },
+
+  // Kids of the keys that would still be valid at `date`
+  async listKidsValidAt(date) {
+    const rows = await query('SELECT kid FROM jwt_signing_keys WHERE expires_at IS NULL OR expires_at > ?', [date]);
+    return rows.map((row) => row.kid);
+  },
+
+  async expire(kids, expiresAt) {
+    if (!kids.length) return;
+    await query(`UPDATE jwt_signing_keys SET expires_at = ? WHERE kid IN (${kids.map(() => '?').join(', ')})`, [
+      expiresAt,
+      ...kids
+    ]);
+  },
+
+  async revoke(kid) {
+    const result = await query(
+      'UPDATE jwt_signing_keys SET expires_at = NOW() WHERE kid = ? AND (expires_at IS NULL OR expires_at > NOW())',
+      [kid]
+    );
+    return result.affectedRows || 0;
+  },
+
+  async list() {
+    return query(
+      `SELECT kid, algorithm, created_at, activates_at, expires_at
+       FROM jwt_signing_keys ORDER BY activates_at DESC`
+    );
+  }
+});
+
+const API_KEY_COLUMNS = `id, service_account_id, name, key_prefix, scopes, ip_allowlist, expires_at,
+            last_used_at, last_used_ip, revoked_at, created_by, created_at`;
+
+const createServiceAccountRepository = () => ({
+  async list() {
+    return query(
+      `SELECT id, name, description, hospital_id, status, created_by, created_at, updated_at
+       FROM service_accounts ORDER BY name`
+    );
+  },
+
+  async findById(id) {
+    const rows = await query(
+      'SELECT id, name, description, hospital_id, status FROM service_accounts WHERE id = ? LIMIT 1',
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async insert({ id, name, description, hospitalId, createdBy }) {
+    await query(
+      `INSERT INTO service_accounts (id, name, description, hospital_id, status, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'active', ?, NOW(), NOW())`,
+      [id, name, description, hospitalId, createdBy]
+    );
+  },
+
+  async setStatus(id, status) {
+    const result = await query('UPDATE service_accounts SET status = ?, updated_at = NOW() WHERE id = ?', [status, id]);
+    return result.affectedRows || 0;
+  }
+});
+
+const createApiKeyRepository = () => ({
+  async list() {
+    return query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`);
+  },
+
+  async findById(id) {
+    const rows = await query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ? LIMIT 1`, [id]);
+    return rows[0] || null;
+  },
+
+  // The key with its hash and its service account (account_name, hospital_id, account_status)
+  async findByPrefix(prefix) {
+    const rows = await query(
+      `SELECT k.id, k.service_account_id, k.name, k.key_prefix, k.key_hash, k.scopes, k.ip_allowlist,
+              k.expires_at, k.last_used_at, k.last_used_ip, k.revoked_at, k.created_by, k.created_at,
+              a.name AS account_name, a.hospital_id, a.status AS account_status
+       FROM api_keys k
+       JOIN service_accounts a ON a.id = k.service_account_id
+       WHERE k.key_prefix = ? LIMIT 1`,
+      [prefix]
+    );
+    return rows[0] || null;
+  },
+
+  // scopes and ipAllowlist are JSON strings
+  async insert({ id, serviceAccountId, name, keyPrefix, keyHash, scopes, ipAllowlist, expiresAt, createdBy }) {
+    await query(
+      `INSERT INTO api_keys (id, service_account_id, name, key_prefix, key_hash, scopes, ip_allowlist, expires_at, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, serviceAccountId, name, keyPrefix, keyHash, scopes, ipAllowlist, expiresAt, createdBy]
+    );
+  },
+
+  // Only the given fields change, and only on unrevoked keys
+  async update(id, { name, scopes, ipAllowlist, expiresAt }) {
+    const columns = { name, scopes, ip_allowlist: ipAllowlist, expires_at: expiresAt };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (!updates.length) return 0;
+    const result = await query(
+      `UPDATE api_keys SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ? AND revoked_at IS NULL`,
+      [...updates.map(([, value]) => value), id]
+    );
+    return result.affectedRows || 0;
+  },
+
+  async revoke(id) {
+    const result = await query('UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+    return result.affectedRows || 0;
+  },
+
+  // Written at most once a minute per key unless the caller's address changed
+  async recordUse(id, ipAddress) {
+    await query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE) OR last_used_ip <> ?)`,
+      [ipAddress, id, ipAddress]
+    );
+  }
+});
+
+const createOidcRequestRepository = () => ({
+  async insert({ state, provider, codeVerifier, nonce, returnTo, linkUserId, ttlMinutes }) {
+    await query(
+      `INSERT INTO oidc_login_requests (state, provider, code_verifier, nonce, return_to, link_user_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [state, provider, codeVerifier, nonce, returnTo, linkUserId, ttlMinutes]
+    );
+  },
+
+  // A login attempt still waiting for its callback
+  async findPending(state, provider) {
+    const rows = await query(
+      `SELECT state, code_verifier, nonce, return_to, link_user_id FROM oidc_login_requests
+       WHERE state = ? AND provider = ? AND user_id IS NULL AND completed_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [state, provider]
+    );
+    return rows[0] || null;
+  },
+
+  // False when the request was already completed
+  async complete(state) {
+    const result = await query(
+      'UPDATE oidc_login_requests SET completed_at = NOW() WHERE state = ? AND completed_at IS NULL',
+      [state]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Reopens a completed request as a sign-in ticket for `userId`
+  async issueTicket(state, { userId, ticketHash, ttlMinutes }) {
+    await query(
+      `UPDATE oidc_login_requests
+       SET user_id = ?, ticket_hash = ?, completed_at = NULL, expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       WHERE state = ?`,
+      [userId, ticketHash, ttlMinutes, state]
+    );
+  },
+
+  async findByTicket(ticketHash) {
+    const rows = await query(
+      `SELECT state, user_id FROM oidc_login_requests
+       WHERE ticket_hash = ? AND completed_at IS NULL AND expires_at > NOW() LIMIT 1`,
+      [ticketHash]
+    );
+    return rows[0] || null;
+  }
+});
+
+const createIdentityRepository = () => ({
+  async findOwner(provider, subject) {
+    const rows = await query('SELECT user_id FROM user_identities WHERE provider = ? AND subject = ? LIMIT 1', [
+      provider,
+      subject
+    ]);
+    return rows[0]?.user_id || null;
+  },
+
+  async insert({ id, userId, provider, subject, email, phone }) {
+    await query(
+      `INSERT INTO user_identities (id, user_id, provider, subject, email, phone, created_at, last_login_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, userId, provider, subject, email, phone]
+    );
+  },
+
+  async touch(provider, subject) {
+    await query('UPDATE user_identities SET last_login_at = NOW() WHERE provider = ? AND subject = ?', [
+      provider,
+      subject
+    ]);
+  },
+
+  async listByUser(userId) {
+    return query(
+      `SELECT id, provider, email, phone, created_at, last_login_at
+       FROM user_identities WHERE user_id = ? ORDER BY created_at`,
+      [userId]
+    );
+  },
+
+  async remove(id, userId) {
+    const result = await query('DELETE FROM user_identities WHERE id = ? AND user_id = ?', [id, userId]);
+    return result.affectedRows || 0;
+  }
+});
+
+// The doctors directory table, with the specialty name joined in
+const createDoctorRepository = () => ({
+  async findById(doctorId) {
+    const rows = await query(
+      `SELECT d.full_name, d.specialty_id, d.phone, d.email, d.fee_amount, d.verified, d.rating, s.name AS specialty_name
+       FROM doctors d
+       LEFT JOIN doctor_specialties s ON s.id = d.specialty_id
+       WHERE d.id = ? LIMIT 1`,
+      [doctorId]
+    );
+    return rows[0] || null;
+  }
+});
+
+const createAuditLogRepository = () => ({
+  async insert({ id, userId, action, entityType, entityId, changes }) {
+    await query(
+      `INSERT INTO audit_logs (id, user_id, action, entity_type, entity_id, changes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [id, userId, action, entityType, entityId, changes]
+    );
+  }
+});
+
+const createAdminActionRepository = () => ({
+  async insert({
+    id,
+    adminUserId,
+    adminRole,
+    actionType,
+    actionCategory,
+    entityType,
+    entityId,
+    targetUserId,
+    description,
+    metadata,
+    ipAddress,
+    severity
+  }) {
+    await query(
+      `INSERT INTO admin_actions (id, admin_user_id, admin_role, action_type, action_category, entity_type, entity_id, target_user_id, description, metadata, ip_address, severity)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        adminUserId,
+        adminRole,
+        actionType,
+        actionCategory,
+        entityType,
+        entityId,
+        targetUserId,
+        description,
+        metadata,
+        ipAddress,
+        severity
+      ]
+    );
+  }
+});
+
+const createAdminNotificationRepository = () => ({
+  // One notification, each with its own id, for every user holding one of `roles`
+  async insertForRoles(
+    roles,
+    { senderUserId, notificationType, priority, title, message, actionRequired, relatedEntityType, relatedEntityId }
+  ) {
+    if (!roles.length) return;
+    await query(
+      `INSERT INTO admin_notifications (id, sender_user_id, recipient_user_id, notification_type, priority, title, message, action_required, related_entity_type, related_entity_id)
+       SELECT UUID(), ?, id, ?, ?, ?, ?, ?, ?, ?
+       FROM users WHERE role IN (${roles.map(() => '?').join(', ')})`,
+      [
+        senderUserId,
+        notificationType,
+        priority,
+        title,
+        message,
+        actionRequired,
+        relatedEntityType,
+        relatedEntityId,
+        ...roles
+      ]
+    );
+  }
+});
+
+export function createMysqlStorage() {
+  return {
+    driver: 'mysql',
+    entities: createEntityRepository(),
+    revisions: createRevisionRepository(),
+    userMeta: createUserMetaRepository(),
+    catalog: createCatalogRepository(),
+    users: createUserRepository(),
+    passwordResets: createPasswordResetRepository(),
+    sessions: createSessionRepository(),
+    loginThrottle: createLoginThrottleRepository(),
+    twoFactor: createTwoFactorRepository(),
+    permissions: createPermissionRepository(),
+    settings: createSettingsRepository(),
+    securityEvents: createSecurityEventRepository(),
+    verificationCodes: createVerificationCodeRepository(),
+    jwtKeys: createJwtKeyRepository(),
+    serviceAccounts: createServiceAccountRepository(),
+    apiKeys: createApiKeyRepository(),
+    oidcRequests: createOidcRequestRepository(),
+    identities: createIdentityRepository(),
+    doctors: createDoctorRepository(),
+    auditLogs: createAuditLogRepository(),
+    adminActions: createAdminActionRepository(),
+    adminNotifications: createAdminNotificationRepository()
+  };
+}
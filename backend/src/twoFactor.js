@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { storage } from './storage/index.js';
+import { normalizeRoleValue } from './roles.js';
+import { getSystemSettings, parseSettingBoolean, parseSettingList } from './settingsStore.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Nurture Glow';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const ADMIN_ROLES = ['system_admin', 'medical_admin', 'ops_admin'];
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matched time step, or null. Accepts one step of clock drift either way.
+const matchTotpStep = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep();
+  for (const candidate of [step, step - 1, step + 1]) {
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = generateTotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const parseCodeHashes = (value) => {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const fetchTwoFactorRow = (userId) => storage.twoFactor.get(userId);
+
+export const buildOtpauthUri = ({ secret, accountName }) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// 'two_factor_required_roles' lists roles explicitly; the older
+// 'two_factor_auth_required' flag still covers all admin roles.
+export async function isTwoFactorRequiredForRole(role) {
+  const normalizedRole = normalizeRoleValue(role);
+  if (!normalizedRole) return false;
+  const settings = await getSystemSettings(['two_factor_required_roles', 'two_factor_auth_required']);
+  const requiredRoles = parseSettingList(settings.two_factor_required_roles)
+    .map((item) => normalizeRoleValue(item))
+    .filter(Boolean);
+  if (parseSettingBoolean(settings.two_factor_auth_required)) {
+    requiredRoles.push(...ADMIN_ROLES);
+  }
+  return requiredRoles.includes(normalizedRole);
+}
+
+export async function getTwoFactorState(userId) {
+  const row = await fetchTwoFactorRow(userId);
+  return {
+    enabled: Boolean(row?.enabled_at && row?.secret),
+    pending: Boolean(row?.pending_secret),
+    recoveryCodesRemaining: row ? parseCodeHashes(row.recovery_codes).length : 0
+  };
+}
+
+export async function beginEnrollment(userId, accountName) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await storage.twoFactor.setPending(userId, secret);
+  return { secret, otpauthUri: buildOtpauthUri({ secret, accountName }) };
+}
+
+// Activates the pending secret once the user proves their authenticator works.
+// Returns the plain recovery codes (shown once), or null on a bad code.
+export async function confirmEnrollment(userId, code) {
+  const row = await fetchTwoFactorRow(userId);
+  if (!row?.pending_secret) return null;
+  const step = matchTotpStep(row.pending_secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await storage.twoFactor.enable(userId, {
+    recoveryCodes: JSON.stringify(recoveryCodes.map(hashRecoveryCode)),
+    lastUsedStep: step
+  });
+  return recoveryCodes;
+}
+
+// Checks a TOTP code or consumes a recovery code
+export async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const row = await fetchTwoFactorRow(userId);
+  if (!row?.enabled_at || !row?.secret) return { ok: false };
+
+  if (code) {
+    const lastUsedStep = row.last_used_step === null ? null : Number(row.last_used_step);
+    const step = matchTotpStep(row.secret, code, lastUsedStep);
+    if (step === null) return { ok: false };
+    // Two requests carrying the same code race here; only one claims the step
+    if (!(await storage.twoFactor.claimStep(userId, step))) return { ok: false };
+    return { ok: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hashes = parseCodeHashes(row.recovery_codes);
+    const target = hashRecoveryCode(recoveryCode);
+    if (!hashes.includes(target)) return { ok: false };
+    const remaining = hashes.filter((hash) => hash !== target);
+    // Consumed only if the list is still the one read above, so a code spent
+    // by a concurrent request cannot be spent again
+    if (!(await storage.twoFactor.replaceRecoveryCodes(userId, row.recovery_codes, JSON.stringify(remaining)))) {
+      return { ok: false };
+    }
+    return { ok: true, method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+  }
+
+  return { ok: false };
+}
+
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await storage.twoFactor.setRecoveryCodes(userId, JSON.stringify(recoveryCodes.map(hashRecoveryCode)));
+  return recoveryCodes;
+}
+
+export async function disableTwoFactor(userId) {
+  return storage.twoFactor.remove(userId);
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Reports app_entities rows that fail their type's schema (src/entitySchemas.js)
+ *   npm run validate-entities
+ *   npm run validate-entities -- --type appointment --limit 50
+ *
+ * Exits with 2 when invalid rows were found. Invalid rows stay readable but
+ * cannot be updated until they are fixed.
+ */
+
+import { reportInvalidEntities } from './src/appStore.js';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+(async () => {
+  const args = process.argv.slice(2);
+  try {
+    const type = readOption(args, '--type');
+    const sampleLimit = Math.max(parseInt(readOption(args, '--limit'), 10) || 20, 0);
+    const report = await reportInvalidEntities({ types: type ? [type] : undefined, sampleLimit });
+
+    console.table(
+      report.map(({ type: entityType, schemaVersion, rows, outdated, invalid }) => ({
+        type: entityType,
+        schemaVersion,
+        rows,
+        outdated,
+        invalid
+      }))
+    );
+
+    for (const summary of report) {
+      for (const sample of summary.samples) {
+        const issues = sample.issues.map((issue) => (issue.path ? `${issue.path}: ${issue.message}` : issue.message));
+        console.log(`✗ ${summary.type} ${sample.id} (user ${sample.userId || '-'}): ${issues.join('; ')}`);
+      }
+      if (summary.invalid > summary.samples.length) {
+        console.log(`  … and ${summary.invalid - summary.samples.length} more invalid ${summary.type} row(s)`);
+      }
+    }
+
+    const invalid = report.reduce((sum, summary) => sum + summary.invalid, 0);
+    if (invalid) {
+      console.log(`${invalid} row(s) fail validation`);
+      process.exit(2);
+    }
+    console.log('✓ All rows match their schemas');
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Validation failed:', error.message);
+    process.exit(1);
+  }
+})();